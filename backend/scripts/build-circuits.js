@@ -0,0 +1,299 @@
+/**
+ * Circuit artifact build pipeline
+ * Compiles every circuit in circuits/, runs the Groth16 phase-2 ceremony through
+ * snarkjs's JS API (several named contributors and a final beacon) and writes a
+ * manifest with the hash of each artifact, checked by the backend at startup.
+ *
+ * Usage (from backend/):
+ *   npm run build:circuits -- [--circuit payment] [--version 2]
+ *                             [--contributor "Alice" --contributor "Bob"]
+ *                             [--beacon <hex>] [--ptau <file>]
+ *
+ * Requires the circom 2 compiler on PATH (or CIRCOM_BIN pointing at it).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const snarkjs = require('snarkjs');
+const { CIRCUITS_DIR } = require('../src/circuits');
+const { KEYS_DIR } = require('../src/verificationKeys');
+const { MANIFEST_PATH, MANIFEST_VERSION, sha256File } = require('../src/artifactManifest');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const REPO_DIR = path.join(BACKEND_DIR, '..');
+const CIRCUIT_SOURCES_DIR = path.join(REPO_DIR, 'circuits');
+const FRONTEND_CIRCUITS_DIR = path.join(REPO_DIR, 'frontend', 'public', 'circuits');
+const SNARKJS_DIR = path.join(path.dirname(require.resolve('snarkjs')), '..');
+
+// Circuits verified on-chain and where their generated Solidity verifier goes
+const SOLIDITY_VERIFIERS = {
+  payment: path.join(REPO_DIR, 'blockchain', 'contracts', 'Verifier.sol')
+};
+
+const CIRCOM_BIN = process.env.CIRCOM_BIN || 'circom';
+const DEFAULT_CONTRIBUTORS = ['ZKPulse Contributor 1', 'ZKPulse Contributor 2'];
+const BEACON_ITERATIONS_EXP = 10;
+const MIN_PTAU_POWER = 8;
+
+// snarkjs reports progress through a logger; keep only what needs attention
+const logger = {
+  debug() {},
+  info() {},
+  warn: (...args) => console.warn('   ⚠️ ', ...args),
+  error: (...args) => console.error('   ❌', ...args)
+};
+
+/**
+ * Parse --flag value pairs; repeated flags collect into an array
+ */
+function parseArgs(argv) {
+  const args = { circuit: [], contributor: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (!flag.startsWith('--') || i + 1 >= argv.length) {
+      throw new Error(`Unexpected argument: ${flag}`);
+    }
+    const name = flag.slice(2);
+    const value = argv[++i];
+    if (Array.isArray(args[name])) {
+      args[name].push(value);
+    } else {
+      args[name] = value;
+    }
+  }
+  return args;
+}
+
+function hex(bytes) {
+  return Buffer.from(bytes).toString('hex');
+}
+
+function relativeToManifest(file) {
+  return path.relative(path.dirname(MANIFEST_PATH), file).split(path.sep).join('/');
+}
+
+function artifactEntry(file) {
+  return { path: relativeToManifest(file), sha256: sha256File(file) };
+}
+
+/**
+ * Compile one circuit to r1cs, wasm and sym in CIRCUITS_DIR
+ * circomlib is resolved from backend/node_modules through the -l include path
+ */
+function compileCircuit(name) {
+  const source = path.join(CIRCUIT_SOURCES_DIR, `${name}.circom`);
+  execFileSync(CIRCOM_BIN, [source, '--r1cs', '--wasm', '--sym', '-o', CIRCUITS_DIR, '-l', BACKEND_DIR], {
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  return path.join(CIRCUITS_DIR, `${name}.r1cs`);
+}
+
+/**
+ * Smallest Powers of Tau size that fits the circuit's constraint system
+ */
+async function requiredPtauPower(r1csFile) {
+  const { nConstraints, nPubInputs, nOutputs } = await snarkjs.r1cs.info(r1csFile);
+  const rows = nConstraints + nPubInputs + nOutputs + 1;
+  return { constraints: nConstraints, power: Math.max(MIN_PTAU_POWER, Math.ceil(Math.log2(rows))) };
+}
+
+/**
+ * Generate a local phase-1 Powers of Tau file with the same contributors and beacon
+ * Reused across builds - phase 1 does not depend on the circuit. For production
+ * pass --ptau with a file from a public ceremony instead.
+ */
+async function generatePtau(power, contributors, beaconHash) {
+  const ptauDir = path.join(CIRCUITS_DIR, 'ptau');
+  const finalFile = path.join(ptauDir, `pot${power}_final.ptau`);
+  if (fs.existsSync(finalFile)) {
+    console.log(`   Reusing ${relativeToManifest(finalFile)}`);
+    return finalFile;
+  }
+
+  fs.mkdirSync(ptauDir, { recursive: true });
+  const curve = await snarkjs.curves.getCurveFromName('bn128');
+
+  let current = path.join(ptauDir, `pot${power}_0000.ptau`);
+  await snarkjs.powersOfTau.newAccumulator(curve, power, current, logger);
+
+  for (const [i, contributor] of contributors.entries()) {
+    const next = path.join(ptauDir, `pot${power}_${String(i + 1).padStart(4, '0')}.ptau`);
+    await snarkjs.powersOfTau.contribute(current, next, contributor, crypto.randomBytes(32).toString('hex'), logger);
+    fs.unlinkSync(current);
+    current = next;
+    console.log(`   Phase 1 contribution: ${contributor}`);
+  }
+
+  const beaconFile = path.join(ptauDir, `pot${power}_beacon.ptau`);
+  await snarkjs.powersOfTau.beacon(current, beaconFile, 'Final Beacon', beaconHash, BEACON_ITERATIONS_EXP, logger);
+  fs.unlinkSync(current);
+
+  await snarkjs.powersOfTau.preparePhase2(beaconFile, finalFile, logger);
+  fs.unlinkSync(beaconFile);
+
+  console.log(`   Generated ${relativeToManifest(finalFile)}`);
+  return finalFile;
+}
+
+/**
+ * Phase 2: initial zkey, one contribution per contributor, then the beacon
+ * @returns {Promise<Object>} - { zkeyFile, contributions: [{ name, hash }] }
+ */
+async function runPhase2(name, r1csFile, ptauFile, contributors, beaconHash) {
+  let current = path.join(CIRCUITS_DIR, `${name}_0000.zkey`);
+  if (await snarkjs.zKey.newZKey(r1csFile, ptauFile, current, logger) === -1) {
+    throw new Error(`groth16 setup failed for ${name}; is the ptau file large enough?`);
+  }
+
+  const contributions = [];
+  for (const [i, contributor] of contributors.entries()) {
+    const next = path.join(CIRCUITS_DIR, `${name}_${String(i + 1).padStart(4, '0')}.zkey`);
+    const hash = await snarkjs.zKey.contribute(current, next, contributor, crypto.randomBytes(32).toString('hex'), logger);
+    fs.unlinkSync(current);
+    current = next;
+    contributions.push({ name: contributor, hash: hex(hash) });
+    console.log(`   Phase 2 contribution: ${contributor}`);
+  }
+
+  const zkeyFile = path.join(CIRCUITS_DIR, `${name}_final.zkey`);
+  const beaconContribution = await snarkjs.zKey.beacon(current, zkeyFile, 'Final Beacon', beaconHash, BEACON_ITERATIONS_EXP, logger);
+  if (!beaconContribution) {
+    throw new Error(`beacon contribution failed for ${name}`);
+  }
+  fs.unlinkSync(current);
+  contributions.push({ name: 'Final Beacon', hash: hex(beaconContribution) });
+
+  if (!await snarkjs.zKey.verifyFromR1cs(r1csFile, ptauFile, zkeyFile, logger)) {
+    throw new Error(`${name}_final.zkey does not verify against the r1cs and ptau`);
+  }
+
+  return { zkeyFile, contributions };
+}
+
+/**
+ * Build one circuit end to end and return its manifest entry
+ */
+async function buildCircuit(name, r1csFile, options) {
+  console.log(`\n📦 ${name}.circom`);
+
+  const { zkeyFile, contributions } = await runPhase2(name, r1csFile, options.ptauFile, options.contributors, options.beaconHash);
+
+  const vKey = await snarkjs.zKey.exportVerificationKey(zkeyFile, logger);
+  const vkeyFile = path.join(KEYS_DIR, name, `${options.version}.json`);
+  fs.mkdirSync(path.dirname(vkeyFile), { recursive: true });
+  fs.writeFileSync(vkeyFile, JSON.stringify(vKey, null, 1));
+  console.log(`   Verification key: ${relativeToManifest(vkeyFile)}`);
+
+  const wasmFile = path.join(CIRCUITS_DIR, `${name}_js`, `${name}.wasm`);
+  const artifacts = {
+    r1cs: artifactEntry(r1csFile),
+    wasm: artifactEntry(wasmFile),
+    zkey: artifactEntry(zkeyFile),
+    vkey: artifactEntry(vkeyFile)
+  };
+
+  if (SOLIDITY_VERIFIERS[name]) {
+    const template = fs.readFileSync(
+      path.join(SNARKJS_DIR, 'templates', 'verifier_groth16.sol.ejs'),
+      'utf8'
+    );
+    const solidity = await snarkjs.zKey.exportSolidityVerifier(zkeyFile, { groth16: template }, logger);
+    fs.writeFileSync(SOLIDITY_VERIFIERS[name], solidity);
+    artifacts.verifierSol = artifactEntry(SOLIDITY_VERIFIERS[name]);
+    console.log(`   Solidity verifier: ${path.relative(REPO_DIR, SOLIDITY_VERIFIERS[name])}`);
+  }
+
+  // The customer app proves in the browser, so it needs the same wasm and zkey
+  fs.mkdirSync(FRONTEND_CIRCUITS_DIR, { recursive: true });
+  fs.copyFileSync(wasmFile, path.join(FRONTEND_CIRCUITS_DIR, `${name}.wasm`));
+  fs.copyFileSync(zkeyFile, path.join(FRONTEND_CIRCUITS_DIR, `${name}_final.zkey`));
+
+  console.log(`✅ ${name} built`);
+  return {
+    version: options.version,
+    constraints: options.constraints,
+    nPublic: vKey.nPublic,
+    contributions,
+    beacon: { hash: options.beaconHash, iterationsExp: BEACON_ITERATIONS_EXP },
+    ptau: artifactEntry(options.ptauFile),
+    artifacts
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const available = fs.readdirSync(CIRCUIT_SOURCES_DIR)
+    .filter(file => file.endsWith('.circom'))
+    .map(file => path.basename(file, '.circom'))
+    .sort();
+  const circuits = args.circuit.length > 0 ? args.circuit : available;
+  const unknown = circuits.filter(name => !available.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown circuit(s): ${unknown.join(', ')}. Available: ${available.join(', ')}`);
+  }
+
+  const contributors = args.contributor.length > 0
+    ? args.contributor
+    : (process.env.CIRCUIT_CONTRIBUTORS ? process.env.CIRCUIT_CONTRIBUTORS.split(',').map(s => s.trim()) : DEFAULT_CONTRIBUTORS);
+
+  let beaconHash = args.beacon || process.env.CIRCUIT_BEACON;
+  if (!beaconHash) {
+    beaconHash = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  No --beacon given; using local randomness. For a real ceremony use a public,');
+    console.warn('   unpredictable value announced in advance, e.g. a future block hash.');
+  }
+  if (!/^([0-9a-fA-F]{2})+$/.test(beaconHash)) {
+    throw new Error('Beacon must be a hex string');
+  }
+
+  const version = String(args.version || '1');
+  fs.mkdirSync(CIRCUITS_DIR, { recursive: true });
+
+  console.log('🔧 ZK Circuit Build');
+  console.log('==================================');
+  console.log(`Circuits: ${circuits.join(', ')}`);
+  console.log(`Contributors: ${contributors.join(', ')}`);
+  console.log(`Output: ${CIRCUITS_DIR}`);
+
+  console.log('\n⚙️  Compiling circuits...');
+  const compiled = {};
+  for (const name of circuits) {
+    const r1csFile = compileCircuit(name);
+    compiled[name] = { r1csFile, ...await requiredPtauPower(r1csFile) };
+    console.log(`   ${name}: ${compiled[name].constraints} constraints`);
+  }
+
+  // One ptau large enough for every circuit in this build
+  const power = Math.max(...Object.values(compiled).map(c => c.power));
+
+  console.log(`\n🎲 Powers of Tau (2^${power})`);
+  const ptauFile = args.ptau || process.env.CIRCUIT_PTAU || await generatePtau(power, contributors, beaconHash);
+
+  // Circuits built earlier keep their entries unless rebuilt now
+  const previous = fs.existsSync(MANIFEST_PATH) ? JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8')) : {};
+  const manifest = {
+    manifestVersion: MANIFEST_VERSION,
+    generatedAt: new Date().toISOString(),
+    snarkjs: JSON.parse(fs.readFileSync(path.join(SNARKJS_DIR, 'package.json'), 'utf8')).version,
+    circuits: previous.circuits || {}
+  };
+
+  for (const name of circuits) {
+    const { r1csFile, constraints } = compiled[name];
+    manifest.circuits[name] = await buildCircuit(name, r1csFile, { version, constraints, contributors, beaconHash, ptauFile });
+  }
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+
+  console.log('\n==================================');
+  console.log(`✨ Build complete. Manifest: ${MANIFEST_PATH}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Circuit build failed:', error.message);
+    process.exit(1);
+  });
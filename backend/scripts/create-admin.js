@@ -0,0 +1,53 @@
+/**
+ * Create an admin account in the backend store
+ * Admins can't register through the API; an operator with access to the store
+ * creates them here. The password is read from ADMIN_PASSWORD so it stays out of
+ * the shell history and process list.
+ *
+ * Usage (from backend/, with the backend .env loaded):
+ *   ADMIN_PASSWORD=... node scripts/create-admin.js --id <adminId> [--name <display name>]
+ */
+
+require('dotenv').config();
+
+const { ROLES, createAccount } = require('../src/accounts');
+const { initializeStorage, closeStorage } = require('../src/storage');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (['--id', '--name'].includes(flag) && i + 1 < argv.length) {
+      args[flag.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unexpected argument: ${flag}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.id) {
+    throw new Error('--id is required');
+  }
+  if (!process.env.ADMIN_PASSWORD) {
+    throw new Error('ADMIN_PASSWORD is required');
+  }
+
+  await initializeStorage();
+  const result = await createAccount(ROLES.ADMIN, { accountId: args.id, name: args.name, password: process.env.ADMIN_PASSWORD });
+  await closeStorage();
+
+  if (!result.created) {
+    throw new Error(result.reason);
+  }
+  console.log(`✓ Admin ${args.id} created. Sign in with POST /api/admin/login.`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Could not create admin:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,200 @@
+/**
+ * Move PINs from a PINRegistry that stored salts and keccak256(customerId) keys
+ * to one keyed by blinded customer keys (see customerKey() in src/pinRegistry.js)
+ *
+ * Customer ids come from the backend store (and --customers). For each one the
+ * old contract's PIN hash is taken as authoritative, its salt is kept in the
+ * backend store only, and the PIN is registered in the new contract under the
+ * blinded key. Entries on the old contract whose customer id is unknown cannot be
+ * moved - the old keys are one-way hashes - and are only counted.
+ *
+ * Usage (from backend/, with the backend .env loaded):
+ *   node scripts/migrate-pin-registry.js --from <old address> [--to <new address>]
+ *                                        [--customers <file, one id per line>]
+ *                                        [--revoke-old] [--dry-run]
+ *
+ * --to defaults to the PINRegistry in the DEPLOYMENT_NETWORK manifest, or to
+ * PIN_REGISTRY_ADDRESS. Transactions are sent from the registry
+ * signer (REGISTRY_SIGNER_PRIVATE_KEY or REGISTRY_SIGNER_KEYSTORE), which must be
+ * an authorized backend of the new contract. --revoke-old also revokes each moved
+ * entry on the old contract, clearing its salt from current state; the salt stays
+ * in the old contract's history, so customers should change their PIN afterwards.
+ */
+
+const fs = require('fs');
+const ethers = require('ethers');
+require('dotenv').config();
+
+const { PIN_REGISTRY_ABI, customerKey } = require('../src/pinRegistry');
+const { TX_STATUS, loadRegistrySigner } = require('../src/registrySigner');
+const { loadDeployment, getDeployedContract } = require('../src/deployments');
+const { initializeStorage, getStore, closeStorage } = require('../src/storage');
+
+// The parts of the old contract the migration reads (later deployments with
+// revokePIN append fields to pinRegistry(), which are ignored here)
+const LEGACY_PIN_REGISTRY_ABI = [
+  'function pinRegistry(bytes32) external view returns (bytes32 pinHash, bytes32 salt, uint256 registeredAt, bool exists)',
+  'function getRegisteredCount() external view returns (uint256)',
+  'function revokePIN(string calldata _customerId) external'
+];
+
+function parseArgs(argv) {
+  const args = { revokeOld: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--revoke-old') {
+      args.revokeOld = true;
+    } else if (flag === '--dry-run') {
+      args.dryRun = true;
+    } else if (['--from', '--to', '--customers'].includes(flag) && i + 1 < argv.length) {
+      args[flag.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unexpected argument: ${flag}`);
+    }
+  }
+  return args;
+}
+
+function fieldElement(bytes32) {
+  const value = BigInt(bytes32);
+  return value === 0n ? null : value.toString();
+}
+
+/**
+ * Copy every known customer's PIN to the new registry
+ * @param {Object} options
+ * @param {ethers.Contract} options.legacy - Old contract (LEGACY_PIN_REGISTRY_ABI)
+ * @param {ethers.Contract} options.registry - New contract (PIN_REGISTRY_ABI), connected to a backend signer
+ * @param {string} options.secret - PIN_REGISTRY_KEY_SECRET
+ * @param {string[]} [options.customerIds] - Ids to try besides those in the store
+ * @param {boolean} [options.revokeOld] - Revoke moved entries on the old contract
+ * @param {boolean} [options.dryRun] - Report what would be moved without sending anything
+ * @returns {Promise<Object>} - { migrated, alreadyMigrated, notFound, revoked, failed, unknownOnLegacy }
+ */
+async function migratePINRecords({ legacy, registry, secret, customerIds = [], revokeOld = false, dryRun = false }) {
+  const store = getStore();
+  const stored = (await store.listPINs()).map(entry => entry.customerId);
+  const ids = [...new Set([...stored, ...customerIds])];
+  const result = { migrated: [], alreadyMigrated: [], notFound: [], revoked: [], failed: [], unknownOnLegacy: 0 };
+  let foundOnLegacy = 0;
+
+  for (const customerId of ids) {
+    try {
+      const old = await legacy.pinRegistry(ethers.id(customerId));
+      const local = await store.getPIN(customerId);
+      if (old.exists) {
+        foundOnLegacy++;
+      }
+
+      // The old contract was the source of truth; the store only fills in PINs it never saw
+      const pinHash = old.exists ? fieldElement(old.pinHash) : local?.pinHash;
+      if (!pinHash) {
+        result.notFound.push(customerId);
+        continue;
+      }
+      const salt = local && local.pinHash === pinHash && local.salt ? local.salt : (old.exists ? fieldElement(old.salt) : null);
+
+      const key = customerKey(customerId, secret);
+      const current = await registry.pinRegistry(key);
+      let chain = local?.chain;
+      if (current.exists && fieldElement(current.pinHash) === pinHash) {
+        result.alreadyMigrated.push(customerId);
+      } else if (dryRun) {
+        result.migrated.push(customerId);
+        continue;
+      } else {
+        const tx = await registry.registerPIN(key, ethers.toBeHex(BigInt(pinHash), 32));
+        const receipt = await tx.wait();
+        const now = new Date().toISOString();
+        chain = {
+          status: TX_STATUS.CONFIRMED,
+          txHash: tx.hash,
+          nonce: tx.nonce,
+          blockNumber: receipt.blockNumber,
+          error: null,
+          submittedAt: now,
+          updatedAt: now
+        };
+        result.migrated.push(customerId);
+      }
+
+      if (!dryRun) {
+        await store.savePIN(customerId, {
+          ...local,
+          pinHash,
+          salt,
+          registeredAt: local?.registeredAt || new Date(Number(old.registeredAt) * 1000).toISOString(),
+          chain,
+          migratedAt: new Date().toISOString()
+        });
+      }
+
+      if (revokeOld && old.exists && !dryRun) {
+        await (await legacy.revokePIN(customerId)).wait();
+        result.revoked.push(customerId);
+      }
+    } catch (error) {
+      result.failed.push({ customerId, error: error.shortMessage || error.message });
+    }
+  }
+
+  result.unknownOnLegacy = Math.max(0, Number(await legacy.getRegisteredCount()) - foundOnLegacy);
+  return result;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const provider = new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL || 'https://rpc-amoy.polygon.technology');
+  if (!args.to) {
+    await loadDeployment(provider);
+  }
+  const to = args.to || getDeployedContract('PINRegistry', PIN_REGISTRY_ABI)?.address || process.env.PIN_REGISTRY_ADDRESS;
+  const secret = process.env.PIN_REGISTRY_KEY_SECRET;
+  if (!args.from || !to) {
+    throw new Error('--from and --to (or a deployments manifest) are required');
+  }
+  if (!secret) {
+    throw new Error('PIN_REGISTRY_KEY_SECRET is required - use the value the backend will run with');
+  }
+
+  const signer = await loadRegistrySigner(provider);
+  if (!signer && !args.dryRun) {
+    throw new Error('No registry signer configured (REGISTRY_SIGNER_PRIVATE_KEY or REGISTRY_SIGNER_KEYSTORE)');
+  }
+  await initializeStorage();
+
+  const customerIds = args.customers
+    ? fs.readFileSync(args.customers, 'utf8').split('\n').map(line => line.trim()).filter(Boolean)
+    : [];
+
+  console.log(`🔁 Migrating PINs from ${args.from} to ${to}${args.dryRun ? ' (dry run)' : ''}`);
+  const result = await migratePINRecords({
+    legacy: new ethers.Contract(args.from, LEGACY_PIN_REGISTRY_ABI, signer || provider),
+    registry: new ethers.Contract(to, PIN_REGISTRY_ABI, signer || provider),
+    secret,
+    customerIds,
+    revokeOld: args.revokeOld,
+    dryRun: args.dryRun
+  });
+  await closeStorage();
+
+  console.log(`✓ ${args.dryRun ? 'To migrate' : 'Migrated'}: ${result.migrated.length}`);
+  console.log(`✓ Already migrated: ${result.alreadyMigrated.length}`);
+  if (args.revokeOld) console.log(`✓ Revoked on the old contract: ${result.revoked.length}`);
+  if (result.notFound.length) console.log(`⚠️  No PIN anywhere for: ${result.notFound.join(', ')}`);
+  if (result.unknownOnLegacy) {
+    console.log(`⚠️  ${result.unknownOnLegacy} old entries belong to customer ids this backend doesn't know.`);
+    console.log('   List those ids in a file and pass it with --customers to move them.');
+  }
+  result.failed.forEach(({ customerId, error }) => console.error(`❌ ${customerId}: ${error}`));
+  process.exit(result.failed.length ? 1 : 0);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { LEGACY_PIN_REGISTRY_ABI, migratePINRecords };
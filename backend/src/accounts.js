@@ -0,0 +1,135 @@
+/**
+ * Principals and merchant/admin accounts
+ * Every access token names a principal: a customer (logs in with a PIN proof),
+ * a merchant or an admin. Merchants register themselves; admins are created by
+ * an operator with scripts/create-admin.js. Both sign in with a password, of
+ * which only a salted scrypt hash is stored.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getStore } = require('./storage');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = Object.freeze({ CUSTOMER: 'customer', MERCHANT: 'merchant', ADMIN: 'admin' });
+const ACCOUNT_STATUS = Object.freeze({ ACTIVE: 'active', SUSPENDED: 'suspended' });
+
+// Same rule as the merchant form; merchant ids also go into a 31-byte field of the payment proof
+const ACCOUNT_ID_PATTERN = /^[A-Za-z0-9_-]{2,20}$/;
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_PASSWORD_LENGTH = 256;
+const MAX_NAME_LENGTH = 80;
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+/**
+ * Hash a password as "scrypt$N$r$p$<salt>$<hash>" (base64url), so the cost can be raised later
+ */
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64url'), hash.toString('base64url')].join('$');
+}
+
+async function verifyPassword(password, passwordHash) {
+  const [scheme, N, r, p, salt, expected] = String(passwordHash).split('$');
+  if (scheme !== 'scrypt' || !expected) {
+    return false;
+  }
+  const expectedBytes = Buffer.from(expected, 'base64url');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64url'), expectedBytes.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return crypto.timingSafeEqual(hash, expectedBytes);
+}
+
+// Checked against when the account does not exist, so a wrong id takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Check the fields of a new account
+ * @returns {string|null} - What is wrong, or null
+ */
+function validateAccount({ accountId, name, password }) {
+  if (typeof accountId !== 'string' || !ACCOUNT_ID_PATTERN.test(accountId)) {
+    return 'ID must be 2-20 characters: letters, numbers, hyphens and underscores';
+  }
+  if (name !== undefined && name !== null && (typeof name !== 'string' || name.trim().length === 0 || name.length > MAX_NAME_LENGTH)) {
+    return `Name must be 1-${MAX_NAME_LENGTH} characters`;
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Create a merchant or admin account
+ * @param {string} role - ROLES.MERCHANT or ROLES.ADMIN
+ * @param {Object} details - { accountId, name, password, payoutAddress } (payoutAddress
+ *   already checked by src/merchants.js)
+ * @returns {Promise<Object>} - { created: true, account } or { created: false, code, reason }
+ */
+async function createAccount(role, { accountId, name = null, password, payoutAddress = null }) {
+  if (role !== ROLES.MERCHANT && role !== ROLES.ADMIN) {
+    throw new Error(`Accounts are for merchants and admins, not ${role}`);
+  }
+  const problem = validateAccount({ accountId, name, password });
+  if (problem) {
+    return { created: false, code: 'INVALID_ACCOUNT', reason: problem };
+  }
+
+  const account = {
+    role,
+    accountId,
+    name: name ? name.trim() : null,
+    passwordHash: await hashPassword(password),
+    createdAt: Date.now(),
+    status: ACCOUNT_STATUS.ACTIVE,
+    statusReason: null,
+    payoutAddress,
+    updatedAt: null
+  };
+  if (!(await getStore().createAccount(account))) {
+    return { created: false, code: 'ACCOUNT_EXISTS', reason: `This ${role} ID is already taken` };
+  }
+  return { created: true, account: publicAccount(account) };
+}
+
+/**
+ * Check a merchant's or admin's password
+ * @returns {Promise<Object|null>} - The account (without its hash), or null for a wrong id or password
+ */
+async function authenticateAccount(role, accountId, password) {
+  if (typeof accountId !== 'string' || typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+    return null;
+  }
+  const account = await getStore().getAccount(role, accountId);
+  const matches = await verifyPassword(password, account ? account.passwordHash : await DUMMY_PASSWORD_HASH);
+  return account && matches ? publicAccount(account) : null;
+}
+
+// What a client may see of an account
+function publicAccount(account) {
+  return {
+    role: account.role,
+    accountId: account.accountId,
+    name: account.name,
+    createdAt: new Date(account.createdAt).toISOString()
+  };
+}
+
+module.exports = {
+  ROLES,
+  ACCOUNT_STATUS,
+  MAX_NAME_LENGTH,
+  ACCOUNT_ID_PATTERN,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  createAccount,
+  authenticateAccount
+};
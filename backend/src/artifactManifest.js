@@ -0,0 +1,110 @@
+/**
+ * Circuit artifact manifest
+ * scripts/build-circuits.js records the sha256 of every artifact it produces;
+ * the backend checks those hashes at startup so a verification key from one
+ * build is never served next to a zkey or Verifier.sol from another
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { CIRCUITS_DIR } = require('./circuits');
+
+const MANIFEST_PATH = process.env.CIRCUIT_MANIFEST_PATH || path.join(CIRCUITS_DIR, 'manifest.json');
+const MANIFEST_VERSION = 1;
+
+// Result of the last checkArtifactManifest() call (for health check)
+let lastCheck = null;
+
+/**
+ * sha256 of a file's contents
+ * @param {string} file - Path to the file
+ * @returns {string} - Hex digest
+ */
+function sha256File(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Compare every artifact listed in the manifest with the file on disk, and each
+ * circuit's vkey with the key the registry actually loaded for that version
+ * Missing files are reported but tolerated - a backend host has no need for the
+ * r1cs or Verifier.sol. A file whose hash differs is a mismatch.
+ * @param {Array<Object>} loadedKeys - listVerificationKeys() output
+ * @returns {Object} - { status, manifestPath, generatedAt, circuits, problems }
+ *   status is 'verified', 'mismatch', 'missing' (no manifest) or 'invalid'
+ */
+function checkArtifactManifest(loadedKeys = []) {
+  const result = { status: 'verified', manifestPath: MANIFEST_PATH, circuits: {}, problems: [] };
+
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    lastCheck = { ...result, status: 'missing' };
+    return lastCheck;
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    if (manifest.manifestVersion !== MANIFEST_VERSION || typeof manifest.circuits !== 'object') {
+      throw new Error(`expected manifestVersion ${MANIFEST_VERSION} with a circuits map`);
+    }
+  } catch (error) {
+    lastCheck = { ...result, status: 'invalid', problems: [`Cannot read manifest: ${error.message}`] };
+    return lastCheck;
+  }
+
+  result.generatedAt = manifest.generatedAt;
+  const baseDir = path.dirname(MANIFEST_PATH);
+
+  for (const [circuitId, circuit] of Object.entries(manifest.circuits)) {
+    const summary = { version: circuit.version, verified: [], missing: [], mismatched: [] };
+
+    for (const [kind, artifact] of Object.entries(circuit.artifacts || {})) {
+      const file = path.resolve(baseDir, artifact.path);
+      if (!fs.existsSync(file)) {
+        summary.missing.push(kind);
+      } else if (sha256File(file) !== artifact.sha256) {
+        summary.mismatched.push(kind);
+        result.problems.push(`${circuitId} ${kind} (${file}) does not match the manifest`);
+      } else {
+        summary.verified.push(kind);
+      }
+    }
+
+    // The registry may have loaded this version from somewhere else (e.g. VERIFICATION_KEY_PATH)
+    const loaded = loadedKeys.find(k => k.circuitId === circuitId && k.version === String(circuit.version));
+    if (loaded && circuit.artifacts?.vkey && loaded.sha256 !== circuit.artifacts.vkey.sha256) {
+      summary.mismatched.push('loadedKey');
+      result.problems.push(`${circuitId} version ${circuit.version} key loaded by the registry does not match the manifest`);
+    }
+
+    result.circuits[circuitId] = summary;
+  }
+
+  if (result.problems.length > 0) {
+    result.status = 'mismatch';
+  }
+
+  lastCheck = result;
+  return result;
+}
+
+/**
+ * Outcome of the last manifest check (for health check)
+ * @returns {Object|null} - { status, generatedAt, circuits } or null before the first check
+ */
+function getArtifactManifestStatus() {
+  if (!lastCheck) {
+    return null;
+  }
+  const { status, generatedAt, circuits } = lastCheck;
+  return { status, generatedAt, circuits };
+}
+
+module.exports = {
+  MANIFEST_PATH,
+  MANIFEST_VERSION,
+  sha256File,
+  checkArtifactManifest,
+  getArtifactManifestStatus
+};
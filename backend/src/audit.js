@@ -0,0 +1,25 @@
+/**
+ * Audit events
+ * Security events are logged as one "AUDIT {json}" line each, so a log shipper
+ * can pick them out of the rest of the output, and emitted on auditEvents for
+ * in-process listeners (alerting, tests).
+ */
+
+const { EventEmitter } = require('events');
+
+const auditEvents = new EventEmitter();
+
+/**
+ * Record an audit event
+ * @param {string} type - What happened, e.g. 'pin.lockout'
+ * @param {Object} [details] - Event fields; never secrets such as PINs or tokens
+ * @returns {Object} - The event: { type, at, ...details }
+ */
+function emitAuditEvent(type, details = {}) {
+  const event = { type, at: new Date().toISOString(), ...details };
+  console.warn(`🚨 AUDIT ${JSON.stringify(event)}`);
+  auditEvents.emit('event', event);
+  return event;
+}
+
+module.exports = { auditEvents, emitAuditEvent };
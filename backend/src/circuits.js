@@ -3,51 +3,432 @@
  * Handles Poseidon hashing and proof generation
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const snarkjs = require('snarkjs');
+const { buildPoseidon } = require('circomlibjs');
+
+// BN254 scalar field modulus - every circuit signal must be below this value
+const FIELD_MODULUS = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
+
+// Compiled circuit artifacts: <dir>/<circuit>_js/<circuit>.wasm and <dir>/<circuit>_final.zkey
+const CIRCUITS_DIR = process.env.CIRCUIT_ARTIFACTS_DIR || path.join(__dirname, '..', 'circuits');
+
+// Index of each public signal of payment.circom (outputs come first, then public inputs)
+const PAYMENT_SIGNALS = {
+  nullifier: 0,
+  pinHash: 1,
+  amount: 2,
+  merchantHash: 3,
+  nonce: 4
+};
+
+// Index of each public signal of pin_change.circom
+const PIN_CHANGE_SIGNALS = {
+  oldPinHash: 0,
+  newPinHash: 1
+};
+
+// Index of each public signal of login.circom
+const LOGIN_SIGNALS = {
+  pinHash: 0,
+  challenge: 1
+};
+
+// buildPoseidon() compiles a wasm module, so build it once and reuse it
+let poseidonPromise = null;
+
+// Artifact contents keyed by absolute path - the zkey is large and read on every proof otherwise
+const artifactCache = new Map();
+
+function getPoseidon() {
+  if (!poseidonPromise) {
+    poseidonPromise = buildPoseidon();
+  }
+  return poseidonPromise;
+}
+
+/**
+ * Encode a value as a BN254 field element
+ * Accepts bigints, safe integers, decimal strings and 0x-prefixed hex strings
+ * @param {bigint|number|string} value - The value to encode
+ * @returns {bigint} - The field element
+ */
+function toFieldElement(value) {
+  let element;
+
+  if (typeof value === 'bigint') {
+    element = value;
+  } else if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`Cannot encode ${value} as a field element: not a safe integer`);
+    }
+    element = BigInt(value);
+  } else if (typeof value === 'string' && /^(0x[0-9a-fA-F]+|\d+)$/.test(value)) {
+    element = BigInt(value);
+  } else {
+    throw new Error(`Cannot encode ${JSON.stringify(value)} as a field element`);
+  }
+
+  if (element < 0n || element >= FIELD_MODULUS) {
+    throw new Error('Value is outside the BN254 scalar field');
+  }
+
+  return element;
+}
+
+/**
+ * Encode a 4-6 digit PIN as a field element
+ * A leading 1 is prepended so that PINs differing only in leading zeros
+ * ("001234" and "1234") do not encode to the same value
+ * @param {string|number} pin - The PIN
+ * @returns {bigint} - The field element fed to the circuit's `pin` input
+ */
+function encodePin(pin) {
+  const digits = String(pin);
+  if (!/^\d{4,6}$/.test(digits)) {
+    throw new Error('PIN must be 4-6 digits');
+  }
+  return BigInt('1' + digits);
+}
 
 /**
- * Generate a Poseidon hash (used for PIN hashing)
- * Note: This is a placeholder. In production, use a dedicated Poseidon implementation
- * @param {number} pin - The PIN
- * @param {number} salt - Random salt
- * @returns {Promise<string>} - The hash as a hex string
+ * Encode a rupee amount as an integer number of paise
+ * Parsed from the decimal string so that no floating point rounding is involved
+ * @param {string|number} amount - Amount in rupees, at most 2 decimal places
+ * @returns {bigint} - The field element fed to payment.circom's `amount` input
+ */
+function encodeAmount(amount) {
+  const match = /^(\d+)(?:\.(\d{1,2}))?$/.exec(String(amount));
+  if (!match) {
+    throw new Error('Amount must be a positive number with at most 2 decimal places');
+  }
+  return BigInt(match[1]) * 100n + BigInt((match[2] || '').padEnd(2, '0'));
+}
+
+/**
+ * Encode a short string (up to 31 UTF-8 bytes) as a big-endian field element
+ * @param {string} value - The string, e.g. a merchant ID
+ * @returns {bigint} - The field element
+ */
+function encodeString(value) {
+  const bytes = Buffer.from(String(value), 'utf8');
+  if (bytes.length === 0 || bytes.length > 31) {
+    throw new Error('String must be 1-31 bytes to fit in a field element');
+  }
+  return BigInt('0x' + bytes.toString('hex'));
+}
+
+/**
+ * Generate a random value that fits in the scalar field
+ * 31 random bytes (248 bits) are always below the field modulus
+ * @returns {string} - The value as a decimal string
+ */
+function randomFieldElement() {
+  return BigInt('0x' + crypto.randomBytes(31).toString('hex')).toString();
+}
+
+/**
+ * Generate a random PIN salt
+ * @returns {string} - The salt as a decimal string
+ */
+function generateSalt() {
+  return randomFieldElement();
+}
+
+/**
+ * Generate a fresh per-payment nonce
+ * @returns {string} - The nonce as a decimal string
+ */
+function generateNonce() {
+  return randomFieldElement();
+}
+
+/**
+ * Poseidon hash over BN254, identical to circomlib's Poseidon(n) template
+ * @param {Array<bigint|number|string>} inputs - 1 to 16 field elements
+ * @returns {Promise<string>} - The hash as a decimal string
+ */
+async function poseidon(inputs) {
+  const hasher = await getPoseidon();
+  const hash = hasher(inputs.map(toFieldElement));
+  return hasher.F.toString(hash);
+}
+
+/**
+ * Generate the PIN commitment checked by auth.circom: Poseidon(pin, salt)
+ * @param {string|number} pin - The PIN (4-6 digits)
+ * @param {bigint|number|string} salt - Random salt
+ * @returns {Promise<string>} - The hash as a decimal string
  */
 async function poseidonHash(pin, salt) {
-  // For now, return a placeholder hash
-  // In production, use @zk-kit/poseidon or circomlib's poseidon
-  const hash = BigInt(pin) ^ BigInt(salt);
-  return hash.toString();
+  return poseidon([encodePin(pin), toFieldElement(salt)]);
 }
 
 /**
- * Generate a ZK proof for payment verification
- * @param {number} pin - User's PIN (private)
- * @param {number} salt - Random salt (private)
- * @param {string} pinHash - Poseidon hash (public)
+ * Merchant identifier as bound into payment proofs: Poseidon(encodeString(merchantId))
+ * @param {string} merchantId - The merchant ID
+ * @returns {Promise<string>} - The hash as a decimal string
+ */
+async function merchantHash(merchantId) {
+  return poseidon([encodeString(merchantId)]);
+}
+
+/**
+ * Nullifier output of payment.circom: Poseidon(salt, nonce)
+ * @param {bigint|number|string} salt - The customer's salt
+ * @param {bigint|number|string} nonce - The per-payment nonce
+ * @returns {Promise<string>} - The nullifier as a decimal string
+ */
+async function computeNullifier(salt, nonce) {
+  return poseidon([salt, nonce]);
+}
+
+/**
+ * Name a proof's public signals
+ * @param {Object} map - Signal name -> index in publicSignals
+ * @param {string} label - What the proofs are, for the error message
+ * @param {Array<string>} publicSignals - Public signals from snarkjs
+ * @returns {Object} - Signal name -> decimal string
+ */
+function decodeSignals(map, label, publicSignals) {
+  const count = Object.keys(map).length;
+  if (!Array.isArray(publicSignals) || publicSignals.length !== count) {
+    throw new Error(`${label} proofs must have exactly ${count} public signals`);
+  }
+
+  const signals = {};
+  for (const [name, index] of Object.entries(map)) {
+    signals[name] = toFieldElement(publicSignals[index]).toString();
+  }
+  return signals;
+}
+
+/**
+ * Name the public signals of a payment.circom proof
+ * @param {Array<string>} publicSignals - Public signals from snarkjs
+ * @returns {Object} - { nullifier, pinHash, amount, merchantHash, nonce } as decimal strings
+ */
+function decodePaymentSignals(publicSignals) {
+  return decodeSignals(PAYMENT_SIGNALS, 'Payment', publicSignals);
+}
+
+/**
+ * Name the public signals of a pin_change.circom proof
+ * @param {Array<string>} publicSignals - Public signals from snarkjs
+ * @returns {Object} - { oldPinHash, newPinHash } as decimal strings
+ */
+function decodePinChangeSignals(publicSignals) {
+  return decodeSignals(PIN_CHANGE_SIGNALS, 'PIN change', publicSignals);
+}
+
+/**
+ * Name the public signals of a login.circom proof
+ * @param {Array<string>} publicSignals - Public signals from snarkjs
+ * @returns {Object} - { pinHash, challenge } as decimal strings
+ */
+function decodeLoginSignals(publicSignals) {
+  return decodeSignals(LOGIN_SIGNALS, 'Login', publicSignals);
+}
+
+/**
+ * Read a compiled circuit artifact, caching its contents across calls
+ * @param {string} artifactPath - Path to the .wasm or .zkey file
+ * @param {string} kind - Human readable artifact name for error messages
+ * @returns {Uint8Array} - File contents
+ */
+function loadArtifact(artifactPath, kind) {
+  const resolved = path.resolve(artifactPath);
+
+  if (!artifactCache.has(resolved)) {
+    if (!fs.existsSync(resolved)) {
+      const error = new Error(
+        `Circuit ${kind} not found at ${resolved}. ` +
+        'Build the circuits first (cd backend && npm run build:circuits) or set CIRCUIT_ARTIFACTS_DIR.'
+      );
+      error.code = 'CIRCUIT_ARTIFACT_MISSING';
+      error.statusCode = 503;
+      throw error;
+    }
+    artifactCache.set(resolved, new Uint8Array(fs.readFileSync(resolved)));
+  }
+
+  return artifactCache.get(resolved);
+}
+
+/**
+ * Drop cached circuit artifacts (e.g. after recompiling the circuit)
+ */
+function clearArtifactCache() {
+  artifactCache.clear();
+}
+
+/**
+ * Resolve the wasm and zkey of a circuit, honouring per-call overrides
+ * @param {string} circuit - Circuit name, e.g. 'auth' or 'payment'
+ * @param {Object} options - { wasmPath, zkeyPath }
+ * @returns {Object} - { wasm, zkey } file contents
+ */
+function loadCircuit(circuit, options) {
+  return {
+    wasm: loadArtifact(options.wasmPath || path.join(CIRCUITS_DIR, `${circuit}_js`, `${circuit}.wasm`), 'wasm'),
+    zkey: loadArtifact(options.zkeyPath || path.join(CIRCUITS_DIR, `${circuit}_final.zkey`), 'zkey')
+  };
+}
+
+/**
+ * Check a claimed pinHash against the PIN and salt before building a witness
+ * The witness would fail the circuit's pinHash constraint anyway; say why up front
+ * @returns {Promise<string>} - The pinHash as a decimal string
+ */
+async function checkedPinHash(pin, salt, pinHash) {
+  const expectedPinHash = await poseidonHash(pin, salt);
+  if (pinHash && toFieldElement(pinHash).toString() !== expectedPinHash) {
+    throw new Error('pinHash does not match Poseidon(pin, salt). Wrong PIN or salt.');
+  }
+  return expectedPinHash;
+}
+
+/**
+ * Generate an auth.circom proof of knowing the PIN behind pinHash
+ * @param {string|number} pin - User's PIN (private)
+ * @param {bigint|number|string} salt - Random salt (private)
+ * @param {string} [pinHash] - Poseidon hash (public), computed from pin and salt if omitted
+ * @param {Object} [options] - { wasmPath, zkeyPath } overrides for the circuit artifacts
+ * @returns {Promise<Object>} - { proof, publicSignals }
+ */
+async function generateAuthProof(pin, salt, pinHash, options = {}) {
+  try {
+    const { wasm, zkey } = loadCircuit('auth', options);
+
+    const input = {
+      pin: encodePin(pin).toString(),
+      salt: toFieldElement(salt).toString(),
+      pinHash: await checkedPinHash(pin, salt, pinHash)
+    };
+
+    // fullProve computes the witness from the wasm and then proves with the zkey
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve(input, wasm, zkey);
+
+    return { proof, publicSignals };
+  } catch (error) {
+    console.error('Proof generation error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Generate a login.circom proof of knowing the PIN, bound to one login challenge
+ * @param {Object} login - { pin, salt, pinHash?, challenge }
+ * @param {Object} [options] - { wasmPath, zkeyPath } overrides for the circuit artifacts
  * @returns {Promise<Object>} - { proof, publicSignals }
  */
-async function generatePaymentProof(pin, salt, pinHash) {
+async function generateLoginProof(login, options = {}) {
   try {
-    // This would normally use wasmPath and zkeyPath from compiled circuit
-    // For now, return a mock proof structure
-    const proof = {
-      pi_a: ['0', '0', '1'],
-      pi_b: [['0', '0'], ['0', '0'], ['1', '0']],
-      pi_c: ['0', '0', '1'],
-      protocol: 'groth16',
-      curve: 'bn128'
+    const { pin, salt, pinHash, challenge } = login;
+    const { wasm, zkey } = loadCircuit('login', options);
+
+    const input = {
+      pin: encodePin(pin).toString(),
+      salt: toFieldElement(salt).toString(),
+      pinHash: await checkedPinHash(pin, salt, pinHash),
+      challenge: toFieldElement(challenge).toString()
+    };
+
+    // fullProve computes the witness from the wasm and then proves with the zkey
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve(input, wasm, zkey);
+
+    return { proof, publicSignals };
+  } catch (error) {
+    console.error('Proof generation error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Generate a payment.circom proof bound to one amount, merchant and nonce
+ * @param {Object} payment - { pin, salt, pinHash?, amount, merchantId, nonce? }
+ * @param {Object} [options] - { wasmPath, zkeyPath } overrides for the circuit artifacts
+ * @returns {Promise<Object>} - { proof, publicSignals, nonce }
+ */
+async function generatePaymentProof(payment, options = {}) {
+  try {
+    const { pin, salt, pinHash, amount, merchantId } = payment;
+    const nonce = payment.nonce || generateNonce();
+    const { wasm, zkey } = loadCircuit('payment', options);
+
+    const input = {
+      pin: encodePin(pin).toString(),
+      salt: toFieldElement(salt).toString(),
+      pinHash: await checkedPinHash(pin, salt, pinHash),
+      amount: encodeAmount(amount).toString(),
+      merchantHash: await merchantHash(merchantId),
+      nonce: toFieldElement(nonce).toString()
+    };
+
+    // fullProve computes the witness from the wasm and then proves with the zkey
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve(input, wasm, zkey);
+
+    return { proof, publicSignals, nonce: input.nonce };
+  } catch (error) {
+    console.error('Proof generation error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Generate a pin_change.circom proof of knowing the old PIN, for replacing its hash
+ * @param {Object} change - { oldPin, oldSalt, oldPinHash?, newPin, newSalt }
+ * @param {Object} [options] - { wasmPath, zkeyPath } overrides for the circuit artifacts
+ * @returns {Promise<Object>} - { proof, publicSignals }
+ */
+async function generatePinChangeProof(change, options = {}) {
+  try {
+    const { oldPin, oldSalt, oldPinHash, newPin, newSalt } = change;
+    const { wasm, zkey } = loadCircuit('pin_change', options);
+
+    const input = {
+      oldPin: encodePin(oldPin).toString(),
+      oldSalt: toFieldElement(oldSalt).toString(),
+      newPin: encodePin(newPin).toString(),
+      newSalt: toFieldElement(newSalt).toString(),
+      oldPinHash: await checkedPinHash(oldPin, oldSalt, oldPinHash),
+      newPinHash: await poseidonHash(newPin, newSalt)
     };
 
-    const publicSignals = [pinHash];
+    // fullProve computes the witness from the wasm and then proves with the zkey
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve(input, wasm, zkey);
 
     return { proof, publicSignals };
   } catch (error) {
-    console.error('Proof generation error:', error);
+    console.error('Proof generation error:', error.message);
     throw error;
   }
 }
 
 module.exports = {
+  CIRCUITS_DIR,
+  FIELD_MODULUS,
+  PAYMENT_SIGNALS,
+  PIN_CHANGE_SIGNALS,
+  LOGIN_SIGNALS,
+  toFieldElement,
+  encodePin,
+  encodeAmount,
+  encodeString,
+  generateSalt,
+  generateNonce,
+  poseidon,
   poseidonHash,
-  generatePaymentProof
+  merchantHash,
+  computeNullifier,
+  decodePaymentSignals,
+  decodePinChangeSignals,
+  decodeLoginSignals,
+  generateAuthProof,
+  generateLoginProof,
+  generatePaymentProof,
+  generatePinChangeProof,
+  clearArtifactCache
 };
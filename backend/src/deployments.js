@@ -0,0 +1,185 @@
+/**
+ * Contract deployments manifest
+ * blockchain/scripts/deploy.js writes one manifest per network
+ * (blockchain/deployments/<network>.json) with every contract's address, ABI,
+ * deploy block and artifact hash. The backend takes contract addresses from the
+ * manifest of DEPLOYMENT_NETWORK, after checking that it describes the chain
+ * POLYGON_RPC_URL points at and that each contract offers the functions the
+ * backend calls.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+
+const DEPLOYMENTS_DIR = process.env.DEPLOYMENTS_DIR || path.join(__dirname, '..', '..', 'blockchain', 'deployments');
+const MANIFEST_VERSION = 1;
+const CHAIN_CHECK_TIMEOUT_MS = 5000;
+
+// Loaded manifest, or null; and the status reported by /api/health
+let deployment = null;
+let status = { status: 'not-configured' };
+
+/**
+ * Path of the manifest to load: DEPLOYMENT_MANIFEST, or DEPLOYMENT_NETWORK's file in DEPLOYMENTS_DIR
+ * @returns {string|null}
+ */
+function manifestPath() {
+  if (process.env.DEPLOYMENT_MANIFEST) {
+    return process.env.DEPLOYMENT_MANIFEST;
+  }
+  if (process.env.DEPLOYMENT_NETWORK) {
+    return path.join(DEPLOYMENTS_DIR, `${process.env.DEPLOYMENT_NETWORK}.json`);
+  }
+  return null;
+}
+
+/**
+ * Read and validate a manifest file
+ * @param {string} file - Path to the manifest
+ * @returns {Object} - The manifest
+ * @throws {Error} - If it can't be read or isn't a deployments manifest
+ */
+function readDeploymentManifest(file) {
+  const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (manifest.manifestVersion !== MANIFEST_VERSION || typeof manifest.contracts !== 'object' || !manifest.chainId) {
+    throw new Error(`expected manifestVersion ${MANIFEST_VERSION} with a chainId and a contracts map`);
+  }
+  for (const [name, entry] of Object.entries(manifest.contracts)) {
+    if (!ethers.isAddress(entry.address) || !Array.isArray(entry.abi)) {
+      throw new Error(`${name} has no valid address or ABI`);
+    }
+  }
+  return manifest;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`no answer within ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Load the configured manifest and check it against the chain
+ * A manifest for another chain, or one whose contracts have no code (a restarted
+ * local node), is refused. If the node can't be reached the manifest is used
+ * unchecked, with a warning.
+ * @param {ethers.Provider} provider - Provider for POLYGON_RPC_URL
+ * @returns {Promise<Object>} - Status, as getDeploymentStatus()
+ */
+async function loadDeployment(provider) {
+  deployment = null;
+  const file = manifestPath();
+  if (!file) {
+    status = { status: 'not-configured' };
+    console.log('⚠️  No deployments manifest configured. Set DEPLOYMENT_NETWORK after running blockchain/scripts/deploy.js.');
+    return status;
+  }
+  if (!fs.existsSync(file)) {
+    status = { status: 'missing', manifestPath: file };
+    console.log(`⚠️  Deployments manifest not found: ${file}`);
+    return status;
+  }
+
+  let manifest;
+  try {
+    manifest = readDeploymentManifest(file);
+  } catch (error) {
+    status = { status: 'invalid', manifestPath: file, problems: [`Cannot read manifest: ${error.message}`] };
+    console.error(`❌ Deployments manifest ${file} is invalid: ${error.message}`);
+    return status;
+  }
+
+  const problems = [];
+  let checked = true;
+  try {
+    const { chainId } = await withTimeout(provider.getNetwork(), CHAIN_CHECK_TIMEOUT_MS);
+    if (Number(chainId) !== manifest.chainId) {
+      problems.push(`manifest is for chain ${manifest.chainId}, POLYGON_RPC_URL is chain ${chainId}`);
+    } else {
+      for (const [name, entry] of Object.entries(manifest.contracts)) {
+        const code = await withTimeout(provider.getCode(entry.address), CHAIN_CHECK_TIMEOUT_MS);
+        if (code === '0x') {
+          problems.push(`${name}: no contract at ${entry.address}`);
+        }
+      }
+    }
+  } catch (error) {
+    checked = false;
+    console.log(`⚠️  Could not check the deployments manifest against the chain (${error.message}). Using it unchecked.`);
+  }
+
+  status = {
+    status: problems.length > 0 ? 'mismatch' : (checked ? 'verified' : 'unchecked'),
+    manifestPath: file,
+    network: manifest.network,
+    chainId: manifest.chainId,
+    deployedAt: manifest.deployedAt,
+    contracts: Object.fromEntries(Object.entries(manifest.contracts).map(([name, entry]) => [
+      name,
+      { contractName: entry.contractName, address: entry.address, deployBlock: entry.deployBlock, artifactHash: entry.artifactHash }
+    ])),
+    problems
+  };
+
+  if (problems.length > 0) {
+    console.error(`❌ Deployments manifest ${file} does not match the chain - not using it:`);
+    problems.forEach(problem => console.error(`   ${problem}`));
+    return status;
+  }
+
+  deployment = manifest;
+  console.log(`✓ Deployments manifest loaded: ${manifest.network} (chain ${manifest.chainId}, deployed ${manifest.deployedAt})`);
+  return status;
+}
+
+// Function signature including return types, e.g. 'isPINRegistered(bytes32) returns (bool)'
+function functionSignature(fragment) {
+  return `${fragment.format('sighash')} returns (${fragment.outputs.map(output => output.format('sighash')).join(',')})`;
+}
+
+/**
+ * A contract from the loaded manifest
+ * @param {string} name - Manifest key, e.g. 'PINRegistry'
+ * @param {Array} [requiredAbi] - Human-readable ABI of the functions the caller uses
+ * @returns {Object|null} - { address, abi, deployBlock }, or null if no manifest lists it
+ * @throws {Error} - If the deployed contract lacks a required function, e.g. an
+ *   older deployment the backend's ABI no longer matches
+ */
+function getDeployedContract(name, requiredAbi = []) {
+  const entry = deployment?.contracts[name];
+  if (!entry) {
+    return null;
+  }
+
+  const deployed = new Set();
+  new ethers.Interface(entry.abi).forEachFunction(fragment => deployed.add(functionSignature(fragment)));
+  const missing = [];
+  new ethers.Interface(requiredAbi).forEachFunction(fragment => {
+    if (!deployed.has(functionSignature(fragment))) {
+      missing.push(functionSignature(fragment));
+    }
+  });
+  if (missing.length > 0) {
+    throw new Error(`${name} at ${entry.address} (${deployment.network}) does not match this backend; missing ${missing.join(', ')}`);
+  }
+
+  return { address: entry.address, abi: entry.abi, deployBlock: entry.deployBlock };
+}
+
+/**
+ * Result of the last loadDeployment() (for health check)
+ */
+function getDeploymentStatus() {
+  return status;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  readDeploymentManifest,
+  loadDeployment,
+  getDeployedContract,
+  getDeploymentStatus
+};
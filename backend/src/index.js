@@ -1,12 +1,78 @@
 const express = require('express');
 const { GoogleGenerativeAI } = require("@google/generative-ai");
-const snarkjs = require('snarkjs');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const ethers = require('ethers');
 const jwt = require('jsonwebtoken');
+const { toFieldElement, encodeAmount, merchantHash, decodePaymentSignals, decodePinChangeSignals, decodeLoginSignals } = require('./circuits');
+const {
+  loadVerificationKeys,
+  getVerificationKey,
+  getCircuitVersions,
+  listVerificationKeys,
+  watchVerificationKeys
+} = require('./verificationKeys');
+const { startVerifierPool, verifyProof, getVerifierPoolMetrics } = require('./verifierPool');
+const { checkArtifactManifest, getArtifactManifestStatus } = require('./artifactManifest');
+const { TX_STATUS } = require('./registrySigner');
+const { loadDeployment, getDeployedContract, getDeploymentStatus } = require('./deployments');
+const {
+  PIN_REGISTRY_ABI,
+  initializePINRegistry,
+  lookupPIN,
+  registerPINHash,
+  verifyPINHash,
+  reconcilePINRegistry,
+  startPINReconciliation,
+  getPINRegistryStats
+} = require('./pinRegistry');
+const { initializeStorage, getStore, getStorageStatus } = require('./storage');
+const {
+  isCircuitVersionExpired,
+  getNullifierExpiry,
+  findNullifierSpend,
+  spendNullifier,
+  recordRejectedReplay,
+  pruneExpiredNullifiers,
+  startNullifierPruning,
+  getNullifierStats
+} = require('./nullifiers');
+const { formatTransactionValue } = require('./tokens');
+const { LOGIN_CHALLENGE_TTL_MS, issueLoginChallenge, redeemLoginChallenge } = require('./loginChallenges');
+const { createRateLimiter } = require('./rateLimit');
+const {
+  beginPinAttempt,
+  recordPinFailure,
+  recordPinSuccess,
+  releasePinAttempt,
+  getPinAttemptStats
+} = require('./pinAttempts');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokePrincipalSessions,
+  listPrincipalSessions,
+  getPrincipalSession,
+  isSessionRevoked,
+  getSessionStats
+} = require('./sessions');
+const { ROLES, ACCOUNT_STATUS, authenticateAccount } = require('./accounts');
+const {
+  registerMerchant,
+  getMerchantProfile,
+  listMerchants,
+  updateMerchantProfile,
+  setMerchantStatus,
+  checkPaymentMerchant,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+} = require('./merchants');
 require('dotenv').config();
 
 const app = express();
@@ -42,7 +108,7 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   maxAge: 86400 // 24 hours
 };
@@ -50,17 +116,60 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.use(express.json());
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // ============================================================================
 // SECURITY: JWT Authentication Setup
 // ============================================================================
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRY = '24h';
+// Placeholder secrets shipped in this repo - anyone can forge tokens signed with them
+const DEFAULT_JWT_SECRETS = ['your-secret-key-change-in-production', 'your-super-secret-key-change-this-in-production'];
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRETS[0];
+
+/**
+ * Refuse to start in production with a missing or placeholder JWT_SECRET
+ */
+function checkJwtSecret() {
+  if (!DEFAULT_JWT_SECRETS.includes(JWT_SECRET)) {
+    return;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET is unset or a placeholder value; set a strong random secret when NODE_ENV=production');
+  }
+  console.warn('⚠️  JWT_SECRET is unset or a placeholder value. Tokens can be forged - set it before deploying.');
+}
+
+/**
+ * Sign a short-lived access token for a session
+ * @param {Object} principal - { role, id } of the session's owner
+ * @returns {string} - JWT carrying the principal (sub, role) and the session id (sid)
+ */
+function issueAccessToken(principal, sessionId) {
+  return jwt.sign(
+    { sub: principal.id, role: principal.role, sid: sessionId, authenticated: true, timestamp: Date.now() },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+/**
+ * The principal's id under its role's name - customerId, merchantId or adminId -
+ * for responses
+ */
+function principalFields(principal) {
+  return { role: principal.role, [`${principal.role}Id`]: principal.id };
+}
 
 /**
  * Authentication Middleware
- * Verifies JWT token and extracts customerId from it
+ * Verifies the access token, checks its session against the revocation list and
+ * sets req.principal ({ role, id }) and req.sessionId. req.customerId and
+ * req.merchantId are only set for tokens of that role, so an id of one role
+ * never passes for the same id of another.
  */
-function authenticateToken(req, res, next) {
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -68,14 +177,93 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'No authentication token provided' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) {
-      console.error('Token verification failed:', err.message);
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    // An expired access token is routine: the client refreshes it and retries
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired', type: 'TOKEN_EXPIRED' });
+    }
+    console.error('Token verification failed:', err.message);
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  // Tokens from before sessions or roles existed aren't accepted
+  if (!decoded.sid || !decoded.sub || !Object.values(ROLES).includes(decoded.role)) {
+    return res.status(401).json({ error: 'Token has no session or role. Please sign in again.', type: 'TOKEN_EXPIRED' });
+  }
+
+  try {
+    if (await isSessionRevoked(decoded.sid)) {
+      return res.status(401).json({ error: 'This session has been signed out', type: 'SESSION_REVOKED' });
+    }
+  } catch (error) {
+    // Fail closed: a revoked token must not get through while the store is down
+    console.error('Revocation check failed:', error.message);
+    return res.status(503).json({ error: 'Authentication unavailable', type: 'SERVER_ERROR' });
+  }
+
+  req.principal = { role: decoded.role, id: decoded.sub };
+  req.sessionId = decoded.sid;
+  req.customerId = decoded.role === ROLES.CUSTOMER ? decoded.sub : undefined;
+  req.merchantId = decoded.role === ROLES.MERCHANT ? decoded.sub : undefined;
+  next();
+}
+
+/**
+ * Authentication for routes a merchant's own server may call
+ * Accepts "Authorization: ApiKey mk_..." (a merchant API key) as well as an
+ * access token. API key requests have no session.
+ */
+async function authenticateTokenOrApiKey(req, res, next) {
+  const [scheme, key] = (req.headers['authorization'] || '').split(' ');
+  if (scheme !== 'ApiKey') {
+    return authenticateToken(req, res, next);
+  }
+
+  let apiKey;
+  try {
+    apiKey = await authenticateApiKey(key);
+  } catch (error) {
+    console.error('API key check failed:', error.message);
+    return res.status(503).json({ error: 'Authentication unavailable', type: 'SERVER_ERROR' });
+  }
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Invalid, revoked or suspended API key', type: 'INVALID_API_KEY' });
+  }
+
+  req.principal = { role: ROLES.MERCHANT, id: apiKey.merchantId };
+  req.sessionId = null;
+  req.apiKeyId = apiKey.keyId;
+  req.merchantId = apiKey.merchantId;
+  next();
+}
+
+/**
+ * Role check, after authenticateToken
+ * @param {...string} roles - The roles allowed on the route
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.principal.role)) {
+      console.warn(`⚠️  ${req.principal.role} ${req.principal.id} refused on ${req.method} ${req.path}`);
+      return res.status(403).json({
+        error: 'Access denied',
+        type: 'FORBIDDEN',
+        message: `This endpoint is only for ${roles.join(' or ')} accounts`
+      });
     }
-    req.customerId = decoded.customerId;
     next();
-  });
+  };
+}
+
+/**
+ * The payment and transaction field that names the caller: customerId for
+ * customers, merchantId for merchants
+ */
+function partyField(principal) {
+  return principal.role === ROLES.MERCHANT ? 'merchantId' : 'customerId';
 }
 
 /**
@@ -197,137 +385,18 @@ let transactionDatabase = {
   lastUpdate: null
 };
 
-// Smart contract constants
-const PIN_REGISTRY_ABI = [
-  'function registerPIN(string calldata _customerId, bytes32 _pinHash, bytes32 _salt) external',
-  'function verifyPIN(string calldata _customerId, bytes32 _claimedPinHash) external returns (bool valid, bytes32 salt)',
-  'function isPINRegistered(string calldata _customerId) external view returns (bool)',
-  'function getSalt(string calldata _customerId) external view returns (bytes32)',
-  'function getRegisteredCount() external view returns (uint256)'
-];
-
-let pinRegistryContract = null;
-
-/**
- * Initialize PIN Registry smart contract (will be deployed to Polygon Amoy)
- * For now, we use a placeholder address - replace after deployment
- */
-async function initializePINRegistry() {
-  try {
-    const PIN_REGISTRY_ADDRESS = process.env.PIN_REGISTRY_ADDRESS || '0x0000000000000000000000000000000000000000';
-    
-    if (PIN_REGISTRY_ADDRESS !== '0x0000000000000000000000000000000000000000') {
-      // Using a read-only provider for verification
-      pinRegistryContract = new ethers.Contract(
-        PIN_REGISTRY_ADDRESS,
-        PIN_REGISTRY_ABI,
-        provider
-      );
-      console.log('✓ PIN Registry smart contract initialized at', PIN_REGISTRY_ADDRESS);
-    } else {
-      console.log('⚠️  PIN Registry contract address not set. Using fallback in-memory storage.');
-      console.log('   Set PIN_REGISTRY_ADDRESS in .env after deploying PINRegistry.sol');
-    }
-  } catch (error) {
-    console.error('Error initializing PIN Registry contract:', error.message);
-  }
-}
-
-// In-memory PIN registry fallback (when contract not deployed)
-const pinRegistryFallback = new Map();
-
-// In-memory replay attack tracker
-const usedNullifiers = new Map();
-const recentPayments = [];
-
-/**
- * Register a PIN hash for a customer on the blockchain
- * Falls back to in-memory storage if contract not deployed
- */
-async function registerPINHash(customerId, pinHash, salt) {
-  try {
-    if (pinRegistryContract && pinRegistryContract.target !== '0x0000000000000000000000000000000000000000') {
-      // For now: log that it would be stored on-chain
-      // In production with a signer, this would be: await pinRegistryContract.registerPIN(customerId, pinHash, salt)
-      console.log(`📡 [BLOCKCHAIN] PIN would be registered for ${customerId} on-chain`);
-      console.log(`   pinHash: ${pinHash}`);
-      console.log(`   salt: ${salt}`);
-    }
-    
-    // Fallback: Also store in-memory for immediate availability
-    pinRegistryFallback.set(customerId, {
-      pinHash,
-      salt,
-      registeredAt: new Date().toISOString(),
-      onChain: pinRegistryContract ? true : false
-    });
-    
-    console.log(`✓ PIN registered for customer ${customerId}`);
-  } catch (error) {
-    console.error('Error registering PIN:', error.message);
-    throw error;
-  }
-}
-
 /**
- * Verify PIN hash matches the registered one
- * Checks blockchain first, falls back to in-memory storage
+ * Normalize a pinHash or salt to the decimal field-element form used by the circuit
+ * Returns null when the value is not a valid BN254 field element
  */
-async function verifyPINHash(customerId, claimedPinHash) {
+function normalizeFieldElement(value) {
   try {
-    // Note: Blockchain check disabled because we're using read-only provider
-    // In production with a signer, we would check blockchain first
-    // For now, use fallback storage directly
-    
-    // Fallback: Check in-memory registry
-    const stored = pinRegistryFallback.get(customerId);
-    
-    if (!stored) {
-      return {
-        valid: false,
-        reason: 'PIN not registered for this customer. Please register first.',
-        source: 'fallback'
-      };
-    }
-    
-    if (stored.pinHash !== claimedPinHash) {
-      return {
-        valid: false,
-        reason: 'PIN hash does not match. Wrong PIN entered.',
-        source: 'fallback'
-      };
-    }
-    
-    console.log(`✓ PIN hash verified for customer ${customerId}`);
-    
-    return {
-      valid: true,
-      reason: 'PIN hash verified successfully',
-      salt: stored.salt,
-      source: 'fallback',
-      onChain: stored.onChain
-    };
+    return toFieldElement(value).toString();
   } catch (error) {
-    console.error('Error verifying PIN:', error.message);
-    return {
-      valid: false,
-      reason: 'Error during PIN verification: ' + error.message,
-      source: 'error'
-    };
+    return null;
   }
 }
 
-/**
- * Get PIN registry statistics (for health check)
- */
-function getPINRegistryStats() {
-  return {
-    fallbackCount: pinRegistryFallback.size,
-    blockchainEnabled: pinRegistryContract && pinRegistryContract.target !== '0x0000000000000000000000000000000000000000',
-    contractAddress: pinRegistryContract?.target || 'Not deployed'
-  };
-}
-
 /**
  * Mock transactions for demo purposes (Polygon Amoy testnet may have no activity)
  */
@@ -384,11 +453,13 @@ async function getBlockchainTransactions(address = null, limit = 10) {
             const receipt = await provider.getTransactionReceipt(txHash);
             
             if (tx) {
+              const { value, token } = await formatTransactionValue(provider, tx);
               transactions.push({
                 hash: tx.hash,
                 from: tx.from,
                 to: tx.to || 'Contract Creation',
-                value: ethers.formatEther(tx.value) + ' MATIC',
+                value,
+                token,
                 gasPrice: ethers.formatUnits(tx.gasPrice, 'gwei') + ' gwei',
                 status: receipt?.status === 1 ? 'Success' : 'Failed',
                 blockNumber: tx.blockNumber,
@@ -434,12 +505,14 @@ async function getTransactionDetails(txHash) {
     if (!tx) return null;
     
     const block = await provider.getBlock(tx.blockNumber);
+    const { value, token } = await formatTransactionValue(provider, tx);
     
     return {
       hash: tx.hash,
       from: tx.from,
       to: tx.to || 'Contract Creation',
-      value: ethers.formatEther(tx.value) + ' MATIC',
+      value,
+      token,
       gasPrice: ethers.formatUnits(tx.gasPrice, 'gwei') + ' gwei',
       gasUsed: receipt ? ethers.formatUnits(receipt.gasUsed, 'gwei') + ' gwei' : 'Unknown',
       status: receipt?.status === 1 ? 'Success' : 'Failed',
@@ -454,32 +527,167 @@ async function getTransactionDetails(txHash) {
   }
 }
 
-// Load ZK verification key
-let verificationKey = null;
-const vKeyPath = path.join(__dirname, '../circuits/verification_key.json');
-if (fs.existsSync(vKeyPath)) {
-  verificationKey = JSON.parse(fs.readFileSync(vKeyPath, 'utf8'));
+// Load ZK verification keys for every registered circuit version
+loadVerificationKeys();
+
+// ============================================================================
+// SECURITY FIX: Fail-closed ZK verification
+// ============================================================================
+// strict (default): a proof is only accepted after snarkjs verifies it against a
+//   registered key. Without a key /api/verify-payment answers 503 instead of
+//   letting every payment through.
+// insecure-dev: proofs for circuit versions without a key are accepted unchecked.
+//   Only for local development - flagged in /api/health and on every payment.
+const ZK_VERIFICATION_MODES = ['strict', 'insecure-dev'];
+const ZK_VERIFICATION_MODE = process.env.ZK_VERIFICATION_MODE || 'strict';
+const INSECURE_DEV_MODE = ZK_VERIFICATION_MODE === 'insecure-dev';
+
+/**
+ * Refuse to start with an unknown verification mode, or with dev mode in production
+ */
+function checkVerificationMode() {
+  if (!ZK_VERIFICATION_MODES.includes(ZK_VERIFICATION_MODE)) {
+    throw new Error(`Unknown ZK_VERIFICATION_MODE "${ZK_VERIFICATION_MODE}". Use one of: ${ZK_VERIFICATION_MODES.join(', ')}`);
+  }
+  if (INSECURE_DEV_MODE && process.env.NODE_ENV === 'production') {
+    throw new Error('ZK_VERIFICATION_MODE=insecure-dev is not allowed when NODE_ENV=production');
+  }
+}
+
+/**
+ * Check the loaded verification keys and circuit artifacts against the build manifest
+ * A mismatch means the served key, zkey or Verifier.sol come from different builds;
+ * strict mode refuses to start, dev mode only warns
+ */
+function checkCircuitArtifacts() {
+  const manifest = checkArtifactManifest(listVerificationKeys());
+
+  if (manifest.status === 'missing') {
+    console.log(`⚠️  No circuit artifact manifest at ${manifest.manifestPath}. Artifact hashes are not checked.`);
+    console.log('   Build the circuits with: cd backend && npm run build:circuits');
+    return;
+  }
+
+  if (manifest.status === 'verified') {
+    const circuits = Object.entries(manifest.circuits)
+      .map(([circuitId, c]) => `${circuitId}@${c.version} (${c.verified.join(', ')})`);
+    console.log(`✓ Circuit artifacts match manifest: ${circuits.join('; ')}`);
+    return;
+  }
+
+  const message = `Circuit artifact manifest check failed (${manifest.status}):\n  - ${manifest.problems.join('\n  - ')}`;
+  if (!INSECURE_DEV_MODE) {
+    throw new Error(`${message}\nRebuild with npm run build:circuits or restore the matching artifacts.`);
+  }
+  console.warn(`🚨 ${message}`);
 }
 
 /**
- * Verify a ZK proof using snarkjs
+ * Verify a ZK proof against the key registered for its circuit version
+ * The pairing check runs on the verifier worker pool, off the event loop
  * @param {Array} proof - The proof array from snarkjs
  * @param {Array} publicSignals - The public signals from the circuit
- * @returns {Promise<boolean>} - True if proof is valid
+ * @param {string} circuitId - Circuit the proof was generated with, e.g. 'payment'
+ * @param {string} version - Circuit version the proof claims
+ * @returns {Promise<Object>} - { valid, checked } - checked is false for dummy (dev mode) acceptance
+ * @throws {Error} - code 'VERIFIER_POOL_FULL' when the pool cannot take more work
  */
-async function verifyZkProof(proof, publicSignals) {
-  if (!verificationKey) {
-    console.warn('Verification key not found. Using dummy verification.');
-    return true;
+async function verifyZkProof(proof, publicSignals, circuitId, version) {
+  const entry = getVerificationKey(circuitId, version);
+  if (!entry) {
+    if (INSECURE_DEV_MODE) {
+      console.warn(`⚠️  INSECURE DEV MODE: no verification key for ${circuitId} version ${version}. Accepting proof unchecked.`);
+      return { valid: true, checked: false };
+    }
+    console.error(`ZK Proof verification error: no verification key for ${circuitId} version ${version}`);
+    return { valid: false, checked: false };
   }
 
   try {
-    const isValid = await snarkjs.groth16.verify(verificationKey, publicSignals, proof);
-    return isValid;
+    const isValid = await verifyProof(entry.vKey, publicSignals, proof);
+    return { valid: isValid, checked: true };
   } catch (error) {
+    if (error.code === 'VERIFIER_POOL_FULL') {
+      throw error;
+    }
     console.error('ZK Proof verification error:', error.message);
-    return false;
+    return { valid: false, checked: true };
+  }
+}
+
+/**
+ * Check that a proof's circuit version has a registered verification key
+ * @param {string} circuitId - e.g. 'payment'
+ * @param {string|number} version - Version sent with the proof
+ * @returns {Object} - { valid, reason, statusCode, status }
+ */
+function checkCircuitVersion(circuitId, version) {
+  if (version === undefined || version === null || version === '') {
+    return { valid: false, reason: 'Missing circuitVersion for the proof', statusCode: 400, status: 'UNKNOWN_CIRCUIT_VERSION' };
+  }
+
+  if (getVerificationKey(circuitId, version) || INSECURE_DEV_MODE) {
+    return { valid: true };
+  }
+
+  const known = getCircuitVersions(circuitId);
+  if (known.length === 0) {
+    return {
+      valid: false,
+      reason: `Proof verification is unavailable: no ${circuitId} verification key is loaded`,
+      statusCode: 503,
+      status: 'VERIFICATION_UNAVAILABLE'
+    };
+  }
+
+  return {
+    valid: false,
+    reason: `Unknown ${circuitId} circuit version ${version}. Supported versions: ${known.join(', ')}`,
+    statusCode: 400,
+    status: 'UNKNOWN_CIRCUIT_VERSION'
+  };
+}
+
+/**
+ * Check every public signal of a payment proof against the payment request
+ * Without this a valid proof could be replayed for another amount or merchant
+ * @param {Array} publicSignals - [nullifier, pinHash, amount, merchantHash, nonce]
+ * @param {Object} request - { amount, merchantId, nonce, pinHash } from the request body
+ * @returns {Promise<Object>} - { valid, reason, signals }
+ */
+async function checkPaymentSignals(publicSignals, request) {
+  let signals;
+  try {
+    signals = decodePaymentSignals(publicSignals);
+  } catch (error) {
+    return { valid: false, reason: error.message };
+  }
+
+  let expected;
+  try {
+    expected = {
+      amount: encodeAmount(request.amount).toString(),
+      merchantHash: await merchantHash(request.merchantId),
+      nonce: toFieldElement(request.nonce).toString()
+    };
+  } catch (error) {
+    return { valid: false, reason: 'Invalid payment request: ' + error.message };
+  }
+
+  if (signals.amount !== expected.amount) {
+    return { valid: false, reason: 'Proof amount does not match the requested amount' };
+  }
+  if (signals.merchantHash !== expected.merchantHash) {
+    return { valid: false, reason: 'Proof merchant does not match the requested merchant' };
   }
+  if (signals.nonce !== expected.nonce) {
+    return { valid: false, reason: 'Proof nonce does not match the request nonce' };
+  }
+  if (request.pinHash && signals.pinHash !== normalizeFieldElement(request.pinHash)) {
+    return { valid: false, reason: 'Proof pinHash does not match the submitted pinHash' };
+  }
+
+  return { valid: true, signals };
 }
 
 // 1. Define the Tool (The "Arms")
@@ -540,19 +748,17 @@ app.post('/api/chat', async (req, res) => {
  * - User can only see transactions they are involved in
  * - Sensitive fields are sanitized before response
  */
-app.get('/api/transactions', authenticateToken, async (req, res) => {
+app.get('/api/transactions', authenticateTokenOrApiKey, requireRole(ROLES.CUSTOMER, ROLES.MERCHANT), async (req, res) => {
   try {
     const limit = req.query.limit || 10;
-    const customerId = req.customerId;
+    const field = partyField(req.principal);
 
     // Get all blockchain transactions (still needed for business logic)
     const allTransactions = await getBlockchainTransactions(null, limit);
     
     // SECURITY: Filter transactions to only include those where authenticated user is involved
     // This prevents attackers from seeing all financial data in the system
-    const userTransactions = allTransactions.filter(tx => 
-      tx.customerId === customerId || tx.merchantId === customerId
-    );
+    const userTransactions = allTransactions.filter(tx => tx[field] === req.principal.id);
 
     // SECURITY: Sanitize response - remove excessive internal data
     const sanitizedTransactions = userTransactions.map(tx => ({
@@ -561,9 +767,8 @@ app.get('/api/transactions', authenticateToken, async (req, res) => {
       timestamp: tx.timestamp,
       status: tx.status,
       type: tx.type,
-      // Only expose sender/receiver if user is one of them
-      ...(tx.customerId === customerId && { customerId: tx.customerId }),
-      ...(tx.merchantId === customerId && { merchantId: tx.merchantId })
+      // Only expose the user's own side of the transaction
+      [field]: tx[field]
       // REMOVED: Full wallet addresses, raw transaction hashes, network internals
     }));
 
@@ -587,10 +792,10 @@ app.get('/api/transactions', authenticateToken, async (req, res) => {
  * SECURITY FIX: OWASP API3:2019 - Excessive Data Exposure
  * Now requires authentication and validates access permissions
  */
-app.get('/api/transaction/:txHash', authenticateToken, async (req, res) => {
+app.get('/api/transaction/:txHash', authenticateTokenOrApiKey, requireRole(ROLES.CUSTOMER, ROLES.MERCHANT), async (req, res) => {
   try {
     const { txHash } = req.params;
-    const customerId = req.customerId;
+    const field = partyField(req.principal);
     
     const details = await getTransactionDetails(txHash);
     
@@ -600,7 +805,7 @@ app.get('/api/transaction/:txHash', authenticateToken, async (req, res) => {
 
     // SECURITY: Verify user is authorized to view this transaction
     // User can only view transactions they are involved in
-    if (details.customerId !== customerId && details.merchantId !== customerId) {
+    if (details[field] !== req.principal.id) {
       return res.status(403).json({ 
         error: 'Access denied: You can only view transactions you are involved in'
       });
@@ -613,8 +818,7 @@ app.get('/api/transaction/:txHash', authenticateToken, async (req, res) => {
       timestamp: details.timestamp,
       status: details.status,
       type: details.type,
-      ...(details.customerId === customerId && { customerId: details.customerId }),
-      ...(details.merchantId === customerId && { merchantId: details.merchantId })
+      [field]: details[field]
       // REMOVED: Raw transaction hashes, full wallet addresses, internal contract data
     };
     
@@ -634,10 +838,10 @@ app.get('/api/transaction/:txHash', authenticateToken, async (req, res) => {
  * SECURITY FIX: OWASP API3:2019 - Excessive Data Exposure
  * Now requires authentication and only processes user-specific transactions
  */
-app.post('/api/query-transactions', authenticateToken, async (req, res) => {
+app.post('/api/query-transactions', authenticateToken, requireRole(ROLES.CUSTOMER, ROLES.MERCHANT), async (req, res) => {
   try {
     const { query } = req.body;
-    const customerId = req.customerId;
+    const field = partyField(req.principal);
     
     if (!query) {
       return res.status(400).json({ error: 'Query is required' });
@@ -646,9 +850,7 @@ app.post('/api/query-transactions', authenticateToken, async (req, res) => {
     // SECURITY: Only fetch transactions for the authenticated user
     // Filter from all transactions to only include user's transactions
     const allTransactions = await getBlockchainTransactions(null, 10);
-    const userTransactions = allTransactions.filter(tx =>
-      tx.customerId === customerId || tx.merchantId === customerId
-    );
+    const userTransactions = allTransactions.filter(tx => tx[field] === req.principal.id);
 
     // If no transactions, don't expose that they exist
     if (userTransactions.length === 0) {
@@ -708,27 +910,15 @@ Please analyze only the user's transaction data and provide insights about their
 });
 
 /**
- * Step 3: AI Sentinel - Detect Replay Attacks & Adversarial Patterns
+ * Step 3: AI Sentinel - Detect Adversarial Patterns
+ * Reused nullifiers are caught by the spent nullifier set (./nullifiers), not here
  */
-async function detectReplayAttack(nullifier, metadata) {
+async function detectAdversarialPatterns(metadata) {
   const now = Date.now();
   
-  // Check if nullifier was used recently
-  if (usedNullifiers.has(nullifier)) {
-    const lastUsed = usedNullifiers.get(nullifier);
-    const timeDiff = now - lastUsed;
-    
-    if (timeDiff < 5000) { // Within 5 seconds = replay attack
-      return {
-        detected: true,
-        reason: `Replay attack: Nullifier used ${timeDiff}ms ago`,
-        severity: 'CRITICAL'
-      };
-    }
-  }
-  
   // Check for suspicious patterns
-  const recentPaymentsInSecond = recentPayments.filter(p => (now - p.timestamp) < 1000).length;
+  // Batch-synced payments were collected offline earlier, so a burst of them is expected
+  const recentPaymentsInSecond = await getStore().countPaymentsSince(now - 1000, { excludeSource: 'batch' });
   if (recentPaymentsInSecond > 10) {
     return {
       detected: true,
@@ -785,108 +975,488 @@ Is this a NORMAL DEMO TRANSACTION? Reply with only "SAFE" or "SUSPICIOUS".`;
   return { detected: false, reason: 'Payment passed all checks' };
 }
 
+// Nullifiers whose proof is being verified right now. Concurrent requests (or two
+// items of one batch) carrying the same nullifier would otherwise both pass the
+// replay check before either is marked as used.
+const nullifierLocks = new Map();
+
 /**
- * ZK Payment Verification Endpoint
- * Step 2-5: Verify ZK proof + PIN hash before processing payment
+ * Run fn while holding the lock for one nullifier
+ * Later callers wait rather than fail, so a bogus proof submitted with someone
+ * else's nullifier cannot get their genuine payment rejected
  */
-app.post('/api/verify-payment', async (req, res) => {
+async function withNullifierLock(nullifier, fn) {
+  const previous = nullifierLocks.get(nullifier) || Promise.resolve();
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const current = previous.then(() => gate);
+  nullifierLocks.set(nullifier, current);
+
+  await previous;
   try {
-    const { proof, publicSignals, amount, pinHash, merchantId, customerId } = req.body;
+    return await fn();
+  } finally {
+    release();
+    if (nullifierLocks.get(nullifier) === current) {
+      nullifierLocks.delete(nullifier);
+    }
+  }
+}
 
-    if (!proof || !publicSignals) {
-      return res.status(400).json({ error: 'Missing proof or public signals' });
+/**
+ * 409 body for a payment whose nullifier was spent before
+ * @param {Object} original - The earlier spend: { spentAt, txId, circuitVersion }
+ */
+function nullifierSpentResponse(original) {
+  return {
+    statusCode: 409,
+    body: {
+      verified: false,
+      message: 'Replay rejected: this payment proof has already been used',
+      status: 'NULLIFIER_SPENT',
+      originalPayment: {
+        transactionId: original.txId,
+        circuitVersion: original.circuitVersion,
+        spentAt: new Date(original.spentAt).toISOString()
+      }
     }
+  };
+}
 
-    // Step 2a: Verify PIN Hash (Circuit constraint 1)
-    // This proves the user entered the correct PIN without revealing it
-    if (pinHash && customerId) {
-      const pinCheck = await verifyPINHash(customerId, pinHash);
-      if (!pinCheck.valid) {
-        console.log(`❌ PIN verification failed: ${pinCheck.reason}`);
-        return res.status(401).json({
-          verified: false,
-          message: pinCheck.reason,
-          status: 'PIN_INVALID'
-        });
+/**
+ * Verify one payment: circuit version, public signals, PIN hash, nullifier, AI sentinel and ZK proof
+ * Shared by the single and batch endpoints so both apply exactly the same checks
+ * @param {Object} request - { proof, publicSignals, circuitVersion, amount, pinHash, merchantId, customerId, nonce }
+ * @param {Object} [options] - { source, ip }: source is recorded on the payment ('live' or 'batch'),
+ *   ip is the client's, for the PIN attempt limits
+ * @returns {Promise<Object>} - { statusCode, headers?, body } for the HTTP response
+ */
+async function verifyPayment(request, options = {}) {
+  const { proof, publicSignals, circuitVersion, amount, pinHash, merchantId, customerId, nonce } = request || {};
+  const source = options.source || 'live';
+
+  if (!proof || !publicSignals) {
+    return { statusCode: 400, body: { error: 'Missing proof or public signals' } };
+  }
+
+  // Step 1: The proof must come from a circuit version we hold a verification key for
+  const versionCheck = checkCircuitVersion('payment', circuitVersion);
+  if (!versionCheck.valid) {
+    console.log(`❌ Circuit version check failed: ${versionCheck.reason}`);
+    return {
+      statusCode: versionCheck.statusCode,
+      body: { verified: false, message: versionCheck.reason, status: versionCheck.status }
+    };
+  }
+
+  // Past its expiry epoch a circuit version's nullifiers may already be pruned,
+  // so its proofs can no longer be checked for replays
+  if (isCircuitVersionExpired(circuitVersion)) {
+    const reason = `Payment circuit version ${circuitVersion} expired at ${new Date(getNullifierExpiry(circuitVersion)).toISOString()}`;
+    console.log(`❌ Circuit version check failed: ${reason}`);
+    return {
+      statusCode: 400,
+      body: { verified: false, message: reason, status: 'CIRCUIT_VERSION_EXPIRED' }
+    };
+  }
+
+  if (!amount || !merchantId || !nonce) {
+    return { statusCode: 400, body: { error: 'Missing amount, merchantId or nonce' } };
+  }
+
+  // Step 1b: Only registered, active merchants can be paid - otherwise anyone
+  // could print a QR code for a merchant id of their choosing
+  const merchantCheck = await checkPaymentMerchant(merchantId);
+  if (!merchantCheck.valid) {
+    console.log(`❌ Merchant check failed: ${merchantCheck.reason}`);
+    return {
+      statusCode: merchantCheck.code === 'MERCHANT_SUSPENDED' ? 403 : 400,
+      body: { verified: false, message: merchantCheck.reason, status: merchantCheck.code }
+    };
+  }
+
+  // Step 2a: The proof's public signals must describe exactly this payment
+  const signalCheck = await checkPaymentSignals(publicSignals, { amount, merchantId, nonce, pinHash });
+  if (!signalCheck.valid) {
+    console.log(`❌ Public signal check failed: ${signalCheck.reason}`);
+    return {
+      statusCode: 400,
+      body: { verified: false, message: signalCheck.reason, status: 'SIGNAL_MISMATCH' }
+    };
+  }
+  const signals = signalCheck.signals;
+
+  // Step 2b: Verify PIN Hash (Circuit constraint 1)
+  // The proof's pinHash must be the one registered for this customer. The attempt
+  // is counted first, so the PIN cannot be guessed at without limit
+  let pinAttempt = null;
+  if (customerId) {
+    const gate = await beginPinAttempt(customerId, options.ip);
+    if (!gate.allowed) {
+      const refusal = pinAttemptRefusal(gate, customerId);
+      return {
+        statusCode: refusal.statusCode,
+        headers: refusal.headers,
+        body: { verified: false, message: refusal.message, status: refusal.type, retryAfterSeconds: gate.retryAfterSeconds }
+      };
+    }
+    pinAttempt = gate.attempt;
+
+    const pinCheck = await verifyPINHash(customerId, signals.pinHash);
+    if (!pinCheck.valid) {
+      console.log(`❌ PIN verification failed: ${pinCheck.reason}`);
+      if (pinCheck.code === 'PIN_MISMATCH') {
+        recordPinFailure(pinAttempt, 'payment');
+      } else {
+        await releasePinAttempt(pinAttempt);
       }
-      console.log(`✓ PIN hash verified for customer ${customerId}`);
+      const locked = pinCheck.code === 'PIN_LOCKED';
+      return {
+        statusCode: locked ? 423 : 401,
+        body: { verified: false, message: pinCheck.reason, status: locked ? 'PIN_LOCKED' : 'PIN_INVALID' }
+      };
     }
+    console.log(`✓ PIN hash verified for customer ${customerId}`);
+  }
+
+  const nullifier = signals.nullifier;
+  const metadata = { amount, merchantId, location: null, source };
 
-    const nullifier = publicSignals[1] || publicSignals[0];
-    const metadata = { amount, merchantId, location: null };
+  const result = await withNullifierLock(nullifier, async () => {
+    // Step 3a: A nullifier is spent once, for good - no proof check needed to refuse a replay
+    const earlierSpend = await findNullifierSpend(nullifier);
+    if (earlierSpend) {
+      recordRejectedReplay();
+      console.log(`⚠️  Replay rejected: nullifier already spent by payment ${earlierSpend.txId}`);
+      return nullifierSpentResponse(earlierSpend);
+    }
 
-    // Step 3: AI Sentinel - Check for replay attacks
-    const attackCheck = await detectReplayAttack(nullifier, metadata);
+    // Step 3b: AI Sentinel - Check for adversarial patterns
+    const attackCheck = await detectAdversarialPatterns(metadata);
     if (attackCheck.detected) {
       console.log(`⚠️  Attack detected: ${attackCheck.reason}`);
-      return res.status(403).json({
-        verified: false,
-        message: attackCheck.reason,
-        status: 'ATTACK_DETECTED',
-        severity: attackCheck.severity
-      });
+      return {
+        statusCode: 403,
+        body: {
+          verified: false,
+          message: attackCheck.reason,
+          status: 'ATTACK_DETECTED',
+          severity: attackCheck.severity
+        }
+      };
     }
 
-    // Step 2b: Verify the ZK proof (Circuit constraint 2)
-    // This verifies: Poseidon(PIN + Salt) == pinHash
-    const isValid = await verifyZkProof(proof, publicSignals);
-
-    if (isValid) {
-      // Mark nullifier as used (prevents double-spending)
-      usedNullifiers.set(nullifier, Date.now());
-      
-      // Record payment
-      const payment = {
-        amount,
-        merchantId,
-        customerId,
-        nullifier,
-        timestamp: Date.now(),
-        txId: Math.random().toString(36).substr(2, 9)
+    // Step 2c: Verify the ZK proof
+    // This verifies: Poseidon(PIN + Salt) == pinHash and nullifier == Poseidon(Salt, nonce)
+    let verification;
+    try {
+      verification = await verifyZkProof(proof, publicSignals, 'payment', String(circuitVersion));
+    } catch (error) {
+      if (error.code !== 'VERIFIER_POOL_FULL') throw error;
+      console.warn(`⚠️  ${error.message}`);
+      return {
+        statusCode: 503,
+        headers: { 'Retry-After': '1' },
+        body: { verified: false, message: error.message, status: 'VERIFIER_BUSY' }
       };
-      recentPayments.push(payment);
-      
-      // Keep only last 1000 payments
-      if (recentPayments.length > 1000) {
-        recentPayments.shift();
-      }
-      
+    }
+
+    if (!verification.valid) {
+      console.log(`✗ ZK Proof verification failed`);
+      return {
+        statusCode: 401,
+        body: {
+          verified: false,
+          message: 'ZK Proof verification failed. Wrong PIN or proof is invalid.',
+          status: 'PROOF_INVALID'
+        }
+      };
+    }
+
+    // Spend the nullifier (prevents double-spending). The lock above only covers
+    // this process; the store's check-and-insert decides between instances
+    const txId = Math.random().toString(36).substr(2, 9);
+    const spend = await spendNullifier(nullifier, { txId, circuitVersion });
+    if (!spend.spent) {
+      console.log(`⚠️  Replay rejected: nullifier spent by payment ${spend.original.txId} on another instance`);
+      return nullifierSpentResponse(spend.original);
+    }
+
+    // Record payment
+    const payment = {
+      amount,
+      merchantId,
+      customerId,
+      nullifier,
+      circuitVersion: String(circuitVersion),
+      verificationMode: ZK_VERIFICATION_MODE,
+      proofChecked: verification.checked,
+      source,
+      timestamp: Date.now(),
+      txId
+    };
+    // The store keeps only the last PAYMENT_HISTORY_LIMIT (default 1000) payments
+    await getStore().addPayment(payment);
+
+    if (verification.checked) {
       console.log(`✓ ZK Proof verified for payment: ₹${amount}`);
-      
-      res.json({
+    } else {
+      console.warn(`⚠️  Payment of ₹${amount} accepted WITHOUT proof verification (insecure dev mode)`);
+    }
+
+    return {
+      statusCode: 200,
+      body: {
         verified: true,
         message: `Verification complete. ${amount} rupees received via ZK-Shield.`,
         status: 'VERIFIED',
         transactionId: payment.txId,
+        merchant: merchantCheck.merchant,
+        verificationMode: payment.verificationMode,
+        proofChecked: payment.proofChecked,
         timestamp: new Date().toISOString()
-      });
+      }
+    };
+  });
+
+  // Only a verified proof or an invalid one says anything about the PIN
+  if (pinAttempt) {
+    if (result.body.status === 'VERIFIED') {
+      await recordPinSuccess(pinAttempt);
+    } else if (result.body.status === 'PROOF_INVALID') {
+      recordPinFailure(pinAttempt, 'payment');
     } else {
-      console.log(`✗ ZK Proof verification failed`);
-      res.status(401).json({
-        verified: false,
-        message: 'ZK Proof verification failed. Wrong PIN or proof is invalid.',
-        status: 'PROOF_INVALID'
-      });
+      await releasePinAttempt(pinAttempt);
     }
-  } catch (error) {
-    console.error('Payment verification error:', error.message);
-    res.status(500).json({ error: 'Verification failed', details: error.message });
   }
-});
+  return result;
+}
 
 /**
- * ============================================================================
- * SECURITY FIX: Login endpoint to get JWT token (REQUIRES PIN VERIFICATION)
- * ============================================================================
- * SL-1 CRITICAL FIX: Login endpoint now requires PIN verification
- * - Customer must provide customerId AND pinHash
- * - pinHash is compared against stored PIN hash
- * - Token is ONLY issued if PIN matches
- * - Prevents unauthorized access with just the customer ID
+ * ZK Payment Verification Endpoint
+ * Step 2-5: Verify ZK proof + PIN hash before processing payment
  */
-app.post('/api/login', (req, res) => {
+app.post('/api/verify-payment', async (req, res) => {
   try {
-    const { customerId, pinHash } = req.body;
+    const result = await verifyPayment(req.body, { ip: req.ip });
+    if (result.headers) {
+      res.set(result.headers);
+    }
+    res.status(result.statusCode).json(result.body);
+  } catch (error) {
+    console.error('Payment verification error:', error.message);
+    res.status(500).json({ error: 'Verification failed', details: error.message });
+  }
+});
+
+// Batch verification limits - each item costs a Groth16 verify and possibly a Gemini call
+const BATCH_VERIFY_MAX_ITEMS = parseInt(process.env.BATCH_VERIFY_MAX_ITEMS, 10) || 100;
+const BATCH_VERIFY_CONCURRENCY = parseInt(process.env.BATCH_VERIFY_CONCURRENCY, 10) || 4;
+
+/**
+ * Run an async task over every item with at most `limit` tasks in flight
+ * Results keep the order of the input items
+ */
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, runWorker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Batch ZK Payment Verification Endpoint
+ * For merchants syncing payments collected offline: every item goes through
+ * verifyPayment (same PIN, replay and sentinel checks as /api/verify-payment)
+ * and gets its own result - one bad proof does not fail the batch
+ */
+app.post('/api/verify-payments/batch', async (req, res) => {
+  try {
+    const { payments } = req.body;
+
+    if (!Array.isArray(payments) || payments.length === 0) {
+      return res.status(400).json({ error: 'payments must be a non-empty array' });
+    }
+
+    if (payments.length > BATCH_VERIFY_MAX_ITEMS) {
+      return res.status(413).json({
+        error: `Too many payments in one batch`,
+        details: `At most ${BATCH_VERIFY_MAX_ITEMS} payments per batch, got ${payments.length}`
+      });
+    }
+
+    console.log(`📦 Verifying batch of ${payments.length} payments (concurrency ${BATCH_VERIFY_CONCURRENCY})`);
+
+    const results = await mapWithConcurrency(payments, BATCH_VERIFY_CONCURRENCY, async (payment, index) => {
+      try {
+        const result = await verifyPayment(payment, { source: 'batch', ip: req.ip });
+        return { index, statusCode: result.statusCode, ...result.body };
+      } catch (error) {
+        console.error(`Batch item ${index} verification error:`, error.message);
+        return { index, statusCode: 500, verified: false, error: 'Verification failed', details: error.message };
+      }
+    });
+
+    const verifiedCount = results.filter(r => r.verified).length;
+    console.log(`📦 Batch complete: ${verifiedCount}/${results.length} verified`);
+
+    res.json({
+      status: 'ok',
+      count: results.length,
+      verifiedCount,
+      failedCount: results.length - verifiedCount,
+      results
+    });
+  } catch (error) {
+    console.error('Batch verification error:', error.message);
+    res.status(500).json({ error: 'Batch verification failed', details: error.message });
+  }
+});
+
+// ============================================================================
+// SECURITY: Login rate limiting
+// ============================================================================
+// Every customer login needs a fresh challenge, so limiting challenges limits
+// logins. Merchant and admin password logins are counted directly.
+const LOGIN_RATE_LIMIT_WINDOW_MS = parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS, 10) || 60000;
+const loginLimiters = {
+  ip: createRateLimiter({
+    name: 'login:ip',
+    windowMs: LOGIN_RATE_LIMIT_WINDOW_MS,
+    max: parseInt(process.env.LOGIN_RATE_LIMIT_PER_IP, 10) || 20
+  }),
+  account: createRateLimiter({
+    name: 'login:account',
+    windowMs: LOGIN_RATE_LIMIT_WINDOW_MS,
+    max: parseInt(process.env.LOGIN_RATE_LIMIT_PER_CUSTOMER, 10) || 5
+  })
+};
+
+/**
+ * Count a login attempt against the caller's IP and the account it names
+ * @returns {Promise<boolean>} - false when either is over its limit; a 429 has then been sent
+ */
+async function checkLoginRateLimit(req, res, principal) {
+  for (const [scope, key] of [['ip', req.ip], ['account', `${principal.role}:${principal.id}`]]) {
+    const limit = await loginLimiters[scope].check(key);
+    if (!limit.allowed) {
+      console.warn(`⚠️  Login rate limit hit (${scope}) for ${principal.role} ${principal.id} from ${req.ip}`);
+      res.set('Retry-After', String(limit.retryAfterSeconds));
+      res.status(429).json({
+        error: 'Too many login attempts',
+        type: 'RATE_LIMITED',
+        message: `Too many login attempts. Try again in ${limit.retryAfterSeconds} seconds.`
+      });
+      return false;
+    }
+  }
+  return true;
+}
+
+// ============================================================================
+// SECURITY: PIN attempt limits
+// ============================================================================
+// /api/login and the PIN check of /api/verify-payment count attempts per
+// customer and per IP in the shared store (src/pinAttempts.js)
+
+/**
+ * The answer to a PIN attempt refused by beginPinAttempt
+ * @returns {Object} - { statusCode, headers, type, message }: 429 while backing off,
+ *   423 while locked out, with Retry-After either way
+ */
+function pinAttemptRefusal(gate, customerId) {
+  const who = gate.scope === 'ip' ? 'This network' : `Customer ${customerId}`;
+  console.warn(`⚠️  PIN attempt refused: ${who} ${gate.locked ? 'is locked out' : 'must wait'} for ${gate.retryAfterSeconds}s`);
+  return {
+    statusCode: gate.locked ? 423 : 429,
+    headers: { 'Retry-After': String(gate.retryAfterSeconds) },
+    type: gate.locked ? 'LOCKED_OUT' : 'TOO_MANY_ATTEMPTS',
+    message: gate.locked
+      ? `Too many wrong PINs. ${who} is locked out for ${gate.retryAfterSeconds} seconds.`
+      : `Too many wrong PINs. Try again in ${gate.retryAfterSeconds} seconds.`
+  };
+}
+
+/**
+ * Open a session for a principal that has just proved who it is, and issue its tokens
+ * @returns {Promise<Object>} - The token fields of a login response
+ */
+async function signIn(req, principal) {
+  const session = await createSession(principal, { userAgent: req.get('user-agent') });
+  return {
+    token: issueAccessToken(principal, session.sessionId),
+    refreshToken: session.refreshToken,
+    sessionId: session.sessionId,
+    ...principalFields(principal),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshExpiresAt: new Date(session.expiresAt).toISOString()
+  };
+}
+
+/**
+ * Login challenge endpoint (step 1 of 2)
+ * Issues a single-use nonce the client must bind into a login.circom proof
+ * Body: { customerId }
+ */
+app.post('/api/login/challenge', async (req, res) => {
+  try {
+    const { customerId } = req.body;
+
+    if (!customerId || typeof customerId !== 'string') {
+      return res.status(400).json({
+        error: 'customerId is required',
+        type: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (!(await checkLoginRateLimit(req, res, { role: ROLES.CUSTOMER, id: customerId }))) {
+      return;
+    }
+
+    const { nonce, expiresAt } = await issueLoginChallenge(customerId);
+
+    res.json({
+      status: 'success',
+      customerId,
+      nonce,
+      expiresAt: new Date(expiresAt).toISOString(),
+      expiresIn: Math.round(LOGIN_CHALLENGE_TTL_MS / 1000)
+    });
+  } catch (error) {
+    console.error('Login challenge error:', error);
+    res.status(500).json({
+      error: 'Could not issue a login challenge',
+      details: error.message,
+      type: 'SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * SECURITY FIX: Login endpoint to get JWT token (step 2 of 2)
+ * ============================================================================
+ * The customer proves knowledge of the PIN behind the registered pinHash with a
+ * login.circom proof bound to a challenge from /api/login/challenge:
+ * - The challenge is consumed on first use, whatever the outcome
+ * - The proof's pinHash must be the customer's registered one
+ * - Wrong PINs lead to backoff (429) and then lockout (423) of the customer or IP
+ * - Token is ONLY issued once the proof verifies
+ * A static pinHash is no longer accepted - anyone who had seen it could log in.
+ * Body: { customerId, nonce, proof, publicSignals: [pinHash, challenge], circuitVersion }
+ */
+app.post('/api/login', async (req, res) => {
+  try {
+    const { customerId, nonce, proof, publicSignals, circuitVersion } = req.body;
 
     // Validate required fields
     if (!customerId) {
@@ -896,19 +1466,72 @@ app.post('/api/login', (req, res) => {
       });
     }
 
-    if (!pinHash) {
+    if (!nonce || !proof || !publicSignals) {
       return res.status(400).json({ 
-        error: 'pinHash is required for authentication',
+        error: 'nonce, proof and publicSignals are required for authentication',
         type: 'VALIDATION_ERROR',
-        message: 'You must provide your PIN hash to authenticate'
+        message: 'Request a challenge from /api/login/challenge and prove your PIN against it'
+      });
+    }
+
+    const versionCheck = checkCircuitVersion('login', circuitVersion);
+    if (!versionCheck.valid) {
+      return res.status(versionCheck.statusCode).json({ error: versionCheck.reason, type: versionCheck.status });
+    }
+
+    let signals;
+    try {
+      signals = decodeLoginSignals(publicSignals);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, type: 'VALIDATION_ERROR' });
+    }
+
+    const challengeNonce = normalizeFieldElement(nonce);
+    if (!challengeNonce) {
+      return res.status(400).json({ error: 'nonce must be a BN254 field element (decimal or 0x-hex)', type: 'VALIDATION_ERROR' });
+    }
+
+    // SECURITY: Spend the challenge before anything else, so each nonce gets one try
+    const challenge = await redeemLoginChallenge(customerId, challengeNonce);
+    if (!challenge.valid) {
+      console.warn(`⚠️  Authentication refused for customer ${customerId}: ${challenge.reason}`);
+      return res.status(401).json({
+        error: 'Authentication failed',
+        type: 'INVALID_CHALLENGE',
+        message: `${challenge.reason}. Request a new challenge.`,
+        code: challenge.code
       });
     }
 
-    // SECURITY FIX: Verify PIN hash against stored PIN
-    const stored = pinRegistryFallback.get(customerId);
+    if (signals.challenge !== challengeNonce) {
+      console.warn(`⚠️  Authentication failed: proof is for another challenge (customer ${customerId})`);
+      return res.status(401).json({
+        error: 'Authentication failed',
+        type: 'INVALID_CHALLENGE',
+        message: 'The proof answers a different challenge. Request a new challenge.',
+        code: 'CHALLENGE_MISMATCH'
+      });
+    }
+
+    // SECURITY: Count the attempt before the PIN is checked, per customer and per IP
+    const gate = await beginPinAttempt(customerId, req.ip);
+    if (!gate.allowed) {
+      const refusal = pinAttemptRefusal(gate, customerId);
+      return res.set(refusal.headers).status(refusal.statusCode).json({
+        error: 'Authentication refused',
+        type: refusal.type,
+        message: refusal.message,
+        retryAfterSeconds: gate.retryAfterSeconds
+      });
+    }
+    const { attempt } = gate;
+
+    // SECURITY FIX: The proven pinHash must be the registered one (PINRegistry first)
+    const pinCheck = await verifyPINHash(customerId, signals.pinHash);
 
     // Case 1: No PIN registered for this customer
-    if (!stored) {
+    if (pinCheck.code === 'PIN_NOT_REGISTERED') {
+      await releasePinAttempt(attempt);
       return res.status(401).json({
         error: 'Authentication failed',
         type: 'AUTHENTICATION_ERROR',
@@ -917,9 +1540,22 @@ app.post('/api/login', (req, res) => {
       });
     }
 
-    // Case 2: PIN hash does not match
-    if (stored.pinHash !== pinHash) {
+    // Case 2: PIN locked on-chain after too many failed verifications
+    if (pinCheck.code === 'PIN_LOCKED') {
+      console.warn(`⚠️  Authentication refused: PIN locked for customer ${customerId}`);
+      await releasePinAttempt(attempt);
+      return res.status(423).json({
+        error: 'Authentication failed',
+        type: 'PIN_LOCKED',
+        message: pinCheck.reason,
+        customerId
+      });
+    }
+
+    // Case 3: Proof is for another PIN
+    if (pinCheck.code === 'PIN_MISMATCH') {
       console.warn(`⚠️  Authentication failed: PIN hash mismatch for customer ${customerId}`);
+      recordPinFailure(attempt, 'login');
       return res.status(401).json({
         error: 'Authentication failed',
         type: 'AUTHENTICATION_ERROR',
@@ -928,21 +1564,44 @@ app.post('/api/login', (req, res) => {
       });
     }
 
-    // Case 3: PIN verified - issue JWT token
-    console.log(`✓ PIN verified for customer ${customerId}. Issuing authentication token.`);
-    
-    const token = jwt.sign(
-      { customerId, authenticated: true, timestamp: Date.now() },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRY }
-    );
+    if (!pinCheck.valid) {
+      await releasePinAttempt(attempt);
+      return res.status(503).json({
+        error: 'Authentication unavailable',
+        type: 'SERVER_ERROR',
+        message: pinCheck.reason
+      });
+    }
+
+    // Case 4: The proof must verify - only it shows the client knows the PIN itself
+    let zkResult;
+    try {
+      zkResult = await verifyZkProof(proof, publicSignals, 'login', circuitVersion);
+    } catch (error) {
+      await releasePinAttempt(attempt);
+      res.set('Retry-After', '1');
+      return res.status(503).json({ error: error.message, type: 'VERIFIER_BUSY' });
+    }
+    if (!zkResult.valid) {
+      console.warn(`⚠️  Authentication failed: invalid login proof for customer ${customerId}`);
+      recordPinFailure(attempt, 'login');
+      return res.status(401).json({
+        error: 'Authentication failed',
+        type: 'INVALID_PROOF',
+        message: 'Invalid login proof. Authentication failed.',
+        customerId
+      });
+    }
+
+    // Case 5: PIN proven - open a session and issue its tokens
+    await recordPinSuccess(attempt);
+    console.log(`✓ PIN proven for customer ${customerId} (${pinCheck.source})${zkResult.checked ? '' : ' WITHOUT proof verification (insecure dev mode)'}. Issuing authentication token.`);
 
     res.json({
       status: 'success',
       message: 'Authentication successful. Token issued.',
-      token,
-      customerId,
-      expiresIn: JWT_EXPIRY,
+      ...(await signIn(req, { role: ROLES.CUSTOMER, id: customerId })),
+      proofChecked: zkResult.checked,
       type: 'AUTHENTICATION_SUCCESS'
     });
   } catch (error) {
@@ -955,6 +1614,361 @@ app.post('/api/login', (req, res) => {
   }
 });
 
+/**
+ * Refresh endpoint
+ * Trades a refresh token for a new access token and the next refresh token.
+ * Each refresh token works once; reusing one signs the whole session out.
+ * Body: { refreshToken }
+ */
+app.post('/api/token/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required', type: 'VALIDATION_ERROR' });
+    }
+
+    const rotation = await rotateRefreshToken(refreshToken);
+    if (!rotation.valid) {
+      return res.status(401).json({
+        error: 'Refresh failed',
+        type: rotation.code,
+        message: `${rotation.reason}. Please sign in again.`
+      });
+    }
+
+    res.json({
+      status: 'success',
+      token: issueAccessToken(rotation.principal, rotation.sessionId),
+      refreshToken: rotation.refreshToken,
+      sessionId: rotation.sessionId,
+      ...principalFields(rotation.principal),
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      refreshExpiresAt: new Date(rotation.expiresAt).toISOString()
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed', details: error.message, type: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * Logout endpoint
+ * Revokes the caller's session: its refresh token stops working and its access
+ * tokens are refused from now on. With allSessions, every session of the
+ * caller is signed out - e.g. from a new device after losing a phone.
+ * Body: { allSessions? }
+ */
+app.post('/api/logout', authenticateToken, async (req, res) => {
+  try {
+    const revokedSessions = req.body?.allSessions === true
+      ? await revokePrincipalSessions(req.principal)
+      : Number(await revokeSession(req.sessionId));
+
+    console.log(`✓ ${req.principal.role} ${req.principal.id} signed out (${revokedSessions} session(s) revoked)`);
+    res.json({ status: 'success', message: 'Signed out', revokedSessions });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed', details: error.message, type: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * List the caller's active sessions, so a lost device's session can be found and revoked
+ */
+app.get('/api/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listPrincipalSessions(req.principal);
+    res.json({
+      ...principalFields(req.principal),
+      sessions: sessions.map(session => ({ ...session, current: session.sessionId === req.sessionId }))
+    });
+  } catch (error) {
+    console.error('Session listing error:', error);
+    res.status(500).json({ error: 'Could not list sessions', details: error.message, type: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * Revoke one of the caller's sessions
+ */
+app.delete('/api/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await getPrincipalSession(req.principal, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found', type: 'SESSION_NOT_FOUND' });
+    }
+
+    const revoked = await revokeSession(session.sessionId);
+    console.log(`✓ ${req.principal.role} ${req.principal.id} revoked session ${session.sessionId}`);
+    res.json({ status: 'success', sessionId: session.sessionId, revoked });
+  } catch (error) {
+    console.error('Session revocation error:', error);
+    res.status(500).json({ error: 'Could not revoke session', details: error.message, type: 'SERVER_ERROR' });
+  }
+});
+
+// ============================================================================
+// ROLES: Merchant and admin accounts
+// ============================================================================
+
+/**
+ * Merchant registration
+ * Creates the merchant's account and signs it in. The merchant id is the one
+ * payment QR codes and proofs are bound to; the name is what customers see.
+ * Body: { merchantId, name, password, payoutAddress? }
+ */
+app.post('/api/merchants/register', async (req, res) => {
+  try {
+    const { merchantId, name, password, payoutAddress } = req.body;
+
+    if (!(await checkLoginRateLimit(req, res, { role: ROLES.MERCHANT, id: String(merchantId) }))) {
+      return;
+    }
+
+    const result = await registerMerchant({ merchantId, name, password, payoutAddress });
+    if (!result.created) {
+      const exists = result.code === 'ACCOUNT_EXISTS';
+      return res.status(exists ? 409 : 400).json({
+        error: result.reason,
+        type: exists ? 'ACCOUNT_EXISTS' : 'VALIDATION_ERROR'
+      });
+    }
+
+    console.log(`✓ Merchant ${merchantId} registered`);
+    res.status(201).json({
+      status: 'success',
+      message: 'Merchant registered. Token issued.',
+      ...(await signIn(req, { role: ROLES.MERCHANT, id: merchantId })),
+      name: result.profile.name,
+      profile: result.profile,
+      type: 'AUTHENTICATION_SUCCESS'
+    });
+  } catch (error) {
+    console.error('Merchant registration error:', error);
+    res.status(500).json({ error: 'Registration failed', details: error.message, type: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * Password login for merchants (/api/merchants/login) and admins (/api/admin/login)
+ * Body: { merchantId | adminId, password }
+ */
+function passwordLogin(role) {
+  const idField = `${role}Id`;
+  return async (req, res) => {
+    try {
+      const accountId = req.body[idField];
+      const { password } = req.body;
+
+      if (!accountId || typeof accountId !== 'string' || !password || typeof password !== 'string') {
+        return res.status(400).json({ error: `${idField} and password are required`, type: 'VALIDATION_ERROR' });
+      }
+      if (!(await checkLoginRateLimit(req, res, { role, id: accountId }))) {
+        return;
+      }
+
+      const account = await authenticateAccount(role, accountId, password);
+      if (!account) {
+        console.warn(`⚠️  Authentication failed for ${role} ${accountId}`);
+        return res.status(401).json({
+          error: 'Authentication failed',
+          type: 'AUTHENTICATION_ERROR',
+          message: `Invalid ${role} ID or password`
+        });
+      }
+
+      console.log(`✓ ${role} ${accountId} signed in`);
+      res.json({
+        status: 'success',
+        message: 'Authentication successful. Token issued.',
+        ...(await signIn(req, { role, id: accountId })),
+        name: account.name,
+        type: 'AUTHENTICATION_SUCCESS'
+      });
+    } catch (error) {
+      console.error(`${role} login error:`, error);
+      res.status(500).json({ error: 'Login failed', details: error.message, type: 'SERVER_ERROR' });
+    }
+  };
+}
+
+app.post('/api/merchants/login', passwordLogin(ROLES.MERCHANT));
+app.post('/api/admin/login', passwordLogin(ROLES.ADMIN));
+
+/**
+ * Public merchant lookup, for the customer's confirmation screen
+ * Only active merchants are shown, with the name they registered
+ */
+app.get('/api/merchants/:merchantId', async (req, res) => {
+  try {
+    const check = await checkPaymentMerchant(req.params.merchantId);
+    if (!check.valid) {
+      return res.status(check.code === 'MERCHANT_SUSPENDED' ? 403 : 404).json({ error: check.reason, type: check.code });
+    }
+    res.json({ status: 'success', ...check.merchant, verified: true });
+  } catch (error) {
+    console.error('Merchant lookup error:', error);
+    res.status(500).json({ error: 'Merchant lookup failed', details: error.message, type: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * The signed-in merchant's profile and API keys
+ */
+app.get('/api/merchant/profile', authenticateToken, requireRole(ROLES.MERCHANT), async (req, res) => {
+  try {
+    const profile = await getMerchantProfile(req.merchantId);
+    if (!profile) {
+      return res.status(404).json({ error: 'Merchant not found', type: 'MERCHANT_NOT_FOUND' });
+    }
+    res.json({ status: 'success', profile, apiKeys: await listApiKeys(req.merchantId) });
+  } catch (error) {
+    console.error('Merchant profile error:', error);
+    res.status(500).json({ error: 'Could not load profile', details: error.message, type: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * Change the signed-in merchant's display name or payout address
+ * Body: { name?, payoutAddress? } - payoutAddress null clears it
+ */
+app.patch('/api/merchant/profile', authenticateToken, requireRole(ROLES.MERCHANT), async (req, res) => {
+  try {
+    const { name, payoutAddress } = req.body;
+    const result = await updateMerchantProfile(req.merchantId, { name, payoutAddress });
+    if (!result.updated) {
+      const missing = result.code === 'MERCHANT_NOT_FOUND';
+      return res.status(missing ? 404 : 400).json({ error: result.reason, type: missing ? result.code : 'VALIDATION_ERROR' });
+    }
+    console.log(`✓ Merchant ${req.merchantId} updated its profile`);
+    res.json({ status: 'success', profile: result.profile });
+  } catch (error) {
+    console.error('Merchant profile update error:', error);
+    res.status(500).json({ error: 'Could not update profile', details: error.message, type: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * Create an API key for the signed-in merchant; the key is only shown in this response
+ * Body: { label? }
+ */
+app.post('/api/merchant/api-keys', authenticateToken, requireRole(ROLES.MERCHANT), async (req, res) => {
+  try {
+    const result = await createApiKey(req.merchantId, { label: req.body.label ?? null });
+    if (!result.created) {
+      return res.status(result.code === 'TOO_MANY_API_KEYS' ? 409 : 400).json({ error: result.reason, type: result.code });
+    }
+    console.log(`✓ Merchant ${req.merchantId} created API key ${result.apiKey.keyId}`);
+    res.status(201).json({ status: 'success', apiKey: result.key, ...result.apiKey });
+  } catch (error) {
+    console.error('API key creation error:', error);
+    res.status(500).json({ error: 'Could not create API key', details: error.message, type: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * Revoke one of the signed-in merchant's API keys
+ */
+app.delete('/api/merchant/api-keys/:keyId', authenticateToken, requireRole(ROLES.MERCHANT), async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.merchantId, req.params.keyId);
+    if (revoked === null) {
+      return res.status(404).json({ error: 'API key not found', type: 'API_KEY_NOT_FOUND' });
+    }
+    console.log(`✓ Merchant ${req.merchantId} revoked API key ${req.params.keyId}`);
+    res.json({ status: 'success', keyId: req.params.keyId, revoked });
+  } catch (error) {
+    console.error('API key revocation error:', error);
+    res.status(500).json({ error: 'Could not revoke API key', details: error.message, type: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * Admin: every registered merchant
+ */
+app.get('/api/admin/merchants', authenticateToken, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const merchants = await listMerchants();
+    res.json({ status: 'success', count: merchants.length, merchants });
+  } catch (error) {
+    console.error('Merchant listing error:', error);
+    res.status(500).json({ error: 'Could not list merchants', details: error.message, type: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * Admin: suspend a merchant (payments to it and its API keys are refused) or reinstate it
+ * Body: { status: 'active' | 'suspended', reason? }
+ */
+app.post('/api/admin/merchants/:merchantId/status', authenticateToken, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    if (!Object.values(ACCOUNT_STATUS).includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${Object.values(ACCOUNT_STATUS).join(', ')}`, type: 'VALIDATION_ERROR' });
+    }
+
+    const profile = await setMerchantStatus(req.params.merchantId, status, reason);
+    if (!profile) {
+      return res.status(404).json({ error: 'Merchant not found', type: 'MERCHANT_NOT_FOUND' });
+    }
+    console.log(`✓ Admin ${req.principal.id} set merchant ${profile.merchantId} to ${status}${profile.statusReason ? ` (${profile.statusReason})` : ''}`);
+    res.json({ status: 'success', profile });
+  } catch (error) {
+    console.error('Merchant status error:', error);
+    res.status(500).json({ error: 'Could not change merchant status', details: error.message, type: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * Admin: sign out every session of a customer, merchant or admin - e.g. a
+ * merchant whose password leaked
+ * Body: { role, principalId }
+ */
+app.post('/api/admin/sessions/revoke', authenticateToken, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { role, principalId } = req.body;
+    if (!Object.values(ROLES).includes(role) || !principalId || typeof principalId !== 'string') {
+      return res.status(400).json({ error: `role (${Object.values(ROLES).join(', ')}) and principalId are required`, type: 'VALIDATION_ERROR' });
+    }
+
+    const revokedSessions = await revokePrincipalSessions({ role, id: principalId });
+    console.log(`✓ Admin ${req.principal.id} signed out ${role} ${principalId} (${revokedSessions} session(s) revoked)`);
+    res.json({ status: 'success', role, principalId, revokedSessions });
+  } catch (error) {
+    console.error('Admin session revocation error:', error);
+    res.status(500).json({ error: 'Could not revoke sessions', details: error.message, type: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * Admin: compare the local PIN records with PINRegistry now, instead of waiting
+ * for the next PIN_RECONCILE_INTERVAL_MS
+ */
+app.post('/api/admin/pins/reconcile', authenticateToken, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const reconciliation = await reconcilePINRegistry();
+    console.log(`✓ Admin ${req.principal.id} ran PIN reconciliation`);
+    res.json({ status: reconciliation.error ? 'error' : 'success', reconciliation });
+  } catch (error) {
+    console.error('PIN reconciliation error:', error);
+    res.status(500).json({ error: 'Reconciliation failed', details: error.message, type: 'SERVER_ERROR' });
+  }
+});
+
+/**
+ * Admin: prune nullifiers past their circuit version's expiry epoch now
+ */
+app.post('/api/admin/nullifiers/prune', authenticateToken, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const removed = await pruneExpiredNullifiers();
+    console.log(`✓ Admin ${req.principal.id} pruned ${removed} nullifier(s)`);
+    res.json({ status: 'success', removed });
+  } catch (error) {
+    console.error('Nullifier pruning error:', error);
+    res.status(500).json({ error: 'Pruning failed', details: error.message, type: 'SERVER_ERROR' });
+  }
+});
+
 /**
  * Register PIN endpoint (Setup phase)
  * Customer registers their PIN hash
@@ -963,14 +1977,19 @@ app.post('/api/login', (req, res) => {
  * - User must provide valid JWT token
  * - User can only register PIN for their own customerId
  */
-app.post('/api/register-pin', authenticateToken, protectCustomerData, (req, res) => {
+app.post('/api/register-pin', authenticateToken, requireRole(ROLES.CUSTOMER), protectCustomerData, async (req, res) => {
   try {
-    const { customerId, pinHash, salt } = req.body;
+    const { customerId, pinHash } = req.body;
     
     if (!customerId || !pinHash) {
       return res.status(400).json({ error: 'Missing customerId or pinHash' });
     }
 
+    // SECURITY: The salt stays on the device that chose it; the server only learns Poseidon(PIN, salt)
+    if ('salt' in req.body) {
+      return res.status(400).json({ error: 'Send only pinHash: the salt never leaves the device' });
+    }
+
     // SECURITY: Double-check that user is only modifying their own data
     if (customerId !== req.customerId) {
       return res.status(403).json({ 
@@ -978,7 +1997,25 @@ app.post('/api/register-pin', authenticateToken, protectCustomerData, (req, res)
       });
     }
     
-    registerPINHash(customerId, pinHash, salt || 'default_salt');
+    // SECURITY: An existing PIN can only be replaced with a proof of the old one
+    const existing = await lookupPIN(customerId);
+    if (existing.record) {
+      return res.status(409).json({
+        error: 'A PIN is already registered for this customer',
+        type: 'PIN_ALREADY_REGISTERED',
+        message: 'Use /api/change-pin with a proof of your current PIN to change it'
+      });
+    }
+
+    // Store the commitment in the same field-element form the circuit outputs
+    const normalizedPinHash = normalizeFieldElement(pinHash);
+    if (!normalizedPinHash) {
+      return res.status(400).json({
+        error: 'pinHash must be a BN254 field element (decimal or 0x-hex)'
+      });
+    }
+    
+    await registerPINHash(customerId, normalizedPinHash, null);
     
     res.json({
       status: 'success',
@@ -992,12 +2029,93 @@ app.post('/api/register-pin', authenticateToken, protectCustomerData, (req, res)
   }
 });
 
+/**
+ * Change PIN endpoint
+ * Replaces the registered pinHash only with a pin_change.circom proof of knowing
+ * the preimage of the current one - a stolen session token is not enough
+ * Body: { customerId, proof, publicSignals: [oldPinHash, newPinHash], circuitVersion }
+ */
+app.post('/api/change-pin', authenticateToken, requireRole(ROLES.CUSTOMER), protectCustomerData, async (req, res) => {
+  try {
+    const { customerId, proof, publicSignals, circuitVersion } = req.body;
+
+    if (!customerId || !proof || !publicSignals) {
+      return res.status(400).json({ error: 'Missing customerId, proof or publicSignals', type: 'VALIDATION_ERROR' });
+    }
+
+    // SECURITY: As at registration, the new salt stays on the device
+    if ('newSalt' in req.body) {
+      return res.status(400).json({ error: 'Send only the proof: the new salt never leaves the device', type: 'VALIDATION_ERROR' });
+    }
+
+    const versionCheck = checkCircuitVersion('pin_change', circuitVersion);
+    if (!versionCheck.valid) {
+      return res.status(versionCheck.statusCode).json({ error: versionCheck.reason, type: versionCheck.status });
+    }
+
+    let signals;
+    try {
+      signals = decodePinChangeSignals(publicSignals);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, type: 'VALIDATION_ERROR' });
+    }
+
+    if (signals.newPinHash === signals.oldPinHash) {
+      return res.status(400).json({ error: 'The new PIN hash is the same as the current one', type: 'VALIDATION_ERROR' });
+    }
+
+    const { record: stored } = await lookupPIN(customerId);
+    if (!stored) {
+      return res.status(404).json({ error: `No PIN registered for customer ${customerId}`, type: 'PIN_NOT_REGISTERED' });
+    }
+    // PINRegistry refuses changes to a locked PIN; only its guardian can recover it
+    if (stored.locked) {
+      return res.status(423).json({ error: 'PIN is locked after too many failed attempts. Ask your guardian to recover it.', type: 'PIN_LOCKED' });
+    }
+    if (stored.pinHash !== signals.oldPinHash) {
+      console.warn(`⚠️  PIN change rejected: proof is for a different PIN than the one registered for ${customerId}`);
+      return res.status(403).json({ error: 'Proof does not match the registered PIN', type: 'PIN_MISMATCH' });
+    }
+
+    let zkResult;
+    try {
+      zkResult = await verifyZkProof(proof, publicSignals, 'pin_change', circuitVersion);
+    } catch (error) {
+      res.set('Retry-After', '1');
+      return res.status(503).json({ error: error.message, type: 'VERIFIER_BUSY' });
+    }
+    if (!zkResult.valid) {
+      console.warn(`⚠️  PIN change rejected: invalid proof for ${customerId}`);
+      return res.status(401).json({ error: 'Invalid PIN change proof', type: 'INVALID_PROOF' });
+    }
+
+    // Another change may have landed while the proof was being verified
+    if ((await lookupPIN(customerId)).record?.pinHash !== signals.oldPinHash) {
+      return res.status(409).json({ error: 'The PIN was changed by another request. Try again.', type: 'PIN_CHANGED_CONCURRENTLY' });
+    }
+
+    await registerPINHash(customerId, signals.newPinHash, null, { changed: true });
+    console.log(`✓ PIN changed for customer ${customerId}${zkResult.checked ? '' : ' WITHOUT proof verification (insecure dev mode)'}`);
+
+    res.json({
+      status: 'success',
+      message: `PIN changed for customer ${customerId}`,
+      customerId,
+      pinHashRegistered: true,
+      proofChecked: zkResult.checked
+    });
+  } catch (error) {
+    console.error('PIN change error:', error);
+    res.status(500).json({ error: 'PIN change failed', details: error.message });
+  }
+});
+
 /**
  * Check if PIN is registered (diagnostic endpoint)
  * ============================================================================
  * SECURITY FIX: Now requires authentication and can only check own PIN
  */
-app.get('/api/check-pin/:customerId', authenticateToken, (req, res) => {
+app.get('/api/check-pin/:customerId', authenticateToken, requireRole(ROLES.CUSTOMER), async (req, res) => {
   try {
     const { customerId } = req.params;
 
@@ -1008,22 +2126,40 @@ app.get('/api/check-pin/:customerId', authenticateToken, (req, res) => {
       });
     }
 
-    const isRegistered = pinRegistryFallback.has(customerId);
+    const { record, source, local } = await lookupPIN(customerId);
     
-    if (!isRegistered) {
+    if (!record) {
       return res.status(404).json({
         status: 'not_found',
-        message: `No PIN registered for customer ${customerId}`
+        message: `No PIN registered for customer ${customerId}`,
+        source
       });
     }
     
-    const stored = pinRegistryFallback.get(customerId);
+    // Transaction details are only known to the instance that sent the registration
+    const readFromChain = source === 'chain' || source === 'cache';
+    const chain = local ? local.chain : { status: readFromChain ? TX_STATUS.CONFIRMED : TX_STATUS.OFF_CHAIN };
+    const onChain = readFromChain || chain.status === TX_STATUS.CONFIRMED;
     res.json({
       status: 'registered',
       customerId,
       pinHashRegistered: true,
-      registeredAt: stored.registeredAt,
-      onChain: stored.onChain
+      locked: Boolean(record.locked),
+      registeredAt: record.registeredAt,
+      changedAt: local?.changedAt || null,
+      source,
+      onChain,
+      chainStatus: chain.status,
+      ...(chain.txHash !== undefined && {
+        transaction: {
+          txHash: chain.txHash,
+          nonce: chain.nonce,
+          blockNumber: chain.blockNumber,
+          error: chain.error,
+          submittedAt: chain.submittedAt,
+          updatedAt: chain.updatedAt
+        }
+      })
     });
   } catch (error) {
     res.status(500).json({ error: 'Check failed', details: error.message });
@@ -1033,11 +2169,28 @@ app.get('/api/check-pin/:customerId', authenticateToken, (req, res) => {
 /**
  * Health check endpoint
  */
-app.get('/api/health', (req, res) => {
-  const pinStats = getPINRegistryStats();
+app.get('/api/health', async (req, res) => {
+  let pinStats;
+  try {
+    pinStats = await getPINRegistryStats();
+  } catch (error) {
+    return res.status(503).json({ status: 'error', error: 'Storage unavailable', details: error.message });
+  }
   res.json({
     status: 'ok',
-    zkSupport: !!verificationKey,
+    zkSupport: listVerificationKeys().length > 0,
+    verificationMode: ZK_VERIFICATION_MODE,
+    ...(INSECURE_DEV_MODE && {
+      warning: 'INSECURE DEV MODE: proofs without a matching verification key are accepted unchecked'
+    }),
+    verificationKeys: listVerificationKeys(),
+    artifactManifest: getArtifactManifestStatus(),
+    deployment: getDeploymentStatus(),
+    verifierPool: getVerifierPoolMetrics(),
+    storage: getStorageStatus(),
+    nullifiers: getNullifierStats(),
+    sessions: getSessionStats(),
+    pinAttempts: getPinAttemptStats(),
     pinStats
   });
 });
@@ -1074,15 +2227,14 @@ app.get('/api/network-ip', (req, res) => {
  * SECURITY FIX: OWASP API3:2019 - Excessive Data Exposure
  * Now requires authentication and returns only user-relevant payments
  */
-app.get('/api/recent-payments', authenticateToken, (req, res) => {
+app.get('/api/recent-payments', authenticateTokenOrApiKey, requireRole(ROLES.CUSTOMER, ROLES.MERCHANT), async (req, res) => {
   try {
-    const customerId = req.customerId;
+    const field = partyField(req.principal);
 
     // SECURITY: Filter payments to only include those where authenticated user is involved
     // Customers can see payments they made, merchants can see payments they received
-    const userPayments = recentPayments.filter(p =>
-      p.customerId === customerId || p.merchantId === customerId
-    );
+    const userPayments = (await getStore().listPaymentsFor(req.principal.id))
+      .filter(p => p[field] === req.principal.id);
 
     // SECURITY: Sanitize response - remove excessive internal data
     const sanitizedPayments = userPayments
@@ -1090,9 +2242,10 @@ app.get('/api/recent-payments', authenticateToken, (req, res) => {
         amount: p.amount,
         timestamp: p.timestamp,
         status: p.status || 'completed',
+        verificationMode: p.verificationMode,
+        proofChecked: p.proofChecked,
         // Only expose relevant party based on user's role
-        ...(p.customerId === customerId && { customerId: p.customerId }),
-        ...(p.merchantId === customerId && { merchantId: p.merchantId })
+        [field]: p[field]
         // REMOVED: Raw nullifier hashes, internal transaction IDs, full txId details
       }))
       .slice() // Copy array
@@ -1110,15 +2263,23 @@ app.get('/api/recent-payments', authenticateToken, (req, res) => {
 
 /**
  * Gemini AI Query Endpoint - Process merchant questions about transactions
+ * The merchant and its payments come from the token and the store, not the request
  */
-app.post('/api/gemini-query', async (req, res) => {
+app.post('/api/gemini-query', authenticateToken, requireRole(ROLES.MERCHANT), async (req, res) => {
   try {
-    const { query, transactions, merchantId, todayTotal } = req.body;
+    const { query } = req.body;
+    const merchantId = req.merchantId;
 
     if (!process.env.GEMINI_API_KEY) {
       return res.status(400).json({ response: 'Gemini API key not configured. Please set GEMINI_API_KEY environment variable.' });
     }
 
+    const transactions = (await getStore().listPaymentsFor(merchantId)).filter(p => p.merchantId === merchantId);
+    const startOfDay = new Date().setHours(0, 0, 0, 0);
+    const todayTotal = transactions
+      .filter(t => t.timestamp >= startOfDay)
+      .reduce((sum, t) => sum + Number(t.amount), 0);
+
     // Prepare transaction context for Gemini
     const transactionContext = transactions.length > 0 
       ? `Recent transactions:\n${transactions.slice(0, 5).map(t => 
@@ -1157,7 +2318,29 @@ app.use(globalErrorHandler);
 // Initialize PIN Registry contract and start server
 async function startServer() {
   try {
-    await initializePINRegistry();
+    checkVerificationMode();
+    checkJwtSecret();
+    await initializeStorage();
+    startNullifierPruning();
+    await loadDeployment(provider);
+    await initializePINRegistry(provider, getDeployedContract('PINRegistry', PIN_REGISTRY_ABI));
+
+    const verificationKeys = listVerificationKeys();
+    if (verificationKeys.length > 0) {
+      console.log(`✓ Verification keys loaded: ${verificationKeys.map(k => `${k.circuitId}@${k.version}`).join(', ')}`);
+    } else {
+      console.log('⚠️  No verification keys found. Add keys under VERIFICATION_KEYS_DIR (<circuitId>/<version>.json).');
+    }
+    if (INSECURE_DEV_MODE) {
+      console.warn('🚨 ZK_VERIFICATION_MODE=insecure-dev: proofs without a verification key are ACCEPTED UNCHECKED.');
+      console.warn('   Never run this mode outside local development.');
+    } else if (verificationKeys.length === 0) {
+      console.log('   /api/verify-payment will answer 503 until a key is loaded (ZK_VERIFICATION_MODE=strict).');
+    }
+    checkCircuitArtifacts();
+    watchVerificationKeys();
+    startVerifierPool();
+    startPINReconciliation();
     
     // SECURITY FIX: Changed default port from 5000 to 5001 to avoid macOS AirPlay conflict
     const PORT = process.env.PORT || 5001;
@@ -0,0 +1,62 @@
+/**
+ * Login challenges
+ * A login is a proof of knowing the PIN bound to a nonce the server issued
+ * moments before (login.circom). Each challenge belongs to one customer, lives
+ * for LOGIN_CHALLENGE_TTL_MS and is taken out of the shared store by the first
+ * login that presents it - valid or not - so a captured proof cannot be replayed
+ * and a nonce cannot be guessed at more than once.
+ */
+
+const { generateNonce } = require('./circuits');
+const { getStore } = require('./storage');
+
+const LOGIN_CHALLENGE_TTL_MS = parseInt(process.env.LOGIN_CHALLENGE_TTL_MS, 10) || 60000;
+
+/**
+ * Issue a fresh challenge for a customer
+ * Issued for any customer id, registered or not, so the endpoint does not reveal
+ * which customers exist
+ * @param {string} customerId - The customer logging in
+ * @returns {Promise<Object>} - { nonce, expiresAt } with the nonce as a decimal field element
+ */
+async function issueLoginChallenge(customerId) {
+  const store = getStore();
+  const now = Date.now();
+  const challenge = { customerId, issuedAt: now, expiresAt: now + LOGIN_CHALLENGE_TTL_MS };
+
+  // Challenges that were never answered would otherwise pile up
+  await store.pruneExpiredLoginChallenges(now);
+
+  const nonce = generateNonce();
+  await store.saveLoginChallenge(nonce, challenge);
+  return { nonce, expiresAt: challenge.expiresAt };
+}
+
+/**
+ * Redeem a challenge for a login attempt
+ * The challenge is consumed whatever the outcome, including when the proof
+ * presented with it later fails to verify
+ * @param {string} customerId - The customer logging in
+ * @param {string} nonce - The challenge nonce, as a decimal field element
+ * @returns {Promise<Object>} - { valid: true } or { valid: false, code, reason }
+ */
+async function redeemLoginChallenge(customerId, nonce) {
+  const challenge = await getStore().takeLoginChallenge(nonce);
+
+  if (!challenge) {
+    return { valid: false, code: 'CHALLENGE_NOT_FOUND', reason: 'Unknown or already used login challenge' };
+  }
+  if (Date.now() >= challenge.expiresAt) {
+    return { valid: false, code: 'CHALLENGE_EXPIRED', reason: 'Login challenge has expired' };
+  }
+  if (challenge.customerId !== customerId) {
+    return { valid: false, code: 'CHALLENGE_MISMATCH', reason: 'Login challenge was issued to another customer' };
+  }
+  return { valid: true };
+}
+
+module.exports = {
+  LOGIN_CHALLENGE_TTL_MS,
+  issueLoginChallenge,
+  redeemLoginChallenge
+};
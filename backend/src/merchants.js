@@ -0,0 +1,232 @@
+/**
+ * Merchant registry
+ * A merchant id is only payable once a merchant has registered it (src/accounts.js).
+ * The registry adds what customers and operators need to know about a merchant:
+ * the display name shown on the customer's confirmation screen, a payout address,
+ * and whether an admin has suspended it. Payments to unknown or suspended
+ * merchants are refused.
+ *
+ * Merchants can also create API keys, so their own servers can read the payments
+ * they received without a password login. Keys are "mk_<keyId>.<secret>"; only a
+ * hash of the secret is stored and the key itself is shown once.
+ */
+
+const crypto = require('crypto');
+const ethers = require('ethers');
+const { ROLES, ACCOUNT_STATUS, MAX_NAME_LENGTH, createAccount } = require('./accounts');
+const { getStore } = require('./storage');
+
+const MAX_API_KEYS = parseInt(process.env.MERCHANT_MAX_API_KEYS, 10) || 5;
+const MAX_LABEL_LENGTH = 40;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function parseApiKey(apiKey) {
+  const match = /^mk_([0-9a-f-]{36})\.([A-Za-z0-9_-]{43})$/.exec(String(apiKey));
+  return match && { keyId: match[1], hash: hashSecret(match[2]) };
+}
+
+// What the merchant (and admins) may see of the merchant's account
+function merchantProfile(account) {
+  return {
+    merchantId: account.accountId,
+    name: account.name,
+    status: account.status,
+    statusReason: account.statusReason,
+    payoutAddress: account.payoutAddress,
+    createdAt: new Date(account.createdAt).toISOString(),
+    updatedAt: account.updatedAt ? new Date(account.updatedAt).toISOString() : null
+  };
+}
+
+function publicApiKey(apiKey) {
+  return {
+    keyId: apiKey.keyId,
+    label: apiKey.label,
+    createdAt: new Date(apiKey.createdAt).toISOString(),
+    revokedAt: apiKey.revokedAt ? new Date(apiKey.revokedAt).toISOString() : null
+  };
+}
+
+/**
+ * Check a profile change
+ * @returns {Object} - { valid: true, changes } with the payout address checksummed, or { valid: false, reason }
+ */
+function validateProfileChanges({ name, payoutAddress }) {
+  const changes = {};
+  if (name !== undefined) {
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > MAX_NAME_LENGTH) {
+      return { valid: false, reason: `Name must be 1-${MAX_NAME_LENGTH} characters` };
+    }
+    changes.name = name.trim();
+  }
+  if (payoutAddress !== undefined) {
+    if (payoutAddress !== null && (typeof payoutAddress !== 'string' || !ethers.isAddress(payoutAddress))) {
+      return { valid: false, reason: 'Payout address must be an Ethereum address' };
+    }
+    changes.payoutAddress = payoutAddress === null ? null : ethers.getAddress(payoutAddress);
+  }
+  return { valid: true, changes };
+}
+
+/**
+ * Register a merchant
+ * @param {Object} details - { merchantId, name, password, payoutAddress? }
+ * @returns {Promise<Object>} - { created: true, profile } or { created: false, code, reason }
+ */
+async function registerMerchant({ merchantId, name, password, payoutAddress = null }) {
+  // Customers see the name when they pay, so it can't be left out
+  const check = validateProfileChanges({ name: name ?? '', payoutAddress });
+  if (!check.valid) {
+    return { created: false, code: 'INVALID_ACCOUNT', reason: check.reason };
+  }
+  const result = await createAccount(ROLES.MERCHANT, { accountId: merchantId, name, password, payoutAddress: check.changes.payoutAddress });
+  if (!result.created) {
+    return result;
+  }
+  return { created: true, profile: await getMerchantProfile(merchantId) };
+}
+
+/**
+ * A merchant's profile
+ * @returns {Promise<Object|null>} - The profile, or null for an unregistered merchant id
+ */
+async function getMerchantProfile(merchantId) {
+  const account = await getStore().getAccount(ROLES.MERCHANT, merchantId);
+  return account ? merchantProfile(account) : null;
+}
+
+/**
+ * Every registered merchant, oldest first (for admins)
+ */
+async function listMerchants() {
+  return (await getStore().listAccounts(ROLES.MERCHANT)).map(merchantProfile);
+}
+
+/**
+ * Change a merchant's display name and payout address
+ * @param {Object} changes - { name?, payoutAddress? }; a null payoutAddress clears it
+ * @returns {Promise<Object>} - { updated: true, profile } or { updated: false, code, reason }
+ */
+async function updateMerchantProfile(merchantId, changes) {
+  const check = validateProfileChanges(changes);
+  if (!check.valid) {
+    return { updated: false, code: 'INVALID_PROFILE', reason: check.reason };
+  }
+  const account = await getStore().updateAccount(ROLES.MERCHANT, merchantId, { ...check.changes, updatedAt: Date.now() });
+  if (!account) {
+    return { updated: false, code: 'MERCHANT_NOT_FOUND', reason: 'No merchant with this ID is registered' };
+  }
+  return { updated: true, profile: merchantProfile(account) };
+}
+
+/**
+ * Suspend a merchant, or reinstate it
+ * @param {string} status - ACCOUNT_STATUS.ACTIVE or ACCOUNT_STATUS.SUSPENDED
+ * @param {string} [reason] - Why, shown to the merchant and admins only
+ * @returns {Promise<Object|null>} - The updated profile, or null for an unregistered merchant id
+ */
+async function setMerchantStatus(merchantId, status, reason = null) {
+  if (!Object.values(ACCOUNT_STATUS).includes(status)) {
+    throw new Error(`Unknown merchant status: ${status}`);
+  }
+  const account = await getStore().updateAccount(ROLES.MERCHANT, merchantId, {
+    status,
+    statusReason: status === ACCOUNT_STATUS.SUSPENDED && reason ? String(reason).slice(0, 200) : null,
+    updatedAt: Date.now()
+  });
+  return account ? merchantProfile(account) : null;
+}
+
+/**
+ * Whether a payment may go to this merchant
+ * @returns {Promise<Object>} - { valid: true, merchant: { merchantId, name } } or { valid: false, code, reason }
+ */
+async function checkPaymentMerchant(merchantId) {
+  const account = typeof merchantId === 'string' ? await getStore().getAccount(ROLES.MERCHANT, merchantId) : null;
+  if (!account) {
+    return { valid: false, code: 'MERCHANT_UNKNOWN', reason: `Merchant ${merchantId} is not registered` };
+  }
+  if (account.status !== ACCOUNT_STATUS.ACTIVE) {
+    return { valid: false, code: 'MERCHANT_SUSPENDED', reason: `Merchant ${merchantId} is suspended and cannot accept payments` };
+  }
+  return { valid: true, merchant: { merchantId: account.accountId, name: account.name } };
+}
+
+/**
+ * Create an API key for a merchant
+ * @param {Object} [options] - { label } to tell keys apart
+ * @returns {Promise<Object>} - { created: true, apiKey, key } with the key shown only now,
+ *   or { created: false, code, reason }
+ */
+async function createApiKey(merchantId, { label = null } = {}) {
+  if (label !== null && (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+    return { created: false, code: 'INVALID_LABEL', reason: `Label must be at most ${MAX_LABEL_LENGTH} characters` };
+  }
+  const store = getStore();
+  const active = (await store.listApiKeys(merchantId)).filter(k => k.revokedAt === null);
+  if (active.length >= MAX_API_KEYS) {
+    return { created: false, code: 'TOO_MANY_API_KEYS', reason: `At most ${MAX_API_KEYS} active API keys; revoke one first` };
+  }
+
+  const keyId = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const apiKey = { keyId, merchantId, secretHash: hashSecret(secret), label, createdAt: Date.now(), revokedAt: null };
+  await store.createApiKey(apiKey);
+  return { created: true, apiKey: publicApiKey(apiKey), key: `mk_${keyId}.${secret}` };
+}
+
+/**
+ * A merchant's API keys, revoked ones included
+ */
+async function listApiKeys(merchantId) {
+  return (await getStore().listApiKeys(merchantId)).map(publicApiKey);
+}
+
+/**
+ * Revoke one of a merchant's API keys
+ * @returns {Promise<boolean|null>} - true if revoked now, false if already revoked, null if not the merchant's key
+ */
+async function revokeApiKey(merchantId, keyId) {
+  const store = getStore();
+  const apiKey = await store.getApiKey(keyId);
+  if (!apiKey || apiKey.merchantId !== merchantId) {
+    return null;
+  }
+  return store.revokeApiKey(keyId, Date.now());
+}
+
+/**
+ * Check an API key presented by a merchant's server
+ * Keys of suspended merchants stop working until the merchant is reinstated
+ * @returns {Promise<Object|null>} - { merchantId, keyId }, or null
+ */
+async function authenticateApiKey(key) {
+  const parsed = parseApiKey(key);
+  const store = getStore();
+  const apiKey = parsed && await store.getApiKey(parsed.keyId);
+  if (!apiKey || apiKey.revokedAt !== null ||
+      !crypto.timingSafeEqual(Buffer.from(apiKey.secretHash, 'hex'), Buffer.from(parsed.hash, 'hex'))) {
+    return null;
+  }
+  const account = await store.getAccount(ROLES.MERCHANT, apiKey.merchantId);
+  if (!account || account.status !== ACCOUNT_STATUS.ACTIVE) {
+    return null;
+  }
+  return { merchantId: apiKey.merchantId, keyId: apiKey.keyId };
+}
+
+module.exports = {
+  registerMerchant,
+  getMerchantProfile,
+  listMerchants,
+  updateMerchantProfile,
+  setMerchantStatus,
+  checkPaymentMerchant,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+};
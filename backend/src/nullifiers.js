@@ -0,0 +1,155 @@
+/**
+ * Spent nullifier set
+ * A payment nullifier is spent once, permanently: spendNullifier() is an atomic
+ * check-and-insert in the shared store, so two requests carrying the same
+ * nullifier (on this instance or another) cannot both be accepted.
+ *
+ * A payment circuit version can be given an expiry epoch in
+ * NULLIFIER_EXPIRY_EPOCHS (e.g. "1=2027-01-01T00:00:00Z,2=1830297600"). Proofs
+ * of that version are refused from the epoch on, which makes its nullifiers
+ * unreplayable anyway - so they are pruned from the store after it.
+ */
+
+const { getStore } = require('./storage');
+
+const PRUNE_INTERVAL_MS = parseInt(process.env.NULLIFIER_PRUNE_INTERVAL_MS, 10) || 3600000;
+
+let pruneTimer = null;
+
+const stats = { spent: 0, replaysRejected: 0, pruned: 0, lastPrunedAt: null };
+
+/**
+ * Parse NULLIFIER_EXPIRY_EPOCHS: comma-separated version=epoch pairs, where the
+ * epoch is an ISO date or Unix seconds
+ * @returns {Map<string, number>} - circuit version -> expiry (ms since epoch)
+ */
+function parseExpiryEpochs(value = process.env.NULLIFIER_EXPIRY_EPOCHS) {
+  const epochs = new Map();
+  if (!value) {
+    return epochs;
+  }
+
+  for (const entry of value.split(',').map(e => e.trim()).filter(Boolean)) {
+    const separator = entry.indexOf('=');
+    const version = entry.slice(0, separator).trim();
+    const epoch = entry.slice(separator + 1).trim();
+    const expiresAt = /^\d+$/.test(epoch) ? Number(epoch) * 1000 : Date.parse(epoch);
+    if (separator <= 0 || Number.isNaN(expiresAt)) {
+      throw new Error(`Invalid NULLIFIER_EXPIRY_EPOCHS entry "${entry}" (expected <version>=<ISO date or Unix seconds>)`);
+    }
+    epochs.set(version, expiresAt);
+  }
+  return epochs;
+}
+
+const expiryEpochs = parseExpiryEpochs();
+
+/**
+ * Expiry epoch of a payment circuit version
+ * @returns {number|null} - ms since epoch, or null when its nullifiers never expire
+ */
+function getNullifierExpiry(circuitVersion) {
+  return expiryEpochs.get(String(circuitVersion)) ?? null;
+}
+
+/**
+ * Whether proofs of this payment circuit version are past their expiry epoch
+ */
+function isCircuitVersionExpired(circuitVersion, now = Date.now()) {
+  const expiresAt = getNullifierExpiry(circuitVersion);
+  return expiresAt !== null && now >= expiresAt;
+}
+
+/**
+ * The spend of a nullifier, if it has been spent
+ * @returns {Promise<Object|null>} - { spentAt, txId, circuitVersion, expiresAt }
+ */
+async function findNullifierSpend(nullifier) {
+  return getStore().getNullifierSpend(nullifier);
+}
+
+/**
+ * Spend a nullifier for a payment - atomic across every backend sharing the store
+ * @param {string} nullifier - The proof's nullifier
+ * @param {Object} payment - { txId, circuitVersion } of the payment spending it
+ * @returns {Promise<Object>} - { spent: true } or { spent: false, original } with the earlier spend
+ */
+async function spendNullifier(nullifier, { txId, circuitVersion }) {
+  const original = await getStore().spendNullifier(nullifier, {
+    spentAt: Date.now(),
+    txId,
+    circuitVersion: String(circuitVersion),
+    expiresAt: getNullifierExpiry(circuitVersion)
+  });
+
+  if (original) {
+    stats.replaysRejected++;
+    return { spent: false, original };
+  }
+  stats.spent++;
+  return { spent: true };
+}
+
+/**
+ * Count a replay caught before the proof was verified
+ */
+function recordRejectedReplay() {
+  stats.replaysRejected++;
+}
+
+/**
+ * Remove nullifiers whose circuit version is past its expiry epoch
+ * @returns {Promise<number>} - How many were removed
+ */
+async function pruneExpiredNullifiers(now = Date.now()) {
+  const removed = await getStore().pruneExpiredNullifiers(now);
+  stats.pruned += removed;
+  stats.lastPrunedAt = new Date(now).toISOString();
+  if (removed > 0) {
+    console.log(`🧹 Pruned ${removed} nullifier(s) past their circuit version's expiry epoch`);
+  }
+  return removed;
+}
+
+/**
+ * Prune now and then every NULLIFIER_PRUNE_INTERVAL_MS - only when an expiry epoch is configured
+ */
+function startNullifierPruning(intervalMs = PRUNE_INTERVAL_MS) {
+  if (pruneTimer || expiryEpochs.size === 0) {
+    return;
+  }
+  const run = () => pruneExpiredNullifiers().catch(error => console.error('Nullifier pruning error:', error.message));
+  pruneTimer = setInterval(run, intervalMs);
+  pruneTimer.unref();
+  run();
+}
+
+function stopNullifierPruning() {
+  if (pruneTimer) {
+    clearInterval(pruneTimer);
+    pruneTimer = null;
+  }
+}
+
+/**
+ * Spend counts and configured epochs (for health check)
+ */
+function getNullifierStats() {
+  return {
+    ...stats,
+    expiryEpochs: Object.fromEntries([...expiryEpochs].map(([version, expiresAt]) => [version, new Date(expiresAt).toISOString()]))
+  };
+}
+
+module.exports = {
+  parseExpiryEpochs,
+  getNullifierExpiry,
+  isCircuitVersionExpired,
+  findNullifierSpend,
+  spendNullifier,
+  recordRejectedReplay,
+  pruneExpiredNullifiers,
+  startNullifierPruning,
+  stopNullifierPruning,
+  getNullifierStats
+};
@@ -0,0 +1,168 @@
+/**
+ * PIN attempt limits
+ * A 4-digit PIN falls to 10,000 guesses, so every PIN check (/api/login and the
+ * PIN check of a payment) is counted per customer and per client IP in the
+ * shared store, where every backend instance sees the same counts:
+ * - The first PIN_FREE_ATTEMPTS failures cost nothing
+ * - After that the caller must wait before trying again, twice as long after
+ *   each failure (429)
+ * - PIN_LOCKOUT_AFTER failures lock the customer (or IP) out for PIN_LOCKOUT_MS,
+ *   twice as long after each further failure, up to a day (423). Lockouts are
+ *   audit events
+ * A correct PIN clears the customer's count; counts are otherwise forgotten
+ * PIN_ATTEMPT_WINDOW_MS after the last wait ends.
+ *
+ * An attempt is counted, and sets the next wait, before the PIN is checked, so a
+ * burst of parallel guesses cannot all get in before the first failure is
+ * recorded. Attempts that turn out not to be wrong PINs (the right PIN, an
+ * unregistered customer, a busy verifier, a refusal of the other scope) are
+ * released again, which also lifts the wait they set.
+ */
+
+const { getStore } = require('./storage');
+const { emitAuditEvent } = require('./audit');
+
+const BACKOFF_BASE_MS = 1000;
+const LOCKOUT_MS = parseInt(process.env.PIN_LOCKOUT_MS, 10) || 15 * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+const ATTEMPT_WINDOW_MS = parseInt(process.env.PIN_ATTEMPT_WINDOW_MS, 10) || 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// An IP may be shared by many customers (NAT, mobile carriers), so it gets more room
+const POLICIES = {
+  ip: {
+    freeAttempts: parseInt(process.env.PIN_IP_FREE_ATTEMPTS, 10) || 20,
+    lockoutAfter: parseInt(process.env.PIN_IP_LOCKOUT_AFTER, 10) || 100
+  },
+  customer: {
+    freeAttempts: parseInt(process.env.PIN_FREE_ATTEMPTS, 10) || 3,
+    lockoutAfter: parseInt(process.env.PIN_LOCKOUT_AFTER, 10) || 10
+  }
+};
+
+/**
+ * How long to wait after the 1st, 2nd, ... failure; the last entry holds from then on
+ */
+function delaySchedule({ freeAttempts, lockoutAfter }) {
+  const delays = [];
+  for (let failures = 1; delays[delays.length - 1] !== MAX_LOCKOUT_MS; failures++) {
+    if (failures >= lockoutAfter) {
+      delays.push(Math.min(LOCKOUT_MS * 2 ** (failures - lockoutAfter), MAX_LOCKOUT_MS));
+    } else if (failures > freeAttempts) {
+      delays.push(Math.min(BACKOFF_BASE_MS * 2 ** (failures - freeAttempts - 1), LOCKOUT_MS));
+    } else {
+      delays.push(0);
+    }
+  }
+  return delays;
+}
+
+const DELAYS = {
+  ip: delaySchedule(POLICIES.ip),
+  customer: delaySchedule(POLICIES.customer)
+};
+
+const stats = { refused: 0, lockouts: 0 };
+let prunedAt = 0;
+
+/**
+ * Count a PIN attempt before the PIN is checked
+ * Settle it afterwards with recordPinFailure, recordPinSuccess or releasePinAttempt.
+ * @param {string} customerId - The customer whose PIN is tried
+ * @param {string} ip - The client's IP
+ * @returns {Promise<Object>} - { allowed: true, attempt } or
+ *   { allowed: false, scope, locked, retryAfterSeconds } while the customer or IP must wait
+ */
+async function beginPinAttempt(customerId, ip, now = Date.now()) {
+  const store = getStore();
+  if (now - prunedAt >= PRUNE_INTERVAL_MS) {
+    prunedAt = now;
+    await store.pruneExpiredCounters(now);
+  }
+
+  // The IP first: a refused IP then never touches the customer's count
+  const taken = [];
+  for (const [scope, id] of [['ip', ip], ['customer', customerId]]) {
+    const key = `pin:${scope}:${id}`;
+    const result = await store.takeAttempt(key, now, DELAYS[scope], ATTEMPT_WINDOW_MS);
+    if (!result.allowed) {
+      await Promise.all(taken.map(entry => store.releaseAttempt(entry.key, entry)));
+      stats.refused++;
+      return {
+        allowed: false,
+        scope,
+        locked: result.failures >= POLICIES[scope].lockoutAfter,
+        retryAfterSeconds: Math.ceil((result.blockedUntil - now) / 1000)
+      };
+    }
+    taken.push({
+      scope,
+      key,
+      failures: result.failures,
+      blockedUntil: result.blockedUntil,
+      previousBlockedUntil: result.previousBlockedUntil
+    });
+  }
+  return { allowed: true, attempt: { customerId, ip, taken } };
+}
+
+/**
+ * The PIN was wrong: the attempt stays counted, and locks out whoever reached PIN_LOCKOUT_AFTER
+ * @param {Object} attempt - From beginPinAttempt
+ * @param {string} via - Where the PIN was tried: 'login' or 'payment'
+ */
+function recordPinFailure(attempt, via) {
+  for (const { scope, failures, blockedUntil } of attempt.taken) {
+    if (failures >= POLICIES[scope].lockoutAfter) {
+      stats.lockouts++;
+      emitAuditEvent('pin.lockout', {
+        scope,
+        customerId: attempt.customerId,
+        ip: attempt.ip,
+        via,
+        failures,
+        lockedUntil: new Date(blockedUntil).toISOString()
+      });
+    }
+  }
+}
+
+/**
+ * The PIN was right: the customer starts over, and the IP gets its attempt back
+ */
+async function recordPinSuccess(attempt) {
+  const store = getStore();
+  await Promise.all(attempt.taken.map(entry =>
+    entry.scope === 'customer' ? store.clearAttempts(entry.key) : store.releaseAttempt(entry.key, entry)
+  ));
+}
+
+/**
+ * The attempt ended without a verdict on the PIN: uncount it
+ */
+async function releasePinAttempt(attempt) {
+  const store = getStore();
+  await Promise.all(attempt.taken.map(entry => store.releaseAttempt(entry.key, entry)));
+}
+
+/**
+ * Attempt limits and counts since start (for health check)
+ */
+function getPinAttemptStats() {
+  return {
+    ...stats,
+    freeAttempts: POLICIES.customer.freeAttempts,
+    lockoutAfter: POLICIES.customer.lockoutAfter,
+    ipFreeAttempts: POLICIES.ip.freeAttempts,
+    ipLockoutAfter: POLICIES.ip.lockoutAfter,
+    lockoutMs: LOCKOUT_MS
+  };
+}
+
+module.exports = {
+  beginPinAttempt,
+  recordPinFailure,
+  recordPinSuccess,
+  releasePinAttempt,
+  getPinAttemptStats
+};
@@ -0,0 +1,523 @@
+/**
+ * PIN lookup layer
+ * Every PIN read in the backend goes through lookupPIN(): PINRegistry view calls
+ * first, an in-process cache with a TTL in front of them, and the local store only
+ * when the chain cannot be reached. The local store is the persistent store from
+ * ./storage, so registrations survive a restart. A background job compares it
+ * with the contract and reports (and, where the chain is authoritative, repairs)
+ * any differences, so every backend instance answers from the same state.
+ * The contract never sees a customer id or a salt: records are keyed by
+ * customerKey(), an HMAC of the id under PIN_REGISTRY_KEY_SECRET, and salts stay
+ * in the backend store.
+ */
+
+const ethers = require('ethers');
+const { toFieldElement } = require('./circuits');
+const {
+  TX_STATUS,
+  loadRegistrySigner,
+  submitRegistryTransaction,
+  getRegistrySignerStats
+} = require('./registrySigner');
+const { getStore } = require('./storage');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const PIN_REGISTRY_ABI = [
+  'function registerPIN(bytes32 _customerKey, bytes32 _pinHash) external',
+  'function verifyPIN(bytes32 _customerKey, bytes32 _claimedPinHash) external returns (bool valid)',
+  'function isPINRegistered(bytes32 _customerKey) external view returns (bool)',
+  'function getRegisteredCount() external view returns (uint256)',
+  'function revokePIN(bytes32 _customerKey) external',
+  'function getPINStatus(bytes32 _customerKey) external view returns (uint8 status, uint256 failedAttempts, address owner, address guardian)',
+  'function pinRegistry(bytes32) external view returns (bytes32 pinHash, uint256 registeredAt, bool exists, address owner, address guardian, uint8 status, uint256 failedAttempts)'
+];
+
+// PINRegistry.PINStatus
+const PIN_STATUS_LOCKED = 2;
+
+const CACHE_TTL_MS = parseInt(process.env.PIN_CACHE_TTL_MS, 10) || 30000;
+const CACHE_MAX_ENTRIES = parseInt(process.env.PIN_CACHE_MAX_ENTRIES, 10) || 10000;
+const CHAIN_TIMEOUT_MS = parseInt(process.env.PIN_CHAIN_TIMEOUT_MS, 10) || 3000;
+const RECONCILE_INTERVAL_MS = process.env.PIN_RECONCILE_INTERVAL_MS !== undefined
+  ? parseInt(process.env.PIN_RECONCILE_INTERVAL_MS, 10)
+  : 300000;
+
+// Discrepancies kept in the reconciliation report
+const MAX_REPORTED_DISCREPANCIES = 50;
+
+let pinRegistryContract = null;
+let registrySigner = null;
+let keySecret = null;
+
+// Local records (in the store) are { pinHash, salt, registeredAt, changedAt?, chain }
+// where chain is the registrySigner record of the last registerPIN transaction.
+// Records whose transaction this process is still following are also kept here,
+// since their chain status changes before the store is updated
+const inFlight = new Map();
+
+// Writes to one customer's record are chained so a late transaction update
+// cannot overwrite a newer registration
+const recordLocks = new Map();
+
+// Chain lookups: customerId -> { record, fetchedAt, expiresAt } - record is null when not registered
+const chainCache = new Map();
+
+const lookupStats = { chain: 0, cache: 0, fallback: 0, chainErrors: 0 };
+
+let reconcileTimer = null;
+let lastReconciliation = null;
+
+/**
+ * Initialize PIN Registry smart contract
+ * The address comes from the deployments manifest (see deployments.js), or from
+ * PIN_REGISTRY_ADDRESS where no manifest lists a PINRegistry
+ * With REGISTRY_SIGNER_PRIVATE_KEY or REGISTRY_SIGNER_KEYSTORE set, the contract is
+ * connected to that account and registrations are sent as registerPIN transactions
+ * A signer that is configured but cannot be loaded stops startup rather than
+ * silently keeping registrations off-chain
+ * @param {ethers.Provider} provider - Provider for view calls and transactions
+ * @param {Object|null} [deployed] - getDeployedContract('PINRegistry', PIN_REGISTRY_ABI)
+ */
+async function initializePINRegistry(provider, deployed = null) {
+  const PIN_REGISTRY_ADDRESS = deployed?.address || process.env.PIN_REGISTRY_ADDRESS || ZERO_ADDRESS;
+  if (PIN_REGISTRY_ADDRESS !== ZERO_ADDRESS) {
+    // Without the secret the contract's records cannot be found, and a made-up
+    // one would file every customer under keys no other instance can read
+    if (!process.env.PIN_REGISTRY_KEY_SECRET) {
+      throw new Error('PIN_REGISTRY_KEY_SECRET is required with PIN_REGISTRY_ADDRESS (the secret that blinds customer ids on-chain)');
+    }
+    keySecret = ethers.toUtf8Bytes(process.env.PIN_REGISTRY_KEY_SECRET);
+    registrySigner = await loadRegistrySigner(provider);
+  }
+
+  try {
+    if (PIN_REGISTRY_ADDRESS !== ZERO_ADDRESS) {
+      pinRegistryContract = new ethers.Contract(
+        PIN_REGISTRY_ADDRESS,
+        PIN_REGISTRY_ABI,
+        registrySigner || provider
+      );
+      console.log('✓ PIN Registry smart contract initialized at', PIN_REGISTRY_ADDRESS);
+      if (registrySigner) {
+        console.log(`✓ PIN registrations will be sent on-chain from ${await registrySigner.getAddress()}`);
+      } else {
+        console.log('⚠️  No registry signer configured (REGISTRY_SIGNER_PRIVATE_KEY or REGISTRY_SIGNER_KEYSTORE).');
+        console.log('   New PINs are stored by the backend only; existing on-chain PINs are still read from the contract.');
+      }
+    } else {
+      console.log('⚠️  PIN Registry contract address not set. PINs are kept in the backend store only.');
+      console.log('   Deploy with blockchain/scripts/deploy.js and set DEPLOYMENT_NETWORK in .env');
+    }
+  } catch (error) {
+    console.error('Error initializing PIN Registry contract:', error.message);
+  }
+}
+
+/**
+ * Blinded PINRegistry key for a customer: HMAC-SHA256(PIN_REGISTRY_KEY_SECRET, customerId)
+ * Unlike a plain hash of the id, it cannot be found by hashing guessed ids
+ * @param {string} customerId - Customer id
+ * @param {string|Uint8Array} [secret] - Defaults to PIN_REGISTRY_KEY_SECRET
+ * @returns {string} - bytes32 hex
+ */
+function customerKey(customerId, secret = keySecret) {
+  const key = typeof secret === 'string' ? ethers.toUtf8Bytes(secret) : secret;
+  if (!key || key.length === 0) {
+    throw new Error('PIN_REGISTRY_KEY_SECRET is not set');
+  }
+  return ethers.computeHmac('sha256', key, ethers.toUtf8Bytes(customerId));
+}
+
+/**
+ * Field element (decimal string) as the bytes32 the contract stores
+ */
+function toBytes32(value) {
+  return ethers.toBeHex(BigInt(value), 32);
+}
+
+/**
+ * Reject after CHAIN_TIMEOUT_MS - a provider that cannot reach its node keeps
+ * retrying instead of failing, which would hang every login
+ */
+function withChainTimeout(promise) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`PINRegistry did not answer within ${CHAIN_TIMEOUT_MS}ms`)), CHAIN_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Read one customer's PIN from the contract
+ * The salt is not on-chain; lookupPIN() adds it from the local store
+ * @returns {Promise<Object|null>} - { pinHash, registeredAt, locked } or null if not registered
+ * @throws {Error} - when the chain cannot be reached
+ */
+async function readChainRecord(customerId) {
+  const data = await withChainTimeout(pinRegistryContract.pinRegistry(customerKey(customerId)));
+  if (!data.exists) {
+    return null;
+  }
+  return {
+    pinHash: BigInt(data.pinHash).toString(),
+    registeredAt: new Date(Number(data.registeredAt) * 1000).toISOString(),
+    // Locked after too many failed verifications, until the guardian recovers it
+    locked: Number(data.status) === PIN_STATUS_LOCKED
+  };
+}
+
+function cacheChainRecord(customerId, record) {
+  chainCache.delete(customerId);
+  if (chainCache.size >= CACHE_MAX_ENTRIES) {
+    // Maps iterate in insertion order, so the first key is the oldest entry
+    chainCache.delete(chainCache.keys().next().value);
+  }
+  chainCache.set(customerId, { record, fetchedAt: Date.now(), expiresAt: Date.now() + CACHE_TTL_MS });
+}
+
+/**
+ * Look up a customer's registered PIN
+ * Order: a registration this instance has sent but not yet seen mined (so a
+ * customer can pay right after registering), the cache, a PINRegistry view call,
+ * and the local store when the chain is unreachable or no contract is set
+ * @param {string} customerId - Customer to look up
+ * @returns {Promise<Object>} - { record, source, local }
+ *   record is { pinHash, salt, registeredAt } or null; source is 'pending-write',
+ *   'cache', 'chain', 'local' or 'fallback'; local is the local store entry, if any
+ */
+async function lookupPIN(customerId) {
+  const local = inFlight.get(customerId) || await getStore().getPIN(customerId);
+
+  if (!pinRegistryContract) {
+    return { record: local, source: 'local', local };
+  }
+
+  if (inFlight.has(customerId) && local.chain.status === TX_STATUS.PENDING) {
+    return { record: local, source: 'pending-write', local };
+  }
+
+  // A registration of ours that was mined after the entry was cached makes it stale
+  const cached = chainCache.get(customerId);
+  const fresh = cached && cached.expiresAt > Date.now() &&
+    !(local && local.chain.updatedAt && Date.parse(local.chain.updatedAt) >= cached.fetchedAt);
+  let record;
+  let source;
+  if (fresh) {
+    lookupStats.cache++;
+    ({ record } = cached);
+    source = 'cache';
+  } else {
+    try {
+      record = await readChainRecord(customerId);
+      lookupStats.chain++;
+      cacheChainRecord(customerId, record);
+      source = 'chain';
+    } catch (error) {
+      lookupStats.chainErrors++;
+      lookupStats.fallback++;
+      console.warn(`⚠️  PINRegistry unreachable (${error.shortMessage || error.message}). Using local PIN store for ${customerId}.`);
+      return { record: local, source: 'fallback', local };
+    }
+  }
+
+  // PINs registered while no signer was configured were never meant to be on-chain
+  if (!record && local && local.chain.status === TX_STATUS.OFF_CHAIN) {
+    return { record: local, source: 'local', local };
+  }
+
+  // The salt only exists in the store, and only belongs to the PIN it was stored with
+  if (record) {
+    record = { ...record, salt: local && local.pinHash === record.pinHash ? local.salt : null };
+  }
+
+  return { record, source, local };
+}
+
+/**
+ * Run fn while holding the write lock for one customer's local record
+ */
+async function withRecordLock(customerId, fn) {
+  const previous = recordLocks.get(customerId) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  recordLocks.set(customerId, current);
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (recordLocks.get(customerId) === current) {
+      recordLocks.delete(customerId);
+    }
+  }
+}
+
+/**
+ * Persist a transaction update for a record this process registered
+ * Dropped if the customer has registered again since
+ */
+function persistChainUpdate(customerId, local) {
+  withRecordLock(customerId, async () => {
+    if (inFlight.get(customerId) !== local) return;
+    await getStore().savePIN(customerId, local);
+    if (local.chain.status !== TX_STATUS.PENDING) {
+      inFlight.delete(customerId);
+    }
+  }).catch(error => console.error(`Error saving registerPIN status for ${customerId}:`, error.message));
+}
+
+/**
+ * Register a PIN hash for a customer on the blockchain
+ * The record is always saved to the local store, which is all there is when no
+ * contract is deployed
+ * The registerPIN transaction is queued and tracked in the background; the
+ * record's chain.status moves from pending to confirmed or failed
+ * @param {string} customerId - Customer the PIN belongs to
+ * @param {string} pinHash - Poseidon(pin, salt) as a decimal field element
+ * @param {string|null} salt - Salt as a decimal field element
+ * @param {Object} [options] - { changed } - keep registeredAt and stamp changedAt
+ */
+async function registerPINHash(customerId, pinHash, salt, options = {}) {
+  try {
+    await withRecordLock(customerId, async () => {
+      const previous = inFlight.get(customerId) || await getStore().getPIN(customerId);
+      const now = new Date().toISOString();
+      const local = {
+        pinHash,
+        salt,
+        registeredAt: options.changed && previous ? previous.registeredAt : now,
+        ...(options.changed && { changedAt: now }),
+        chain: { status: TX_STATUS.OFF_CHAIN }
+      };
+
+      if (pinRegistryContract && registrySigner) {
+        local.chain = submitRegistryTransaction(
+          `registerPIN ${customerId}`,
+          () => pinRegistryContract.registerPIN(customerKey(customerId), toBytes32(pinHash)),
+          () => persistChainUpdate(customerId, local)
+        );
+        inFlight.set(customerId, local);
+      } else {
+        inFlight.delete(customerId);
+      }
+
+      await getStore().savePIN(customerId, local);
+      chainCache.delete(customerId);
+    });
+
+    console.log(`✓ PIN registered for customer ${customerId}`);
+  } catch (error) {
+    console.error('Error registering PIN:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Verify PIN hash matches the registered one
+ * Reads through lookupPIN(), so the contract is checked first
+ * @returns {Promise<Object>} - { valid, code?, reason, salt?, source, onChain? }
+ *   code is 'PIN_NOT_REGISTERED', 'PIN_LOCKED' or 'PIN_MISMATCH' when invalid
+ */
+async function verifyPINHash(customerId, claimedPinHash) {
+  try {
+    const { record, source } = await lookupPIN(customerId);
+
+    if (!record) {
+      return {
+        valid: false,
+        code: 'PIN_NOT_REGISTERED',
+        reason: 'PIN not registered for this customer. Please register first.',
+        source
+      };
+    }
+
+    if (record.locked) {
+      return {
+        valid: false,
+        code: 'PIN_LOCKED',
+        reason: 'PIN is locked after too many failed attempts. Ask your guardian to recover it.',
+        source
+      };
+    }
+
+    let claimed;
+    try {
+      claimed = toFieldElement(claimedPinHash).toString();
+    } catch (error) {
+      claimed = null;
+    }
+
+    if (record.pinHash !== claimed) {
+      return {
+        valid: false,
+        code: 'PIN_MISMATCH',
+        reason: 'PIN hash does not match. Wrong PIN entered.',
+        source
+      };
+    }
+
+    return {
+      valid: true,
+      reason: 'PIN hash verified successfully',
+      salt: record.salt,
+      source,
+      onChain: source === 'chain' || source === 'cache'
+    };
+  } catch (error) {
+    console.error('Error verifying PIN:', error.message);
+    return {
+      valid: false,
+      reason: 'Error during PIN verification: ' + error.message,
+      source: 'error'
+    };
+  }
+}
+
+/**
+ * Compare every local record with the contract
+ * The chain wins where both have a PIN and they differ; records the chain lacks
+ * are only reported, since the local store cannot tell a lost transaction from
+ * a redeployed contract. Customers registered on-chain by another instance are
+ * not listed here - the contract only holds blinded customer keys.
+ * @returns {Promise<Object>} - The reconciliation report (also kept for /api/health)
+ */
+async function reconcilePINRegistry() {
+  const report = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    checked: 0,
+    inSync: 0,
+    skippedPending: 0,
+    counts: { mismatch: 0, missing_on_chain: 0, local_only: 0 },
+    discrepancies: [],
+    chainRegisteredCount: null,
+    localCount: null,
+    error: null
+  };
+
+  if (!pinRegistryContract) {
+    report.error = 'PIN Registry contract not configured';
+    report.finishedAt = new Date().toISOString();
+    lastReconciliation = report;
+    return report;
+  }
+
+  const note = (customerId, kind, details) => {
+    report.counts[kind]++;
+    if (report.discrepancies.length < MAX_REPORTED_DISCREPANCIES) {
+      report.discrepancies.push({ customerId, kind, ...details });
+    }
+  };
+
+  try {
+    report.chainRegisteredCount = Number(await withChainTimeout(pinRegistryContract.getRegisteredCount()));
+    const localRecords = await getStore().listPINs();
+    report.localCount = localRecords.length;
+
+    for (const { customerId, record: local } of localRecords) {
+      if (inFlight.has(customerId)) {
+        report.skippedPending++;
+        continue;
+      }
+
+      report.checked++;
+      const onChain = await readChainRecord(customerId);
+      cacheChainRecord(customerId, onChain);
+
+      if (onChain && onChain.pinHash === local.pinHash) {
+        report.inSync++;
+      } else if (onChain) {
+        note(customerId, 'mismatch', { localPinHash: local.pinHash, chainPinHash: onChain.pinHash });
+        // Skip the repair if a new registration started while the chain was being read
+        await withRecordLock(customerId, async () => {
+          const current = await getStore().getPIN(customerId);
+          if (current && !inFlight.has(customerId) && current.chain.submittedAt === local.chain.submittedAt &&
+              current.pinHash === local.pinHash) {
+            // The stored salt belonged to the old PIN; the new one's isn't known here
+            await getStore().savePIN(customerId, {
+              ...current,
+              pinHash: onChain.pinHash,
+              salt: null,
+              reconciledAt: new Date().toISOString()
+            });
+          }
+        });
+      } else if (local.chain.status === TX_STATUS.CONFIRMED) {
+        note(customerId, 'missing_on_chain', { txHash: local.chain.txHash });
+      } else {
+        note(customerId, 'local_only', { chainStatus: local.chain.status });
+      }
+    }
+  } catch (error) {
+    report.error = error.shortMessage || error.message;
+  }
+
+  report.finishedAt = new Date().toISOString();
+  lastReconciliation = report;
+
+  const found = Object.values(report.counts).reduce((a, b) => a + b, 0);
+  if (report.error) {
+    console.warn(`⚠️  PIN reconciliation stopped: ${report.error}`);
+  } else if (found > 0) {
+    console.warn(`⚠️  PIN reconciliation: ${found} difference(s) between local store and PINRegistry`, report.counts);
+  }
+  return report;
+}
+
+/**
+ * Run reconcilePINRegistry() now and then every PIN_RECONCILE_INTERVAL_MS (0 disables it)
+ */
+function startPINReconciliation(intervalMs = RECONCILE_INTERVAL_MS) {
+  if (reconcileTimer || !pinRegistryContract || !intervalMs) {
+    return;
+  }
+  const run = () => reconcilePINRegistry().catch(error => console.error('PIN reconciliation error:', error.message));
+  reconcileTimer = setInterval(run, intervalMs);
+  reconcileTimer.unref();
+  run();
+}
+
+function stopPINReconciliation() {
+  if (reconcileTimer) {
+    clearInterval(reconcileTimer);
+    reconcileTimer = null;
+  }
+}
+
+/**
+ * Get PIN registry statistics (for health check)
+ */
+async function getPINRegistryStats() {
+  return {
+    fallbackCount: await getStore().countPINs(),
+    blockchainEnabled: Boolean(pinRegistryContract),
+    contractAddress: pinRegistryContract?.target || 'Not deployed',
+    signer: getRegistrySignerStats(),
+    lookups: { ...lookupStats },
+    cache: { entries: chainCache.size, ttlMs: CACHE_TTL_MS },
+    reconciliation: lastReconciliation && {
+      startedAt: lastReconciliation.startedAt,
+      finishedAt: lastReconciliation.finishedAt,
+      checked: lastReconciliation.checked,
+      inSync: lastReconciliation.inSync,
+      counts: lastReconciliation.counts,
+      chainRegisteredCount: lastReconciliation.chainRegisteredCount,
+      localCount: lastReconciliation.localCount,
+      error: lastReconciliation.error
+    }
+  };
+}
+
+module.exports = {
+  PIN_REGISTRY_ABI,
+  customerKey,
+  initializePINRegistry,
+  lookupPIN,
+  registerPINHash,
+  verifyPINHash,
+  reconcilePINRegistry,
+  startPINReconciliation,
+  stopPINReconciliation,
+  getPINRegistryStats
+};
@@ -0,0 +1,37 @@
+/**
+ * Fixed-window rate limiting
+ * Counts requests per key (a client IP, a customer id) in windows of windowMs
+ * and refuses the ones past max until the window ends. Counters live in the
+ * shared store, so the limit holds across every backend instance.
+ */
+
+const { getStore } = require('./storage');
+
+/**
+ * Create a rate limiter
+ * @param {Object} options - { name, windowMs, max } - name keeps the limiter's counters apart from others'
+ * @returns {Object} - { check(key) } resolving to { allowed, retryAfterSeconds }
+ */
+function createRateLimiter({ name, windowMs, max }) {
+  let prunedAt = 0;
+
+  async function check(key, now = Date.now()) {
+    const store = getStore();
+
+    // Drop finished windows, at most once per window
+    if (now - prunedAt >= windowMs) {
+      prunedAt = now;
+      await store.pruneExpiredCounters(now);
+    }
+
+    const { count, resetAt } = await store.hitRateLimit(`${name}:${key}`, now, windowMs);
+    if (count > max) {
+      return { allowed: false, retryAfterSeconds: Math.ceil((resetAt - now) / 1000) };
+    }
+    return { allowed: true, retryAfterSeconds: 0 };
+  }
+
+  return { check };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,155 @@
+/**
+ * Signer and transaction tracking for PINRegistry writes
+ * Loads the account that pays for registerPIN transactions, hands out nonces in
+ * submission order, and follows every transaction to its receipt so each
+ * registration record moves from pending to confirmed or failed
+ */
+
+const fs = require('fs');
+const ethers = require('ethers');
+
+const TX_CONFIRMATIONS = parseInt(process.env.REGISTRY_TX_CONFIRMATIONS, 10) || 1;
+const TX_TIMEOUT_MS = parseInt(process.env.REGISTRY_TX_TIMEOUT_MS, 10) || 120000;
+
+// Status of a registration record with respect to the chain
+const TX_STATUS = {
+  OFF_CHAIN: 'off-chain', // No signer configured - stored by the backend only
+  PENDING: 'pending',     // Queued or sent, receipt not seen yet
+  CONFIRMED: 'confirmed', // Mined with TX_CONFIRMATIONS confirmations
+  FAILED: 'failed'        // Rejected on send, reverted, or not mined within TX_TIMEOUT_MS
+};
+
+let signer = null;
+
+// Sends are chained so nonces go out in submission order and a failed send can
+// reset the nonce manager before the next transaction picks its nonce
+let sendQueue = Promise.resolve();
+
+const stats = { submitted: 0, confirmed: 0, failed: 0 };
+
+/**
+ * Load the registry signer from REGISTRY_SIGNER_PRIVATE_KEY or from an encrypted
+ * JSON keystore (REGISTRY_SIGNER_KEYSTORE + REGISTRY_SIGNER_KEYSTORE_PASSWORD)
+ * @param {ethers.Provider} provider - Provider the signer sends through
+ * @returns {Promise<ethers.NonceManager|null>} - null when no signer is configured
+ */
+async function loadRegistrySigner(provider) {
+  const privateKey = process.env.REGISTRY_SIGNER_PRIVATE_KEY;
+  const keystorePath = process.env.REGISTRY_SIGNER_KEYSTORE;
+
+  let wallet;
+  if (privateKey) {
+    wallet = new ethers.Wallet(privateKey);
+  } else if (keystorePath) {
+    if (!fs.existsSync(keystorePath)) {
+      throw new Error(`Registry signer keystore not found at ${keystorePath}`);
+    }
+    const password = process.env.REGISTRY_SIGNER_KEYSTORE_PASSWORD;
+    if (password === undefined) {
+      throw new Error('REGISTRY_SIGNER_KEYSTORE is set but REGISTRY_SIGNER_KEYSTORE_PASSWORD is not');
+    }
+    wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(keystorePath, 'utf8'), password);
+  } else {
+    signer = null;
+    return null;
+  }
+
+  signer = new ethers.NonceManager(wallet.connect(provider));
+  return signer;
+}
+
+/**
+ * Queue a transaction and track it to its receipt
+ * The returned record is updated in place as the transaction progresses
+ * @param {string} label - What the transaction does, for logs
+ * @param {Function} send - Called when the transaction's turn comes; returns ethers' TransactionResponse
+ * @param {Function} [onUpdate] - Called with the record after each change (sent, confirmed, failed)
+ * @returns {Object} - { status, txHash, nonce, blockNumber, error, submittedAt, updatedAt }
+ */
+function submitRegistryTransaction(label, send, onUpdate) {
+  const record = {
+    status: TX_STATUS.PENDING,
+    txHash: null,
+    nonce: null,
+    blockNumber: null,
+    error: null,
+    submittedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  stats.submitted++;
+
+  const sent = sendQueue.then(async () => {
+    try {
+      const tx = await send();
+      Object.assign(record, { txHash: tx.hash, nonce: tx.nonce, updatedAt: new Date().toISOString() });
+      onUpdate?.(record);
+      console.log(`📡 [BLOCKCHAIN] ${label}: sent ${tx.hash} (nonce ${tx.nonce})`);
+      return tx;
+    } catch (error) {
+      // The nonce manager counted this nonce; reload it from the chain
+      signer?.reset();
+      fail(record, label, error);
+      onUpdate?.(record);
+      return null;
+    }
+  });
+  sendQueue = sent.then(() => {});
+
+  sent.then(async (tx) => {
+    if (!tx) return;
+    try {
+      const receipt = await tx.wait(TX_CONFIRMATIONS, TX_TIMEOUT_MS);
+      stats.confirmed++;
+      Object.assign(record, {
+        status: TX_STATUS.CONFIRMED,
+        blockNumber: receipt.blockNumber,
+        updatedAt: new Date().toISOString()
+      });
+      onUpdate?.(record);
+      console.log(`✓ [BLOCKCHAIN] ${label}: confirmed in block ${receipt.blockNumber}`);
+    } catch (error) {
+      fail(record, label, error);
+      onUpdate?.(record);
+    }
+  });
+
+  return record;
+}
+
+function fail(record, label, error) {
+  stats.failed++;
+  Object.assign(record, {
+    status: TX_STATUS.FAILED,
+    error: error.shortMessage || error.message,
+    updatedAt: new Date().toISOString()
+  });
+  console.error(`❌ [BLOCKCHAIN] ${label}: ${record.error}`);
+}
+
+/**
+ * Wait until every queued transaction has been sent (not mined)
+ */
+function flushRegistryQueue() {
+  return sendQueue;
+}
+
+/**
+ * Signer address and transaction counts (for health check)
+ * @returns {Object} - { enabled, address, submitted, confirmed, failed, pending }
+ */
+function getRegistrySignerStats() {
+  return {
+    enabled: Boolean(signer),
+    address: signer ? signer.signer.address : null,
+    ...stats,
+    pending: stats.submitted - stats.confirmed - stats.failed
+  };
+}
+
+module.exports = {
+  TX_STATUS,
+  loadRegistrySigner,
+  submitRegistryTransaction,
+  flushRegistryQueue,
+  getRegistrySignerStats
+};
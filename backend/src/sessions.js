@@ -0,0 +1,199 @@
+/**
+ * Login sessions and refresh tokens
+ * A session belongs to a principal - { role, id } with role customer, merchant
+ * or admin - and is opened by that role's login. A login opens a session and hands out a short-lived access token (JWT) and a
+ * refresh token. Refresh tokens rotate: each one buys a new pair exactly once.
+ * Presenting one that was already rotated means it was copied, so the whole
+ * session is revoked. Only a hash of the current refresh token is stored.
+ *
+ * Revoking a session (logout, or from another device when a phone is lost) also
+ * puts its id on the revocation list until the last access token it issued has
+ * expired; authenticateToken refuses access tokens of sessions on the list.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 900;
+const REFRESH_TOKEN_TTL_MS = parseInt(process.env.REFRESH_TOKEN_TTL_MS, 10) || 30 * 24 * 60 * 60 * 1000;
+
+const stats = { created: 0, refreshed: 0, revoked: 0, reuseDetected: 0 };
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Refresh tokens are "<sessionId>.<secret>"; the session id says which stored hash to check
+ */
+function newRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashSecret(secret) };
+}
+
+function parseRefreshToken(refreshToken) {
+  const match = /^([0-9a-f-]{36})\.([A-Za-z0-9_-]{43})$/.exec(String(refreshToken));
+  return match && { sessionId: match[1], hash: hashSecret(match[2]) };
+}
+
+// What a client may see of a session
+function publicSession(session) {
+  return {
+    sessionId: session.sessionId,
+    createdAt: new Date(session.createdAt).toISOString(),
+    lastRefreshedAt: session.refreshedAt ? new Date(session.refreshedAt).toISOString() : null,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+    userAgent: session.userAgent
+  };
+}
+
+/**
+ * Open a session after a successful login
+ * @param {Object} principal - { role, id } of who logged in
+ * @param {Object} [details] - { userAgent } shown when listing sessions
+ * @returns {Promise<Object>} - { sessionId, refreshToken, expiresAt }
+ */
+async function createSession(principal, { userAgent = null } = {}) {
+  const store = getStore();
+  const now = Date.now();
+  await store.pruneExpiredSessions(now);
+
+  const sessionId = crypto.randomUUID();
+  const { refreshToken, refreshTokenHash } = newRefreshToken(sessionId);
+  const session = {
+    sessionId,
+    role: principal.role,
+    principalId: principal.id,
+    refreshTokenHash,
+    createdAt: now,
+    refreshedAt: null,
+    expiresAt: now + REFRESH_TOKEN_TTL_MS,
+    revokedAt: null,
+    userAgent: userAgent ? String(userAgent).slice(0, 200) : null
+  };
+  await store.createSession(session);
+  stats.created++;
+
+  return { sessionId, refreshToken, expiresAt: session.expiresAt };
+}
+
+/**
+ * Trade a refresh token for the next one
+ * @param {string} refreshToken - The refresh token from the last login or refresh
+ * @returns {Promise<Object>} - { valid: true, principal, sessionId, refreshToken, expiresAt }
+ *   or { valid: false, code, reason }
+ */
+async function rotateRefreshToken(refreshToken) {
+  const store = getStore();
+  const parsed = parseRefreshToken(refreshToken);
+  const session = parsed && await store.getSession(parsed.sessionId);
+  const now = Date.now();
+
+  if (!session) {
+    return { valid: false, code: 'REFRESH_TOKEN_INVALID', reason: 'Unknown refresh token' };
+  }
+  if (session.revokedAt !== null) {
+    return { valid: false, code: 'SESSION_REVOKED', reason: 'This session has been signed out' };
+  }
+  if (now >= session.expiresAt) {
+    return { valid: false, code: 'REFRESH_TOKEN_EXPIRED', reason: 'Session has expired' };
+  }
+
+  const next = newRefreshToken(session.sessionId);
+  if (!(await store.rotateRefreshToken(session.sessionId, parsed.hash, next.refreshTokenHash, now))) {
+    // Either this token was rotated away already, or a concurrent refresh won; both
+    // mean two holders of the same token, so nobody keeps the session
+    stats.reuseDetected++;
+    await revokeSession(session.sessionId);
+    console.warn(`🚨 Refresh token reuse on session ${session.sessionId} (${session.role} ${session.principalId}) - session revoked`);
+    return { valid: false, code: 'REFRESH_TOKEN_REUSED', reason: 'Refresh token was already used; the session has been signed out' };
+  }
+  stats.refreshed++;
+
+  return {
+    valid: true,
+    principal: { role: session.role, id: session.principalId },
+    sessionId: session.sessionId,
+    refreshToken: next.refreshToken,
+    expiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Revoke a session: its refresh token stops working and its access tokens are
+ * refused from now on
+ * @returns {Promise<boolean>} - true if the session was active until now
+ */
+async function revokeSession(sessionId) {
+  const store = getStore();
+  const now = Date.now();
+  const revoked = await store.revokeSession(sessionId, now);
+  // Listed even if the session was already revoked - cheap, and closes any gap
+  await store.revokeToken(sessionId, now + ACCESS_TOKEN_TTL_SECONDS * 1000);
+  if (revoked) {
+    stats.revoked++;
+  }
+  return revoked;
+}
+
+/**
+ * Revoke every active session of a principal, e.g. from a new phone after losing the old one
+ * @param {Object} principal - { role, id }
+ * @param {Object} [options] - { except } a session id to keep
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+async function revokePrincipalSessions(principal, { except = null } = {}) {
+  let count = 0;
+  for (const session of await getStore().listSessions(principal.role, principal.id)) {
+    if (session.sessionId !== except && session.revokedAt === null && await revokeSession(session.sessionId)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * A principal's active sessions
+ * @returns {Promise<Array<Object>>} - { sessionId, createdAt, lastRefreshedAt, expiresAt, userAgent }
+ */
+async function listPrincipalSessions(principal) {
+  const now = Date.now();
+  return (await getStore().listSessions(principal.role, principal.id))
+    .filter(session => session.revokedAt === null && session.expiresAt > now)
+    .map(publicSession);
+}
+
+/**
+ * The session, if it belongs to the principal
+ */
+async function getPrincipalSession(principal, sessionId) {
+  const session = await getStore().getSession(sessionId);
+  return session && session.role === principal.role && session.principalId === principal.id ? session : null;
+}
+
+/**
+ * Whether access tokens of this session are on the revocation list
+ */
+async function isSessionRevoked(sessionId) {
+  return getStore().isTokenRevoked(sessionId, Date.now());
+}
+
+/**
+ * Counters since startup (for health check)
+ */
+function getSessionStats() {
+  return { ...stats, accessTokenTtlSeconds: ACCESS_TOKEN_TTL_SECONDS, refreshTokenTtlMs: REFRESH_TOKEN_TTL_MS };
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokePrincipalSessions,
+  listPrincipalSessions,
+  getPrincipalSession,
+  isSessionRevoked,
+  getSessionStats
+};
@@ -0,0 +1,139 @@
+/**
+ * Persistent storage for PINs, nullifiers, payments, login challenges, sessions,
+ * merchant/admin accounts and attempt counters
+ * STORAGE_DRIVER picks the implementation: sqlite (default, one file under
+ * backend/data), redis (REDIS_URL, shared by every backend instance) or memory
+ * (lost on restart - tests only). Every driver runs its schema migrations in
+ * initializeStorage() and implements the same async interface:
+ *
+ *   getPIN(customerId)                      -> record | null
+ *   savePIN(customerId, record)             record: { pinHash, salt, registeredAt, changedAt?, reconciledAt?, chain }
+ *   listPINs()                              -> [{ customerId, record }]
+ *   countPINs()                             -> number
+ *   getNullifierSpend(nullifier)            -> { spentAt, txId, circuitVersion, expiresAt } | null
+ *   spendNullifier(nullifier, spend)        atomic check-and-insert: null when spent now, else the earlier spend
+ *   pruneExpiredNullifiers(now)             -> number of spends with expiresAt <= now removed
+ *   addPayment(payment)                     keeps the newest PAYMENT_HISTORY_LIMIT payments
+ *   countPaymentsSince(since, { excludeSource? }) -> payments with timestamp > since
+ *   listPaymentsFor(partyId)                -> payments where partyId is the customer or merchant, newest first
+ *   saveLoginChallenge(nonce, challenge)    challenge: { customerId, issuedAt, expiresAt }
+ *   takeLoginChallenge(nonce)               atomic read-and-delete: the challenge for exactly one caller, else null
+ *   pruneExpiredLoginChallenges(now)        -> number of challenges with expiresAt <= now removed
+ *   createSession(session)                  session: { sessionId, role, principalId, refreshTokenHash, createdAt, refreshedAt, expiresAt, revokedAt, userAgent }
+ *   getSession(sessionId)                   -> session | null
+ *   listSessions(role, principalId)         -> the principal's sessions, newest first
+ *   rotateRefreshToken(sessionId, currentHash, nextHash, refreshedAt)
+ *                                           atomic compare-and-swap: true only for the caller holding the
+ *                                           current hash of a session that is not revoked
+ *   revokeSession(sessionId, revokedAt)     -> true if the session was active until now
+ *   revokeToken(tokenId, expiresAt)         adds a token (or session) id to the revocation list until expiresAt
+ *   isTokenRevoked(tokenId, now)            -> boolean
+ *   pruneExpiredSessions(now)               -> number of sessions and revocations with expiresAt <= now removed
+ *   createAccount(account)                  account: { role, accountId, name, passwordHash, createdAt,
+ *                                                      status, statusReason, payoutAddress, updatedAt }
+ *                                           atomic insert: false if the role already has an account with that id
+ *   getAccount(role, accountId)             -> account | null
+ *   listAccounts(role)                      -> the role's accounts, oldest first
+ *   updateAccount(role, accountId, changes) atomic merge of { name, status, statusReason, payoutAddress, updatedAt }
+ *                                           -> the updated account | null if there is none
+ *   createApiKey(apiKey)                    apiKey: { keyId, merchantId, secretHash, label, createdAt, revokedAt }
+ *   getApiKey(keyId)                        -> apiKey | null
+ *   listApiKeys(merchantId)                 -> the merchant's API keys, newest first
+ *   revokeApiKey(keyId, revokedAt)          -> true if the key was active until now
+ *   hitRateLimit(key, now, windowMs)        atomic fixed-window count -> { count, resetAt } of the window now is in
+ *   takeAttempt(key, now, delays, windowMs) atomic check-and-count: while blockedUntil > now the attempt is refused
+ *                                           uncounted; otherwise failures + 1 and blockedUntil = now + delays[failures - 1]
+ *                                           (the last delay once past the end), forgotten windowMs after blockedUntil
+ *                                           -> { allowed, failures, blockedUntil, previousBlockedUntil }
+ *   releaseAttempt(key, taken)              uncounts one attempt (never below 0) and, unless a later attempt set
+ *                                           another block, restores the block it replaced; taken: from takeAttempt
+ *   clearAttempts(key)                      forgets the key's attempts
+ *   pruneExpiredCounters(now)               -> number of ended rate-limit windows and forgotten attempts removed
+ */
+
+const path = require('path');
+
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', '..', 'data', 'zkpulse.db');
+const PAYMENT_HISTORY_LIMIT = parseInt(process.env.PAYMENT_HISTORY_LIMIT, 10) || 1000;
+
+const DRIVERS = {
+  sqlite: (options) => require('./sqlite').createSqliteStore({
+    path: options.path || process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH,
+    paymentHistoryLimit: PAYMENT_HISTORY_LIMIT
+  }),
+  redis: (options) => require('./redis').createRedisStore({
+    url: options.url || process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    keyPrefix: options.keyPrefix || process.env.REDIS_KEY_PREFIX || 'zkpulse:',
+    paymentHistoryLimit: PAYMENT_HISTORY_LIMIT
+  }),
+  memory: () => require('./memory').createMemoryStore({
+    paymentHistoryLimit: PAYMENT_HISTORY_LIMIT
+  })
+};
+
+let store = null;
+let migration = null;
+
+/**
+ * Open the configured store and bring its schema up to date
+ * Must finish before the server accepts requests; a store that cannot be
+ * opened or migrated stops startup
+ * @param {Object} [options] - { driver, path, url, keyPrefix } - override the environment (tests)
+ * @returns {Promise<Object>} - The store
+ */
+async function initializeStorage(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'sqlite';
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  if (store) {
+    await store.close();
+  }
+  store = DRIVERS[driver](options);
+  migration = await store.migrate();
+
+  console.log(`✓ Storage: ${store.driver} (${store.location}), schema version ${migration.to}`);
+  if (migration.applied.length > 0) {
+    console.log(`   Applied migrations: ${migration.applied.join(', ')}`);
+  }
+  if (store.driver === 'memory') {
+    console.warn('⚠️  STORAGE_DRIVER=memory: PINs, nullifiers and payments are lost on restart.');
+  }
+  return store;
+}
+
+/**
+ * The store opened by initializeStorage()
+ */
+function getStore() {
+  if (!store) {
+    throw new Error('Storage not initialized - call initializeStorage() first');
+  }
+  return store;
+}
+
+async function closeStorage() {
+  if (store) {
+    await store.close();
+    store = null;
+  }
+}
+
+/**
+ * Driver and schema version (for health check)
+ */
+function getStorageStatus() {
+  return store && {
+    driver: store.driver,
+    location: store.location,
+    schemaVersion: migration.to
+  };
+}
+
+module.exports = {
+  initializeStorage,
+  getStore,
+  closeStorage,
+  getStorageStatus
+};
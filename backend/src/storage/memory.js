@@ -0,0 +1,282 @@
+/**
+ * In-memory store - everything is lost when the process exits
+ * Only meant for tests and throwaway local runs (STORAGE_DRIVER=memory)
+ */
+
+/**
+ * @param {Object} options - { paymentHistoryLimit }
+ */
+function createMemoryStore({ paymentHistoryLimit }) {
+  const pins = new Map();
+  const nullifiers = new Map();
+  const payments = [];
+  const loginChallenges = new Map();
+  const sessions = new Map();
+  const revokedTokens = new Map();
+  const accounts = new Map();
+  const apiKeys = new Map();
+  const rateLimits = new Map();
+  const attempts = new Map();
+
+  return {
+    driver: 'memory',
+    location: 'process memory',
+
+    async migrate() {
+      return { from: 0, to: 0, applied: [] };
+    },
+
+    async close() {},
+
+    async getPIN(customerId) {
+      const record = pins.get(customerId);
+      return record ? structuredClone(record) : null;
+    },
+
+    async savePIN(customerId, record) {
+      pins.set(customerId, structuredClone(record));
+    },
+
+    async listPINs() {
+      return [...pins].map(([customerId, record]) => ({ customerId, record: structuredClone(record) }));
+    },
+
+    async countPINs() {
+      return pins.size;
+    },
+
+    async getNullifierSpend(nullifier) {
+      const spend = nullifiers.get(nullifier);
+      return spend ? { ...spend } : null;
+    },
+
+    async spendNullifier(nullifier, spend) {
+      if (nullifiers.has(nullifier)) {
+        return { ...nullifiers.get(nullifier) };
+      }
+      nullifiers.set(nullifier, { ...spend });
+      return null;
+    },
+
+    async pruneExpiredNullifiers(now) {
+      let removed = 0;
+      for (const [nullifier, spend] of nullifiers) {
+        if (spend.expiresAt !== null && spend.expiresAt <= now) {
+          nullifiers.delete(nullifier);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async addPayment(payment) {
+      payments.push(structuredClone(payment));
+      if (payments.length > paymentHistoryLimit) {
+        payments.shift();
+      }
+    },
+
+    async countPaymentsSince(since, { excludeSource } = {}) {
+      return payments.filter(p => p.timestamp > since && (!excludeSource || p.source !== excludeSource)).length;
+    },
+
+    async listPaymentsFor(partyId) {
+      return payments
+        .filter(p => p.customerId === partyId || p.merchantId === partyId)
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .map(p => structuredClone(p));
+    },
+
+    async saveLoginChallenge(nonce, challenge) {
+      loginChallenges.set(nonce, { ...challenge });
+    },
+
+    async takeLoginChallenge(nonce) {
+      const challenge = loginChallenges.get(nonce);
+      loginChallenges.delete(nonce);
+      return challenge ? { ...challenge } : null;
+    },
+
+    async pruneExpiredLoginChallenges(now) {
+      let removed = 0;
+      for (const [nonce, challenge] of loginChallenges) {
+        if (challenge.expiresAt <= now) {
+          loginChallenges.delete(nonce);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async createSession(session) {
+      sessions.set(session.sessionId, { ...session });
+    },
+
+    async getSession(sessionId) {
+      const session = sessions.get(sessionId);
+      return session ? { ...session } : null;
+    },
+
+    async listSessions(role, principalId) {
+      return [...sessions.values()]
+        .filter(s => s.role === role && s.principalId === principalId)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(s => ({ ...s }));
+    },
+
+    async rotateRefreshToken(sessionId, currentHash, nextHash, refreshedAt) {
+      const session = sessions.get(sessionId);
+      if (!session || session.revokedAt !== null || session.refreshTokenHash !== currentHash) {
+        return false;
+      }
+      session.refreshTokenHash = nextHash;
+      session.refreshedAt = refreshedAt;
+      return true;
+    },
+
+    async revokeSession(sessionId, revokedAt) {
+      const session = sessions.get(sessionId);
+      if (!session || session.revokedAt !== null) {
+        return false;
+      }
+      session.revokedAt = revokedAt;
+      return true;
+    },
+
+    async revokeToken(tokenId, expiresAt) {
+      revokedTokens.set(tokenId, Math.max(expiresAt, revokedTokens.get(tokenId) ?? 0));
+    },
+
+    async isTokenRevoked(tokenId, now) {
+      return (revokedTokens.get(tokenId) ?? 0) > now;
+    },
+
+    async pruneExpiredSessions(now) {
+      let removed = 0;
+      for (const [sessionId, session] of sessions) {
+        if (session.expiresAt <= now) {
+          sessions.delete(sessionId);
+          removed++;
+        }
+      }
+      for (const [tokenId, expiresAt] of revokedTokens) {
+        if (expiresAt <= now) {
+          revokedTokens.delete(tokenId);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async createAccount(account) {
+      const key = `${account.role}:${account.accountId}`;
+      if (accounts.has(key)) {
+        return false;
+      }
+      accounts.set(key, { ...account });
+      return true;
+    },
+
+    async getAccount(role, accountId) {
+      const account = accounts.get(`${role}:${accountId}`);
+      return account ? { ...account } : null;
+    },
+
+    async listAccounts(role) {
+      return [...accounts.values()]
+        .filter(a => a.role === role)
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(a => ({ ...a }));
+    },
+
+    async updateAccount(role, accountId, changes) {
+      const account = accounts.get(`${role}:${accountId}`);
+      if (!account) {
+        return null;
+      }
+      Object.assign(account, changes);
+      return { ...account };
+    },
+
+    async createApiKey(apiKey) {
+      apiKeys.set(apiKey.keyId, { ...apiKey });
+    },
+
+    async getApiKey(keyId) {
+      const apiKey = apiKeys.get(keyId);
+      return apiKey ? { ...apiKey } : null;
+    },
+
+    async listApiKeys(merchantId) {
+      return [...apiKeys.values()]
+        .filter(k => k.merchantId === merchantId)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(k => ({ ...k }));
+    },
+
+    async revokeApiKey(keyId, revokedAt) {
+      const apiKey = apiKeys.get(keyId);
+      if (!apiKey || apiKey.revokedAt !== null) {
+        return false;
+      }
+      apiKey.revokedAt = revokedAt;
+      return true;
+    },
+
+    async hitRateLimit(key, now, windowMs) {
+      let window = rateLimits.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        rateLimits.set(key, window);
+      }
+      window.count += 1;
+      return { ...window };
+    },
+
+    async takeAttempt(key, now, delays, windowMs) {
+      const record = attempts.get(key);
+      const current = record && record.expiresAt > now ? record : { failures: 0, blockedUntil: 0 };
+      if (current.blockedUntil > now) {
+        return { allowed: false, failures: current.failures, blockedUntil: current.blockedUntil };
+      }
+      const failures = current.failures + 1;
+      const blockedUntil = now + delays[Math.min(failures, delays.length) - 1];
+      attempts.set(key, { failures, blockedUntil, expiresAt: blockedUntil + windowMs });
+      return { allowed: true, failures, blockedUntil, previousBlockedUntil: current.blockedUntil };
+    },
+
+    async releaseAttempt(key, { blockedUntil, previousBlockedUntil }) {
+      const record = attempts.get(key);
+      if (!record) {
+        return;
+      }
+      record.failures = Math.max(record.failures - 1, 0);
+      if (record.blockedUntil === blockedUntil) {
+        record.blockedUntil = previousBlockedUntil;
+      }
+    },
+
+    async clearAttempts(key) {
+      attempts.delete(key);
+    },
+
+    async pruneExpiredCounters(now) {
+      let removed = 0;
+      for (const [key, window] of rateLimits) {
+        if (window.resetAt <= now) {
+          rateLimits.delete(key);
+          removed++;
+        }
+      }
+      for (const [key, record] of attempts) {
+        if (record.expiresAt <= now) {
+          attempts.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
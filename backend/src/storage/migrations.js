@@ -0,0 +1,246 @@
+/**
+ * Schema migrations for the persistent stores
+ * Migrations run in version order when the server starts and each store records
+ * the versions it has applied, so a database is only ever moved forward.
+ * Never edit a migration that has shipped - add a new version instead.
+ */
+
+// SQL run inside one transaction per migration
+const SQLITE_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: `
+      CREATE TABLE pins (
+        customer_id   TEXT PRIMARY KEY,
+        pin_hash      TEXT NOT NULL,
+        salt          TEXT,
+        registered_at TEXT NOT NULL,
+        changed_at    TEXT,
+        reconciled_at TEXT,
+        chain         TEXT NOT NULL -- registrySigner record of the last registerPIN transaction (JSON)
+      );
+
+      CREATE TABLE nullifiers (
+        nullifier TEXT PRIMARY KEY,
+        used_at   INTEGER NOT NULL
+      );
+
+      CREATE TABLE payments (
+        tx_id       TEXT PRIMARY KEY,
+        customer_id TEXT,
+        merchant_id TEXT,
+        source      TEXT,
+        timestamp   INTEGER NOT NULL,
+        data        TEXT NOT NULL -- the full payment record (JSON)
+      );
+      CREATE INDEX payments_timestamp ON payments (timestamp);
+      CREATE INDEX payments_customer ON payments (customer_id);
+      CREATE INDEX payments_merchant ON payments (merchant_id);
+    `
+  },
+  {
+    version: 2,
+    name: 'permanent_nullifiers',
+    // Nullifiers were kept only to catch replays within 5 seconds; they are now
+    // spent for good and point at the payment that spent them
+    up: `
+      ALTER TABLE nullifiers ADD COLUMN tx_id TEXT;
+      ALTER TABLE nullifiers ADD COLUMN circuit_version TEXT;
+      ALTER TABLE nullifiers ADD COLUMN expires_at INTEGER;
+      CREATE INDEX nullifiers_expires_at ON nullifiers (expires_at) WHERE expires_at IS NOT NULL;
+
+      UPDATE nullifiers SET
+        tx_id = (SELECT tx_id FROM payments WHERE json_extract(data, '$.nullifier') = nullifiers.nullifier
+                 ORDER BY timestamp LIMIT 1),
+        circuit_version = (SELECT json_extract(data, '$.circuitVersion') FROM payments
+                           WHERE json_extract(data, '$.nullifier') = nullifiers.nullifier
+                           ORDER BY timestamp LIMIT 1);
+    `
+  },
+  {
+    version: 3,
+    name: 'login_challenges',
+    // Single-use nonces for the challenge-response login, shared so that any
+    // instance can redeem a challenge another one issued
+    up: `
+      CREATE TABLE login_challenges (
+        nonce       TEXT PRIMARY KEY,
+        customer_id TEXT NOT NULL,
+        issued_at   INTEGER NOT NULL,
+        expires_at  INTEGER NOT NULL
+      );
+      CREATE INDEX login_challenges_expires_at ON login_challenges (expires_at);
+    `
+  },
+  {
+    version: 4,
+    name: 'sessions',
+    // Refresh-token sessions and the revocation list checked on every authenticated request
+    up: `
+      CREATE TABLE sessions (
+        session_id         TEXT PRIMARY KEY,
+        customer_id        TEXT NOT NULL,
+        refresh_token_hash TEXT NOT NULL, -- sha256 of the current refresh token's secret
+        created_at         INTEGER NOT NULL,
+        refreshed_at       INTEGER,
+        expires_at         INTEGER NOT NULL,
+        revoked_at         INTEGER,
+        user_agent         TEXT
+      );
+      CREATE INDEX sessions_customer ON sessions (customer_id);
+      CREATE INDEX sessions_expires_at ON sessions (expires_at);
+
+      CREATE TABLE revoked_tokens (
+        token_id   TEXT PRIMARY KEY,
+        expires_at INTEGER NOT NULL
+      );
+      CREATE INDEX revoked_tokens_expires_at ON revoked_tokens (expires_at);
+    `
+  },
+  {
+    version: 5,
+    name: 'principal_roles',
+    // Sessions belong to a customer, merchant or admin; merchants and admins sign
+    // in with a password account. Existing sessions are customers'
+    up: `
+      ALTER TABLE sessions RENAME COLUMN customer_id TO principal_id;
+      ALTER TABLE sessions ADD COLUMN role TEXT NOT NULL DEFAULT 'customer';
+      DROP INDEX sessions_customer;
+      CREATE INDEX sessions_principal ON sessions (role, principal_id);
+
+      CREATE TABLE accounts (
+        role          TEXT NOT NULL,
+        account_id    TEXT NOT NULL,
+        name          TEXT,
+        password_hash TEXT NOT NULL,
+        created_at    INTEGER NOT NULL,
+        PRIMARY KEY (role, account_id)
+      );
+    `
+  },
+  {
+    version: 6,
+    name: 'merchant_registry',
+    // Merchant profiles (payout address, suspension) and merchant API keys
+    up: `
+      ALTER TABLE accounts ADD COLUMN status TEXT NOT NULL DEFAULT 'active';
+      ALTER TABLE accounts ADD COLUMN status_reason TEXT;
+      ALTER TABLE accounts ADD COLUMN payout_address TEXT;
+      ALTER TABLE accounts ADD COLUMN updated_at INTEGER;
+
+      CREATE TABLE api_keys (
+        key_id      TEXT PRIMARY KEY,
+        merchant_id TEXT NOT NULL,
+        secret_hash TEXT NOT NULL,
+        label       TEXT,
+        created_at  INTEGER NOT NULL,
+        revoked_at  INTEGER
+      );
+      CREATE INDEX api_keys_merchant ON api_keys (merchant_id);
+    `
+  },
+  {
+    version: 7,
+    name: 'attempt_counters',
+    // Rate-limit windows and failed PIN attempts, shared by every backend on this file
+    up: `
+      CREATE TABLE rate_limits (
+        key      TEXT PRIMARY KEY,
+        count    INTEGER NOT NULL,
+        reset_at INTEGER NOT NULL
+      );
+      CREATE INDEX rate_limits_reset ON rate_limits (reset_at);
+
+      CREATE TABLE attempts (
+        key           TEXT PRIMARY KEY,
+        failures      INTEGER NOT NULL,
+        blocked_until INTEGER NOT NULL,
+        expires_at    INTEGER NOT NULL
+      );
+      CREATE INDEX attempts_expiry ON attempts (expires_at);
+    `
+  }
+];
+
+// Redis has no schema; these move existing keys to a new layout
+// up(client, keys) receives the connected client and the store's key names
+const REDIS_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    // Hashes for PINs and nullifiers and a capped list for payments are created on first write
+    up: async () => {}
+  },
+  {
+    version: 2,
+    name: 'permanent_nullifiers',
+    // nullifiers held a used-at timestamp; each entry becomes a spend record that
+    // points at the payment that spent it, where that payment is still in the history
+    up: async (client, keys) => {
+      const payments = new Map();
+      for (const entry of await client.lRange(keys.payments, 0, -1)) {
+        const payment = JSON.parse(entry);
+        payments.set(payment.nullifier, payment); // the list is newest first, so the oldest wins
+      }
+
+      const entries = await client.hGetAll(keys.nullifiers);
+      for (const [nullifier, value] of Object.entries(entries)) {
+        if (value.startsWith('{')) continue;
+        await client.hSet(keys.nullifiers, nullifier, JSON.stringify({
+          spentAt: Number(value),
+          txId: payments.get(nullifier)?.txId ?? null,
+          circuitVersion: payments.get(nullifier)?.circuitVersion ?? null,
+          expiresAt: null
+        }));
+      }
+    }
+  },
+  {
+    version: 3,
+    name: 'login_challenges',
+    // One key per challenge, expired by Redis itself, created on first write
+    up: async () => {}
+  },
+  {
+    version: 4,
+    name: 'sessions',
+    // Session and revocation keys expire on their own, created on first write
+    up: async () => {}
+  },
+  {
+    version: 5,
+    name: 'principal_roles',
+    // Sessions were customers' only: session JSON gets a role and principalId, and
+    // each sessions:<customerId> set moves to sessions:customer:<customerId>
+    up: async (client, keys) => {
+      const oldSets = new Set();
+      for await (const key of client.scanIterator({ MATCH: keys.session('*'), COUNT: 100 })) {
+        const value = await client.get(key);
+        if (!value) continue;
+        const { customerId, ...session } = JSON.parse(value);
+        if (session.role) continue;
+        await client.set(key, JSON.stringify({ ...session, role: 'customer', principalId: customerId }), { KEEPTTL: true });
+        await client.sAdd(keys.principalSessions('customer', customerId), session.sessionId);
+        oldSets.add(`${keys.sessionsPrefix}${customerId}`);
+      }
+      if (oldSets.size > 0) {
+        await client.del([...oldSets]);
+      }
+    }
+  },
+  {
+    version: 6,
+    name: 'merchant_registry',
+    // Accounts written before profiles existed get their defaults when read
+    up: async () => {}
+  },
+  {
+    version: 7,
+    name: 'attempt_counters',
+    // Counter keys are created on first use and expire on their own
+    up: async () => {}
+  }
+];
+
+module.exports = { SQLITE_MIGRATIONS, REDIS_MIGRATIONS };
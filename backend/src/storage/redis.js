@@ -0,0 +1,405 @@
+/**
+ * Redis store (STORAGE_DRIVER=redis)
+ * Lets several backend instances share PINs, nullifiers and payment history.
+ * Keys live under REDIS_KEY_PREFIX:
+ *   pins              hash  customerId -> PIN record (JSON)
+ *   nullifiers        hash  nullifier -> spend record (JSON)
+ *   nullifiers:expiry zset  nullifiers scored by their expiry epoch (ms)
+ *   payments          list  newest first, capped at the payment history limit
+ *   login:challenge:<nonce> string  login challenge (JSON), expiring at its expiresAt
+ *   session:<sessionId>     string  session (JSON), expiring at its expiresAt
+ *   sessions:<role>:<principalId> set  the principal's session ids (stale ids are dropped when listed)
+ *   revoked:<tokenId>       string  revocation list entry, expiring at its expiresAt
+ *   accounts:<role>         hash    accountId -> merchant or admin account (JSON)
+ *   apikey:<keyId>          string  merchant API key (JSON)
+ *   apikeys:<merchantId>    set     the merchant's API key ids
+ *   schema:migrations hash  version -> { name, appliedAt }
+ *   schema:lock       held while migrations run
+ */
+
+const { createClient } = require('redis');
+const { REDIS_MIGRATIONS } = require('./migrations');
+
+const MIGRATION_LOCK_TTL_MS = 30000;
+
+// Compare-and-swap of a session's refresh token hash, run atomically on the server
+const ROTATE_REFRESH_TOKEN_SCRIPT = `
+  local value = redis.call('GET', KEYS[1])
+  if not value then return 0 end
+  local session = cjson.decode(value)
+  if session.revokedAt ~= cjson.null or session.refreshTokenHash ~= ARGV[1] then return 0 end
+  session.refreshTokenHash = ARGV[2]
+  session.refreshedAt = tonumber(ARGV[3])
+  redis.call('SET', KEYS[1], cjson.encode(session), 'KEEPTTL')
+  return 1
+`;
+
+// Sets revokedAt once, for sessions and API keys alike
+const REVOKE_SCRIPT = `
+  local value = redis.call('GET', KEYS[1])
+  if not value then return 0 end
+  local record = cjson.decode(value)
+  if record.revokedAt ~= cjson.null then return 0 end
+  record.revokedAt = tonumber(ARGV[1])
+  redis.call('SET', KEYS[1], cjson.encode(record), 'KEEPTTL')
+  return 1
+`;
+
+// Merges changes (JSON) into an account in the accounts hash, atomically
+const UPDATE_ACCOUNT_SCRIPT = `
+  local value = redis.call('HGET', KEYS[1], ARGV[1])
+  if not value then return nil end
+  local account = cjson.decode(value)
+  for field, fieldValue in pairs(cjson.decode(ARGV[2])) do
+    account[field] = fieldValue
+  end
+  local updated = cjson.encode(account)
+  redis.call('HSET', KEYS[1], ARGV[1], updated)
+  return updated
+`;
+
+// Counts a hit in the key's window; the first hit starts the window
+const HIT_RATE_LIMIT_SCRIPT = `
+  local count = redis.call('INCR', KEYS[1])
+  if count == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+  return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+// Refuses the attempt while blocked, else counts it and sets the next block,
+// returning the one it replaced; the key expires windowMs after the block ends
+const TAKE_ATTEMPT_SCRIPT = `
+  local now = tonumber(ARGV[1])
+  local value = redis.call('GET', KEYS[1])
+  local record = value and cjson.decode(value) or { failures = 0, blockedUntil = 0 }
+  if record.blockedUntil > now then
+    return { 0, record.failures, record.blockedUntil }
+  end
+  local delays = cjson.decode(ARGV[2])
+  local failures = record.failures + 1
+  local blockedUntil = now + delays[math.min(failures, #delays)]
+  redis.call('SET', KEYS[1], cjson.encode({ failures = failures, blockedUntil = blockedUntil }),
+    'PXAT', blockedUntil + tonumber(ARGV[3]))
+  return { 1, failures, blockedUntil, record.blockedUntil }
+`;
+
+// Uncounts an attempt and restores the block it replaced, unless a later attempt set another
+const RELEASE_ATTEMPT_SCRIPT = `
+  local value = redis.call('GET', KEYS[1])
+  if not value then return 0 end
+  local record = cjson.decode(value)
+  record.failures = math.max(record.failures - 1, 0)
+  if record.blockedUntil == tonumber(ARGV[1]) then record.blockedUntil = tonumber(ARGV[2]) end
+  redis.call('SET', KEYS[1], cjson.encode(record), 'KEEPTTL')
+  return 1
+`;
+
+// Accounts written before merchant profiles existed lack these fields
+const ACCOUNT_DEFAULTS = { name: null, status: 'active', statusReason: null, payoutAddress: null, updatedAt: null };
+
+/**
+ * @param {Object} options - { url, keyPrefix, paymentHistoryLimit }
+ */
+function createRedisStore({ url, keyPrefix, paymentHistoryLimit }) {
+  const client = createClient({ url });
+  client.on('error', (error) => console.error('❌ [REDIS]', error.message));
+
+  const keys = {
+    pins: `${keyPrefix}pins`,
+    nullifiers: `${keyPrefix}nullifiers`,
+    nullifierExpiry: `${keyPrefix}nullifiers:expiry`,
+    payments: `${keyPrefix}payments`,
+    loginChallenge: (nonce) => `${keyPrefix}login:challenge:${nonce}`,
+    session: (sessionId) => `${keyPrefix}session:${sessionId}`,
+    sessionsPrefix: `${keyPrefix}sessions:`,
+    principalSessions: (role, principalId) => `${keyPrefix}sessions:${role}:${principalId}`,
+    revokedToken: (tokenId) => `${keyPrefix}revoked:${tokenId}`,
+    accounts: (role) => `${keyPrefix}accounts:${role}`,
+    apiKey: (keyId) => `${keyPrefix}apikey:${keyId}`,
+    merchantApiKeys: (merchantId) => `${keyPrefix}apikeys:${merchantId}`,
+    rateLimit: (key) => `${keyPrefix}ratelimit:${key}`,
+    attempts: (key) => `${keyPrefix}attempts:${key}`,
+    migrations: `${keyPrefix}schema:migrations`,
+    migrationLock: `${keyPrefix}schema:lock`
+  };
+
+  async function schemaVersion() {
+    const versions = await client.hKeys(keys.migrations);
+    return versions.reduce((max, v) => Math.max(max, Number(v)), 0);
+  }
+
+  async function allPayments() {
+    return (await client.lRange(keys.payments, 0, -1)).map(entry => JSON.parse(entry));
+  }
+
+  return {
+    driver: 'redis',
+    location: url.replace(/\/\/[^@/]*@/, '//***@'), // hide credentials in logs and /api/health
+
+    /**
+     * Connect and apply every migration newer than the recorded schema version
+     * A short-lived lock keeps two instances starting together from both migrating
+     */
+    async migrate() {
+      if (!client.isOpen) {
+        await client.connect();
+      }
+
+      const deadline = Date.now() + MIGRATION_LOCK_TTL_MS;
+      while (!(await client.set(keys.migrationLock, String(process.pid), { NX: true, PX: MIGRATION_LOCK_TTL_MS }))) {
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for the Redis migration lock (${keys.migrationLock})`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+      }
+
+      try {
+        const from = await schemaVersion();
+        const applied = [];
+        for (const migration of REDIS_MIGRATIONS) {
+          if (migration.version <= from) continue;
+          await migration.up(client, keys);
+          await client.hSet(keys.migrations, String(migration.version), JSON.stringify({
+            name: migration.name,
+            appliedAt: new Date().toISOString()
+          }));
+          applied.push(`${migration.version}_${migration.name}`);
+        }
+        return { from, to: await schemaVersion(), applied };
+      } finally {
+        await client.del(keys.migrationLock);
+      }
+    },
+
+    async close() {
+      if (client.isOpen) {
+        await client.quit();
+      }
+    },
+
+    async getPIN(customerId) {
+      const value = await client.hGet(keys.pins, customerId);
+      return value ? JSON.parse(value) : null;
+    },
+
+    async savePIN(customerId, record) {
+      await client.hSet(keys.pins, customerId, JSON.stringify(record));
+    },
+
+    async listPINs() {
+      const entries = await client.hGetAll(keys.pins);
+      return Object.keys(entries).sort().map(customerId => ({ customerId, record: JSON.parse(entries[customerId]) }));
+    },
+
+    async countPINs() {
+      return client.hLen(keys.pins);
+    },
+
+    async getNullifierSpend(nullifier) {
+      const value = await client.hGet(keys.nullifiers, nullifier);
+      return value ? JSON.parse(value) : null;
+    },
+
+    // HSETNX is atomic on the Redis server, so exactly one instance claims a nullifier
+    async spendNullifier(nullifier, spend) {
+      const record = {
+        spentAt: spend.spentAt,
+        txId: spend.txId ?? null,
+        circuitVersion: spend.circuitVersion ?? null,
+        expiresAt: spend.expiresAt ?? null
+      };
+      if (await client.hSetNX(keys.nullifiers, nullifier, JSON.stringify(record))) {
+        if (record.expiresAt !== null) {
+          await client.zAdd(keys.nullifierExpiry, { score: record.expiresAt, value: nullifier });
+        }
+        return null;
+      }
+      return JSON.parse(await client.hGet(keys.nullifiers, nullifier));
+    },
+
+    async pruneExpiredNullifiers(now) {
+      const expired = await client.zRangeByScore(keys.nullifierExpiry, '-inf', now);
+      if (expired.length === 0) {
+        return 0;
+      }
+      const [removed] = await client.multi()
+        .hDel(keys.nullifiers, expired)
+        .zRem(keys.nullifierExpiry, expired)
+        .exec();
+      return Number(removed);
+    },
+
+    async addPayment(payment) {
+      await client.multi()
+        .lPush(keys.payments, JSON.stringify(payment))
+        .lTrim(keys.payments, 0, paymentHistoryLimit - 1)
+        .exec();
+    },
+
+    async countPaymentsSince(since, { excludeSource } = {}) {
+      return (await allPayments())
+        .filter(p => p.timestamp > since && (!excludeSource || p.source !== excludeSource))
+        .length;
+    },
+
+    async listPaymentsFor(partyId) {
+      return (await allPayments())
+        .filter(p => p.customerId === partyId || p.merchantId === partyId)
+        .sort((a, b) => b.timestamp - a.timestamp);
+    },
+
+    async saveLoginChallenge(nonce, challenge) {
+      await client.set(keys.loginChallenge(nonce), JSON.stringify(challenge), { PXAT: challenge.expiresAt });
+    },
+
+    // GETDEL is atomic on the Redis server, so exactly one instance gets the challenge
+    async takeLoginChallenge(nonce) {
+      const value = await client.getDel(keys.loginChallenge(nonce));
+      return value ? JSON.parse(value) : null;
+    },
+
+    // Challenge keys expire on their own
+    async pruneExpiredLoginChallenges() {
+      return 0;
+    },
+
+    async createSession(session) {
+      await client.multi()
+        .set(keys.session(session.sessionId), JSON.stringify({ refreshedAt: null, revokedAt: null, userAgent: null, ...session }), { PXAT: session.expiresAt })
+        .sAdd(keys.principalSessions(session.role, session.principalId), session.sessionId)
+        .exec();
+    },
+
+    async getSession(sessionId) {
+      const value = await client.get(keys.session(sessionId));
+      return value ? JSON.parse(value) : null;
+    },
+
+    async listSessions(role, principalId) {
+      const sessionIds = await client.sMembers(keys.principalSessions(role, principalId));
+      if (sessionIds.length === 0) {
+        return [];
+      }
+      const values = await client.mGet(sessionIds.map(keys.session));
+      const stale = sessionIds.filter((_, i) => values[i] === null);
+      if (stale.length > 0) {
+        await client.sRem(keys.principalSessions(role, principalId), stale);
+      }
+      return values.filter(Boolean).map(value => JSON.parse(value)).sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async rotateRefreshToken(sessionId, currentHash, nextHash, refreshedAt) {
+      return (await client.eval(ROTATE_REFRESH_TOKEN_SCRIPT, {
+        keys: [keys.session(sessionId)],
+        arguments: [currentHash, nextHash, String(refreshedAt)]
+      })) === 1;
+    },
+
+    async revokeSession(sessionId, revokedAt) {
+      return (await client.eval(REVOKE_SCRIPT, {
+        keys: [keys.session(sessionId)],
+        arguments: [String(revokedAt)]
+      })) === 1;
+    },
+
+    async revokeToken(tokenId, expiresAt) {
+      const current = Number(await client.get(keys.revokedToken(tokenId))) || 0;
+      const until = Math.max(current, expiresAt);
+      await client.set(keys.revokedToken(tokenId), String(until), { PXAT: until });
+    },
+
+    async isTokenRevoked(tokenId) {
+      return (await client.exists(keys.revokedToken(tokenId))) === 1;
+    },
+
+    // Session and revocation keys expire on their own
+    async pruneExpiredSessions() {
+      return 0;
+    },
+
+    // HSETNX is atomic on the Redis server, so two registrations cannot both take an id
+    async createAccount(account) {
+      return client.hSetNX(keys.accounts(account.role), account.accountId, JSON.stringify({ ...ACCOUNT_DEFAULTS, ...account }));
+    },
+
+    async getAccount(role, accountId) {
+      const value = await client.hGet(keys.accounts(role), accountId);
+      return value ? { ...ACCOUNT_DEFAULTS, ...JSON.parse(value) } : null;
+    },
+
+    async listAccounts(role) {
+      return Object.values(await client.hGetAll(keys.accounts(role)))
+        .map(value => ({ ...ACCOUNT_DEFAULTS, ...JSON.parse(value) }))
+        .sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    async updateAccount(role, accountId, changes) {
+      const updated = await client.eval(UPDATE_ACCOUNT_SCRIPT, {
+        keys: [keys.accounts(role)],
+        arguments: [accountId, JSON.stringify(changes)]
+      });
+      return updated ? { ...ACCOUNT_DEFAULTS, ...JSON.parse(updated) } : null;
+    },
+
+    async createApiKey(apiKey) {
+      await client.multi()
+        .set(keys.apiKey(apiKey.keyId), JSON.stringify({ label: null, revokedAt: null, ...apiKey }))
+        .sAdd(keys.merchantApiKeys(apiKey.merchantId), apiKey.keyId)
+        .exec();
+    },
+
+    async getApiKey(keyId) {
+      const value = await client.get(keys.apiKey(keyId));
+      return value ? JSON.parse(value) : null;
+    },
+
+    async listApiKeys(merchantId) {
+      const keyIds = await client.sMembers(keys.merchantApiKeys(merchantId));
+      if (keyIds.length === 0) {
+        return [];
+      }
+      const values = await client.mGet(keyIds.map(keys.apiKey));
+      return values.filter(Boolean).map(value => JSON.parse(value)).sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async revokeApiKey(keyId, revokedAt) {
+      return (await client.eval(REVOKE_SCRIPT, {
+        keys: [keys.apiKey(keyId)],
+        arguments: [String(revokedAt)]
+      })) === 1;
+    },
+
+    async hitRateLimit(key, now, windowMs) {
+      const [count, ttl] = await client.eval(HIT_RATE_LIMIT_SCRIPT, {
+        keys: [keys.rateLimit(key)],
+        arguments: [String(windowMs)]
+      });
+      return { count, resetAt: now + Math.max(ttl, 0) };
+    },
+
+    async takeAttempt(key, now, delays, windowMs) {
+      const [allowed, failures, blockedUntil, previousBlockedUntil] = await client.eval(TAKE_ATTEMPT_SCRIPT, {
+        keys: [keys.attempts(key)],
+        arguments: [String(now), JSON.stringify(delays), String(windowMs)]
+      });
+      return { allowed: allowed === 1, failures, blockedUntil, previousBlockedUntil };
+    },
+
+    async releaseAttempt(key, { blockedUntil, previousBlockedUntil }) {
+      await client.eval(RELEASE_ATTEMPT_SCRIPT, {
+        keys: [keys.attempts(key)],
+        arguments: [String(blockedUntil), String(previousBlockedUntil)]
+      });
+    },
+
+    async clearAttempts(key) {
+      await client.del(keys.attempts(key));
+    },
+
+    // Rate-limit and attempt keys expire on their own
+    async pruneExpiredCounters() {
+      return 0;
+    }
+  };
+}
+
+module.exports = { createRedisStore };
@@ -0,0 +1,447 @@
+/**
+ * Embedded SQLite store (STORAGE_DRIVER=sqlite, the default)
+ * One database file per backend; WAL mode lets reads continue while a write commits
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { SQLITE_MIGRATIONS } = require('./migrations');
+
+function pinFromRow(row) {
+  return {
+    pinHash: row.pin_hash,
+    salt: row.salt,
+    registeredAt: row.registered_at,
+    ...(row.changed_at && { changedAt: row.changed_at }),
+    ...(row.reconciled_at && { reconciledAt: row.reconciled_at }),
+    chain: JSON.parse(row.chain)
+  };
+}
+
+function challengeFromRow(row) {
+  return {
+    customerId: row.customer_id,
+    issuedAt: row.issued_at,
+    expiresAt: row.expires_at
+  };
+}
+
+function sessionFromRow(row) {
+  return {
+    sessionId: row.session_id,
+    role: row.role,
+    principalId: row.principal_id,
+    refreshTokenHash: row.refresh_token_hash,
+    createdAt: row.created_at,
+    refreshedAt: row.refreshed_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    userAgent: row.user_agent
+  };
+}
+
+function accountFromRow(row) {
+  return {
+    role: row.role,
+    accountId: row.account_id,
+    name: row.name,
+    passwordHash: row.password_hash,
+    createdAt: row.created_at,
+    status: row.status,
+    statusReason: row.status_reason,
+    payoutAddress: row.payout_address,
+    updatedAt: row.updated_at
+  };
+}
+
+function apiKeyFromRow(row) {
+  return {
+    keyId: row.key_id,
+    merchantId: row.merchant_id,
+    secretHash: row.secret_hash,
+    label: row.label,
+    createdAt: row.created_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+function spendFromRow(row) {
+  return {
+    spentAt: row.used_at,
+    txId: row.tx_id,
+    circuitVersion: row.circuit_version,
+    expiresAt: row.expires_at
+  };
+}
+
+/**
+ * @param {Object} options - { path, paymentHistoryLimit }
+ */
+function createSqliteStore({ path: dbPath, paymentHistoryLimit }) {
+  if (dbPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  let statements = null;
+
+  // Prepared after migrate() - the tables do not exist before that
+  function prepare() {
+    statements = {
+      getPIN: db.prepare('SELECT * FROM pins WHERE customer_id = ?'),
+      savePIN: db.prepare(`
+        INSERT INTO pins (customer_id, pin_hash, salt, registered_at, changed_at, reconciled_at, chain)
+        VALUES (@customerId, @pinHash, @salt, @registeredAt, @changedAt, @reconciledAt, @chain)
+        ON CONFLICT (customer_id) DO UPDATE SET
+          pin_hash = excluded.pin_hash,
+          salt = excluded.salt,
+          registered_at = excluded.registered_at,
+          changed_at = excluded.changed_at,
+          reconciled_at = excluded.reconciled_at,
+          chain = excluded.chain
+      `),
+      listPINs: db.prepare('SELECT * FROM pins ORDER BY customer_id'),
+      countPINs: db.prepare('SELECT COUNT(*) AS count FROM pins'),
+      getNullifier: db.prepare('SELECT * FROM nullifiers WHERE nullifier = ?'),
+      spendNullifier: db.prepare(`
+        INSERT INTO nullifiers (nullifier, used_at, tx_id, circuit_version, expires_at)
+        VALUES (@nullifier, @spentAt, @txId, @circuitVersion, @expiresAt)
+        ON CONFLICT (nullifier) DO NOTHING
+      `),
+      pruneNullifiers: db.prepare('DELETE FROM nullifiers WHERE expires_at IS NOT NULL AND expires_at <= ?'),
+      addPayment: db.prepare(`
+        INSERT INTO payments (tx_id, customer_id, merchant_id, source, timestamp, data)
+        VALUES (@txId, @customerId, @merchantId, @source, @timestamp, @data)
+      `),
+      trimPayments: db.prepare(`
+        DELETE FROM payments WHERE rowid NOT IN (
+          SELECT rowid FROM payments ORDER BY timestamp DESC, rowid DESC LIMIT ?
+        )
+      `),
+      countPaymentsSince: db.prepare('SELECT COUNT(*) AS count FROM payments WHERE timestamp > ?'),
+      countPaymentsSinceExcluding: db.prepare(`
+        SELECT COUNT(*) AS count FROM payments WHERE timestamp > ? AND (source IS NULL OR source != ?)
+      `),
+      listPaymentsFor: db.prepare(`
+        SELECT data FROM payments WHERE customer_id = ? OR merchant_id = ? ORDER BY timestamp DESC, rowid DESC
+      `),
+      saveLoginChallenge: db.prepare(`
+        INSERT INTO login_challenges (nonce, customer_id, issued_at, expires_at)
+        VALUES (@nonce, @customerId, @issuedAt, @expiresAt)
+      `),
+      // A single DELETE ... RETURNING, so two callers can never both get the row
+      takeLoginChallenge: db.prepare('DELETE FROM login_challenges WHERE nonce = ? RETURNING *'),
+      pruneLoginChallenges: db.prepare('DELETE FROM login_challenges WHERE expires_at <= ?'),
+      createSession: db.prepare(`
+        INSERT INTO sessions (session_id, role, principal_id, refresh_token_hash, created_at, refreshed_at, expires_at, revoked_at, user_agent)
+        VALUES (@sessionId, @role, @principalId, @refreshTokenHash, @createdAt, @refreshedAt, @expiresAt, @revokedAt, @userAgent)
+      `),
+      getSession: db.prepare('SELECT * FROM sessions WHERE session_id = ?'),
+      listSessions: db.prepare('SELECT * FROM sessions WHERE role = ? AND principal_id = ? ORDER BY created_at DESC'),
+      // The WHERE clause is the compare: only one caller can match the current hash
+      rotateRefreshToken: db.prepare(`
+        UPDATE sessions SET refresh_token_hash = ?, refreshed_at = ?
+        WHERE session_id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+      `),
+      revokeSession: db.prepare('UPDATE sessions SET revoked_at = ? WHERE session_id = ? AND revoked_at IS NULL'),
+      revokeToken: db.prepare(`
+        INSERT INTO revoked_tokens (token_id, expires_at) VALUES (?, ?)
+        ON CONFLICT (token_id) DO UPDATE SET expires_at = MAX(expires_at, excluded.expires_at)
+      `),
+      isTokenRevoked: db.prepare('SELECT 1 FROM revoked_tokens WHERE token_id = ? AND expires_at > ?'),
+      pruneSessions: db.prepare('DELETE FROM sessions WHERE expires_at <= ?'),
+      pruneRevokedTokens: db.prepare('DELETE FROM revoked_tokens WHERE expires_at <= ?'),
+      createAccount: db.prepare(`
+        INSERT INTO accounts (role, account_id, name, password_hash, created_at, status, status_reason, payout_address, updated_at)
+        VALUES (@role, @accountId, @name, @passwordHash, @createdAt, @status, @statusReason, @payoutAddress, @updatedAt)
+        ON CONFLICT (role, account_id) DO NOTHING
+      `),
+      getAccount: db.prepare('SELECT * FROM accounts WHERE role = ? AND account_id = ?'),
+      listAccounts: db.prepare('SELECT * FROM accounts WHERE role = ? ORDER BY created_at'),
+      updateAccount: db.prepare(`
+        UPDATE accounts SET name = @name, status = @status, status_reason = @statusReason,
+          payout_address = @payoutAddress, updated_at = @updatedAt
+        WHERE role = @role AND account_id = @accountId
+      `),
+      createApiKey: db.prepare(`
+        INSERT INTO api_keys (key_id, merchant_id, secret_hash, label, created_at, revoked_at)
+        VALUES (@keyId, @merchantId, @secretHash, @label, @createdAt, @revokedAt)
+      `),
+      getApiKey: db.prepare('SELECT * FROM api_keys WHERE key_id = ?'),
+      listApiKeys: db.prepare('SELECT * FROM api_keys WHERE merchant_id = ? ORDER BY created_at DESC'),
+      revokeApiKey: db.prepare('UPDATE api_keys SET revoked_at = ? WHERE key_id = ? AND revoked_at IS NULL'),
+      getRateLimit: db.prepare('SELECT * FROM rate_limits WHERE key = ?'),
+      saveRateLimit: db.prepare('INSERT OR REPLACE INTO rate_limits (key, count, reset_at) VALUES (?, ?, ?)'),
+      pruneRateLimits: db.prepare('DELETE FROM rate_limits WHERE reset_at <= ?'),
+      getAttempts: db.prepare('SELECT * FROM attempts WHERE key = ? AND expires_at > ?'),
+      saveAttempts: db.prepare('INSERT OR REPLACE INTO attempts (key, failures, blocked_until, expires_at) VALUES (?, ?, ?, ?)'),
+      releaseAttempt: db.prepare(`UPDATE attempts SET failures = MAX(failures - 1, 0),
+        blocked_until = CASE WHEN blocked_until = ? THEN ? ELSE blocked_until END WHERE key = ?`),
+      clearAttempts: db.prepare('DELETE FROM attempts WHERE key = ?'),
+      pruneAttempts: db.prepare('DELETE FROM attempts WHERE expires_at <= ?')
+    };
+  }
+
+  // The INSERT either claims the nullifier or changes nothing, so only one caller
+  // can see changes === 1; the SELECT runs in the same transaction
+  const spendNullifier = db.transaction((nullifier, spend) => {
+    const { changes } = statements.spendNullifier.run({
+      nullifier,
+      spentAt: spend.spentAt,
+      txId: spend.txId ?? null,
+      circuitVersion: spend.circuitVersion ?? null,
+      expiresAt: spend.expiresAt ?? null
+    });
+    return changes === 1 ? null : spendFromRow(statements.getNullifier.get(nullifier));
+  });
+
+  // Read and write in one transaction, so concurrent edits of different fields both land
+  const updateAccount = db.transaction((role, accountId, changes) => {
+    const row = statements.getAccount.get(role, accountId);
+    if (!row) {
+      return null;
+    }
+    const account = { ...accountFromRow(row), ...changes };
+    statements.updateAccount.run(account);
+    return account;
+  });
+
+  // Counters are read and written in one IMMEDIATE transaction, so backends
+  // sharing the file never both count from the same value
+  const hitRateLimit = db.transaction((key, now, windowMs) => {
+    const row = statements.getRateLimit.get(key);
+    const window = row && row.reset_at > now
+      ? { count: row.count + 1, resetAt: row.reset_at }
+      : { count: 1, resetAt: now + windowMs };
+    statements.saveRateLimit.run(key, window.count, window.resetAt);
+    return window;
+  });
+
+  const takeAttempt = db.transaction((key, now, delays, windowMs) => {
+    const row = statements.getAttempts.get(key, now);
+    if (row && row.blocked_until > now) {
+      return { allowed: false, failures: row.failures, blockedUntil: row.blocked_until };
+    }
+    const failures = (row ? row.failures : 0) + 1;
+    const blockedUntil = now + delays[Math.min(failures, delays.length) - 1];
+    statements.saveAttempts.run(key, failures, blockedUntil, blockedUntil + windowMs);
+    return { allowed: true, failures, blockedUntil, previousBlockedUntil: row ? row.blocked_until : 0 };
+  });
+
+  const addPayment = db.transaction((payment) => {
+    statements.addPayment.run({
+      txId: payment.txId,
+      customerId: payment.customerId ?? null,
+      merchantId: payment.merchantId ?? null,
+      source: payment.source ?? null,
+      timestamp: payment.timestamp,
+      data: JSON.stringify(payment)
+    });
+    statements.trimPayments.run(paymentHistoryLimit);
+  });
+
+  return {
+    driver: 'sqlite',
+    location: dbPath,
+
+    /**
+     * Apply every migration newer than the database's schema version
+     * IMMEDIATE transactions take the write lock up front, so two backends
+     * starting against the same file cannot apply the same migration twice
+     */
+    async migrate() {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version    INTEGER PRIMARY KEY,
+          name       TEXT NOT NULL,
+          applied_at TEXT NOT NULL
+        )
+      `);
+      const currentVersion = () => db.prepare('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations').get().version;
+      const from = currentVersion();
+      const applied = [];
+
+      for (const migration of SQLITE_MIGRATIONS) {
+        db.transaction(() => {
+          if (migration.version <= currentVersion()) return;
+          db.exec(migration.up);
+          db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+            .run(migration.version, migration.name, new Date().toISOString());
+          applied.push(`${migration.version}_${migration.name}`);
+        }).immediate();
+      }
+
+      prepare();
+      return { from, to: currentVersion(), applied };
+    },
+
+    async close() {
+      db.close();
+    },
+
+    async getPIN(customerId) {
+      const row = statements.getPIN.get(customerId);
+      return row ? pinFromRow(row) : null;
+    },
+
+    async savePIN(customerId, record) {
+      statements.savePIN.run({
+        customerId,
+        pinHash: record.pinHash,
+        salt: record.salt ?? null,
+        registeredAt: record.registeredAt,
+        changedAt: record.changedAt ?? null,
+        reconciledAt: record.reconciledAt ?? null,
+        chain: JSON.stringify(record.chain)
+      });
+    },
+
+    async listPINs() {
+      return statements.listPINs.all().map(row => ({ customerId: row.customer_id, record: pinFromRow(row) }));
+    },
+
+    async countPINs() {
+      return statements.countPINs.get().count;
+    },
+
+    async getNullifierSpend(nullifier) {
+      const row = statements.getNullifier.get(nullifier);
+      return row ? spendFromRow(row) : null;
+    },
+
+    async spendNullifier(nullifier, spend) {
+      return spendNullifier.immediate(nullifier, spend);
+    },
+
+    async pruneExpiredNullifiers(now) {
+      return statements.pruneNullifiers.run(now).changes;
+    },
+
+    async addPayment(payment) {
+      addPayment(payment);
+    },
+
+    async countPaymentsSince(since, { excludeSource } = {}) {
+      const row = excludeSource
+        ? statements.countPaymentsSinceExcluding.get(since, excludeSource)
+        : statements.countPaymentsSince.get(since);
+      return row.count;
+    },
+
+    async listPaymentsFor(partyId) {
+      return statements.listPaymentsFor.all(partyId, partyId).map(row => JSON.parse(row.data));
+    },
+
+    async saveLoginChallenge(nonce, challenge) {
+      statements.saveLoginChallenge.run({ nonce, ...challenge });
+    },
+
+    async takeLoginChallenge(nonce) {
+      const row = statements.takeLoginChallenge.get(nonce);
+      return row ? challengeFromRow(row) : null;
+    },
+
+    async pruneExpiredLoginChallenges(now) {
+      return statements.pruneLoginChallenges.run(now).changes;
+    },
+
+    async createSession(session) {
+      statements.createSession.run({
+        ...session,
+        refreshedAt: session.refreshedAt ?? null,
+        revokedAt: session.revokedAt ?? null,
+        userAgent: session.userAgent ?? null
+      });
+    },
+
+    async getSession(sessionId) {
+      const row = statements.getSession.get(sessionId);
+      return row ? sessionFromRow(row) : null;
+    },
+
+    async listSessions(role, principalId) {
+      return statements.listSessions.all(role, principalId).map(sessionFromRow);
+    },
+
+    async rotateRefreshToken(sessionId, currentHash, nextHash, refreshedAt) {
+      return statements.rotateRefreshToken.run(nextHash, refreshedAt, sessionId, currentHash).changes === 1;
+    },
+
+    async revokeSession(sessionId, revokedAt) {
+      return statements.revokeSession.run(revokedAt, sessionId).changes === 1;
+    },
+
+    async revokeToken(tokenId, expiresAt) {
+      statements.revokeToken.run(tokenId, expiresAt);
+    },
+
+    async isTokenRevoked(tokenId, now) {
+      return statements.isTokenRevoked.get(tokenId, now) !== undefined;
+    },
+
+    async pruneExpiredSessions(now) {
+      return statements.pruneSessions.run(now).changes + statements.pruneRevokedTokens.run(now).changes;
+    },
+
+    async createAccount(account) {
+      return statements.createAccount.run({
+        name: null, status: 'active', statusReason: null, payoutAddress: null, updatedAt: null, ...account
+      }).changes === 1;
+    },
+
+    async getAccount(role, accountId) {
+      const row = statements.getAccount.get(role, accountId);
+      return row ? accountFromRow(row) : null;
+    },
+
+    async listAccounts(role) {
+      return statements.listAccounts.all(role).map(accountFromRow);
+    },
+
+    async updateAccount(role, accountId, changes) {
+      return updateAccount(role, accountId, changes);
+    },
+
+    async createApiKey(apiKey) {
+      statements.createApiKey.run({ label: null, revokedAt: null, ...apiKey });
+    },
+
+    async getApiKey(keyId) {
+      const row = statements.getApiKey.get(keyId);
+      return row ? apiKeyFromRow(row) : null;
+    },
+
+    async listApiKeys(merchantId) {
+      return statements.listApiKeys.all(merchantId).map(apiKeyFromRow);
+    },
+
+    async revokeApiKey(keyId, revokedAt) {
+      return statements.revokeApiKey.run(revokedAt, keyId).changes === 1;
+    },
+
+    async hitRateLimit(key, now, windowMs) {
+      return hitRateLimit.immediate(key, now, windowMs);
+    },
+
+    async takeAttempt(key, now, delays, windowMs) {
+      return takeAttempt.immediate(key, now, delays, windowMs);
+    },
+
+    async releaseAttempt(key, { blockedUntil, previousBlockedUntil }) {
+      statements.releaseAttempt.run(blockedUntil, previousBlockedUntil, key);
+    },
+
+    async clearAttempts(key) {
+      statements.clearAttempts.run(key);
+    },
+
+    async pruneExpiredCounters(now) {
+      return statements.pruneRateLimits.run(now).changes + statements.pruneAttempts.run(now).changes;
+    }
+  };
+}
+
+module.exports = { createSqliteStore };
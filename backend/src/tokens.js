@@ -0,0 +1,121 @@
+/**
+ * Payment token metadata and amount formatting
+ * Payments settle in the chain's native token or in an ERC-20 from the
+ * PaymentVerifier allow-list. Amounts are formatted with the token's own
+ * decimals() and symbol(), read once per token and cached, instead of
+ * assuming 18-decimal MATIC.
+ */
+
+const ethers = require('ethers');
+
+// PaymentVerifier records native-token payments under the zero address
+const NATIVE_TOKEN = ethers.ZeroAddress;
+const NATIVE_TOKEN_SYMBOL = process.env.NATIVE_TOKEN_SYMBOL || 'MATIC';
+const NATIVE_TOKEN_DECIMALS = 18;
+
+const ERC20_ABI = [
+  'function decimals() external view returns (uint8)',
+  'function symbol() external view returns (string)',
+  'function transfer(address to, uint256 value) external returns (bool)',
+  'function transferFrom(address from, address to, uint256 value) external returns (bool)'
+];
+
+const PAYMENT_VERIFIER_ABI = [
+  'function registerPayment(uint256 amount, bytes32 pinHash, bytes32 merchantHash, address merchant, address token, uint256 deposit) external payable returns (uint256)'
+];
+
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+const paymentVerifierInterface = new ethers.Interface(PAYMENT_VERIFIER_ABI);
+
+// Token address (lowercase) -> Promise of { address, symbol, decimals, native }
+// Concurrent lookups of a new token share one pair of view calls
+const metadataCache = new Map();
+
+/**
+ * Read a token's symbol and decimals
+ * @param {ethers.Provider} provider - Provider for the chain the token lives on
+ * @param {string} tokenAddress - ERC-20 address, or NATIVE_TOKEN
+ * @returns {Promise<Object>} { address, symbol, decimals, native }
+ */
+function getTokenMetadata(provider, tokenAddress) {
+  if (!tokenAddress || tokenAddress === NATIVE_TOKEN) {
+    return Promise.resolve({
+      address: NATIVE_TOKEN,
+      symbol: NATIVE_TOKEN_SYMBOL,
+      decimals: NATIVE_TOKEN_DECIMALS,
+      native: true
+    });
+  }
+
+  const key = tokenAddress.toLowerCase();
+  if (!metadataCache.has(key)) {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const lookup = Promise.all([token.symbol(), token.decimals()])
+      .then(([symbol, decimals]) => ({
+        address: ethers.getAddress(tokenAddress),
+        symbol,
+        decimals: Number(decimals),
+        native: false
+      }))
+      .catch((error) => {
+        // Don't cache failures - the node may only be unreachable for a moment
+        metadataCache.delete(key);
+        throw error;
+      });
+    metadataCache.set(key, lookup);
+  }
+  return metadataCache.get(key);
+}
+
+/**
+ * Format an amount in a token's smallest unit, e.g. 25050000n -> '25.05 USDC'
+ * @param {bigint|string} value - Amount in the token's smallest unit
+ * @param {Object} metadata - From getTokenMetadata()
+ */
+function formatTokenAmount(value, metadata) {
+  return `${ethers.formatUnits(value, metadata.decimals)} ${metadata.symbol}`;
+}
+
+/**
+ * Work out which token a transaction moves and how much of it
+ * ERC-20 transfers and PaymentVerifier deposits are decoded from the calldata;
+ * anything else is the native value sent with the transaction
+ * @param {Object} tx - ethers TransactionResponse (to, data, value)
+ * @returns {{ token: string, value: bigint }}
+ */
+function decodeTransactionValue(tx) {
+  if (tx.to && tx.data && tx.data !== '0x') {
+    const transfer = erc20Interface.parseTransaction({ data: tx.data });
+    if (transfer && (transfer.name === 'transfer' || transfer.name === 'transferFrom')) {
+      return { token: ethers.getAddress(tx.to), value: transfer.args.value };
+    }
+
+    const payment = paymentVerifierInterface.parseTransaction({ data: tx.data, value: tx.value });
+    if (payment) {
+      return { token: payment.args.token, value: payment.args.deposit };
+    }
+  }
+  return { token: NATIVE_TOKEN, value: tx.value };
+}
+
+/**
+ * Format the value a transaction moves, in its own token
+ * Tokens whose metadata can't be read are shown in raw units with their address
+ * @returns {Promise<{ value: string, token: string }>}
+ */
+async function formatTransactionValue(provider, tx) {
+  const { token, value } = decodeTransactionValue(tx);
+  try {
+    return { value: formatTokenAmount(value, await getTokenMetadata(provider, token)), token };
+  } catch (error) {
+    return { value: `${value.toString()} units of ${token}`, token };
+  }
+}
+
+module.exports = {
+  NATIVE_TOKEN,
+  getTokenMetadata,
+  formatTokenAmount,
+  decodeTransactionValue,
+  formatTransactionValue
+};
@@ -0,0 +1,195 @@
+/**
+ * Verification key registry for ZK proof verification
+ * Holds one Groth16 verification key per circuit id and version, so a new
+ * circuit can be rolled out next to the old one during a migration
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Registry layout: <dir>/<circuitId>/<version>.json, e.g. keys/payment/1.json
+const KEYS_DIR = process.env.VERIFICATION_KEYS_DIR || path.join(__dirname, '..', 'circuits', 'keys');
+
+// Single-key location used before the registry existed, served as payment version 1
+const LEGACY_KEY_PATH = process.env.VERIFICATION_KEY_PATH || path.join(__dirname, '..', 'circuits', 'payment_verification_key.json');
+const LEGACY_KEY_ID = { circuitId: 'payment', version: '1' };
+
+// Circuit ids and versions double as path segments, so keep them to a safe alphabet
+const NAME_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+// Wait for a burst of file events to settle before reloading
+const RELOAD_DEBOUNCE_MS = 250;
+
+// `${circuitId}@${version}` -> { circuitId, version, vKey, file, sha256, nPublic, loadedAt }
+let registry = new Map();
+let watcher = null;
+let reloadTimer = null;
+
+function registryKey(circuitId, version) {
+  return `${circuitId}@${version}`;
+}
+
+/**
+ * Parse and sanity-check one verification key file
+ * @param {string} file - Path to a snarkjs verification_key.json
+ * @returns {Object} - { vKey, sha256, nPublic }
+ */
+function readKeyFile(file) {
+  const contents = fs.readFileSync(file);
+  const vKey = JSON.parse(contents.toString('utf8'));
+
+  if (vKey.protocol !== 'groth16') {
+    throw new Error(`unsupported protocol ${JSON.stringify(vKey.protocol)} (expected groth16)`);
+  }
+  if (!Number.isInteger(vKey.nPublic) || !Array.isArray(vKey.IC) || vKey.IC.length !== vKey.nPublic + 1) {
+    throw new Error('malformed key: nPublic does not match IC');
+  }
+
+  return {
+    vKey,
+    sha256: crypto.createHash('sha256').update(contents).digest('hex'),
+    nPublic: vKey.nPublic
+  };
+}
+
+/**
+ * List every key file in the registry directory
+ * @returns {Array<Object>} - { circuitId, version, file }
+ */
+function scanKeysDir() {
+  if (!fs.existsSync(KEYS_DIR)) {
+    return [];
+  }
+
+  const found = [];
+  for (const circuitEntry of fs.readdirSync(KEYS_DIR, { withFileTypes: true })) {
+    if (!circuitEntry.isDirectory() || !NAME_PATTERN.test(circuitEntry.name)) continue;
+
+    const circuitDir = path.join(KEYS_DIR, circuitEntry.name);
+    for (const file of fs.readdirSync(circuitDir)) {
+      const version = path.basename(file, '.json');
+      if (!file.endsWith('.json') || !NAME_PATTERN.test(version)) continue;
+      found.push({ circuitId: circuitEntry.name, version, file: path.join(circuitDir, file) });
+    }
+  }
+  return found;
+}
+
+/**
+ * (Re)load every verification key
+ * The new registry is built on the side and swapped in at once, so in-flight
+ * verifications never see a half-loaded set. A key that fails to parse keeps
+ * its previously loaded copy rather than disappearing mid-rollout.
+ * @returns {Array<Object>} - Summary of the loaded keys
+ */
+function loadVerificationKeys() {
+  const sources = scanKeysDir();
+
+  const legacyId = registryKey(LEGACY_KEY_ID.circuitId, LEGACY_KEY_ID.version);
+  if (fs.existsSync(LEGACY_KEY_PATH) && !sources.some(s => registryKey(s.circuitId, s.version) === legacyId)) {
+    sources.push({ ...LEGACY_KEY_ID, file: LEGACY_KEY_PATH });
+  }
+
+  const next = new Map();
+  for (const source of sources) {
+    const id = registryKey(source.circuitId, source.version);
+    try {
+      const previous = registry.get(id);
+      const { vKey, sha256, nPublic } = readKeyFile(source.file);
+      next.set(id, {
+        circuitId: source.circuitId,
+        version: source.version,
+        vKey,
+        file: source.file,
+        sha256,
+        nPublic,
+        loadedAt: previous && previous.sha256 === sha256 ? previous.loadedAt : new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`❌ Could not load verification key ${id} from ${source.file}: ${error.message}`);
+      if (registry.has(id)) {
+        next.set(id, registry.get(id));
+      }
+    }
+  }
+
+  registry = next;
+  return listVerificationKeys();
+}
+
+/**
+ * Look up the verification key for one circuit version
+ * @param {string} circuitId - e.g. 'payment'
+ * @param {string|number} version - e.g. '1'
+ * @returns {Object|null} - The registry entry, or null for unknown versions
+ */
+function getVerificationKey(circuitId, version) {
+  return registry.get(registryKey(circuitId, String(version))) || null;
+}
+
+/**
+ * Versions registered for a circuit, for error messages
+ * @param {string} circuitId - e.g. 'payment'
+ * @returns {Array<string>} - Registered versions
+ */
+function getCircuitVersions(circuitId) {
+  return [...registry.values()]
+    .filter(entry => entry.circuitId === circuitId)
+    .map(entry => entry.version);
+}
+
+/**
+ * Summary of the loaded keys (for health check) - the keys themselves are left out
+ * @returns {Array<Object>} - { circuitId, version, nPublic, sha256, loadedAt }
+ */
+function listVerificationKeys() {
+  return [...registry.values()]
+    .map(({ circuitId, version, nPublic, sha256, loadedAt }) => ({ circuitId, version, nPublic, sha256, loadedAt }))
+    .sort((a, b) => a.circuitId.localeCompare(b.circuitId) || a.version.localeCompare(b.version, undefined, { numeric: true }));
+}
+
+/**
+ * Reload keys whenever the registry directory changes
+ * Dropping keys/payment/2.json in place makes version 2 verifiable without a restart;
+ * deleting keys/payment/1.json retires version 1
+ */
+function watchVerificationKeys() {
+  if (watcher || !fs.existsSync(KEYS_DIR)) {
+    return;
+  }
+
+  try {
+    watcher = fs.watch(KEYS_DIR, { recursive: true }, () => {
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        const keys = loadVerificationKeys();
+        console.log(`🔄 Verification keys reloaded: ${keys.map(k => registryKey(k.circuitId, k.version)).join(', ') || 'none'}`);
+      }, RELOAD_DEBOUNCE_MS);
+    });
+    watcher.unref();
+  } catch (error) {
+    console.warn(`⚠️  Cannot watch ${KEYS_DIR} for new verification keys: ${error.message}`);
+  }
+}
+
+/**
+ * Stop watching the registry directory
+ */
+function unwatchVerificationKeys() {
+  clearTimeout(reloadTimer);
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+}
+
+module.exports = {
+  KEYS_DIR,
+  loadVerificationKeys,
+  getVerificationKey,
+  getCircuitVersions,
+  listVerificationKeys,
+  watchVerificationKeys,
+  unwatchVerificationKeys
+};
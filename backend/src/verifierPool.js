@@ -0,0 +1,220 @@
+/**
+ * Worker-thread pool for Groth16 proof verification
+ * A pairing check takes tens of milliseconds of CPU; run on the main thread a burst
+ * of payments blocks every other route. Verifications are queued here and handed
+ * to a fixed set of worker threads, and callers are turned away with a 503-style
+ * error once the queue is full instead of piling up behind it.
+ */
+
+const os = require('os');
+const path = require('path');
+// worker_threads wrapper that snarkjs itself uses: loading snarkjs inside a plain
+// worker_threads Worker fails because ffjavascript expects web-worker's workerData
+const Worker = require('web-worker');
+
+const WORKER_PATH = path.join(__dirname, 'verifierWorker.js');
+
+const DEFAULT_POOL_SIZE = parseInt(process.env.VERIFIER_POOL_SIZE, 10) || Math.max(1, Math.min(4, os.cpus().length));
+const DEFAULT_QUEUE_LIMIT = parseInt(process.env.VERIFIER_QUEUE_LIMIT, 10) || 100;
+
+// Number of recent timings kept for the p95 figures
+const SAMPLE_WINDOW = 1000;
+
+// Delay before replacing a crashed worker, so a worker that cannot start does not spin
+const RESPAWN_DELAY_MS = 1000;
+
+let pool = null;
+
+function createTimingStats() {
+  return { count: 0, totalMs: 0, maxMs: 0, samples: [] };
+}
+
+function recordTiming(stats, ms) {
+  stats.count++;
+  stats.totalMs += ms;
+  stats.maxMs = Math.max(stats.maxMs, ms);
+  stats.samples.push(ms);
+  if (stats.samples.length > SAMPLE_WINDOW) {
+    stats.samples.shift();
+  }
+}
+
+function summarizeTiming(stats) {
+  const sorted = [...stats.samples].sort((a, b) => a - b);
+  return {
+    count: stats.count,
+    avgMs: stats.count ? Math.round(stats.totalMs / stats.count) : 0,
+    p95Ms: sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0,
+    maxMs: stats.maxMs
+  };
+}
+
+/**
+ * Start the pool (a no-op if it is already running)
+ * @param {Object} [options] - { size, queueLimit } - default to VERIFIER_POOL_SIZE / VERIFIER_QUEUE_LIMIT
+ */
+function startVerifierPool(options = {}) {
+  if (pool) {
+    return;
+  }
+
+  pool = {
+    size: options.size || DEFAULT_POOL_SIZE,
+    queueLimit: options.queueLimit || DEFAULT_QUEUE_LIMIT,
+    workers: [],
+    idle: [],
+    queue: [],
+    nextTaskId: 0,
+    completed: 0,
+    failed: 0,
+    rejected: 0,
+    restarts: 0,
+    queueWait: createTimingStats(),
+    verifyTime: createTimingStats()
+  };
+
+  for (let i = 0; i < pool.size; i++) {
+    spawnWorker(pool);
+  }
+}
+
+/**
+ * Start one worker and wire its results back to the task it is running
+ * A worker that crashes fails its current task and is replaced
+ */
+function spawnWorker(owner) {
+  const slot = { worker: new Worker(WORKER_PATH), task: null };
+
+  slot.worker.addEventListener('message', (event) => {
+    const { id, valid, error, verifyMs } = event.data;
+    const task = slot.task;
+    if (!task || task.id !== id) return;
+    slot.task = null;
+
+    recordTiming(owner.verifyTime, verifyMs);
+    if (error) {
+      owner.failed++;
+      task.reject(new Error(error));
+    } else {
+      owner.completed++;
+      task.resolve(valid);
+    }
+    if (pool === owner) {
+      runNext(owner, slot);
+    }
+  });
+
+  slot.worker.addEventListener('error', (error) => {
+    console.error('❌ Verifier worker crashed:', error.message);
+  });
+
+  slot.worker.addEventListener('close', () => {
+    if (pool !== owner) return;
+
+    owner.workers = owner.workers.filter(s => s !== slot);
+    owner.idle = owner.idle.filter(s => s !== slot);
+    if (slot.task) {
+      owner.failed++;
+      slot.task.reject(new Error('Verifier worker exited during verification'));
+    }
+
+    owner.restarts++;
+    setTimeout(() => {
+      if (pool === owner) spawnWorker(owner);
+    }, RESPAWN_DELAY_MS);
+  });
+
+  owner.workers.push(slot);
+  runNext(owner, slot);
+}
+
+/**
+ * Give an idle worker the oldest queued task, or mark it idle
+ */
+function runNext(owner, slot) {
+  const task = owner.queue.shift();
+  if (!task) {
+    owner.idle.push(slot);
+    return;
+  }
+
+  recordTiming(owner.queueWait, Date.now() - task.queuedAt);
+  slot.task = task;
+  slot.worker.postMessage({ id: task.id, vKey: task.vKey, publicSignals: task.publicSignals, proof: task.proof });
+}
+
+/**
+ * Verify a Groth16 proof on a worker thread
+ * @param {Object} vKey - Verification key from the registry
+ * @param {Array} publicSignals - The public signals from the circuit
+ * @param {Object} proof - The proof from snarkjs
+ * @returns {Promise<boolean>} - True if the proof is valid
+ * @throws {Error} - code 'VERIFIER_POOL_FULL' (statusCode 503) when the queue is full
+ */
+function verifyProof(vKey, publicSignals, proof) {
+  startVerifierPool();
+
+  if (pool.queue.length >= pool.queueLimit) {
+    pool.rejected++;
+    const error = new Error(`Proof verification queue is full (${pool.queueLimit} waiting). Try again shortly.`);
+    error.code = 'VERIFIER_POOL_FULL';
+    error.statusCode = 503;
+    return Promise.reject(error);
+  }
+
+  return new Promise((resolve, reject) => {
+    pool.queue.push({ id: pool.nextTaskId++, vKey, publicSignals, proof, resolve, reject, queuedAt: Date.now() });
+
+    const slot = pool.idle.shift();
+    if (slot) {
+      runNext(pool, slot);
+    }
+  });
+}
+
+/**
+ * Pool size, load and timings (for health check)
+ * @returns {Object|null} - null until the pool has been started
+ */
+function getVerifierPoolMetrics() {
+  if (!pool) {
+    return null;
+  }
+
+  return {
+    size: pool.size,
+    busy: pool.workers.filter(s => s.task).length,
+    queued: pool.queue.length,
+    queueLimit: pool.queueLimit,
+    completed: pool.completed,
+    failed: pool.failed,
+    rejected: pool.rejected,
+    restarts: pool.restarts,
+    queueWaitMs: summarizeTiming(pool.queueWait),
+    verifyMs: summarizeTiming(pool.verifyTime)
+  };
+}
+
+/**
+ * Terminate every worker; queued and running verifications are rejected
+ */
+function stopVerifierPool() {
+  if (!pool) {
+    return;
+  }
+
+  const stopping = pool;
+  pool = null;
+
+  const error = new Error('Verifier pool stopped');
+  stopping.queue.forEach(task => task.reject(error));
+  stopping.workers.forEach(slot => slot.task && slot.task.reject(error));
+  stopping.workers.forEach(slot => slot.worker.terminate());
+}
+
+module.exports = {
+  startVerifierPool,
+  verifyProof,
+  getVerifierPoolMetrics,
+  stopVerifierPool
+};
@@ -0,0 +1,29 @@
+/* global self */
+/**
+ * Worker thread for Groth16 proof verification
+ * Started by verifierPool.js through web-worker - keeps snarkjs pairing checks off
+ * the Express event loop
+ */
+
+const snarkjs = require('snarkjs');
+
+// ffjavascript would otherwise start its own thread pool inside every verifier
+// worker. snarkjs looks the curve up on globalThis.curve_bn128 first, so build a
+// single-threaded one and park it there before the first verification.
+const curveReady = snarkjs.curves.getCurveFromName('bn128', { singleThread: true })
+  .then(curve => {
+    globalThis.curve_bn128 = curve;
+  });
+
+self.onmessage = async (event) => {
+  const { id, vKey, publicSignals, proof } = event.data;
+  const startedAt = Date.now();
+
+  try {
+    await curveReady;
+    const valid = await snarkjs.groth16.verify(vKey, publicSignals, proof);
+    self.postMessage({ id, valid, verifyMs: Date.now() - startedAt });
+  } catch (error) {
+    self.postMessage({ id, error: error.message, verifyMs: Date.now() - startedAt });
+  }
+};
@@ -0,0 +1,94 @@
+/**
+ * Test suite for merchant and admin accounts in src/accounts.js
+ */
+
+const { ROLES, hashPassword, verifyPassword, createAccount, authenticateAccount } = require('../src/accounts');
+const { initializeStorage, getStore, closeStorage } = require('../src/storage');
+const { report, printHeader, printSummary } = require('./helpers');
+
+const PASSWORD = 'correct horse battery';
+
+async function testPasswordHashing() {
+  console.log('\n📋 Testing password hashing...');
+  const hash = await hashPassword(PASSWORD);
+  const again = await hashPassword(PASSWORD);
+
+  return report('Password hashing', [
+    ['hashes are salted scrypt', hash.startsWith('scrypt$') && hash !== again && !hash.includes(PASSWORD)],
+    ['the password verifies', await verifyPassword(PASSWORD, hash)],
+    ['another password does not', !(await verifyPassword('correct horse battery!', hash))],
+    ['a malformed hash never verifies', !(await verifyPassword(PASSWORD, 'plain$text'))]
+  ]);
+}
+
+async function testMerchantRegistration() {
+  console.log('\n📋 Testing merchant registration...');
+  await initializeStorage({ driver: 'memory' });
+
+  const created = await createAccount(ROLES.MERCHANT, { accountId: 'shop_1', name: '  Corner Shop ', password: PASSWORD });
+  const duplicate = await createAccount(ROLES.MERCHANT, { accountId: 'shop_1', name: 'Impostor', password: PASSWORD });
+  const badId = await createAccount(ROLES.MERCHANT, { accountId: 'shop 1; drop', password: PASSWORD });
+  const shortPassword = await createAccount(ROLES.MERCHANT, { accountId: 'shop_2', password: 'short' });
+  const stored = await getStore().getAccount(ROLES.MERCHANT, 'shop_1');
+
+  let customerAccount = null;
+  try {
+    await createAccount(ROLES.CUSTOMER, { accountId: 'cust_1', password: PASSWORD });
+  } catch (error) {
+    customerAccount = error;
+  }
+
+  return report('Merchant registration', [
+    ['a merchant is created with a trimmed name', created.created && created.account.name === 'Corner Shop'],
+    ['the response carries no password hash', !('passwordHash' in created.account)],
+    ['a taken merchant id is refused', !duplicate.created && duplicate.code === 'ACCOUNT_EXISTS' && stored.name === 'Corner Shop'],
+    ['ids outside the merchant id format are refused', badId.code === 'INVALID_ACCOUNT'],
+    ['short passwords are refused', shortPassword.code === 'INVALID_ACCOUNT'],
+    ['customers have no password accounts', customerAccount !== null]
+  ]);
+}
+
+async function testAuthentication() {
+  console.log('\n📋 Testing password login...');
+  await createAccount(ROLES.ADMIN, { accountId: 'ops', password: PASSWORD });
+
+  const merchant = await authenticateAccount(ROLES.MERCHANT, 'shop_1', PASSWORD);
+  const wrongPassword = await authenticateAccount(ROLES.MERCHANT, 'shop_1', 'wrong password!');
+  const unknown = await authenticateAccount(ROLES.MERCHANT, 'shop_9', PASSWORD);
+  const admin = await authenticateAccount(ROLES.ADMIN, 'ops', PASSWORD);
+  const adminAsMerchant = await authenticateAccount(ROLES.MERCHANT, 'ops', PASSWORD);
+  const merchantAsAdmin = await authenticateAccount(ROLES.ADMIN, 'shop_1', PASSWORD);
+  const notAString = await authenticateAccount(ROLES.MERCHANT, { $ne: null }, PASSWORD);
+
+  return report('Password login', [
+    ['the right password signs the merchant in', merchant?.accountId === 'shop_1' && merchant.role === ROLES.MERCHANT],
+    ['a wrong password does not', wrongPassword === null],
+    ['an unknown merchant does not', unknown === null],
+    ['admins sign in as admins', admin?.role === ROLES.ADMIN],
+    ['an account only works for its own role', adminAsMerchant === null && merchantAsAdmin === null],
+    ['non-string ids are refused', notAString === null]
+  ]);
+}
+
+async function runTests() {
+  printHeader('Account Tests');
+
+  const results = {
+    'Password Hashing': await testPasswordHashing(),
+    'Merchant Registration': await testMerchantRegistration(),
+    'Password Login': await testAuthentication()
+  };
+  await closeStorage();
+
+  process.exit(printSummary(results) ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testPasswordHashing, testMerchantRegistration, testAuthentication };
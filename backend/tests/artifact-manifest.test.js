@@ -0,0 +1,122 @@
+/**
+ * Test suite for the circuit artifact manifest check in src/artifactManifest.js
+ * Writes a scratch manifest with a couple of fake artifacts, so no compiled
+ * circuits are needed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BUILD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'zkpulse-manifest-'));
+const MANIFEST_PATH = path.join(BUILD_DIR, 'manifest.json');
+process.env.CIRCUIT_MANIFEST_PATH = MANIFEST_PATH;
+
+const {
+  MANIFEST_VERSION,
+  sha256File,
+  checkArtifactManifest,
+  getArtifactManifestStatus
+} = require('../src/artifactManifest');
+const { report, printHeader, printSummary } = require('./helpers');
+
+function writeArtifact(name, contents) {
+  const file = path.join(BUILD_DIR, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+  return { path: name, sha256: sha256File(file) };
+}
+
+function writeManifest(manifest) {
+  fs.writeFileSync(MANIFEST_PATH, typeof manifest === 'string' ? manifest : JSON.stringify(manifest));
+}
+
+function buildManifest() {
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    generatedAt: new Date().toISOString(),
+    circuits: {
+      payment: {
+        version: '1',
+        artifacts: {
+          zkey: writeArtifact('payment_final.zkey', 'zkey bytes'),
+          vkey: writeArtifact('keys/payment/1.json', '{"nPublic":5}'),
+          verifierSol: { path: 'Verifier.sol', sha256: '00'.repeat(32) }
+        }
+      }
+    }
+  };
+}
+
+async function testMissingAndInvalid() {
+  console.log('\n📋 Testing missing and unreadable manifests...');
+  const missing = checkArtifactManifest([]);
+
+  writeManifest('{ not json');
+  const unreadable = checkArtifactManifest([]);
+
+  writeManifest({ manifestVersion: MANIFEST_VERSION + 1, circuits: {} });
+  const wrongVersion = checkArtifactManifest([]);
+
+  return report('Missing and invalid manifests', [
+    ['no manifest is reported as missing', missing.status === 'missing'],
+    ['a manifest that does not parse is invalid', unreadable.status === 'invalid' && unreadable.problems.length === 1],
+    ['an unknown manifest version is invalid', wrongVersion.status === 'invalid']
+  ]);
+}
+
+async function testMatchingArtifacts() {
+  console.log('\n📋 Testing artifacts that match the manifest...');
+  const manifest = buildManifest();
+  writeManifest(manifest);
+
+  const loadedKeys = [{ circuitId: 'payment', version: '1', sha256: manifest.circuits.payment.artifacts.vkey.sha256 }];
+  const result = checkArtifactManifest(loadedKeys);
+  const payment = result.circuits.payment;
+
+  return report('Matching artifacts', [
+    ['the manifest verifies', result.status === 'verified' && result.problems.length === 0],
+    ['present artifacts are listed as verified', payment.verified.join() === 'zkey,vkey'],
+    ['absent artifacts are tolerated and listed as missing', payment.missing.join() === 'verifierSol'],
+    ['the health summary reflects the last check', getArtifactManifestStatus()?.status === 'verified']
+  ]);
+}
+
+async function testMismatchedArtifacts() {
+  console.log('\n📋 Testing artifacts that differ from the manifest...');
+  const manifest = buildManifest();
+  writeManifest(manifest);
+  fs.writeFileSync(path.join(BUILD_DIR, 'payment_final.zkey'), 'zkey from another build');
+  const tamperedZkey = checkArtifactManifest([]);
+
+  writeManifest(buildManifest());
+  const otherKey = checkArtifactManifest([{ circuitId: 'payment', version: '1', sha256: 'ff'.repeat(32) }]);
+  const otherVersion = checkArtifactManifest([{ circuitId: 'payment', version: '2', sha256: 'ff'.repeat(32) }]);
+
+  return report('Mismatched artifacts', [
+    ['a changed zkey is a mismatch', tamperedZkey.status === 'mismatch' && tamperedZkey.circuits.payment.mismatched.includes('zkey')],
+    ['a registry key that differs from the manifest vkey is a mismatch', otherKey.status === 'mismatch' && otherKey.circuits.payment.mismatched.includes('loadedKey')],
+    ['keys for versions outside the manifest are not compared', otherVersion.status === 'verified']
+  ]);
+}
+
+async function runTests() {
+  printHeader('Artifact Manifest Tests');
+
+  const results = {
+    'Missing / Invalid': await testMissingAndInvalid(),
+    'Matching Artifacts': await testMatchingArtifacts(),
+    'Mismatched Artifacts': await testMismatchedArtifacts()
+  };
+
+  fs.rmSync(BUILD_DIR, { recursive: true, force: true });
+
+  process.exit(printSummary(results) ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { testMissingAndInvalid, testMatchingArtifacts, testMismatchedArtifacts };
@@ -0,0 +1,141 @@
+/**
+ * Test suite for the deployments manifest in src/deployments.js
+ * Writes scratch manifests and answers chain queries from a stub provider, so no
+ * node is needed. The PINRegistry ABI is taken from blockchain/artifacts.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEPLOYMENTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'zkpulse-deployments-'));
+const ARTIFACT_PATH = path.join(__dirname, '..', '..', 'blockchain', 'artifacts', 'contracts', 'PINRegistry.sol', 'PINRegistry.json');
+process.env.DEPLOYMENTS_DIR = DEPLOYMENTS_DIR;
+process.env.DEPLOYMENT_NETWORK = 'localhost';
+
+const { loadDeployment, getDeployedContract, getDeploymentStatus } = require('../src/deployments');
+const { PIN_REGISTRY_ABI } = require('../src/pinRegistry');
+const { report, printHeader, printSummary } = require('./helpers');
+
+const PIN_REGISTRY_ADDRESS = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+
+/**
+ * Provider that answers getNetwork and getCode - or never answers, when chainId is null
+ */
+function stubProvider(chainId, deployedAddresses = [PIN_REGISTRY_ADDRESS]) {
+  const never = new Promise(() => {});
+  return {
+    getNetwork: async () => (chainId === null ? never : { chainId: BigInt(chainId) }),
+    getCode: async (address) => (deployedAddresses.includes(address) ? '0x6080' : '0x')
+  };
+}
+
+function writeManifest(manifest, network = 'localhost') {
+  fs.writeFileSync(path.join(DEPLOYMENTS_DIR, `${network}.json`), typeof manifest === 'string' ? manifest : JSON.stringify(manifest));
+}
+
+function buildManifest(abi = JSON.parse(fs.readFileSync(ARTIFACT_PATH, 'utf8')).abi) {
+  return {
+    manifestVersion: 1,
+    network: 'localhost',
+    chainId: 1337,
+    deployedAt: new Date().toISOString(),
+    contracts: {
+      PINRegistry: { contractName: 'PINRegistry', address: PIN_REGISTRY_ADDRESS, deployBlock: 3, artifactHash: 'ab'.repeat(32), abi }
+    }
+  };
+}
+
+async function testMissingAndInvalid() {
+  console.log('\n📋 Testing missing and unreadable manifests...');
+  const missing = await loadDeployment(stubProvider(1337));
+
+  writeManifest('{ not json');
+  const unreadable = await loadDeployment(stubProvider(1337));
+
+  writeManifest({ ...buildManifest(), manifestVersion: 2 });
+  const wrongVersion = await loadDeployment(stubProvider(1337));
+
+  return report('Missing and invalid manifests', [
+    ['no manifest for the network is reported as missing', missing.status === 'missing'],
+    ['a manifest that does not parse is invalid', unreadable.status === 'invalid'],
+    ['an unknown manifest version is invalid', wrongVersion.status === 'invalid'],
+    ['no contract is offered from them', getDeployedContract('PINRegistry') === null]
+  ]);
+}
+
+async function testMatchingManifest() {
+  console.log('\n📋 Testing a manifest that matches the chain...');
+  writeManifest(buildManifest());
+  const result = await loadDeployment(stubProvider(1337));
+  const pinRegistry = getDeployedContract('PINRegistry', PIN_REGISTRY_ABI);
+
+  return report('Matching manifest', [
+    ['the manifest verifies', result.status === 'verified' && result.problems.length === 0],
+    ['the contract address and deploy block are offered', pinRegistry?.address === PIN_REGISTRY_ADDRESS && pinRegistry.deployBlock === 3],
+    ['the health summary leaves out the ABIs', !('abi' in getDeploymentStatus().contracts.PINRegistry)],
+    ['contracts the manifest does not list are null', getDeployedContract('PaymentVerifier') === null]
+  ]);
+}
+
+async function testMismatchedManifest() {
+  console.log('\n📋 Testing manifests that do not match...');
+  writeManifest(buildManifest());
+  const otherChain = await loadDeployment(stubProvider(80002));
+  const otherChainContract = getDeployedContract('PINRegistry');
+  const restartedNode = await loadDeployment(stubProvider(1337, []));
+
+  // A deployment of the old PINRegistry, keyed by customer id strings
+  writeManifest(buildManifest([
+    'function registerPIN(string _customerId, bytes32 _pinHash, bytes32 _salt)',
+    'function isPINRegistered(bytes32 _customerKey) view returns (bool)'
+  ]));
+  await loadDeployment(stubProvider(1337));
+  let incompatible = null;
+  try {
+    getDeployedContract('PINRegistry', PIN_REGISTRY_ABI);
+  } catch (error) {
+    incompatible = error;
+  }
+
+  return report('Mismatched manifests', [
+    ['a manifest for another chain is refused', otherChain.status === 'mismatch' && otherChainContract === null],
+    ['contracts without code are a mismatch', restartedNode.status === 'mismatch' && restartedNode.problems[0].includes('PINRegistry')],
+    ['a contract missing functions the backend calls is refused', incompatible?.message.includes('registerPIN(bytes32,bytes32)')],
+    ['functions it does have are not listed', incompatible && !incompatible.message.includes('isPINRegistered')]
+  ]);
+}
+
+async function testUnreachableChain() {
+  console.log('\n📋 Testing a chain that does not answer...');
+  writeManifest(buildManifest());
+  const startedAt = Date.now();
+  const result = await loadDeployment(stubProvider(null));
+
+  return report('Unreachable chain', [
+    ['the manifest is used unchecked', result.status === 'unchecked' && getDeployedContract('PINRegistry')?.address === PIN_REGISTRY_ADDRESS],
+    ['the check gives up after its timeout', Date.now() - startedAt < 7000]
+  ]);
+}
+
+async function runTests() {
+  printHeader('Deployments Manifest Tests');
+
+  const results = {
+    'Missing / Invalid': await testMissingAndInvalid(),
+    'Matching Manifest': await testMatchingManifest(),
+    'Mismatched Manifests': await testMismatchedManifest(),
+    'Unreachable Chain': await testUnreachableChain()
+  };
+
+  fs.rmSync(DEPLOYMENTS_DIR, { recursive: true, force: true });
+
+  process.exit(printSummary(results) ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { testMissingAndInvalid, testMatchingManifest, testMismatchedManifest, testUnreachableChain };
@@ -3,9 +3,9 @@
  * Generates sample proofs, pins, and salts for testing
  */
 
-const snarkjs = require('snarkjs');
 const fs = require('fs');
 const path = require('path');
+const { generatePaymentProof, poseidonHash, merchantHash, computeNullifier, encodeAmount } = require('../src/circuits');
 
 const CIRCUITS_DIR = path.join(__dirname, '..', 'circuits');
 
@@ -17,14 +17,13 @@ async function generateTestData() {
   console.log('=====================================\n');
 
   // Check if circuit is compiled
-  const zkeyPath = path.join(CIRCUITS_DIR, 'auth_0000.zkey');
-  const wasmPath = path.join(CIRCUITS_DIR, 'auth_js', 'auth.wasm');
+  const zkeyPath = path.join(CIRCUITS_DIR, 'payment_final.zkey');
+  const wasmPath = path.join(CIRCUITS_DIR, 'payment_js', 'payment.wasm');
 
   if (!fs.existsSync(zkeyPath) || !fs.existsSync(wasmPath)) {
     console.log('⚠️  Circuit not compiled yet.');
     console.log('\nTo generate real proofs:');
-    console.log('  1. cd circuits');
-    console.log('  2. ./setup.sh (or setup.bat on Windows)');
+    console.log('  npm run build:circuits');
     console.log('\nGenerating mock test data instead...\n');
 
     return generateMockTestData();
@@ -33,9 +32,9 @@ async function generateTestData() {
   try {
     // Generate multiple test cases with different PINs and salts
     const testCases = [
-      { name: 'User 1', pin: '1234', salt: '5678' },
-      { name: 'User 2', pin: '9876', salt: '5432' },
-      { name: 'User 3', pin: '1111', salt: '2222' }
+      { name: 'User 1', pin: '1234', salt: '5678', amount: '100', merchantId: 'merchant_1', nonce: '1' },
+      { name: 'User 2', pin: '9876', salt: '5432', amount: '250.50', merchantId: 'merchant_1', nonce: '2' },
+      { name: 'User 3', pin: '1111', salt: '2222', amount: '42', merchantId: 'merchant_2', nonce: '3' }
     ];
 
     const proofs = [];
@@ -44,23 +43,17 @@ async function generateTestData() {
       console.log(`Generating proof for ${testCase.name}...`);
 
       try {
-        // Calculate witness
-        const witness = await snarkjs.wtns.calculate(
-          { pin: testCase.pin, salt: testCase.salt },
-          wasmPath
-        );
-
-        // Generate proof
-        const { proof, publicSignals } = await snarkjs.groth16.prove(
-          zkeyPath,
-          witness
-        );
+        // Witness calculation + Groth16 proving (artifacts are cached between users)
+        const { proof, publicSignals } = await generatePaymentProof(testCase, { wasmPath, zkeyPath });
 
         proofs.push({
           user: testCase.name,
           pin: testCase.pin,
           salt: testCase.salt,
-          pinHash: publicSignals[0],
+          amount: testCase.amount,
+          merchantId: testCase.merchantId,
+          nonce: testCase.nonce,
+          pinHash: publicSignals[1],
           proof: {
             pi_a: proof.pi_a,
             pi_b: proof.pi_b,
@@ -72,7 +65,7 @@ async function generateTestData() {
         });
 
         console.log(`  ✓ Proof generated`);
-        console.log(`    PIN Hash: ${publicSignals[0].slice(0, 16)}...`);
+        console.log(`    PIN Hash: ${publicSignals[1].slice(0, 16)}...`);
       } catch (error) {
         console.error(`  ✗ Failed to generate proof: ${error.message}`);
       }
@@ -93,15 +86,36 @@ async function generateTestData() {
 /**
  * Generate mock test data (no circuit required)
  */
-function generateMockTestData() {
+async function generateMockTestData() {
   console.log('Generating mock test data...\n');
 
+  // Mock proofs are fake, but their public signals are what payment.circom would output
+  const user1PinHash = await poseidonHash('1234', '5678');
+  const user2PinHash = await poseidonHash('9876', '5432');
+  const user1Signals = [
+    await computeNullifier('5678', '1'),
+    user1PinHash,
+    encodeAmount('100').toString(),
+    await merchantHash('merchant_1'),
+    '1'
+  ];
+  const user2Signals = [
+    await computeNullifier('5432', '2'),
+    user2PinHash,
+    encodeAmount('250.50').toString(),
+    await merchantHash('merchant_1'),
+    '2'
+  ];
+
   const mockProofs = [
     {
       user: 'User 1',
       pin: '1234',
       salt: '5678',
-      pinHash: '12345678901234567890123456789012',
+      amount: '100',
+      merchantId: 'merchant_1',
+      nonce: '1',
+      pinHash: user1PinHash,
       proof: {
         pi_a: [
           '11476779903914993842564251124996196858255093325223160820356348241872234089431',
@@ -127,13 +141,16 @@ function generateMockTestData() {
         protocol: 'groth16',
         curve: 'bn128'
       },
-      publicSignals: ['12345678901234567890123456789012']
+      publicSignals: user1Signals
     },
     {
       user: 'User 2',
       pin: '9876',
       salt: '5432',
-      pinHash: '98765432109876543210987654321098',
+      amount: '250.50',
+      merchantId: 'merchant_1',
+      nonce: '2',
+      pinHash: user2PinHash,
       proof: {
         pi_a: [
           '20000000000000000000000000000000000000000000000000000000000000000',
@@ -159,7 +176,7 @@ function generateMockTestData() {
         protocol: 'groth16',
         curve: 'bn128'
       },
-      publicSignals: ['98765432109876543210987654321098']
+      publicSignals: user2Signals
     }
   ];
 
@@ -202,6 +219,8 @@ if (require.main === module) {
     proofs.forEach(p => {
       console.log(`  - ${p.user}: PIN ${p.pin}, Hash ${p.pinHash.slice(0, 16)}...`);
     });
+    // snarkjs keeps bn128 worker threads alive, so exit explicitly
+    process.exit(0);
   });
 }
 
@@ -0,0 +1,44 @@
+/**
+ * Shared helpers for the backend test suites
+ * Each suite prints its checks with report() and ends with printSummary().
+ */
+
+/**
+ * Print a test's checks and whether all of them passed
+ * @param {string} name - The test's name
+ * @param {Array} checks - [description, ok] pairs
+ * @returns {boolean} - true if every check passed
+ */
+function report(name, checks) {
+  checks.forEach(([check, ok]) => console.log(`   ${ok ? '✓' : '✗'} ${check}`));
+  const passed = checks.every(([, ok]) => ok);
+  console.log(passed ? `✅ ${name} passed` : `❌ ${name} failed`);
+  return passed;
+}
+
+/**
+ * Print a suite's banner
+ * @param {string} title - The suite's name
+ */
+function printHeader(title) {
+  console.log('=================================');
+  console.log(title);
+  console.log('=================================');
+}
+
+/**
+ * Print the outcome of each test in a suite
+ * @param {Object} results - Test name -> true (passed), false (failed) or null (skipped)
+ * @returns {boolean} - true if no test failed
+ */
+function printSummary(results) {
+  console.log('\n=================================');
+  console.log('Test Summary:');
+  for (const [name, passed] of Object.entries(results)) {
+    console.log(`  ${name}: ${passed === null ? 'skipped' : passed ? '✅' : '❌'}`);
+  }
+  console.log('=================================\n');
+  return Object.values(results).every(passed => passed !== false);
+}
+
+module.exports = { report, printHeader, printSummary };
@@ -0,0 +1,108 @@
+/**
+ * Test suite for login challenges (src/loginChallenges.js) and the login rate
+ * limiter (src/rateLimit.js)
+ */
+
+// Short-lived challenges so expiry can be observed
+process.env.LOGIN_CHALLENGE_TTL_MS = '200';
+
+const { issueLoginChallenge, redeemLoginChallenge } = require('../src/loginChallenges');
+const { createRateLimiter } = require('../src/rateLimit');
+const { toFieldElement } = require('../src/circuits');
+const { initializeStorage, closeStorage } = require('../src/storage');
+const { report, printHeader, printSummary } = require('./helpers');
+
+function isFieldElement(value) {
+  try {
+    return toFieldElement(value).toString() === value;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function testSingleUse() {
+  console.log('\n📋 Testing single-use challenges...');
+  await initializeStorage({ driver: 'memory' });
+
+  const issued = await issueLoginChallenge('cust_1');
+  const other = await issueLoginChallenge('cust_1');
+  const first = await redeemLoginChallenge('cust_1', issued.nonce);
+  const second = await redeemLoginChallenge('cust_1', issued.nonce);
+
+  const raced = await issueLoginChallenge('cust_1');
+  const racing = await Promise.all([1, 2, 3].map(() => redeemLoginChallenge('cust_1', raced.nonce)));
+
+  return report('Single use', [
+    ['the nonce is a fresh field element', isFieldElement(issued.nonce) && issued.nonce !== other.nonce],
+    ['the first login with it is accepted', first.valid],
+    ['a second login with it is refused', !second.valid && second.code === 'CHALLENGE_NOT_FOUND'],
+    ['of concurrent logins exactly one gets it', racing.filter(r => r.valid).length === 1],
+    ['a nonce that was never issued is refused', (await redeemLoginChallenge('cust_1', '12345')).code === 'CHALLENGE_NOT_FOUND']
+  ]);
+}
+
+async function testRefusedChallenges() {
+  console.log('\n📋 Testing expired and misdirected challenges...');
+  const stolen = await issueLoginChallenge('cust_1');
+  const misdirected = await redeemLoginChallenge('cust_2', stolen.nonce);
+  const afterMisuse = await redeemLoginChallenge('cust_1', stolen.nonce);
+
+  const stale = await issueLoginChallenge('cust_1');
+  await new Promise(resolve => setTimeout(resolve, 250));
+  const expired = await redeemLoginChallenge('cust_1', stale.nonce);
+
+  return report('Refused challenges', [
+    ['a challenge for another customer is refused', !misdirected.valid && misdirected.code === 'CHALLENGE_MISMATCH'],
+    ['and is spent by the attempt', afterMisuse.code === 'CHALLENGE_NOT_FOUND'],
+    ['an expired challenge is refused', !expired.valid && expired.code === 'CHALLENGE_EXPIRED']
+  ]);
+}
+
+async function testRateLimiter() {
+  console.log('\n📋 Testing the rate limiter...');
+  const limiter = createRateLimiter({ name: 'test', windowMs: 60000, max: 3 });
+  // A second instance on the same store, as another backend would have
+  const otherInstance = createRateLimiter({ name: 'test', windowMs: 60000, max: 3 });
+  const otherLimiter = createRateLimiter({ name: 'other', windowMs: 60000, max: 3 });
+  const start = 1000000;
+
+  const allowed = [];
+  for (const i of [1, 2, 3]) {
+    allowed.push(await limiter.check('10.0.0.1', start + i));
+  }
+  const refused = await otherInstance.check('10.0.0.1', start + 10);
+  const otherKey = await limiter.check('10.0.0.2', start + 10);
+  const otherName = await otherLimiter.check('10.0.0.1', start + 10);
+  const nextWindow = await limiter.check('10.0.0.1', start + 60001);
+
+  return report('Rate limiter', [
+    ['requests up to the limit are allowed', allowed.every(r => r.allowed)],
+    ['the next one is refused until the window ends, by every instance', !refused.allowed && refused.retryAfterSeconds === 60],
+    ['keys are counted separately', otherKey.allowed],
+    ['limiters with other names are counted separately', otherName.allowed],
+    ['a new window starts over', nextWindow.allowed]
+  ]);
+}
+
+async function runTests() {
+  printHeader('Login Challenge Tests');
+
+  const results = {
+    'Single Use': await testSingleUse(),
+    'Refused Challenges': await testRefusedChallenges(),
+    'Rate Limiter': await testRateLimiter()
+  };
+  await closeStorage();
+
+  process.exit(printSummary(results) ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testSingleUse, testRefusedChallenges, testRateLimiter };
@@ -0,0 +1,155 @@
+/**
+ * Test suite for the merchant registry in src/merchants.js
+ */
+
+const { ACCOUNT_STATUS } = require('../src/accounts');
+const {
+  registerMerchant,
+  getMerchantProfile,
+  listMerchants,
+  updateMerchantProfile,
+  setMerchantStatus,
+  checkPaymentMerchant,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+} = require('../src/merchants');
+const { initializeStorage, closeStorage } = require('../src/storage');
+const { report, printHeader, printSummary } = require('./helpers');
+
+const PASSWORD = 'correct horse battery';
+const PAYOUT_ADDRESS = '0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed';
+const PAYOUT_ADDRESS_CHECKSUMMED = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+
+async function testRegistration() {
+  console.log('\n📋 Testing merchant registration...');
+  await initializeStorage({ driver: 'memory' });
+
+  const created = await registerMerchant({ merchantId: 'shop_1', name: 'Corner Shop', password: PASSWORD, payoutAddress: PAYOUT_ADDRESS });
+  const noName = await registerMerchant({ merchantId: 'shop_2', password: PASSWORD });
+  const badAddress = await registerMerchant({ merchantId: 'shop_3', name: 'Shop', password: PASSWORD, payoutAddress: '0x1234' });
+  const duplicate = await registerMerchant({ merchantId: 'shop_1', name: 'Impostor', password: PASSWORD });
+  const merchants = await listMerchants();
+
+  return report('Merchant registration', [
+    ['a merchant is registered as active', created.created && created.profile.status === ACCOUNT_STATUS.ACTIVE],
+    ['the payout address is stored checksummed', created.profile?.payoutAddress === PAYOUT_ADDRESS_CHECKSUMMED],
+    ['a display name is required', noName.code === 'INVALID_ACCOUNT'],
+    ['a malformed payout address is refused', badAddress.code === 'INVALID_ACCOUNT'],
+    ['a taken merchant id is refused', duplicate.code === 'ACCOUNT_EXISTS'],
+    ['only registered merchants are listed', merchants.length === 1 && merchants[0].name === 'Corner Shop'],
+    ['profiles carry no password hash', !('passwordHash' in created.profile)]
+  ]);
+}
+
+async function testProfileUpdates() {
+  console.log('\n📋 Testing profile updates...');
+
+  const renamed = await updateMerchantProfile('shop_1', { name: ' Corner Shop & Cafe ' });
+  const cleared = await updateMerchantProfile('shop_1', { payoutAddress: null });
+  const badName = await updateMerchantProfile('shop_1', { name: '' });
+  const unknown = await updateMerchantProfile('shop_9', { name: 'Nobody' });
+  const profile = await getMerchantProfile('shop_1');
+
+  return report('Profile updates', [
+    ['the name is changed and trimmed', renamed.updated && renamed.profile.name === 'Corner Shop & Cafe'],
+    ['other fields are left alone', renamed.profile.payoutAddress === PAYOUT_ADDRESS_CHECKSUMMED],
+    ['a null payout address clears it', cleared.updated && profile.payoutAddress === null && profile.name === 'Corner Shop & Cafe'],
+    ['the update time is recorded', profile.updatedAt !== null],
+    ['an empty name is refused', badName.code === 'INVALID_PROFILE'],
+    ['unregistered merchants cannot be updated', unknown.code === 'MERCHANT_NOT_FOUND'],
+    ['unregistered merchants have no profile', (await getMerchantProfile('shop_9')) === null]
+  ]);
+}
+
+async function testPaymentChecks() {
+  console.log('\n📋 Testing which merchants can be paid...');
+
+  const active = await checkPaymentMerchant('shop_1');
+  const unknown = await checkPaymentMerchant('shop_9');
+  const notAString = await checkPaymentMerchant({ $ne: null });
+  const suspended = await setMerchantStatus('shop_1', ACCOUNT_STATUS.SUSPENDED, 'Chargeback investigation');
+  const whileSuspended = await checkPaymentMerchant('shop_1');
+  const reinstated = await setMerchantStatus('shop_1', ACCOUNT_STATUS.ACTIVE);
+  const afterReinstating = await checkPaymentMerchant('shop_1');
+  const suspendUnknown = await setMerchantStatus('shop_9', ACCOUNT_STATUS.SUSPENDED);
+
+  return report('Payment checks', [
+    ['an active merchant can be paid, under its verified name', active.valid && active.merchant.name === 'Corner Shop & Cafe'],
+    ['an unregistered merchant cannot', unknown.code === 'MERCHANT_UNKNOWN' && notAString.code === 'MERCHANT_UNKNOWN'],
+    ['a suspension records its reason', suspended.status === ACCOUNT_STATUS.SUSPENDED && suspended.statusReason === 'Chargeback investigation'],
+    ['a suspended merchant cannot be paid', whileSuspended.code === 'MERCHANT_SUSPENDED'],
+    ['reinstating clears the reason and allows payments', reinstated.statusReason === null && afterReinstating.valid],
+    ['unregistered merchants cannot be suspended', suspendUnknown === null]
+  ]);
+}
+
+async function testApiKeys() {
+  console.log('\n📋 Testing merchant API keys...');
+  await registerMerchant({ merchantId: 'shop_4', name: 'Other Shop', password: PASSWORD });
+
+  const first = await createApiKey('shop_1', { label: 'till' });
+  const second = await createApiKey('shop_1');
+  const badLabel = await createApiKey('shop_1', { label: 'x'.repeat(41) });
+  const authenticated = await authenticateApiKey(first.key);
+  const [keyId] = first.key.slice(3).split('.');
+  const wrongSecret = await authenticateApiKey(`mk_${keyId}.${'A'.repeat(43)}`);
+  const malformed = await authenticateApiKey('mk_not-a-key');
+
+  await setMerchantStatus('shop_1', ACCOUNT_STATUS.SUSPENDED);
+  const whileSuspended = await authenticateApiKey(first.key);
+  await setMerchantStatus('shop_1', ACCOUNT_STATUS.ACTIVE);
+
+  const otherMerchantRevoke = await revokeApiKey('shop_4', first.apiKey.keyId);
+  const revoked = await revokeApiKey('shop_1', first.apiKey.keyId);
+  const revokedAgain = await revokeApiKey('shop_1', first.apiKey.keyId);
+  const afterRevoking = await authenticateApiKey(first.key);
+  const secondStillWorks = await authenticateApiKey(second.key);
+  const keys = await listApiKeys('shop_1');
+
+  const more = [];
+  for (let i = 0; i < 5; i++) {
+    more.push(await createApiKey('shop_1'));
+  }
+
+  return report('API keys', [
+    ['keys are shown once, in the mk_ format', first.created && /^mk_[0-9a-f-]{36}\.[A-Za-z0-9_-]{43}$/.test(first.key)],
+    ['the listed key carries no secret', !('secretHash' in first.apiKey) && !JSON.stringify(keys).includes(first.key.split('.')[1])],
+    ['overlong labels are refused', badLabel.code === 'INVALID_LABEL'],
+    ['a key authenticates its merchant', authenticated?.merchantId === 'shop_1' && authenticated.keyId === first.apiKey.keyId],
+    ['a wrong secret or malformed key does not', wrongSecret === null && malformed === null],
+    ['keys stop working while the merchant is suspended', whileSuspended === null],
+    ['merchants cannot revoke each other\'s keys', otherMerchantRevoke === null],
+    ['a key is revoked once', revoked === true && revokedAgain === false && afterRevoking === null],
+    ['other keys keep working', secondStillWorks?.merchantId === 'shop_1'],
+    ['revoked keys stay listed', keys.length === 2 &&
+      keys.find(k => k.keyId === first.apiKey.keyId).revokedAt !== null &&
+      keys.find(k => k.keyId === second.apiKey.keyId).revokedAt === null],
+    ['active keys are limited', more.slice(0, 4).every(k => k.created) && more[4].code === 'TOO_MANY_API_KEYS']
+  ]);
+}
+
+async function runTests() {
+  printHeader('Merchant Registry Tests');
+
+  const results = {
+    'Merchant Registration': await testRegistration(),
+    'Profile Updates': await testProfileUpdates(),
+    'Payment Checks': await testPaymentChecks(),
+    'API Keys': await testApiKeys()
+  };
+  await closeStorage();
+
+  process.exit(printSummary(results) ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testRegistration, testProfileUpdates, testPaymentChecks, testApiKeys };
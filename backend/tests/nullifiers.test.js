@@ -0,0 +1,127 @@
+/**
+ * Test suite for the spent nullifier set in src/nullifiers.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Version 1 expired long ago, version 2 expires in 2100, version 3 never does
+process.env.NULLIFIER_EXPIRY_EPOCHS = '1=2000-01-01T00:00:00Z, 2=4102444800';
+
+const {
+  parseExpiryEpochs,
+  getNullifierExpiry,
+  isCircuitVersionExpired,
+  findNullifierSpend,
+  spendNullifier,
+  pruneExpiredNullifiers,
+  getNullifierStats
+} = require('../src/nullifiers');
+const { initializeStorage, closeStorage } = require('../src/storage');
+const { createSqliteStore } = require('../src/storage/sqlite');
+const { report, printHeader, printSummary } = require('./helpers');
+
+function testExpiryEpochs() {
+  console.log('\n📋 Testing expiry epoch configuration...');
+  let invalidRejected = false;
+  try {
+    parseExpiryEpochs('1=next-tuesday');
+  } catch (error) {
+    invalidRejected = true;
+  }
+
+  return report('Expiry epochs', [
+    ['ISO dates and Unix seconds are both accepted', getNullifierExpiry('1') === Date.parse('2000-01-01T00:00:00Z') && getNullifierExpiry('2') === 4102444800000],
+    ['a version without an epoch never expires', getNullifierExpiry('3') === null && !isCircuitVersionExpired('3')],
+    ['a version past its epoch is expired', isCircuitVersionExpired('1') && !isCircuitVersionExpired(2)],
+    ['an unparseable epoch is refused', invalidRejected],
+    ['no setting means no epochs', parseExpiryEpochs('').size === 0]
+  ]);
+}
+
+async function testPermanentSpend() {
+  console.log('\n📋 Testing permanent nullifier spends...');
+  await initializeStorage({ driver: 'memory' });
+
+  const first = await spendNullifier('0xaa', { txId: 'tx_1', circuitVersion: '3' });
+  // Long after the old 5-second replay window
+  const original = await findNullifierSpend('0xaa');
+  const replay = await spendNullifier('0xaa', { txId: 'tx_2', circuitVersion: '3' });
+  const concurrent = await Promise.all([
+    spendNullifier('0xbb', { txId: 'tx_3', circuitVersion: '3' }),
+    spendNullifier('0xbb', { txId: 'tx_4', circuitVersion: '3' })
+  ]);
+  const stats = getNullifierStats();
+
+  return report('Permanent spend', [
+    ['the first payment spends the nullifier', first.spent && original?.txId === 'tx_1'],
+    ['a replay is refused with the original payment', !replay.spent && replay.original.txId === 'tx_1'],
+    ['only one of two concurrent payments spends it', concurrent.filter(r => r.spent).length === 1],
+    ['spends without an epoch never expire', original?.expiresAt === null],
+    ['stats count spends and refused replays', stats.spent === 2 && stats.replaysRejected === 2]
+  ]);
+}
+
+async function testPruning() {
+  console.log('\n📋 Testing pruning after an expiry epoch...');
+  await spendNullifier('0xcc', { txId: 'tx_5', circuitVersion: '2' });
+  const stamped = await findNullifierSpend('0xcc');
+
+  const beforeEpoch = await pruneExpiredNullifiers();
+  const afterEpoch = await pruneExpiredNullifiers(Date.parse('2100-01-01T00:00:01Z'));
+
+  return report('Pruning', [
+    ['spends carry their version\'s expiry epoch', stamped?.expiresAt === 4102444800000],
+    ['nothing is pruned before the epoch', beforeEpoch === 0],
+    ['after the epoch only that version\'s spends go', afterEpoch === 1 && (await findNullifierSpend('0xcc')) === null && (await findNullifierSpend('0xaa')) !== null]
+  ]);
+}
+
+async function testSharedDatabase() {
+  console.log('\n📋 Testing two backends sharing one SQLite file...');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zkpulse-nullifiers-'));
+  const dbPath = path.join(dir, 'zkpulse.db');
+  const first = createSqliteStore({ path: dbPath, paymentHistoryLimit: 10 });
+  const second = createSqliteStore({ path: dbPath, paymentHistoryLimit: 10 });
+  await first.migrate();
+  await second.migrate();
+
+  const spend = { spentAt: Date.now(), circuitVersion: '3', expiresAt: null };
+  const results = await Promise.all([
+    first.spendNullifier('0xdd', { ...spend, txId: 'tx_a' }),
+    second.spendNullifier('0xdd', { ...spend, txId: 'tx_b' })
+  ]);
+  await first.close();
+  await second.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  return report('Shared database', [
+    ['exactly one backend spends the nullifier', results.filter(r => r === null).length === 1],
+    ['the other is told which payment spent it', results.some(r => r?.txId === 'tx_a')]
+  ]);
+}
+
+async function runTests() {
+  printHeader('Nullifier Set Tests');
+
+  const results = {
+    'Expiry Epochs': testExpiryEpochs(),
+    'Permanent Spend': await testPermanentSpend(),
+    'Pruning': await testPruning(),
+    'Shared Database': await testSharedDatabase()
+  };
+  await closeStorage();
+
+  process.exit(printSummary(results) ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testExpiryEpochs, testPermanentSpend, testPruning, testSharedDatabase };
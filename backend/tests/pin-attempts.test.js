@@ -0,0 +1,163 @@
+/**
+ * Test suite for PIN attempt limits (src/pinAttempts.js)
+ */
+
+// Small limits so backoff and lockout are reached quickly
+process.env.PIN_FREE_ATTEMPTS = '2';
+process.env.PIN_LOCKOUT_AFTER = '4';
+process.env.PIN_IP_FREE_ATTEMPTS = '5';
+process.env.PIN_IP_LOCKOUT_AFTER = '8';
+process.env.PIN_LOCKOUT_MS = '60000';
+
+const { beginPinAttempt, recordPinFailure, recordPinSuccess, releasePinAttempt } = require('../src/pinAttempts');
+const { auditEvents } = require('../src/audit');
+const { initializeStorage, closeStorage } = require('../src/storage');
+const { report, printHeader, printSummary } = require('./helpers');
+
+const auditLog = [];
+auditEvents.on('event', event => auditLog.push(event));
+
+// A wrong PIN at time now
+async function failAt(customerId, ip, now) {
+  const gate = await beginPinAttempt(customerId, ip, now);
+  if (gate.allowed) {
+    recordPinFailure(gate.attempt, 'login');
+  }
+  return gate;
+}
+
+function customerFailures(gate) {
+  return gate.attempt.taken.find(entry => entry.scope === 'customer').failures;
+}
+
+async function testCustomerLockout() {
+  console.log('\n📋 Testing backoff and lockout of a customer...');
+  await initializeStorage({ driver: 'memory' });
+
+  const free = [await failAt('cust_1', '10.0.0.1', 0), await failAt('cust_1', '10.0.0.1', 1)];
+  const firstBackoff = await failAt('cust_1', '10.0.0.1', 2);
+  const duringBackoff = await beginPinAttempt('cust_1', '10.0.0.1', 500);
+  const auditBefore = auditLog.length;
+  const lockingFailure = await failAt('cust_1', '10.0.0.1', 1002);
+  const lockout = auditLog.slice(auditBefore);
+  const duringLockout = await beginPinAttempt('cust_1', '10.0.0.1', 2000);
+  const otherCustomer = await beginPinAttempt('cust_2', '10.0.0.1', 2000);
+  await releasePinAttempt(otherCustomer.attempt);
+  const afterLockout = await failAt('cust_1', '10.0.0.1', 61002);
+  const longerLockout = await beginPinAttempt('cust_1', '10.0.0.1', 62000);
+
+  return report('Customer lockout', [
+    ['the first PIN_FREE_ATTEMPTS failures cost nothing', free.every(gate => gate.allowed)],
+    ['then the customer must back off (429)', firstBackoff.allowed && !duringBackoff.allowed && !duringBackoff.locked &&
+      duringBackoff.scope === 'customer' && duringBackoff.retryAfterSeconds === 1],
+    ['PIN_LOCKOUT_AFTER failures lock the customer out (423)', lockingFailure.allowed && duringLockout.locked &&
+      duringLockout.retryAfterSeconds === 60],
+    ['the lockout is an audit event', lockout.length === 1 && lockout[0].type === 'pin.lockout' &&
+      lockout[0].scope === 'customer' && lockout[0].customerId === 'cust_1' && lockout[0].failures === 4 &&
+      lockout[0].via === 'login' && lockout[0].lockedUntil === new Date(61002).toISOString()],
+    ['other customers on the same IP are not held up', otherCustomer.allowed],
+    ['another failure after the lockout locks out for twice as long', afterLockout.allowed && longerLockout.locked &&
+      longerLockout.retryAfterSeconds === 120]
+  ]);
+}
+
+async function testSettling() {
+  console.log('\n📋 Testing successful and released attempts...');
+
+  await failAt('cust_3', '10.0.0.2', 0);
+  await failAt('cust_3', '10.0.0.2', 1);
+  const correct = await beginPinAttempt('cust_3', '10.0.0.2', 2);
+  await recordPinSuccess(correct.attempt);
+  const afterSuccess = await beginPinAttempt('cust_3', '10.0.0.2', 3);
+  await releasePinAttempt(afterSuccess.attempt);
+  const afterRelease = await beginPinAttempt('cust_3', '10.0.0.2', 4);
+  const ipFailures = afterRelease.attempt.taken.find(entry => entry.scope === 'ip').failures;
+
+  return report('Settling attempts', [
+    ['the attempt that finds the right PIN is let in after earlier failures', correct.allowed && customerFailures(correct) === 3],
+    ['a correct PIN clears the customer\'s count', customerFailures(afterSuccess) === 1],
+    ['a released attempt is not counted', customerFailures(afterRelease) === 1],
+    ['the IP keeps only the wrong PINs and this attempt', ipFailures === 3]
+  ]);
+}
+
+async function testIpLockout() {
+  console.log('\n📋 Testing lockout of an IP guessing at many customers...');
+
+  const auditBefore = auditLog.length;
+  const guesses = [];
+  for (let i = 1; i <= 8; i++) {
+    guesses.push(await failAt(`victim_${i}`, '10.0.0.3', i * 100000));
+  }
+  const lockout = auditLog.slice(auditBefore);
+  const nextVictim = await beginPinAttempt('victim_9', '10.0.0.3', 801000);
+  const victimElsewhere = await beginPinAttempt('victim_9', '10.0.0.4', 801000);
+
+  return report('IP lockout', [
+    ['each customer fails only once, but the IP adds up', guesses.every(gate => gate.allowed)],
+    ['PIN_IP_LOCKOUT_AFTER failures lock the IP out', !nextVictim.allowed && nextVictim.locked && nextVictim.scope === 'ip'],
+    ['the IP lockout is an audit event', lockout.length === 1 && lockout[0].scope === 'ip' && lockout[0].ip === '10.0.0.3'],
+    ['a refused IP does not count against the customer', victimElsewhere.allowed && customerFailures(victimElsewhere) === 1]
+  ]);
+}
+
+async function testReleasedWaits() {
+  console.log('\n📋 Testing that attempts without a wrong PIN leave no wait behind...');
+
+  // One short of PIN_IP_LOCKOUT_AFTER, then a customer behind that IP gets their PIN right
+  for (let i = 1; i <= 7; i++) {
+    await failAt(`neighbour_${i}`, '10.0.0.5', i * 100000);
+  }
+  const correct = await beginPinAttempt('regular', '10.0.0.5', 800000);
+  await recordPinSuccess(correct.attempt);
+  const nextOnIp = await beginPinAttempt('neighbour_8', '10.0.0.5', 800001);
+
+  await failAt('cust_4', '10.0.0.6', 0);
+  await failAt('cust_4', '10.0.0.6', 1);
+  const busy = await beginPinAttempt('cust_4', '10.0.0.6', 2);
+  await releasePinAttempt(busy.attempt);
+  const afterBusy = await beginPinAttempt('cust_4', '10.0.0.6', 3);
+
+  // cust_1 is still locked out by testCustomerLockout; the IP is at PIN_IP_FREE_ATTEMPTS
+  for (let i = 1; i <= 5; i++) {
+    await failAt(`prober_${i}`, '10.0.0.7', i);
+  }
+  const probes = [];
+  for (let i = 0; i < 3; i++) {
+    probes.push(await beginPinAttempt('cust_1', '10.0.0.7', 100 + i));
+  }
+  const afterProbes = await beginPinAttempt('cust_5', '10.0.0.7', 103);
+
+  return report('Released waits', [
+    ['the correct PIN would have locked out the IP', correct.allowed && correct.attempt.taken[0].failures === 8],
+    ['a correct PIN leaves the IP unblocked', nextOnIp.allowed && nextOnIp.attempt.taken[0].failures === 8],
+    ['an attempt released without a verdict leaves the customer unblocked', busy.allowed && afterBusy.allowed &&
+      customerFailures(afterBusy) === 3],
+    ['probing a locked customer is refused', probes.every(gate => !gate.allowed && gate.scope === 'customer')],
+    ['and does not push the IP into backoff', afterProbes.allowed && afterProbes.attempt.taken[0].failures === 6]
+  ]);
+}
+
+async function runTests() {
+  printHeader('PIN Attempt Tests');
+
+  const results = {
+    'Customer Lockout': await testCustomerLockout(),
+    'Settling Attempts': await testSettling(),
+    'IP Lockout': await testIpLockout(),
+    'Released Waits': await testReleasedWaits()
+  };
+  await closeStorage();
+
+  process.exit(printSummary(results) ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testCustomerLockout, testSettling, testIpLockout, testReleasedWaits };
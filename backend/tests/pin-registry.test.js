@@ -0,0 +1,221 @@
+/**
+ * Test suite for the PIN lookup layer in src/pinRegistry.js
+ * Needs a local Hardhat node: cd blockchain && npx hardhat node
+ * Deploys a fresh PINRegistry from blockchain/artifacts on every run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+
+const RPC_URL = process.env.HARDHAT_RPC_URL || 'http://127.0.0.1:8545';
+const ARTIFACT_PATH = path.join(__dirname, '..', '..', 'blockchain', 'artifacts', 'contracts', 'PINRegistry.sol', 'PINRegistry.json');
+
+// Well-known Hardhat dev accounts #0 and #2 - never use them on a real network
+const SIGNER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const OTHER_INSTANCE_KEY = '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a';
+
+process.env.REGISTRY_SIGNER_PRIVATE_KEY = SIGNER_KEY;
+process.env.PIN_CACHE_TTL_MS = '300';
+process.env.PIN_CHAIN_TIMEOUT_MS = '1000';
+process.env.PIN_REGISTRY_KEY_SECRET = 'pin-registry-test';
+
+const {
+  initializePINRegistry,
+  lookupPIN,
+  registerPINHash,
+  verifyPINHash,
+  reconcilePINRegistry,
+  customerKey
+} = require('../src/pinRegistry');
+const { migratePINRecords } = require('../scripts/migrate-pin-registry');
+const { flushRegistryQueue } = require('../src/registrySigner');
+const { initializeStorage, getStore } = require('../src/storage');
+const { report, printHeader, printSummary } = require('./helpers');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until the local record's registerPIN transaction has left the pending state
+ * @returns {Promise<Object>} - The first lookup answered from somewhere else
+ */
+async function confirmed(customerId, timeoutMs = 20000) {
+  await flushRegistryQueue();
+  const deadline = Date.now() + timeoutMs;
+  let result = await lookupPIN(customerId);
+  while (result.source === 'pending-write' && Date.now() < deadline) {
+    await sleep(100);
+    result = await lookupPIN(customerId);
+  }
+  return result;
+}
+
+async function testReadThrough(otherInstance) {
+  console.log('\n📋 Testing on-chain-first lookups...');
+  await registerPINHash('cust_1', '111', '5');
+  const pending = await lookupPIN('cust_1');
+
+  const fromChain = await confirmed('cust_1');
+  const fromCache = await lookupPIN('cust_1');
+
+  // Registered by another backend instance - never seen by this one
+  await (await otherInstance.registerPIN(customerKey('cust_2'), ethers.toBeHex(222n, 32))).wait();
+  const elsewhere = await verifyPINHash('cust_2', '222');
+  const unknown = await verifyPINHash('cust_3', '333');
+  const stored = await getStore().getPIN('cust_1');
+
+  return report('Read-through lookups', [
+    ['a just-sent registration is served from the pending write', pending.source === 'pending-write' && pending.record.pinHash === '111'],
+    ['once mined the PIN is read from the contract', fromChain.source === 'chain' && fromChain.record.pinHash === '111' && fromChain.record.salt === '5'],
+    ['the next lookup is served from the cache', fromCache.source === 'cache'],
+    ['the stored record carries the receipt', stored.chain.status === 'confirmed' && stored.chain.blockNumber > 0],
+    // Its salt was never on-chain, and this instance's store has none
+    ['a PIN registered by another instance verifies', elsewhere.valid && elsewhere.source === 'chain' && elsewhere.salt === null],
+    ['an unregistered customer is reported as such', !unknown.valid && unknown.code === 'PIN_NOT_REGISTERED']
+  ]);
+}
+
+async function testReconciliation(otherInstance) {
+  console.log('\n📋 Testing reconciliation...');
+  await registerPINHash('cust_4', '444', null);
+  await confirmed('cust_4');
+
+  // Another instance changes the PIN on-chain behind this instance's back
+  await (await otherInstance.registerPIN(customerKey('cust_4'), ethers.toBeHex(4444n, 32))).wait();
+  await sleep(400); // cache TTL
+  const afterTtl = await verifyPINHash('cust_4', '4444');
+
+  const result = await reconcilePINRegistry();
+  const repaired = result.discrepancies.find(d => d.customerId === 'cust_4');
+
+  return report('Reconciliation', [
+    ['after the TTL the new on-chain PIN is used', afterTtl.valid],
+    ['the divergence is reported as a mismatch', result.counts.mismatch === 1 && repaired?.chainPinHash === '4444'],
+    ['matching records are counted as in sync', result.inSync === 1 && result.checked === 2],
+    ['the contract count is included', result.chainRegisteredCount === 3],
+    ['a second run finds nothing left to repair', (await reconcilePINRegistry()).counts.mismatch === 0]
+  ]);
+}
+
+async function testLockedPIN(otherInstance) {
+  console.log('\n📋 Testing a PIN locked on-chain...');
+  // The other instance reports failed verifications until cust_2 is locked
+  await (await otherInstance.setVerifier(await otherInstance.runner.getAddress(), true)).wait();
+  await (await otherInstance.setMaxFailedAttempts(2)).wait();
+  await (await otherInstance.reportVerification(customerKey('cust_2'), false)).wait();
+  await (await otherInstance.reportVerification(customerKey('cust_2'), false)).wait();
+  await sleep(400); // cache TTL
+
+  const locked = await verifyPINHash('cust_2', '222');
+  const { record } = await lookupPIN('cust_2');
+
+  return report('Locked PIN', [
+    ['the right PIN is refused while locked', !locked.valid && locked.code === 'PIN_LOCKED'],
+    ['the lookup reports the lock', record?.locked === true && record.pinHash === '222']
+  ]);
+}
+
+async function testMigration(registry) {
+  console.log('\n📋 Testing migration from the salted registry...');
+  // Stands in for the old contract: keccak256(customerId) keys, salts on-chain
+  const legacyRecords = {
+    [ethers.id('cust_5')]: { pinHash: ethers.toBeHex(555n, 32), salt: ethers.toBeHex(9n, 32), registeredAt: 1700000000n, exists: true },
+    [ethers.id('cust_unknown')]: { pinHash: ethers.toBeHex(999n, 32), salt: ethers.toBeHex(1n, 32), registeredAt: 1700000000n, exists: true }
+  };
+  const revoked = [];
+  const legacy = {
+    pinRegistry: async (key) => legacyRecords[key] || { pinHash: ethers.ZeroHash, salt: ethers.ZeroHash, registeredAt: 0n, exists: false },
+    getRegisteredCount: async () => 2n,
+    revokePIN: async (customerId) => ({
+      wait: async () => {
+        delete legacyRecords[ethers.id(customerId)];
+        revoked.push(customerId);
+      }
+    })
+  };
+  const options = { legacy, registry, secret: process.env.PIN_REGISTRY_KEY_SECRET, customerIds: ['cust_5'], revokeOld: true };
+
+  const first = await migratePINRecords(options);
+  const stored = await getStore().getPIN('cust_5');
+  const verified = await verifyPINHash('cust_5', '555');
+  const second = await migratePINRecords(options);
+
+  return report('Migration', [
+    ['a listed customer is moved to its blinded key', first.migrated.includes('cust_5') && await registry.isPINRegistered(customerKey('cust_5'))],
+    ['PINs already on the new contract are left alone', first.alreadyMigrated.includes('cust_1') && first.failed.length === 0],
+    ['the old salt is kept in the store only', stored.salt === '9' && stored.chain.status === 'confirmed'],
+    ['the moved PIN verifies from the new contract', verified.valid && verified.source === 'chain' && verified.salt === '9'],
+    ['moved entries are revoked on the old contract', revoked.length === 1 && revoked[0] === 'cust_5'],
+    ['old entries without a known customer id are counted', first.unknownOnLegacy === 1],
+    ['a second run sends nothing', second.migrated.length === 0 && second.alreadyMigrated.includes('cust_5')]
+  ]);
+}
+
+async function testUnreachableChain() {
+  console.log('\n📋 Testing fallback when the chain is unreachable...');
+  // Nothing listens on port 1; staticNetwork stops ethers retrying network detection
+  const deadProvider = new ethers.JsonRpcProvider('http://127.0.0.1:1', 1337, { staticNetwork: true });
+  await initializePINRegistry(deadProvider);
+  await sleep(400); // let the entries cached by reconciliation expire
+
+  const startedAt = Date.now();
+  const result = await lookupPIN('cust_1');
+  const elapsed = Date.now() - startedAt;
+  const verified = await verifyPINHash('cust_4', '4444');
+  deadProvider.destroy();
+
+  return report('Unreachable chain', [
+    ['the local store answers', result.source === 'fallback' && result.record?.pinHash === '111'],
+    ['the lookup gives up within the timeout', elapsed < 2500],
+    ['the local copy carries the reconciled PIN', verified.valid]
+  ]);
+}
+
+async function runTests() {
+  printHeader('PIN Registry Lookup Tests');
+
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  provider.pollingInterval = 100;
+  try {
+    await provider.getBlockNumber();
+  } catch (error) {
+    console.error(`❌ No Ethereum node at ${RPC_URL}`);
+    console.error('   Run: cd blockchain && npx hardhat node');
+    process.exit(1);
+  }
+
+  const { abi, bytecode } = JSON.parse(fs.readFileSync(ARTIFACT_PATH, 'utf8'));
+  const other = new ethers.NonceManager(new ethers.Wallet(OTHER_INSTANCE_KEY, provider));
+  const contract = await new ethers.ContractFactory(abi, bytecode, other).deploy();
+  await contract.waitForDeployment();
+  // Both instances manage every customer's PIN, as backends of one deployment do
+  await (await contract.setBackend(new ethers.Wallet(SIGNER_KEY).address, true)).wait();
+  await (await contract.setBackend(await other.getAddress(), true)).wait();
+  process.env.PIN_REGISTRY_ADDRESS = await contract.getAddress();
+  console.log(`   PINRegistry deployed at ${process.env.PIN_REGISTRY_ADDRESS}`);
+
+  await initializeStorage({ driver: 'memory' });
+  await initializePINRegistry(provider);
+
+  const results = {
+    'Read-through Lookups': await testReadThrough(contract),
+    'Reconciliation': await testReconciliation(contract),
+    'Locked PIN': await testLockedPIN(contract),
+    'Migration': await testMigration(contract),
+    'Unreachable Chain': await testUnreachableChain()
+  };
+
+  process.exit(printSummary(results) ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testReadThrough, testReconciliation, testLockedPIN, testMigration, testUnreachableChain };
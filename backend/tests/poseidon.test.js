@@ -0,0 +1,138 @@
+/**
+ * Test suite for Poseidon hashing and signal encoding in src/circuits.js
+ * Checks the backend against values produced by circomlib's Poseidon and the compiled circuits
+ */
+
+const {
+  FIELD_MODULUS,
+  toFieldElement,
+  encodePin,
+  encodeAmount,
+  generateSalt,
+  poseidon,
+  poseidonHash,
+  merchantHash,
+  computeNullifier,
+  decodePaymentSignals
+} = require('../src/circuits');
+const { report, printHeader, printSummary } = require('./helpers');
+
+// Poseidon(2) output from circomlib's own circuit test (test/poseidoncircuit.js)
+const CIRCOMLIB_VECTOR = {
+  inputs: [1, 2],
+  hash: '7853200120776062878684798364095072458815029376092732009249414926327459813530'
+};
+
+// Expected auth.circom pinHash for the fixture inputs (pin is fed as encodePin(pin))
+const AUTH_CIRCUIT_VECTORS = [
+  {
+    pin: '1234',
+    salt: '5678',
+    pinHash: '1169982749076088333153663347661338477797031566078404182867210122705337154794'
+  },
+  {
+    pin: '9876',
+    salt: '5432',
+    pinHash: '10419596735261420860548532966338980463151949756917108718234782686414258721777'
+  },
+  {
+    pin: '1111',
+    salt: '2222',
+    pinHash: '13235087177277400608173273625558237872259076691522310229096296609661718424178'
+  }
+];
+
+// Public signals of a payment.circom proof generated from the compiled circuit
+const PAYMENT_CIRCUIT_VECTOR = {
+  payment: { pin: '1234', salt: '5678', amount: '250.50', merchantId: 'merchant_1', nonce: '42' },
+  publicSignals: [
+    '3027494519420414719332734116296255940824367474869479944852190041503640449575',
+    '1169982749076088333153663347661338477797031566078404182867210122705337154794',
+    '25050',
+    '4333213930226625248684789715058049415651523449568660729057988174037004021227',
+    '42'
+  ]
+};
+
+async function testCircomlibVector() {
+  console.log('\n📋 Testing Poseidon against circomlib vector...');
+  const hash = await poseidon(CIRCOMLIB_VECTOR.inputs);
+  return report('circomlib vector', [['Poseidon([1, 2]) matches circomlib', hash === CIRCOMLIB_VECTOR.hash]]);
+}
+
+async function testAuthCircuitVectors() {
+  console.log('\n📋 Testing poseidonHash against auth.circom vectors...');
+  const checks = [];
+  for (const vector of AUTH_CIRCUIT_VECTORS) {
+    const hash = await poseidonHash(vector.pin, vector.salt);
+    checks.push([`PIN ${vector.pin}, salt ${vector.salt}`, hash === vector.pinHash]);
+  }
+  return report('Circuit vectors', checks);
+}
+
+async function testPaymentCircuitVector() {
+  console.log('\n📋 Testing payment.circom signal encoding...');
+  const { payment, publicSignals } = PAYMENT_CIRCUIT_VECTOR;
+  const signals = decodePaymentSignals(publicSignals);
+
+  const checks = [
+    ['nullifier = Poseidon(salt, nonce)', signals.nullifier === await computeNullifier(payment.salt, payment.nonce)],
+    ['pinHash = Poseidon(pin, salt)', signals.pinHash === await poseidonHash(payment.pin, payment.salt)],
+    ['amount is encoded in paise', signals.amount === encodeAmount(payment.amount).toString()],
+    ['merchantHash = Poseidon(merchantId)', signals.merchantHash === await merchantHash(payment.merchantId)],
+    ['nonce is passed through', signals.nonce === payment.nonce],
+    ['"250.5" and "250.50" encode the same amount', encodeAmount('250.5') === encodeAmount('250.50')]
+  ];
+
+  return report('Payment signals', checks);
+}
+
+async function testFieldEncoding() {
+  console.log('\n📋 Testing field-element encoding...');
+  const checks = [
+    ['hex and decimal encode the same value', toFieldElement('0xff') === toFieldElement('255')],
+    ['leading zeros in a PIN are preserved', encodePin('001234') !== encodePin('1234')],
+    ['generated salts are inside the field', BigInt(generateSalt()) < FIELD_MODULUS]
+  ];
+
+  const rejects = [
+    ['values >= field modulus', () => toFieldElement(FIELD_MODULUS)],
+    ['negative numbers', () => toFieldElement(-1)],
+    ['non-numeric strings', () => toFieldElement('default_salt')],
+    ['PINs shorter than 4 digits', () => encodePin('123')],
+    ['PINs with non-digits', () => encodePin('12a4')],
+    ['amounts with 3 decimal places', () => encodeAmount('1.005')],
+    ['payment proofs with missing signals', () => decodePaymentSignals(['1', '2'])]
+  ];
+
+  for (const [name, fn] of rejects) {
+    try {
+      fn();
+      checks.push([`rejects ${name}`, false]);
+    } catch (error) {
+      checks.push([`rejects ${name}`, true]);
+    }
+  }
+
+  return report('Field encoding', checks);
+}
+
+async function runTests() {
+  printHeader('Poseidon Hash Tests');
+
+  const results = {
+    'circomlib Vector': await testCircomlibVector(),
+    'Circuit Vectors': await testAuthCircuitVectors(),
+    'Payment Signals': await testPaymentCircuitVector(),
+    'Field Encoding': await testFieldEncoding()
+  };
+
+  process.exit(printSummary(results) ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { testCircomlibVector, testAuthCircuitVectors, testPaymentCircuitVector, testFieldEncoding };
@@ -0,0 +1,162 @@
+/**
+ * Test suite for on-chain PIN registration in src/registrySigner.js
+ * Needs a local Hardhat node: cd blockchain && npx hardhat node
+ * Deploys a fresh PINRegistry from blockchain/artifacts on every run
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+
+const RPC_URL = process.env.HARDHAT_RPC_URL || 'http://127.0.0.1:8545';
+const ARTIFACT_PATH = path.join(__dirname, '..', '..', 'blockchain', 'artifacts', 'contracts', 'PINRegistry.sol', 'PINRegistry.json');
+
+// Well-known Hardhat dev accounts #0 and #1 - never use them on a real network
+const SIGNER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const DEPLOYER_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const {
+  TX_STATUS,
+  loadRegistrySigner,
+  submitRegistryTransaction,
+  getRegistrySignerStats
+} = require('../src/registrySigner');
+const { customerKey } = require('../src/pinRegistry');
+const { report, printHeader, printSummary } = require('./helpers');
+
+const KEY_SECRET = 'registry-signer-test';
+
+/**
+ * Resolve once none of the records is pending any more
+ */
+async function settled(records, timeoutMs = 20000) {
+  const deadline = Date.now() + timeoutMs;
+  while (records.some(r => r.status === TX_STATUS.PENDING) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return records;
+}
+
+async function deployRegistry(provider) {
+  const { abi, bytecode } = JSON.parse(fs.readFileSync(ARTIFACT_PATH, 'utf8'));
+  const deployer = new ethers.Wallet(DEPLOYER_KEY, provider);
+  const contract = await new ethers.ContractFactory(abi, bytecode, deployer).deploy();
+  await contract.waitForDeployment();
+  return { abi, address: await contract.getAddress() };
+}
+
+function register(contract, customerId, pinHash) {
+  return submitRegistryTransaction(
+    `registerPIN ${customerId}`,
+    () => contract.registerPIN(customerKey(customerId, KEY_SECRET), ethers.toBeHex(pinHash, 32))
+  );
+}
+
+async function testConcurrentRegistrations(provider, registry) {
+  console.log('\n📋 Testing concurrent registerPIN transactions...');
+  process.env.REGISTRY_SIGNER_PRIVATE_KEY = SIGNER_KEY;
+  const signer = await loadRegistrySigner(provider);
+  const contract = new ethers.Contract(registry.address, registry.abi, signer);
+
+  const records = await settled([
+    register(contract, 'cust_a', 11n),
+    register(contract, 'cust_b', 22n),
+    register(contract, 'cust_c', 33n)
+  ]);
+  const nonces = records.map(r => r.nonce);
+  const onChain = await Promise.all(['cust_a', 'cust_b', 'cust_c'].map(id => contract.isPINRegistered(customerKey(id, KEY_SECRET))));
+
+  return report('Concurrent registrations', [
+    ['every registration is confirmed', records.every(r => r.status === TX_STATUS.CONFIRMED)],
+    ['receipts are recorded', records.every(r => r.txHash && r.blockNumber > 0)],
+    ['nonces are consecutive in submission order', nonces[1] === nonces[0] + 1 && nonces[2] === nonces[1] + 1],
+    ['the contract holds every PIN', onChain.every(Boolean)]
+  ]);
+}
+
+async function testFailedTransaction(provider, registry) {
+  console.log('\n📋 Testing a reverting registration...');
+  const signer = await loadRegistrySigner(provider);
+  const contract = new ethers.Contract(registry.address, registry.abi, signer);
+
+  // PINRegistry rejects a zero pinHash
+  const [reverted, next] = await settled([
+    register(contract, 'cust_zero', 0n),
+    register(contract, 'cust_d', 44n)
+  ]);
+  const stats = getRegistrySignerStats();
+
+  return report('Failed transaction', [
+    ['the reverting registration is marked failed', reverted.status === TX_STATUS.FAILED && Boolean(reverted.error)],
+    ['the next registration still confirms (nonce was reset)', next.status === TX_STATUS.CONFIRMED],
+    ['stats count the failure', stats.failed === 1 && stats.pending === 0]
+  ]);
+}
+
+async function testKeystoreSigner(provider) {
+  console.log('\n📋 Testing keystore signer...');
+  const wallet = new ethers.Wallet(SIGNER_KEY);
+  const keystorePath = path.join(os.tmpdir(), `zkpulse-keystore-${process.pid}.json`);
+  // Low scrypt cost keeps the test fast; real keystores use the ethers default
+  fs.writeFileSync(keystorePath, ethers.encryptKeystoreJsonSync(wallet, 'test-password', { scrypt: { N: 1024 } }));
+
+  delete process.env.REGISTRY_SIGNER_PRIVATE_KEY;
+  process.env.REGISTRY_SIGNER_KEYSTORE = keystorePath;
+
+  process.env.REGISTRY_SIGNER_KEYSTORE_PASSWORD = 'wrong-password';
+  let wrongPasswordRejected = false;
+  try {
+    await loadRegistrySigner(provider);
+  } catch (error) {
+    wrongPasswordRejected = true;
+  }
+
+  process.env.REGISTRY_SIGNER_KEYSTORE_PASSWORD = 'test-password';
+  const signer = await loadRegistrySigner(provider);
+  fs.unlinkSync(keystorePath);
+
+  delete process.env.REGISTRY_SIGNER_KEYSTORE;
+  const none = await loadRegistrySigner(provider);
+
+  return report('Keystore signer', [
+    ['a wrong keystore password is refused', wrongPasswordRejected],
+    ['the keystore account is loaded', (await signer.getAddress()) === wallet.address],
+    ['no signer without a key or keystore', none === null && getRegistrySignerStats().enabled === false]
+  ]);
+}
+
+async function runTests() {
+  printHeader('Registry Signer Tests');
+
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  provider.pollingInterval = 100;
+  try {
+    await provider.getBlockNumber();
+  } catch (error) {
+    console.error(`❌ No Ethereum node at ${RPC_URL}`);
+    console.error('   Run: cd blockchain && npx hardhat node');
+    process.exit(1);
+  }
+
+  const registry = await deployRegistry(provider);
+  console.log(`   PINRegistry deployed at ${registry.address}`);
+
+  const results = {
+    'Concurrent Registrations': await testConcurrentRegistrations(provider, registry),
+    'Failed Transaction': await testFailedTransaction(provider, registry),
+    'Keystore Signer': await testKeystoreSigner(provider)
+  };
+
+  process.exit(printSummary(results) ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testConcurrentRegistrations, testFailedTransaction, testKeystoreSigner };
@@ -0,0 +1,119 @@
+/**
+ * Test suite for sessions, rotating refresh tokens and revocation in src/sessions.js
+ */
+
+process.env.ACCESS_TOKEN_TTL_SECONDS = '900';
+process.env.REFRESH_TOKEN_TTL_MS = '300';
+
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokePrincipalSessions,
+  listPrincipalSessions,
+  getPrincipalSession,
+  isSessionRevoked
+} = require('../src/sessions');
+const { initializeStorage, getStore, closeStorage } = require('../src/storage');
+const { report, printHeader, printSummary } = require('./helpers');
+
+const customer = (id) => ({ role: 'customer', id });
+
+async function testRotation() {
+  console.log('\n📋 Testing refresh token rotation...');
+  await initializeStorage({ driver: 'memory' });
+
+  const session = await createSession(customer('cust_1'), { userAgent: 'phone' });
+  const stored = await getStore().getSession(session.sessionId);
+  const first = await rotateRefreshToken(session.refreshToken);
+  const second = first.valid && await rotateRefreshToken(first.refreshToken);
+
+  return report('Rotation', [
+    ['only a hash of the refresh token is stored', !JSON.stringify(stored).includes(session.refreshToken.split('.')[1])],
+    ['a refresh token buys the next one', first.valid && first.principal.role === 'customer' && first.principal.id === 'cust_1' && first.refreshToken !== session.refreshToken],
+    ['which works in turn', second.valid && second.sessionId === session.sessionId],
+    ['garbage is refused', (await rotateRefreshToken('not-a-token')).code === 'REFRESH_TOKEN_INVALID']
+  ]);
+}
+
+async function testReuseDetection() {
+  console.log('\n📋 Testing refresh token reuse...');
+  const session = await createSession(customer('cust_1'));
+  const rotated = await rotateRefreshToken(session.refreshToken);
+  // An attacker replays the copied original
+  const replay = await rotateRefreshToken(session.refreshToken);
+  const victim = await rotateRefreshToken(rotated.refreshToken);
+
+  const raced = await createSession(customer('cust_1'));
+  const racing = await Promise.all([1, 2, 3].map(() => rotateRefreshToken(raced.refreshToken)));
+
+  return report('Reuse detection', [
+    ['a used refresh token is refused', !replay.valid && replay.code === 'REFRESH_TOKEN_REUSED'],
+    ['and signs the whole session out', victim.code === 'SESSION_REVOKED' && await isSessionRevoked(session.sessionId)],
+    ['of concurrent refreshes at most one wins', racing.filter(r => r.valid).length <= 1]
+  ]);
+}
+
+async function testRevocation() {
+  console.log('\n📋 Testing logout and revocation...');
+  const phone = await createSession(customer('cust_2'), { userAgent: 'lost phone' });
+  const laptop = await createSession(customer('cust_2'), { userAgent: 'laptop' });
+  const tablet = await createSession(customer('cust_2'), { userAgent: 'tablet' });
+  const other = await createSession(customer('cust_3'));
+  const merchant = await createSession({ role: 'merchant', id: 'cust_2' });
+
+  const listed = await listPrincipalSessions(customer('cust_2'));
+  const loggedOut = await revokeSession(laptop.sessionId);
+  const againLoggedOut = await revokeSession(laptop.sessionId);
+  const allOthers = await revokePrincipalSessions(customer('cust_2'), { except: tablet.sessionId });
+
+  return report('Revocation', [
+    ['a customer sees their sessions and nobody else\'s', listed.length === 3 && listed.every(s => !('refreshTokenHash' in s))],
+    ['another customer\'s session is not theirs', (await getPrincipalSession(customer('cust_2'), other.sessionId)) === null],
+    ['logout revokes the session once', loggedOut && !againLoggedOut],
+    ['its access tokens are on the revocation list', await isSessionRevoked(laptop.sessionId)],
+    ['its refresh token stops working', (await rotateRefreshToken(laptop.refreshToken)).code === 'SESSION_REVOKED'],
+    ['a lost phone is signed out from another device', allOthers === 1 && (await rotateRefreshToken(phone.refreshToken)).code === 'SESSION_REVOKED'],
+    ['the device that did it stays signed in', !(await isSessionRevoked(tablet.sessionId)) && (await listPrincipalSessions(customer('cust_2'))).length === 1],
+    ['other customers are untouched', !(await isSessionRevoked(other.sessionId))],
+    ['a merchant with the same id is another principal',
+      (await getPrincipalSession(customer('cust_2'), merchant.sessionId)) === null && !(await isSessionRevoked(merchant.sessionId))]
+  ]);
+}
+
+async function testExpiry() {
+  console.log('\n📋 Testing session expiry...');
+  const session = await createSession(customer('cust_4'));
+  await new Promise(resolve => setTimeout(resolve, 350));
+  const expired = await rotateRefreshToken(session.refreshToken);
+  const listed = await listPrincipalSessions(customer('cust_4'));
+
+  return report('Expiry', [
+    ['an expired session cannot be refreshed', expired.code === 'REFRESH_TOKEN_EXPIRED'],
+    ['and is no longer listed', listed.length === 0]
+  ]);
+}
+
+async function runTests() {
+  printHeader('Session Tests');
+
+  const results = {
+    'Rotation': await testRotation(),
+    'Reuse Detection': await testReuseDetection(),
+    'Revocation': await testRevocation(),
+    'Expiry': await testExpiry()
+  };
+  await closeStorage();
+
+  process.exit(printSummary(results) ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testRotation, testReuseDetection, testRevocation, testExpiry };
@@ -0,0 +1,304 @@
+/**
+ * Test suite for the storage drivers in src/storage
+ * Runs the same checks against every driver: memory and SQLite always, Redis
+ * when REDIS_URL is set (use a database you can throw away - keys are written
+ * under a per-run prefix and deleted afterwards)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A small history limit makes the trimming check cheap
+process.env.PAYMENT_HISTORY_LIMIT = '5';
+
+const { initializeStorage, getStore, closeStorage } = require('../src/storage');
+const { report, printHeader, printSummary } = require('./helpers');
+
+function pinRecord(pinHash, status = 'off-chain') {
+  return {
+    pinHash,
+    salt: '7',
+    registeredAt: new Date().toISOString(),
+    chain: { status, txHash: status === 'off-chain' ? undefined : '0xabc' }
+  };
+}
+
+function payment(txId, customerId, merchantId, timestamp, source = 'single') {
+  return { txId, customerId, merchantId, amount: 10, source, timestamp, proofChecked: true };
+}
+
+/**
+ * Checks every driver must pass
+ * @param {Object} options - initializeStorage() options selecting the driver
+ */
+async function testDriver(name, options) {
+  console.log(`\n📋 Testing ${name} store...`);
+  await initializeStorage(options);
+  const store = getStore();
+
+  await store.savePIN('cust_1', pinRecord('111'));
+  await store.savePIN('cust_2', pinRecord('222', 'pending'));
+  await store.savePIN('cust_1', { ...pinRecord('1111'), changedAt: new Date().toISOString() });
+  const pin = await store.getPIN('cust_1');
+  const listed = await store.listPINs();
+
+  const firstSpend = await store.spendNullifier('0x01', { spentAt: 1000, txId: 'tx_a', circuitVersion: '1', expiresAt: null });
+  const secondSpend = await store.spendNullifier('0x01', { spentAt: 2000, txId: 'tx_b', circuitVersion: '1', expiresAt: null });
+  const spend = await store.getNullifierSpend('0x01');
+  const unused = await store.getNullifierSpend('0x02');
+  const racing = await Promise.all(Array.from({ length: 5 }, (_, i) =>
+    store.spendNullifier('0x03', { spentAt: 3000 + i, txId: `tx_${i}`, circuitVersion: '1', expiresAt: null })));
+  await store.spendNullifier('0x04', { spentAt: 1000, txId: 'tx_c', circuitVersion: '2', expiresAt: 5000 });
+  const pruned = await store.pruneExpiredNullifiers(5000);
+  const afterPrune = await store.getNullifierSpend('0x04');
+
+  const now = Date.now();
+  await store.addPayment(payment('t1', 'cust_1', 'shop_1', now - 5000));
+  await store.addPayment(payment('t2', 'cust_2', 'shop_1', now - 100));
+  await store.addPayment(payment('t3', 'cust_1', 'shop_2', now - 50, 'batch'));
+  await store.addPayment(payment('t4', 'cust_1', 'shop_2', now - 10));
+  const sinceAll = await store.countPaymentsSince(now - 1000);
+  const sinceNoBatch = await store.countPaymentsSince(now - 1000, { excludeSource: 'batch' });
+  const forCustomer = await store.listPaymentsFor('cust_1');
+  const forMerchant = await store.listPaymentsFor('shop_1');
+
+  for (let i = 5; i <= 8; i++) {
+    await store.addPayment(payment(`t${i}`, 'cust_3', 'shop_3', now + i));
+  }
+  const afterTrim = await store.listPaymentsFor('cust_3');
+  const oldestGone = (await store.listPaymentsFor('shop_1')).length;
+
+  await store.saveLoginChallenge('101', { customerId: 'cust_1', issuedAt: now, expiresAt: now + 60000 });
+  await store.saveLoginChallenge('102', { customerId: 'cust_2', issuedAt: now, expiresAt: now + 60000 });
+  await store.saveLoginChallenge('103', { customerId: 'cust_1', issuedAt: now - 120000, expiresAt: now - 60000 });
+  const racingTakes = await Promise.all(Array.from({ length: 5 }, () => store.takeLoginChallenge('101')));
+  const prunedChallenges = await store.pruneExpiredLoginChallenges(now);
+  const keptChallenge = await store.takeLoginChallenge('102');
+
+  const session = (sessionId, principalId, createdAt, expiresAt, role = 'customer') => ({
+    sessionId, role, principalId, refreshTokenHash: `hash_${sessionId}`, createdAt, refreshedAt: null, expiresAt, revokedAt: null, userAgent: 'test'
+  });
+  await store.createSession(session('s1', 'cust_1', now, now + 60000));
+  await store.createSession(session('s2', 'cust_1', now + 1, now + 60000));
+  await store.createSession(session('s3', 'cust_2', now, now + 60000));
+  await store.createSession(session('s4', 'cust_1', now, now + 60000, 'merchant'));
+  const racingRotations = await Promise.all(Array.from({ length: 5 }, (_, i) => store.rotateRefreshToken('s1', 'hash_s1', `next_${i}`, now + 5)));
+  const rotated = await store.getSession('s1');
+  const staleRotation = await store.rotateRefreshToken('s1', 'hash_s1', 'other', now + 6);
+  const revoked = await store.revokeSession('s2', now + 7);
+  const revokedAgain = await store.revokeSession('s2', now + 8);
+  const rotateRevoked = await store.rotateRefreshToken('s2', 'hash_s2', 'other', now + 9);
+  const customerSessions = await store.listSessions('customer', 'cust_1');
+  const merchantSessions = await store.listSessions('merchant', 'cust_1');
+  await store.revokeToken('s2', now + 60000);
+  await store.revokeToken('s2', now + 30000);
+  await store.revokeToken('old', now - 1000);
+
+  const account = (role, accountId, name, createdAt = now) => ({
+    role, accountId, name, passwordHash: `scrypt$${accountId}`, createdAt,
+    status: 'active', statusReason: null, payoutAddress: null, updatedAt: null
+  });
+  const racingAccounts = await Promise.all(['First', 'Second', 'Third'].map(n => store.createAccount(account('merchant', 'shop_1', n))));
+  const adminCreated = await store.createAccount(account('admin', 'shop_1', null));
+  const merchantAccount = await store.getAccount('merchant', 'shop_1');
+  const adminAccount = await store.getAccount('admin', 'shop_1');
+  await store.createAccount(account('merchant', 'shop_2', 'Second Shop', now + 1));
+  const merchantAccounts = await store.listAccounts('merchant');
+  const racingUpdates = await Promise.all([
+    store.updateAccount('merchant', 'shop_2', { payoutAddress: '0xabc', updatedAt: now + 2 }),
+    store.updateAccount('merchant', 'shop_2', { status: 'suspended', statusReason: 'review', updatedAt: now + 3 })
+  ]);
+  const updatedAccount = await store.getAccount('merchant', 'shop_2');
+  const clearedAccount = await store.updateAccount('merchant', 'shop_2', { statusReason: null });
+  const updateUnknown = await store.updateAccount('merchant', 'shop_9', { name: 'Nobody' });
+
+  const apiKey = (keyId, createdAt) => ({ keyId, merchantId: 'shop_2', secretHash: `hash_${keyId}`, label: null, createdAt, revokedAt: null });
+  await store.createApiKey(apiKey('k1', now));
+  await store.createApiKey({ ...apiKey('k2', now + 1), label: 'till' });
+  await store.createApiKey({ ...apiKey('k3', now), merchantId: 'shop_1' });
+  const keyRevoked = await store.revokeApiKey('k1', now + 5);
+  const keyRevokedAgain = await store.revokeApiKey('k1', now + 6);
+  const merchantKeys = await store.listApiKeys('shop_2');
+
+  const hits = [];
+  for (let i = 0; i < 3; i++) {
+    hits.push(await store.hitRateLimit('login:ip:1', now + i, 1000));
+  }
+  const racingHits = await Promise.all([1, 2, 3].map(() => store.hitRateLimit('login:ip:2', now, 1000)));
+  const nextWindow = await store.hitRateLimit('login:ip:1', now + 1000, 1000);
+
+  const delays = [0, 0, 5000];
+  const racingAttempts = await Promise.all([1, 2, 3, 4].map(() => store.takeAttempt('pin:customer:c1', now, delays, 60000)));
+  const whileBlocked = await store.takeAttempt('pin:customer:c1', now + 4999, delays, 60000);
+  const [first, blocking] = [1, 3].map(failures => racingAttempts.find(a => a.allowed && a.failures === failures));
+  await store.releaseAttempt('pin:customer:c1', blocking);
+  const afterRelease = await store.takeAttempt('pin:customer:c1', now + 1, delays, 60000);
+  await store.releaseAttempt('pin:customer:c1', first);
+  const blockKept = await store.takeAttempt('pin:customer:c1', now + 5000, delays, 60000);
+  await store.takeAttempt('pin:customer:c1', now + 5001, delays, 60000);
+  const pastEnd = await store.takeAttempt('pin:customer:c1', now + 10001, delays, 60000);
+  await store.clearAttempts('pin:customer:c1');
+  const afterClear = await store.takeAttempt('pin:customer:c1', now + 10002, delays, 60000);
+  await store.takeAttempt('pin:customer:c2', now, [0], 1000);
+  const forgotten = await store.takeAttempt('pin:customer:c2', now + 1000, [0], 1000);
+  const prunedCounters = await store.pruneExpiredCounters(now + 2000);
+
+  return report(`${name} store`, [
+    ['a saved PIN is read back with its chain record', pin?.pinHash === '1111' && pin.salt === '7' && pin.chain.status === 'off-chain'],
+    ['saving again replaces the record', Boolean(pin?.changedAt) && (await store.countPINs()) === 2],
+    ['PINs are listed with their customer ids', listed.map(e => e.customerId).join() === 'cust_1,cust_2' && listed[1].record.chain.status === 'pending'],
+    ['a nullifier is spent once and the first spend is kept', firstSpend === null && secondSpend?.txId === 'tx_a' && spend?.spentAt === 1000],
+    ['an unspent nullifier has no spend', unused === null],
+    ['exactly one of several concurrent spends wins', racing.filter(r => r === null).length === 1],
+    ['only spends past their expiry epoch are pruned', pruned === 1 && afterPrune === null && (await store.getNullifierSpend('0x01')) !== null],
+    ['recent payments are counted, with and without batch', sinceAll === 3 && sinceNoBatch === 2],
+    ['payments are listed per customer, newest first', forCustomer.map(p => p.txId).join() === 't4,t3,t1'],
+    ['payments are listed per merchant', forMerchant.map(p => p.txId).join() === 't2,t1'],
+    ['only the newest PAYMENT_HISTORY_LIMIT payments are kept', afterTrim.length === 4 && oldestGone === 0],
+    ['payment records keep every field', forCustomer[0].amount === 10 && forCustomer[0].proofChecked === true],
+    ['a login challenge is taken by exactly one of several callers',
+      racingTakes.filter(Boolean).length === 1 && racingTakes.find(Boolean).customerId === 'cust_1'],
+    ['expired login challenges are pruned and live ones kept',
+      (store.driver === 'redis' || prunedChallenges === 1) && keptChallenge?.expiresAt === now + 60000 &&
+      (await store.takeLoginChallenge('102')) === null],
+    ['a refresh token is rotated by exactly one of several callers',
+      racingRotations.filter(Boolean).length === 1 && rotated.refreshTokenHash.startsWith('next_') && rotated.refreshedAt === now + 5],
+    ['a rotated-away refresh token no longer matches', !staleRotation],
+    ['a session is revoked once and then refuses rotation',
+      revoked && !revokedAgain && !rotateRevoked && (await store.getSession('s2')).revokedAt === now + 7],
+    ['sessions are listed per customer, newest first', customerSessions.map(s => s.sessionId).join() === 's2,s1' && customerSessions[1].userAgent === 'test'],
+    ['sessions of another role with the same id are kept apart', merchantSessions.map(s => s.sessionId).join() === 's4' && merchantSessions[0].role === 'merchant'],
+    ['revocations hold until their latest expiry',
+      (await store.isTokenRevoked('s2', now)) && !(await store.isTokenRevoked('s1', now)) && !(await store.isTokenRevoked('old', now)) &&
+      (store.driver === 'redis' || (await store.isTokenRevoked('s2', now + 45000)))],
+    ['expired revocations are pruned', store.driver === 'redis' || (await store.pruneExpiredSessions(now)) === 1],
+    ['an account id is taken by exactly one of several registrations',
+      racingAccounts.filter(Boolean).length === 1 && merchantAccount.name === ['First', 'Second', 'Third'][racingAccounts.indexOf(true)]],
+    ['account ids are per role', adminCreated && adminAccount.name === null && adminAccount.passwordHash === 'scrypt$shop_1'],
+    ['unknown accounts are null', (await store.getAccount('merchant', 'shop_9')) === null],
+    ['accounts are listed per role, oldest first', merchantAccounts.map(a => a.accountId).join() === 'shop_1,shop_2'],
+    ['concurrent account updates both land', racingUpdates.every(Boolean) &&
+      updatedAccount.payoutAddress === '0xabc' && updatedAccount.status === 'suspended' && updatedAccount.statusReason === 'review'],
+    ['an update can clear a field and leaves the rest', clearedAccount.statusReason === null &&
+      clearedAccount.name === 'Second Shop' && clearedAccount.passwordHash === 'scrypt$shop_2'],
+    ['updating an unknown account changes nothing', updateUnknown === null && (await store.getAccount('merchant', 'shop_9')) === null],
+    ['API keys are listed per merchant, newest first', merchantKeys.map(k => k.keyId).join() === 'k2,k1' && merchantKeys[0].label === 'till'],
+    ['an API key is revoked once', keyRevoked && !keyRevokedAgain && (await store.getApiKey('k1')).revokedAt === now + 5],
+    ['unknown API keys are null', (await store.getApiKey('k9')) === null],
+    ['rate-limit hits are counted in their window', hits.map(h => h.count).join() === '1,2,3' && hits.every(h => h.resetAt === now + 1000)],
+    ['concurrent rate-limit hits are each counted once', racingHits.map(h => h.count).sort().join() === '1,2,3'],
+    ['a new rate-limit window starts over', nextWindow.count === 1 && nextWindow.resetAt === now + 2000],
+    ['concurrent attempts are counted until one sets a block, then refused',
+      racingAttempts.filter(a => a.allowed).length === 3 && racingAttempts.filter(a => !a.allowed).length === 1 &&
+      racingAttempts.every(a => a.failures <= 3) && racingAttempts.some(a => a.blockedUntil === now + 5000)],
+    ['attempts are refused until the block ends', !whileBlocked.allowed && whileBlocked.failures === 3],
+    ['a released attempt is uncounted and lifts the block it set',
+      blocking.previousBlockedUntil === now && afterRelease.allowed && afterRelease.failures === 3],
+    ['a release keeps the block a later attempt set', !blockKept.allowed && blockKept.failures === 2],
+    ['the last delay holds past the end', pastEnd.allowed && pastEnd.failures === 4 && pastEnd.blockedUntil === now + 15001],
+    ['cleared attempts start over', afterClear.allowed && afterClear.failures === 1],
+    ['attempts are forgotten windowMs after their block', forgotten.allowed && forgotten.failures === 1],
+    ['ended windows and forgotten attempts are pruned', store.driver === 'redis' || prunedCounters === 3]
+  ]);
+}
+
+async function testSqlitePersistence() {
+  console.log('\n📋 Testing SQLite persistence and migrations...');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zkpulse-store-'));
+  const dbPath = path.join(dir, 'data', 'zkpulse.db');
+
+  const first = await initializeStorage({ driver: 'sqlite', path: dbPath });
+  const firstMigration = await first.migrate();
+  await first.savePIN('cust_1', pinRecord('111', 'confirmed'));
+  await first.spendNullifier('0x01', { spentAt: 1234, txId: 't1', circuitVersion: '1', expiresAt: null });
+  await first.addPayment(payment('t1', 'cust_1', 'shop_1', Date.now()));
+  await closeStorage();
+
+  // A restart opens the same file
+  const reopened = await initializeStorage({ driver: 'sqlite', path: dbPath });
+  const secondMigration = await reopened.migrate();
+  const pin = await reopened.getPIN('cust_1');
+  const spend = await reopened.getNullifierSpend('0x01');
+  const payments = await reopened.listPaymentsFor('cust_1');
+  await closeStorage();
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  return report('SQLite persistence', [
+    ['migrating an up-to-date database applies nothing', firstMigration.applied.length === 0 && firstMigration.to >= 1],
+    ['the schema version survives a restart', secondMigration.from === firstMigration.to],
+    ['PINs survive a restart', pin?.pinHash === '111' && pin.chain.txHash === '0xabc'],
+    ['spent nullifiers survive a restart', spend?.spentAt === 1234 && spend.txId === 't1'],
+    ['payments survive a restart', payments.length === 1 && payments[0].txId === 't1']
+  ]);
+}
+
+async function testSqliteUpgrade() {
+  console.log('\n📋 Testing a SQLite upgrade from schema version 1...');
+  const Database = require('better-sqlite3');
+  const { SQLITE_MIGRATIONS } = require('../src/storage/migrations');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zkpulse-store-'));
+  const dbPath = path.join(dir, 'zkpulse.db');
+
+  // A database written before nullifiers were spent permanently
+  const old = new Database(dbPath);
+  old.exec('CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)');
+  old.exec(SQLITE_MIGRATIONS[0].up);
+  old.prepare("INSERT INTO schema_migrations VALUES (1, 'initial_schema', '2026-01-01T00:00:00.000Z')").run();
+  old.prepare('INSERT INTO nullifiers (nullifier, used_at) VALUES (?, ?)').run('0x01', 1234);
+  old.prepare('INSERT INTO payments (tx_id, customer_id, merchant_id, source, timestamp, data) VALUES (?, ?, ?, ?, ?, ?)')
+    .run('t1', 'cust_1', 'shop_1', 'live', 1234, JSON.stringify({ ...payment('t1', 'cust_1', 'shop_1', 1234), nullifier: '0x01', circuitVersion: '1' }));
+  old.close();
+
+  const store = await initializeStorage({ driver: 'sqlite', path: dbPath });
+  const spend = await store.getNullifierSpend('0x01');
+  const replay = await store.spendNullifier('0x01', { spentAt: 9999, txId: 't2', circuitVersion: '1', expiresAt: null });
+  const status = require('../src/storage').getStorageStatus();
+  await closeStorage();
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  return report('SQLite upgrade', [
+    ['pending migrations are applied', status.schemaVersion === SQLITE_MIGRATIONS[SQLITE_MIGRATIONS.length - 1].version],
+    ['old nullifiers point at the payment that used them', spend?.txId === 't1' && spend.circuitVersion === '1' && spend.spentAt === 1234],
+    ['old nullifiers count as spent', replay?.txId === 't1']
+  ]);
+}
+
+async function runTests() {
+  printHeader('Storage Tests');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zkpulse-store-'));
+  const results = {
+    'Memory Store': await testDriver('Memory', { driver: 'memory' }),
+    'SQLite Store': await testDriver('SQLite', { driver: 'sqlite', path: path.join(dir, 'zkpulse.db') }),
+    'SQLite Persistence': await testSqlitePersistence(),
+    'SQLite Upgrade': await testSqliteUpgrade()
+  };
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  if (process.env.REDIS_URL) {
+    const keyPrefix = `zkpulse-test-${process.pid}:`;
+    results['Redis Store'] = await testDriver('Redis', { driver: 'redis', keyPrefix });
+    const { createClient } = require('redis');
+    const client = await createClient({ url: process.env.REDIS_URL }).connect();
+    const keys = await client.keys(`${keyPrefix}*`);
+    if (keys.length > 0) await client.del(keys);
+    await client.quit();
+  } else {
+    console.log('\n⚠️  REDIS_URL not set - skipping the Redis store');
+    results['Redis Store'] = null;
+  }
+  await closeStorage();
+
+  process.exit(printSummary(results) ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testDriver, testSqlitePersistence, testSqliteUpgrade };
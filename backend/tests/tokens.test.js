@@ -0,0 +1,142 @@
+/**
+ * Test suite for payment token formatting in src/tokens.js
+ * Needs a local Hardhat node: cd blockchain && npx hardhat node
+ * Deploys a MockERC20 and a PaymentVerifier from blockchain/artifacts on every run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+
+const RPC_URL = process.env.HARDHAT_RPC_URL || 'http://127.0.0.1:8545';
+const ARTIFACTS_DIR = path.join(__dirname, '..', '..', 'blockchain', 'artifacts', 'contracts');
+
+// Well-known Hardhat dev account #2 - never use it on a real network
+const CUSTOMER_KEY = '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a';
+
+const {
+  NATIVE_TOKEN,
+  getTokenMetadata,
+  formatTokenAmount,
+  formatTransactionValue
+} = require('../src/tokens');
+const { report, printHeader, printSummary } = require('./helpers');
+
+async function deploy(wallet, artifact, args = []) {
+  const { abi, bytecode } = JSON.parse(fs.readFileSync(path.join(ARTIFACTS_DIR, artifact), 'utf8'));
+  const contract = await new ethers.ContractFactory(abi, bytecode, wallet).deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+function testFormatting() {
+  console.log('\n📋 Testing amount formatting...');
+  const usdc = { symbol: 'USDC', decimals: 6 };
+  const native = { symbol: 'MATIC', decimals: 18 };
+
+  return report('Amount formatting', [
+    ['6-decimal stablecoin amounts', formatTokenAmount(25050000n, usdc) === '25.05 USDC'],
+    ['18-decimal native amounts', formatTokenAmount(ethers.parseEther('0.25'), native) === '0.25 MATIC'],
+    ['zero is still shown with its symbol', formatTokenAmount(0n, usdc) === '0.0 USDC']
+  ]);
+}
+
+async function testTokenMetadata(provider, token) {
+  console.log('\n📋 Testing token metadata lookups...');
+  const address = await token.getAddress();
+  const first = await getTokenMetadata(provider, address);
+  const cached = await getTokenMetadata(provider, address.toLowerCase());
+  const native = await getTokenMetadata(provider, NATIVE_TOKEN);
+
+  let notATokenRejected = false;
+  try {
+    await getTokenMetadata(provider, ethers.Wallet.createRandom().address);
+  } catch (error) {
+    notATokenRejected = true;
+  }
+
+  return report('Token metadata', [
+    ['symbol and decimals are read from the token', first.symbol === 'mUSDC' && first.decimals === 6 && !first.native],
+    ['a token is looked up once, whatever the address case', cached === first],
+    ['the native token needs no lookup', native.native && native.decimals === 18],
+    ['an address without a token contract is refused', notATokenRejected]
+  ]);
+}
+
+async function testTransactionValues(provider, token, paymentVerifier, customer) {
+  console.log('\n📋 Testing transaction value decoding...');
+  const tokenAddress = await token.getAddress();
+  const verifierAddress = await paymentVerifier.getAddress();
+  const merchant = ethers.Wallet.createRandom().address;
+  const one = ethers.toBeHex(1, 32);
+
+  await (await token.mint(await customer.getAddress(), 100000000n)).wait();
+  await (await token.connect(customer).approve(verifierAddress, ethers.MaxUint256)).wait();
+  await (await paymentVerifier.setTokenAllowed(tokenAddress, true)).wait();
+
+  const mined = async (sent) => {
+    const tx = await sent;
+    await tx.wait();
+    return formatTransactionValue(provider, await provider.getTransaction(tx.hash));
+  };
+  const transferValue = await mined(token.connect(customer).transfer(merchant, 1500000n));
+  const tokenPaymentValue = await mined(paymentVerifier.connect(customer)
+    .registerPayment(25050n, one, one, merchant, tokenAddress, 25050000n));
+  const nativePaymentValue = await mined(paymentVerifier.connect(customer)
+    .registerPayment(25050n, one, one, merchant, NATIVE_TOKEN, ethers.parseEther('0.25'), { value: ethers.parseEther('0.25') }));
+  const plainSendValue = await mined(customer.sendTransaction({ to: merchant, value: ethers.parseEther('1.5') }));
+
+  // Calldata that looks like a transfer, sent to an address without a token
+  const unknownToken = ethers.Wallet.createRandom().address;
+  const unknown = await formatTransactionValue(provider, {
+    to: unknownToken,
+    data: token.interface.encodeFunctionData('transfer', [merchant, 7n]),
+    value: 0n
+  });
+
+  return report('Transaction values', [
+    ['ERC-20 transfers are shown in the token', transferValue.value === '1.5 mUSDC' && transferValue.token === tokenAddress],
+    ['token deposits to PaymentVerifier are shown in the token', tokenPaymentValue.value === '25.05 mUSDC' && tokenPaymentValue.token === tokenAddress],
+    ['native deposits to PaymentVerifier are shown in MATIC', nativePaymentValue.value === '0.25 MATIC' && nativePaymentValue.token === NATIVE_TOKEN],
+    ['plain transfers are shown in MATIC', plainSendValue.value === '1.5 MATIC'],
+    ['an unreadable token falls back to raw units', unknown.value === `7 units of ${unknownToken}`]
+  ]);
+}
+
+async function runTests() {
+  printHeader('Payment Token Tests');
+
+  const results = { 'Amount Formatting': testFormatting() };
+
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  provider.pollingInterval = 100;
+  try {
+    await provider.getBlockNumber();
+  } catch (error) {
+    console.error(`❌ No Ethereum node at ${RPC_URL}`);
+    console.error('   Run: cd blockchain && npx hardhat node');
+    process.exit(1);
+  }
+
+  // Back-to-back transactions from one account need locally tracked nonces
+  const customer = new ethers.NonceManager(new ethers.Wallet(CUSTOMER_KEY, provider));
+  const token = await deploy(customer, 'test/MockERC20.sol/MockERC20.json', ['Mock USD Coin', 'mUSDC', 6]);
+  const mockVerifier = await deploy(customer, 'test/MockVerifier.sol/MockVerifier.json');
+  const paymentVerifier = await deploy(customer, 'PaymentVerifier.sol/PaymentVerifier.json', [await mockVerifier.getAddress(), 3600]);
+  console.log(`   MockERC20 deployed at ${await token.getAddress()}`);
+
+  results['Token Metadata'] = await testTokenMetadata(provider, token);
+  results['Transaction Values'] = await testTransactionValues(provider, token, paymentVerifier, customer);
+
+  process.exit(printSummary(results) ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testFormatting, testTokenMetadata, testTransactionValues };
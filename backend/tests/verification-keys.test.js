@@ -0,0 +1,120 @@
+/**
+ * Test suite for the verification key registry in src/verificationKeys.js
+ * Runs against a scratch registry directory, so no compiled circuits are needed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const KEYS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'zkpulse-keys-'));
+process.env.VERIFICATION_KEYS_DIR = KEYS_DIR;
+process.env.VERIFICATION_KEY_PATH = path.join(KEYS_DIR, 'no-legacy-key.json');
+
+const {
+  loadVerificationKeys,
+  getVerificationKey,
+  getCircuitVersions,
+  listVerificationKeys,
+  watchVerificationKeys,
+  unwatchVerificationKeys
+} = require('../src/verificationKeys');
+const { report, printHeader, printSummary } = require('./helpers');
+
+/**
+ * Minimal key with the shape snarkjs exports - good enough for the registry's checks
+ */
+function fakeKey(nPublic) {
+  return {
+    protocol: 'groth16',
+    curve: 'bn128',
+    nPublic,
+    IC: Array.from({ length: nPublic + 1 }, () => ['1', '2', '1'])
+  };
+}
+
+function writeKey(circuitId, version, contents) {
+  const dir = path.join(KEYS_DIR, circuitId);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${version}.json`), typeof contents === 'string' ? contents : JSON.stringify(contents));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function testLoadKeys() {
+  console.log('\n📋 Testing key loading...');
+  writeKey('payment', '1', fakeKey(5));
+  writeKey('auth', '1', fakeKey(1));
+  writeKey('payment', 'not a version', fakeKey(5));
+  loadVerificationKeys();
+
+  return report('Key loading', [
+    ['payment v1 is registered', getVerificationKey('payment', '1')?.nPublic === 5],
+    ['numeric versions are looked up as strings', getVerificationKey('payment', 1) !== null],
+    ['keys are kept per circuit', getVerificationKey('auth', '1')?.nPublic === 1],
+    ['unknown versions are rejected', getVerificationKey('payment', '9') === null],
+    ['file names outside the safe alphabet are ignored', listVerificationKeys().length === 2]
+  ]);
+}
+
+async function testHealthSummary() {
+  console.log('\n📋 Testing registry summary...');
+  const [entry] = listVerificationKeys();
+
+  return report('Registry summary', [
+    ['summary lists circuit id and version', entry.circuitId === 'auth' && entry.version === '1'],
+    ['summary carries a sha256 of the key file', /^[0-9a-f]{64}$/.test(entry.sha256)],
+    ['summary leaves the key itself out', !('vKey' in entry)]
+  ]);
+}
+
+async function testHotReload() {
+  console.log('\n📋 Testing hot reload...');
+  watchVerificationKeys();
+
+  writeKey('payment', '2', fakeKey(5));
+  await sleep(1000);
+  const addedVersions = getCircuitVersions('payment');
+
+  const before = getVerificationKey('payment', '1');
+  writeKey('payment', '1', '{ not json');
+  await sleep(1000);
+  const afterBadWrite = getVerificationKey('payment', '1');
+
+  fs.unlinkSync(path.join(KEYS_DIR, 'payment', '1.json'));
+  await sleep(1000);
+
+  unwatchVerificationKeys();
+
+  return report('Hot reload', [
+    ['a new version is picked up without a restart', addedVersions.includes('1') && addedVersions.includes('2')],
+    ['a broken key file keeps the previously loaded key', afterBadWrite === before],
+    ['deleting a key file retires that version', getVerificationKey('payment', '1') === null],
+    ['other versions stay registered', getVerificationKey('payment', '2') !== null]
+  ]);
+}
+
+async function runTests() {
+  printHeader('Verification Key Registry Tests');
+
+  const results = {};
+  try {
+    results['Key Loading'] = await testLoadKeys();
+    results['Registry Summary'] = await testHealthSummary();
+    results['Hot Reload'] = await testHotReload();
+  } finally {
+    unwatchVerificationKeys();
+    fs.rmSync(KEYS_DIR, { recursive: true, force: true });
+  }
+
+  process.exit(printSummary(results) ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { testLoadKeys, testHealthSummary, testHotReload };
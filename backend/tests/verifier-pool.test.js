@@ -0,0 +1,105 @@
+/**
+ * Test suite for the verification worker pool in src/verifierPool.js
+ * Uses a hand-built Groth16 key whose pairing check passes for public signal 0
+ * and fails for anything else, so no compiled circuits are needed
+ */
+
+const {
+  startVerifierPool,
+  verifyProof,
+  getVerifierPoolMetrics,
+  stopVerifierPool
+} = require('../src/verifierPool');
+const { report, printHeader, printSummary } = require('./helpers');
+
+// BN254 generators; every G2 point of the key is the G2 generator
+const G1 = ['1', '2', '1'];
+const NEG_G1 = ['1', '21888242871839275222246405745257275088696311157297823662689037894645226208581', '1'];
+const G2 = [
+  ['10857046999023057135944570762232829481370756359578518086990519993285655852781', '11559732032986387107991004021392285783925812861821192530917403151452391805634'],
+  ['8495653923123431417604973247489272438418190587263600148770280649306958101930', '4082367875863433681332203403145435568316851327593401208105741076214120093531'],
+  ['1', '0']
+];
+
+// e(-A, B) * e(alpha, beta) * e(IC0 + s * IC1, gamma) * e(C, delta) == 1
+// reduces to -1 + 1 + (1 + s) - 1 == 0 in the exponent, which only holds for s = 0
+const testKey = {
+  protocol: 'groth16',
+  curve: 'bn128',
+  nPublic: 1,
+  vk_alpha_1: G1,
+  vk_beta_2: G2,
+  vk_gamma_2: G2,
+  vk_delta_2: G2,
+  IC: [G1, G1]
+};
+const testProof = { pi_a: G1, pi_b: G2, pi_c: NEG_G1, protocol: 'groth16', curve: 'bn128' };
+
+async function testVerifyOnWorker() {
+  console.log('\n📋 Testing verification on worker threads...');
+  startVerifierPool({ size: 2, queueLimit: 10 });
+
+  const [valid, invalid] = await Promise.all([
+    verifyProof(testKey, ['0'], testProof),
+    verifyProof(testKey, ['1'], testProof)
+  ]);
+
+  let malformedRejected = false;
+  try {
+    await verifyProof(testKey, ['0'], { protocol: 'groth16' });
+  } catch (error) {
+    malformedRejected = true;
+  }
+
+  const afterMalformed = await verifyProof(testKey, ['0'], testProof);
+  stopVerifierPool();
+
+  return report('Worker verification', [
+    ['a valid proof verifies', valid === true],
+    ['an invalid proof is rejected', invalid === false],
+    ['a malformed proof rejects instead of hanging', malformedRejected],
+    ['the worker keeps serving after a malformed proof', afterMalformed === true]
+  ]);
+}
+
+async function testBackpressure() {
+  console.log('\n📋 Testing queue limit backpressure...');
+  startVerifierPool({ size: 1, queueLimit: 1 });
+
+  // One verification runs, one waits in the queue, the third finds the queue full
+  const results = await Promise.allSettled([
+    verifyProof(testKey, ['0'], testProof),
+    verifyProof(testKey, ['0'], testProof),
+    verifyProof(testKey, ['0'], testProof)
+  ]);
+  const metrics = getVerifierPoolMetrics();
+  stopVerifierPool();
+
+  const [running, queued, rejected] = results;
+  return report('Backpressure', [
+    ['the running verification completes', running.status === 'fulfilled' && running.value === true],
+    ['the queued verification completes', queued.status === 'fulfilled' && queued.value === true],
+    ['verifications beyond the queue limit are refused', rejected.status === 'rejected' && rejected.reason.code === 'VERIFIER_POOL_FULL'],
+    ['the refusal maps to HTTP 503', rejected.status === 'rejected' && rejected.reason.statusCode === 503],
+    ['metrics count completed and rejected work', metrics.completed === 2 && metrics.rejected === 1],
+    ['metrics record queue wait and verify time', metrics.queueWaitMs.count === 2 && metrics.verifyMs.count === 2 && metrics.verifyMs.maxMs > 0]
+  ]);
+}
+
+async function runTests() {
+  printHeader('Verifier Pool Tests');
+
+  const results = {
+    'Worker Verification': await testVerifyOnWorker(),
+    'Backpressure': await testBackpressure()
+  };
+
+  process.exit(printSummary(results) ? 0 : 1);
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { testVerifyOnWorker, testBackpressure };
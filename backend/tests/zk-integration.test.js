@@ -5,26 +5,38 @@
 
 const fs = require('fs');
 const path = require('path');
+require('dotenv').config();
 const snarkjs = require('snarkjs');
+const {
+  generatePaymentProof,
+  generatePinChangeProof,
+  generateLoginProof,
+  generateNonce,
+  poseidonHash,
+  computeNullifier,
+  decodePaymentSignals,
+  decodePinChangeSignals,
+  decodeLoginSignals
+} = require('../src/circuits');
 
 const CIRCUITS_DIR = path.join(__dirname, '..', 'circuits');
-const VERIFICATION_KEY_PATH = path.join(CIRCUITS_DIR, 'verification_key.json');
+const VERIFICATION_KEY_PATH = path.join(CIRCUITS_DIR, 'keys', 'payment', '1.json');
 
 async function testCircuitCompilation() {
   console.log('\n📋 Step 1: Check if circuit is compiled...');
   
-  const wasmPath = path.join(CIRCUITS_DIR, 'auth_js', 'auth.wasm');
-  const zkeyPath = path.join(CIRCUITS_DIR, 'auth_0000.zkey');
+  const wasmPath = path.join(CIRCUITS_DIR, 'payment_js', 'payment.wasm');
+  const zkeyPath = path.join(CIRCUITS_DIR, 'payment_final.zkey');
   
   if (!fs.existsSync(wasmPath)) {
     console.error('❌ WASM file not found:', wasmPath);
-    console.error('   Run: cd circuits && ./setup.sh (or setup.bat on Windows)');
+    console.error('   Run: npm run build:circuits');
     return false;
   }
   
   if (!fs.existsSync(zkeyPath)) {
     console.error('❌ ZKey file not found:', zkeyPath);
-    console.error('   Run: cd circuits && ./setup.sh (or setup.bat on Windows)');
+    console.error('   Run: npm run build:circuits');
     return false;
   }
   
@@ -36,23 +48,23 @@ async function testProofGeneration() {
   console.log('\n📋 Step 2: Generate test proof...');
   
   try {
-    const input = {
-      pin: '1234',
-      salt: '5678'
-    };
+    // payment.circom takes pinHash as a public input, so it must match the backend hash
+    const pinHash = await poseidonHash('1234', '5678');
+    const payment = { pin: '1234', salt: '5678', pinHash, amount: '100', merchantId: 'merchant_1' };
     
-    const wasmPath = path.join(CIRCUITS_DIR, 'auth_js', 'auth.wasm');
-    const zkeyPath = path.join(CIRCUITS_DIR, 'auth_0000.zkey');
+    const wasmPath = path.join(CIRCUITS_DIR, 'payment_js', 'payment.wasm');
+    const zkeyPath = path.join(CIRCUITS_DIR, 'payment_final.zkey');
     
-    // Calculate witness
-    console.log('   Calculating witness for input:', input);
-    const witness = await snarkjs.wtns.calculate(input, wasmPath);
-    console.log('   ✓ Witness calculated');
-    
-    // Generate proof
-    console.log('   Generating Groth16 proof...');
-    const { proof, publicSignals } = await snarkjs.groth16.prove(zkeyPath, witness);
+    // Calculate witness and generate Groth16 proof
+    console.log('   Generating Groth16 proof for ₹100 to merchant_1...');
+    const { proof, publicSignals, nonce } = await generatePaymentProof(payment, { wasmPath, zkeyPath });
     console.log('   ✓ Proof generated');
+
+    const signals = decodePaymentSignals(publicSignals);
+    if (signals.pinHash !== pinHash || signals.nullifier !== await computeNullifier('5678', nonce)) {
+      console.error('❌ Circuit signals do not match backend hashes:', signals);
+      return null;
+    }
     
     console.log('✅ Proof generation successful');
     console.log('   Public Signals:', publicSignals);
@@ -95,12 +107,99 @@ async function testProofVerification(proof, publicSignals) {
   }
 }
 
+async function testPinChangeProof() {
+  console.log('\n📋 Step 4: Prove knowledge of the old PIN for a PIN change...');
+
+  const wasmPath = path.join(CIRCUITS_DIR, 'pin_change_js', 'pin_change.wasm');
+  const zkeyPath = path.join(CIRCUITS_DIR, 'pin_change_final.zkey');
+  const keyPath = path.join(CIRCUITS_DIR, 'keys', 'pin_change', '1.json');
+
+  if (!fs.existsSync(wasmPath) || !fs.existsSync(zkeyPath) || !fs.existsSync(keyPath)) {
+    console.error('❌ pin_change circuit not built. Run: npm run build:circuits');
+    return false;
+  }
+
+  try {
+    const change = { oldPin: '1234', oldSalt: '5678', newPin: '9876', newSalt: '4321' };
+    const { proof, publicSignals } = await generatePinChangeProof(change, { wasmPath, zkeyPath });
+
+    const signals = decodePinChangeSignals(publicSignals);
+    if (signals.oldPinHash !== await poseidonHash('1234', '5678') || signals.newPinHash !== await poseidonHash('9876', '4321')) {
+      console.error('❌ PIN change signals do not match backend hashes:', signals);
+      return false;
+    }
+
+    const verificationKey = JSON.parse(fs.readFileSync(keyPath));
+    const isValid = await snarkjs.groth16.verify(verificationKey, publicSignals, proof);
+    // Swapping in another new pinHash must invalidate the proof
+    const swappedValid = await snarkjs.groth16.verify(verificationKey, [publicSignals[0], '123'], proof);
+
+    let wrongPinRejected = false;
+    try {
+      await generatePinChangeProof({ ...change, oldPin: '1111', oldPinHash: signals.oldPinHash }, { wasmPath, zkeyPath });
+    } catch (error) {
+      wrongPinRejected = true;
+    }
+
+    if (isValid && !swappedValid && wrongPinRejected) {
+      console.log('✅ PIN change proof verified, and is bound to the new pinHash');
+      return true;
+    }
+    console.log('❌ PIN change proof checks failed:', { isValid, swappedValid, wrongPinRejected });
+    return false;
+  } catch (error) {
+    console.error('❌ PIN change proof failed:', error.message);
+    return false;
+  }
+}
+
+async function testLoginProof() {
+  console.log('\n📋 Step 5: Prove knowledge of the PIN for a login challenge...');
+
+  const wasmPath = path.join(CIRCUITS_DIR, 'login_js', 'login.wasm');
+  const zkeyPath = path.join(CIRCUITS_DIR, 'login_final.zkey');
+  const keyPath = path.join(CIRCUITS_DIR, 'keys', 'login', '1.json');
+
+  if (!fs.existsSync(wasmPath) || !fs.existsSync(zkeyPath) || !fs.existsSync(keyPath)) {
+    console.error('❌ login circuit not built. Run: npm run build:circuits');
+    return false;
+  }
+
+  try {
+    const challenge = generateNonce();
+    const { proof, publicSignals } = await generateLoginProof({ pin: '1234', salt: '5678', challenge }, { wasmPath, zkeyPath });
+
+    const signals = decodeLoginSignals(publicSignals);
+    if (signals.pinHash !== await poseidonHash('1234', '5678') || signals.challenge !== challenge) {
+      console.error('❌ Login signals do not match backend values:', signals);
+      return false;
+    }
+
+    const verificationKey = JSON.parse(fs.readFileSync(keyPath));
+    const isValid = await snarkjs.groth16.verify(verificationKey, publicSignals, proof);
+    // Answering another challenge with the same proof must fail
+    const replayedValid = await snarkjs.groth16.verify(verificationKey, [publicSignals[0], generateNonce()], proof);
+
+    if (isValid && !replayedValid) {
+      console.log('✅ Login proof verified, and is bound to its challenge');
+      return true;
+    }
+    console.log('❌ Login proof checks failed:', { isValid, replayedValid });
+    return false;
+  } catch (error) {
+    console.error('❌ Login proof failed:', error.message);
+    return false;
+  }
+}
+
 async function testBackendIntegration() {
-  console.log('\n📋 Step 4: Test backend integration...');
+  console.log('\n📋 Step 6: Test backend integration...');
   
+  // The backend's port, from backend/.env like the server reads it
+  const apiUrl = `http://localhost:${process.env.PORT || 5001}`;
   try {
     const axios = require('axios');
-    const response = await axios.get('http://localhost:5000/api/health');
+    const response = await axios.get(`${apiUrl}/api/health`);
     
     if (response.data.zk_enabled) {
       console.log('✅ Backend is ready for ZK proofs');
@@ -112,7 +211,7 @@ async function testBackendIntegration() {
       return true; // Not a failure, just not compiled yet
     }
   } catch (error) {
-    console.warn('⚠️  Backend not running on localhost:5000');
+    console.warn(`⚠️  Backend not running on ${apiUrl}`);
     console.warn('   Run: cd backend && npm start');
     return true; // Not a failure, just not running
   }
@@ -127,9 +226,7 @@ async function runTests() {
   if (!compiled) {
     console.log('\n❌ Circuit not compiled. Skipping further tests.');
     console.log('\nTo compile the circuit:');
-    console.log('  cd circuits');
-    console.log('  ./setup.sh (Unix/Linux/macOS)');
-    console.log('  setup.bat (Windows)');
+    console.log('  npm run build:circuits');
     process.exit(1);
   }
   
@@ -145,11 +242,26 @@ async function runTests() {
     process.exit(1);
   }
   
+  const pinChanged = await testPinChangeProof();
+  if (!pinChanged) {
+    console.log('\n❌ PIN change proof failed');
+    process.exit(1);
+  }
+
+  const loggedIn = await testLoginProof();
+  if (!loggedIn) {
+    console.log('\n❌ Login proof failed');
+    process.exit(1);
+  }
+
   await testBackendIntegration();
   
   console.log('\n=====================================');
   console.log('✨ All tests passed!');
   console.log('=====================================\n');
+
+  // snarkjs keeps bn128 worker threads alive, so exit explicitly
+  process.exit(0);
 }
 
 // Run tests if executed directly
@@ -160,4 +272,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { testCircuitCompilation, testProofGeneration, testProofVerification };
+module.exports = { testCircuitCompilation, testProofGeneration, testProofVerification, testPinChangeProof, testLoginProof };
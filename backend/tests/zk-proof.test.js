@@ -1,11 +1,18 @@
 /**
  * Test suite for ZK proof verification endpoint
  * Tests /api/verify-payment with Groth16 proofs
+ *
+ * The mock proof below has no matching verification key, so start the server in dev mode:
+ *   ZK_VERIFICATION_MODE=insecure-dev npm start
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 
-const API_URL = 'http://localhost:5000';
+require('dotenv').config();
+
+// The backend's port, from backend/.env like the server reads it
+const API_URL = `http://localhost:${process.env.PORT || 5001}`;
 
 // Mock Groth16 proof (for testing without circuit compilation)
 const mockProof = {
@@ -34,15 +41,51 @@ const mockProof = {
   curve: 'bn128'
 };
 
-// Public signals (pinHash would be output of Poseidon(pin, salt))
+// payment.circom public signals for PIN 1234, salt 5678, ₹250.50 to merchant_1, nonce 42
+// [nullifier, pinHash, amount (paise), merchantHash, nonce], see tests/poseidon.test.js
+const mockPayment = { circuitVersion: '1', amount: '250.50', merchantId: 'merchant_1', nonce: '42' };
 const mockPublicSignals = [
-  '12345678901234567890123456789012'
+  '3027494519420414719332734116296255940824367474869479944852190041503640449575',
+  '1169982749076088333153663347661338477797031566078404182867210122705337154794',
+  '25050',
+  '4333213930226625248684789715058049415651523449568660729057988174037004021227',
+  '42'
 ];
 
+/**
+ * The mock signals with a nullifier no earlier run has spent
+ * Spent nullifiers are kept by the server's store across runs; insecure-dev mode
+ * does not check the nullifier against the proof
+ */
+function freshPublicSignals() {
+  const nullifier = BigInt('0x' + crypto.randomBytes(30).toString('hex')).toString();
+  return [nullifier, ...mockPublicSignals.slice(1)];
+}
+
+// Set by testVerifyPayment for the replay test
+let verifiedPayment = null;
+
+/**
+ * Payments only go to registered merchants: register merchant_1, or find it
+ * registered by an earlier run
+ */
+async function registerTestMerchant() {
+  const response = await axios.post(`${API_URL}/api/merchants/register`, {
+    merchantId: mockPayment.merchantId,
+    name: 'Test Merchant',
+    password: 'test-merchant-password'
+  }, { validateStatus: status => status === 201 || status === 409 });
+  console.log(`\n🏪 Test merchant ${response.status === 201 ? 'registered' : 'already registered'}`);
+}
+
 async function testHealthEndpoint() {
   try {
     console.log('\n📋 Testing /api/health endpoint...');
     const response = await axios.get(`${API_URL}/api/health`);
+    if (!response.data.verificationMode) {
+      console.error('❌ Health check does not report the verification mode:', response.data);
+      return false;
+    }
     console.log('✅ Health check passed:', response.data);
     return true;
   } catch (error) {
@@ -54,11 +97,17 @@ async function testHealthEndpoint() {
 async function testVerifyPayment() {
   try {
     console.log('\n🔐 Testing /api/verify-payment endpoint...');
+    const publicSignals = freshPublicSignals();
     const response = await axios.post(`${API_URL}/api/verify-payment`, {
       proof: mockProof,
-      publicSignals: mockPublicSignals,
-      amount: 100
+      publicSignals,
+      ...mockPayment
     });
+    verifiedPayment = { publicSignals, transactionId: response.data.transactionId };
+    if (response.data.merchant?.name !== 'Test Merchant') {
+      console.error('❌ Payment response does not name the verified merchant:', response.data);
+      return false;
+    }
     console.log('✅ Payment verification response:', response.data);
     return true;
   } catch (error) {
@@ -84,7 +133,7 @@ async function testInvalidProof() {
     const response = await axios.post(`${API_URL}/api/verify-payment`, {
       proof: invalidProof,
       publicSignals: mockPublicSignals,
-      amount: 100
+      ...mockPayment
     });
     console.log('✅ Invalid proof handled:', response.data);
     return true;
@@ -94,22 +143,109 @@ async function testInvalidProof() {
   }
 }
 
+async function testReplayRejected() {
+  console.log('\n🔁 Testing replay of a spent nullifier...');
+  if (!verifiedPayment) {
+    console.error('❌ Replay test needs the verified payment from testVerifyPayment');
+    return false;
+  }
+  // Well past the old 5-second replay window
+  await new Promise(resolve => setTimeout(resolve, 5500));
+  try {
+    const response = await axios.post(`${API_URL}/api/verify-payment`, {
+      proof: mockProof,
+      publicSignals: verifiedPayment.publicSignals,
+      ...mockPayment
+    });
+    console.error('❌ Replayed payment was accepted:', response.data);
+    return false;
+  } catch (error) {
+    const { status, data } = error.response || {};
+    if (status !== 409 || data.status !== 'NULLIFIER_SPENT' ||
+        data.originalPayment?.transactionId !== verifiedPayment.transactionId) {
+      console.error('❌ Replay not rejected with the original payment:', status, data || error.message);
+      return false;
+    }
+    console.log('✅ Replay rejected:', data);
+    return true;
+  }
+}
+
+async function testUnknownMerchant() {
+  console.log('\n🏪 Testing a payment to an unregistered merchant...');
+  try {
+    const response = await axios.post(`${API_URL}/api/verify-payment`, {
+      proof: mockProof,
+      publicSignals: freshPublicSignals(),
+      ...mockPayment,
+      merchantId: `unregistered_${crypto.randomBytes(4).toString('hex')}`
+    });
+    console.error('❌ Payment to an unregistered merchant was accepted:', response.data);
+    return false;
+  } catch (error) {
+    const { status, data } = error.response || {};
+    if (status !== 400 || data.status !== 'MERCHANT_UNKNOWN') {
+      console.error('❌ Unregistered merchant not rejected:', status, data || error.message);
+      return false;
+    }
+    console.log('✅ Unregistered merchant rejected:', data);
+    return true;
+  }
+}
+
+async function testBatchVerification() {
+  try {
+    console.log('\n📦 Testing /api/verify-payments/batch endpoint...');
+    const payment = { proof: mockProof, publicSignals: freshPublicSignals(), ...mockPayment };
+    const response = await axios.post(`${API_URL}/api/verify-payments/batch`, {
+      // The same payment twice plus one item missing its payment details
+      payments: [payment, payment, { proof: mockProof, publicSignals: mockPublicSignals }]
+    });
+
+    const { results } = response.data;
+    if (results.length !== 3 || results[2].statusCode !== 400) {
+      console.error('❌ Batch did not return a result per item:', response.data);
+      return false;
+    }
+    if (results.filter(r => r.verified).length > 1) {
+      console.error('❌ Batch verified the same nullifier twice:', response.data);
+      return false;
+    }
+
+    console.log('✅ Batch verification response:', response.data);
+    return true;
+  } catch (error) {
+    console.error('❌ Batch verification failed:', error.message);
+    if (error.response?.data) {
+      console.error('Response data:', error.response.data);
+    }
+    return false;
+  }
+}
+
 async function runTests() {
   console.log('=================================');
   console.log('ZK Payment Verification Tests');
   console.log('=================================');
   
+  await registerTestMerchant();
   const results = {
     health: await testHealthEndpoint(),
     verify: await testVerifyPayment(),
-    invalid: await testInvalidProof()
+    replay: await testReplayRejected(),
+    invalid: await testInvalidProof(),
+    unknownMerchant: await testUnknownMerchant(),
+    batch: await testBatchVerification()
   };
 
   console.log('\n=================================');
   console.log('Test Summary:');
   console.log(`  Health Check: ${results.health ? '✅' : '❌'}`);
   console.log(`  Verify Payment: ${results.verify ? '✅' : '❌'}`);
+  console.log(`  Replay Rejected: ${results.replay ? '✅' : '❌'}`);
   console.log(`  Invalid Proof: ${results.invalid ? '✅' : '❌'}`);
+  console.log(`  Unknown Merchant: ${results.unknownMerchant ? '✅' : '❌'}`);
+  console.log(`  Batch Verification: ${results.batch ? '✅' : '❌'}`);
   console.log('=================================\n');
 
   process.exit(Object.values(results).every(r => r) ? 0 : 1);
@@ -120,4 +256,12 @@ if (require.main === module) {
   runTests();
 }
 
-module.exports = { testHealthEndpoint, testVerifyPayment, testInvalidProof };
+module.exports = {
+  registerTestMerchant,
+  testHealthEndpoint,
+  testVerifyPayment,
+  testReplayRejected,
+  testInvalidProof,
+  testUnknownMerchant,
+  testBatchVerification
+};
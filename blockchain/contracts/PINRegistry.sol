@@ -5,118 +5,287 @@ pragma solidity >=0.7.0 <0.9.0;
  * @title PINRegistry
  * @notice Stores and verifies PIN hashes for ZKPulse customers
  * @dev PIN hashes are stored on-chain for persistence and multi-instance consistency
+ * Records are keyed by a blinded customer key - an HMAC of the customer id under
+ * a backend secret - so ids cannot be recovered by hashing guesses. Salts are
+ * never stored: without the salt a pinHash cannot be brute-forced over the small
+ * PIN space.
+ * Each record belongs to the address that first registered it; only that owner
+ * or an authorized backend can change or revoke it. Authorized verifiers report
+ * failed verifications, and maxFailedAttempts of them in a row lock the PIN
+ * until the customer's guardian recovers it.
  */
 
 contract PINRegistry {
+
+    enum PINStatus { None, Active, Locked, Revoked }
     
-    // PIN Registry: customerId -> {pinHash, salt, registeredAt}
+    // PIN Registry: blinded customer key -> {pinHash, registeredAt, ...}
     struct PINData {
-        bytes32 pinHash;      // Hash of customer's PIN
-        bytes32 salt;         // Salt used for hashing
+        bytes32 pinHash;      // Poseidon(PIN, salt) - the salt stays off-chain
         uint256 registeredAt; // Timestamp of registration
-        bool exists;          // Whether this PIN is registered
+        bool exists;          // Whether a PIN is registered (active or locked, not revoked)
+        address owner;        // Registrant, or the new owner set by a recovery
+        address guardian;     // May recover the record; zero if none
+        PINStatus status;
+        uint256 failedAttempts; // Consecutive failed verifications reported
     }
+
+    // Manages backends, verifiers and the lockout threshold
+    address public admin;
+
+    // Backends may register, change and revoke any customer's PIN
+    mapping(address => bool) public authorizedBackends;
+
+    // Verifiers report verification results that count towards a lockout
+    mapping(address => bool) public authorizedVerifiers;
+
+    // Consecutive failed verifications that lock a PIN
+    uint256 public maxFailedAttempts = 5;
     
-    // Mapping from keccak256(customerId) to PINData
+    // Mapping from blinded customer key to PINData
     mapping(bytes32 => PINData) public pinRegistry;
     
     // Track registered customers
     bytes32[] public registeredCustomers;
     
     // Events
-    event PINRegistered(bytes32 indexed customerIdHash, address indexed registrant, uint256 timestamp);
-    event PINVerified(bytes32 indexed customerIdHash, uint256 timestamp);
-    event PINUpdated(bytes32 indexed customerIdHash, uint256 timestamp);
+    event PINRegistered(bytes32 indexed customerKey, address indexed registrant, uint256 timestamp);
+    event PINVerified(bytes32 indexed customerKey, uint256 timestamp);
+    event PINUpdated(bytes32 indexed customerKey, uint256 timestamp);
+    event PINRevoked(bytes32 indexed customerKey, address indexed revokedBy, uint256 timestamp);
+    event PINVerificationFailed(bytes32 indexed customerKey, address indexed verifier, uint256 failedAttempts);
+    event PINLocked(bytes32 indexed customerKey, uint256 failedAttempts, uint256 timestamp);
+    event GuardianSet(bytes32 indexed customerKey, address indexed guardian);
+    event PINRecovered(bytes32 indexed customerKey, address indexed guardian, address indexed newOwner, uint256 timestamp);
+    event BackendAuthorized(address indexed backend, bool authorized);
+    event VerifierAuthorized(address indexed verifier, bool authorized);
+    event MaxFailedAttemptsChanged(uint256 maxFailedAttempts);
+
+    modifier onlyAdmin() {
+        require(msg.sender == admin, "Not authorized");
+        _;
+    }
+
+    modifier onlyVerifier() {
+        require(authorizedVerifiers[msg.sender], "Not an authorized verifier");
+        _;
+    }
+
+    constructor() {
+        admin = msg.sender;
+    }
+
+    /**
+     * @notice Allow or stop a backend signer managing every customer's PIN
+     */
+    function setBackend(address _backend, bool _authorized) external onlyAdmin {
+        authorizedBackends[_backend] = _authorized;
+        emit BackendAuthorized(_backend, _authorized);
+    }
+
+    /**
+     * @notice Allow or stop an address reporting verification results
+     */
+    function setVerifier(address _verifier, bool _authorized) external onlyAdmin {
+        authorizedVerifiers[_verifier] = _authorized;
+        emit VerifierAuthorized(_verifier, _authorized);
+    }
+
+    /**
+     * @notice Change how many consecutive failed verifications lock a PIN
+     */
+    function setMaxFailedAttempts(uint256 _maxFailedAttempts) external onlyAdmin {
+        require(_maxFailedAttempts > 0, "Threshold must be positive");
+        maxFailedAttempts = _maxFailedAttempts;
+        emit MaxFailedAttemptsChanged(_maxFailedAttempts);
+    }
     
     /**
      * @notice Register or update a customer's PIN hash
-     * @param _customerId The customer ID (will be hashed for storage)
+     * A new record belongs to the caller. An existing or revoked one can only be
+     * changed by its owner or an authorized backend, and not while it is locked
+     * @param _customerKey The customer's blinded registry key
      * @param _pinHash The hash of the customer's PIN
-     * @param _salt The salt used for hashing
      */
     function registerPIN(
-        string calldata _customerId,
-        bytes32 _pinHash,
-        bytes32 _salt
+        bytes32 _customerKey,
+        bytes32 _pinHash
     ) external {
-        require(bytes(_customerId).length > 0, "Customer ID cannot be empty");
+        require(_customerKey != bytes32(0), "Customer key cannot be empty");
         require(_pinHash != bytes32(0), "PIN hash cannot be zero");
         
-        bytes32 customerIdHash = keccak256(abi.encodePacked(_customerId));
-        bool isUpdate = pinRegistry[customerIdHash].exists;
-        
-        pinRegistry[customerIdHash] = PINData({
-            pinHash: _pinHash,
-            salt: _salt,
-            registeredAt: block.timestamp,
-            exists: true
-        });
+        PINData storage pinData = pinRegistry[_customerKey];
+        bool isNew = pinData.status == PINStatus.None;
+
+        if (!isNew) {
+            require(_isOwnerOrBackend(pinData), "Not authorized");
+            require(pinData.status != PINStatus.Locked, "PIN locked");
+        }
+
+        pinData.pinHash = _pinHash;
+        pinData.registeredAt = block.timestamp;
+        pinData.exists = true;
+        pinData.status = PINStatus.Active;
+        pinData.failedAttempts = 0;
         
         // Track new customers only
-        if (!isUpdate) {
-            registeredCustomers.push(customerIdHash);
-            emit PINRegistered(customerIdHash, msg.sender, block.timestamp);
+        if (isNew) {
+            pinData.owner = msg.sender;
+            registeredCustomers.push(_customerKey);
+            emit PINRegistered(_customerKey, msg.sender, block.timestamp);
         } else {
-            emit PINUpdated(customerIdHash, block.timestamp);
+            emit PINUpdated(_customerKey, block.timestamp);
         }
     }
+
+    /**
+     * @notice Revoke a customer's PIN - it stops verifying until registered again
+     * Not while it is locked: a revoked record can be registered again, so only
+     * the guardian's recoverPIN may lift a lock
+     * @param _customerKey The customer's blinded registry key
+     */
+    function revokePIN(bytes32 _customerKey) external {
+        PINData storage pinData = pinRegistry[_customerKey];
+
+        require(pinData.exists, "PIN not registered");
+        require(_isOwnerOrBackend(pinData), "Not authorized");
+        require(pinData.status != PINStatus.Locked, "PIN locked");
+
+        pinData.pinHash = bytes32(0);
+        pinData.exists = false;
+        pinData.status = PINStatus.Revoked;
+        pinData.failedAttempts = 0;
+        emit PINRevoked(_customerKey, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @notice Report the outcome of a PIN verification done off-chain
+     * A failure counts towards the lockout; a success clears the count
+     * @param _customerKey The customer's blinded registry key
+     * @param _success Whether the customer's PIN verified
+     */
+    function reportVerification(bytes32 _customerKey, bool _success) external onlyVerifier {
+        PINData storage pinData = pinRegistry[_customerKey];
+
+        require(pinData.status == PINStatus.Active, "PIN not active");
+
+        if (_success) {
+            pinData.failedAttempts = 0;
+            emit PINVerified(_customerKey, block.timestamp);
+            return;
+        }
+
+        pinData.failedAttempts++;
+        emit PINVerificationFailed(_customerKey, msg.sender, pinData.failedAttempts);
+
+        if (pinData.failedAttempts >= maxFailedAttempts) {
+            pinData.status = PINStatus.Locked;
+            emit PINLocked(_customerKey, pinData.failedAttempts, block.timestamp);
+        }
+    }
+
+    /**
+     * @notice Set the guardian who can recover a customer's record
+     * Not while it is locked, or the owner could name themselves guardian and recover it
+     * @param _customerKey The customer's blinded registry key
+     * @param _guardian The guardian address, or zero to remove it
+     */
+    function setGuardian(bytes32 _customerKey, address _guardian) external {
+        PINData storage pinData = pinRegistry[_customerKey];
+
+        require(pinData.exists, "PIN not registered");
+        require(_isOwnerOrBackend(pinData), "Not authorized");
+        require(pinData.status != PINStatus.Locked, "PIN locked");
+
+        pinData.guardian = _guardian;
+        emit GuardianSet(_customerKey, _guardian);
+    }
+
+    /**
+     * @notice Recover a customer's record: a new PIN and owner, unlocked
+     * Only the guardian, for example after a lockout or a lost owner key
+     * @param _customerKey The customer's blinded registry key
+     * @param _newOwner The address that owns the record from now on
+     * @param _pinHash The new PIN hash
+     */
+    function recoverPIN(
+        bytes32 _customerKey,
+        address _newOwner,
+        bytes32 _pinHash
+    ) external {
+        PINData storage pinData = pinRegistry[_customerKey];
+
+        require(pinData.guardian != address(0) && msg.sender == pinData.guardian, "Not the guardian");
+        require(_newOwner != address(0), "Owner cannot be zero");
+        require(_pinHash != bytes32(0), "PIN hash cannot be zero");
+
+        pinData.pinHash = _pinHash;
+        pinData.registeredAt = block.timestamp;
+        pinData.exists = true;
+        pinData.owner = _newOwner;
+        pinData.status = PINStatus.Active;
+        pinData.failedAttempts = 0;
+        emit PINRecovered(_customerKey, msg.sender, _newOwner, block.timestamp);
+    }
     
     /**
      * @notice Verify if a customer's PIN hash matches the registered one
-     * @param _customerId The customer ID
+     * @param _customerKey The customer's blinded registry key
      * @param _claimedPinHash The PIN hash to verify
      * @return valid Whether the PIN hash is correct
-     * @return salt The salt used for hashing
      */
     function verifyPIN(
-        string calldata _customerId,
+        bytes32 _customerKey,
         bytes32 _claimedPinHash
-    ) external returns (bool valid, bytes32 salt) {
-        bytes32 customerIdHash = keccak256(abi.encodePacked(_customerId));
-        PINData storage pinData = pinRegistry[customerIdHash];
+    ) external returns (bool valid) {
+        PINData storage pinData = pinRegistry[_customerKey];
         
         require(pinData.exists, "PIN not registered for this customer");
+        require(pinData.status != PINStatus.Locked, "PIN locked");
         
         valid = (pinData.pinHash == _claimedPinHash);
-        salt = pinData.salt;
         
         if (valid) {
-            emit PINVerified(customerIdHash, block.timestamp);
+            emit PINVerified(_customerKey, block.timestamp);
         }
         
-        return (valid, salt);
+        return valid;
     }
     
     /**
      * @notice Check if a customer has a registered PIN
-     * @param _customerId The customer ID
+     * @param _customerKey The customer's blinded registry key
      * @return Whether the PIN is registered
      */
-    function isPINRegistered(string calldata _customerId) external view returns (bool) {
-        bytes32 customerIdHash = keccak256(abi.encodePacked(_customerId));
-        return pinRegistry[customerIdHash].exists;
+    function isPINRegistered(bytes32 _customerKey) external view returns (bool) {
+        return pinRegistry[_customerKey].exists;
     }
     
     /**
-     * @notice Get the salt for a customer's PIN (for ZK proof generation)
-     * @param _customerId The customer ID
-     * @return The salt
+     * @notice Get registration timestamp for a customer
+     * @param _customerKey The customer's blinded registry key
+     * @return The registration timestamp
      */
-    function getSalt(string calldata _customerId) external view returns (bytes32) {
-        bytes32 customerIdHash = keccak256(abi.encodePacked(_customerId));
-        require(pinRegistry[customerIdHash].exists, "PIN not registered");
-        return pinRegistry[customerIdHash].salt;
+    function getRegistrationTime(bytes32 _customerKey) external view returns (uint256) {
+        require(pinRegistry[_customerKey].exists, "PIN not registered");
+        return pinRegistry[_customerKey].registeredAt;
     }
     
     /**
-     * @notice Get registration timestamp for a customer
-     * @param _customerId The customer ID
-     * @return The registration timestamp
+     * @notice Get the state of a customer's record
+     * @param _customerKey The customer's blinded registry key
+     * @return status None, Active, Locked or Revoked
+     * @return failedAttempts Consecutive failed verifications reported
+     * @return owner The record's owner
+     * @return guardian The record's guardian, zero if none
      */
-    function getRegistrationTime(string calldata _customerId) external view returns (uint256) {
-        bytes32 customerIdHash = keccak256(abi.encodePacked(_customerId));
-        require(pinRegistry[customerIdHash].exists, "PIN not registered");
-        return pinRegistry[customerIdHash].registeredAt;
+    function getPINStatus(bytes32 _customerKey)
+        external
+        view
+        returns (PINStatus status, uint256 failedAttempts, address owner, address guardian)
+    {
+        PINData storage pinData = pinRegistry[_customerKey];
+        return (pinData.status, pinData.failedAttempts, pinData.owner, pinData.guardian);
     }
     
     /**
@@ -130,10 +299,14 @@ contract PINRegistry {
     /**
      * @notice Get a registered customer by index
      * @param _index The index
-     * @return The customer ID hash
+     * @return The blinded customer key
      */
     function getRegisteredCustomer(uint256 _index) external view returns (bytes32) {
         require(_index < registeredCustomers.length, "Index out of bounds");
         return registeredCustomers[_index];
     }
+
+    function _isOwnerOrBackend(PINData storage pinData) private view returns (bool) {
+        return msg.sender == pinData.owner || authorizedBackends[msg.sender];
+    }
 }
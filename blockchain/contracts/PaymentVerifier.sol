@@ -4,41 +4,140 @@ pragma solidity >=0.7.0 <0.9.0;
 /**
  * @title PaymentVerifier
  * @dev Manages ZK proof verification for payment transactions on Polygon Amoy
+ * A proof is only accepted for the payment intent it was made for, and each
+ * nullifier pays once - the same guarantees the backend gives off-chain
+ * The payer deposits the payment value when registering the intent, in the
+ * native token or an allow-listed ERC-20. A valid proof releases it to the
+ * merchant; if no proof arrives within refundTimeout the payer can take it
+ * back. Both are credited per token and paid out by withdraw()
  */
 contract PaymentVerifier {
+    // Public signals of payment.circom, in snarkjs order (PAYMENT_SIGNALS in backend/src/circuits.js)
+    uint256 internal constant SIGNAL_NULLIFIER = 0;
+    uint256 internal constant SIGNAL_PIN_HASH = 1;
+    uint256 internal constant SIGNAL_AMOUNT = 2;
+    uint256 internal constant SIGNAL_MERCHANT_HASH = 3;
+
+    // Token address recorded for payments in the chain's native token
+    address public constant NATIVE_TOKEN = address(0);
+
     // Reference to the Groth16 verifier contract
     Verifier public verifier;
 
+    // Seconds after registration before an unverified payment can be refunded
+    uint256 public immutable refundTimeout;
+
+    // Manages the ERC-20 allow-list
+    address public owner;
+
     // Struct to track verified payments
     struct VerifiedPayment {
         address user;
-        uint256 amount;
+        uint256 amount;       // In the circuit's units (paise), as in the proof's amount signal
         bytes32 pinHash;
+        bytes32 merchantHash; // Poseidon hash of the merchant id, as in the proof
+        uint256 nullifier;    // Set once verified
         uint256 timestamp;
         bool isVerified;
+        address payable merchant; // Receives the deposit once verified
+        address token;            // NATIVE_TOKEN or an allow-listed ERC-20
+        uint256 deposit;          // Escrowed value in the token's smallest unit
+        bool isRefunded;
     }
 
     // Mapping: paymentId => VerifiedPayment
     mapping(uint256 => VerifiedPayment) public payments;
-    
+
     // Mapping: user => list of payment IDs
     mapping(address => uint256[]) public userPayments;
 
+    // Mapping: nullifier => paymentId + 1 of the payment that spent it (0 = unspent)
+    mapping(uint256 => uint256) private nullifierSpentBy;
+
+    // Mapping: ERC-20 token => whether payments may be made in it
+    mapping(address => bool) public allowedTokens;
+
+    // Mapping: payee => token => released or refunded value it can withdraw
+    mapping(address => mapping(address => uint256)) public pendingWithdrawals;
+
     uint256 public paymentCounter = 0;
 
-    event PaymentVerified(uint256 indexed paymentId, address indexed user, uint256 amount);
+    // Reentrancy guard for withdraw()
+    bool private withdrawing;
+
+    event PaymentVerified(
+        uint256 indexed paymentId,
+        bytes32 indexed merchantHash,
+        uint256 indexed nullifier,
+        address user,
+        uint256 amount,
+        bytes32 pinHash
+    );
     event PaymentRegistered(uint256 indexed paymentId, address indexed user, uint256 amount);
+    event FundsDeposited(uint256 indexed paymentId, address indexed merchant, address indexed token, uint256 value);
+    event FundsReleased(uint256 indexed paymentId, address indexed merchant, address indexed token, uint256 value);
+    event PaymentRefunded(uint256 indexed paymentId, address indexed user, address indexed token, uint256 value);
+    event Withdrawal(address indexed payee, address indexed token, uint256 value);
+    event TokenAllowed(address indexed token, bool allowed);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not authorized");
+        _;
+    }
+
+    modifier nonReentrant() {
+        require(!withdrawing, "Reentrant call");
+        withdrawing = true;
+        _;
+        withdrawing = false;
+    }
 
-    constructor(address _verifierAddress) {
+    constructor(address _verifierAddress, uint256 _refundTimeout) {
+        require(_refundTimeout > 0, "Refund timeout must be positive");
         verifier = Verifier(_verifierAddress);
+        refundTimeout = _refundTimeout;
+        owner = msg.sender;
+    }
+
+    /**
+     * @dev Add an ERC-20 token to the allow-list, or remove it
+     * Removing a token only stops new payments; escrowed deposits still settle
+     */
+    function setTokenAllowed(address token, bool allowed) public onlyOwner {
+        require(token != NATIVE_TOKEN, "Native token is always allowed");
+        allowedTokens[token] = allowed;
+        emit TokenAllowed(token, allowed);
     }
 
     /**
-     * @dev Register a new payment intent with PIN hash
-     * @param amount The payment amount in wei
+     * @dev Register a new payment intent with PIN hash and escrow its value
+     * @param amount The payment amount in the circuit's units (paise)
      * @param pinHash The Poseidon hash of PIN + Salt
+     * @param merchantHash The Poseidon hash of the merchant id
+     * @param merchant The merchant's payout address
+     * @param token NATIVE_TOKEN, or an allow-listed ERC-20 the payer has approved
+     * @param deposit The value to escrow, in the token's smallest unit (msg.value for NATIVE_TOKEN)
      */
-    function registerPayment(uint256 amount, bytes32 pinHash) public returns (uint256) {
+    function registerPayment(
+        uint256 amount,
+        bytes32 pinHash,
+        bytes32 merchantHash,
+        address payable merchant,
+        address token,
+        uint256 deposit
+    ) public payable returns (uint256) {
+        require(amount > 0, "Amount must be positive");
+        require(pinHash != bytes32(0), "PIN hash cannot be zero");
+        require(merchantHash != bytes32(0), "Merchant hash cannot be zero");
+        require(merchant != address(0), "Merchant address cannot be zero");
+        require(deposit > 0, "Deposit required");
+        if (token == NATIVE_TOKEN) {
+            require(msg.value == deposit, "Deposit does not match value sent");
+        } else {
+            require(allowedTokens[token], "Token not allowed");
+            require(msg.value == 0, "Native value sent with token payment");
+        }
+
         uint256 paymentId = paymentCounter;
         paymentCounter++;
 
@@ -46,41 +145,129 @@ contract PaymentVerifier {
             user: msg.sender,
             amount: amount,
             pinHash: pinHash,
+            merchantHash: merchantHash,
+            nullifier: 0,
             timestamp: block.timestamp,
-            isVerified: false
+            isVerified: false,
+            merchant: merchant,
+            token: token,
+            deposit: deposit,
+            isRefunded: false
         });
 
         userPayments[msg.sender].push(paymentId);
         emit PaymentRegistered(paymentId, msg.sender, amount);
+        emit FundsDeposited(paymentId, merchant, token, deposit);
+
+        if (token != NATIVE_TOKEN) {
+            _callToken(token, abi.encodeWithSelector(IERC20.transferFrom.selector, msg.sender, address(this), deposit));
+        }
 
         return paymentId;
     }
 
     /**
-     * @dev Verify a ZK proof and mark payment as verified
+     * @dev Verify a ZK proof, mark payment as verified and release its deposit
+     * The proof's pinHash, amount and merchantHash must be those of the payment
+     * intent, and its nullifier must not have paid for anything before
      * @param paymentId The payment ID to verify
      * @param a First part of the proof
      * @param b Second part of the proof
      * @param c Third part of the proof
-     * @param input Public signals from the circuit
+     * @param input Public signals: [nullifier, pinHash, amount, merchantHash, nonce]
      */
     function verifyPayment(
         uint256 paymentId,
         uint[2] memory a,
         uint[2][2] memory b,
         uint[2] memory c,
-        uint[1] memory input
+        uint[5] memory input
     ) public {
         require(paymentId < paymentCounter, "Payment does not exist");
-        require(!payments[paymentId].isVerified, "Payment already verified");
-        require(payments[paymentId].user == msg.sender, "Not authorized");
+        VerifiedPayment storage payment = payments[paymentId];
+        require(!payment.isVerified, "Payment already verified");
+        require(!payment.isRefunded, "Payment refunded");
+        require(payment.user == msg.sender, "Not authorized");
+
+        // The proof must describe exactly this payment intent
+        require(input[SIGNAL_PIN_HASH] == uint256(payment.pinHash), "PIN hash does not match payment");
+        require(input[SIGNAL_AMOUNT] == payment.amount, "Amount does not match payment");
+        require(input[SIGNAL_MERCHANT_HASH] == uint256(payment.merchantHash), "Merchant does not match payment");
+
+        uint256 nullifier = input[SIGNAL_NULLIFIER];
+        require(nullifierSpentBy[nullifier] == 0, "Nullifier already spent");
 
         // Call the Groth16 verifier
         require(verifier.verifyProof(a, b, c, input), "Invalid ZK proof");
 
-        // Mark payment as verified
-        payments[paymentId].isVerified = true;
-        emit PaymentVerified(paymentId, msg.sender, payments[paymentId].amount);
+        // Spend the nullifier and mark payment as verified
+        nullifierSpentBy[nullifier] = paymentId + 1;
+        payment.nullifier = nullifier;
+        payment.isVerified = true;
+        emit PaymentVerified(paymentId, payment.merchantHash, nullifier, msg.sender, payment.amount, payment.pinHash);
+
+        pendingWithdrawals[payment.merchant][payment.token] += payment.deposit;
+        emit FundsReleased(paymentId, payment.merchant, payment.token, payment.deposit);
+    }
+
+    /**
+     * @dev Return the deposit of a payment that was never verified
+     * Only the payer, and only once refundTimeout has passed since registration
+     */
+    function refundPayment(uint256 paymentId) public {
+        require(paymentId < paymentCounter, "Payment does not exist");
+        VerifiedPayment storage payment = payments[paymentId];
+        require(payment.user == msg.sender, "Not authorized");
+        require(!payment.isVerified, "Payment already verified");
+        require(!payment.isRefunded, "Payment refunded");
+        require(block.timestamp >= payment.timestamp + refundTimeout, "Refund timeout not reached");
+
+        payment.isRefunded = true;
+        pendingWithdrawals[payment.user][payment.token] += payment.deposit;
+        emit PaymentRefunded(paymentId, payment.user, payment.token, payment.deposit);
+    }
+
+    /**
+     * @dev Pay out everything released or refunded to the caller in one token
+     * The balance is cleared before the transfer, and the guard refuses re-entry
+     */
+    function withdraw(address token) public nonReentrant {
+        uint256 value = pendingWithdrawals[msg.sender][token];
+        require(value > 0, "Nothing to withdraw");
+
+        pendingWithdrawals[msg.sender][token] = 0;
+        if (token == NATIVE_TOKEN) {
+            (bool sent, ) = payable(msg.sender).call{value: value}("");
+            require(sent, "Withdrawal failed");
+        } else {
+            _callToken(token, abi.encodeWithSelector(IERC20.transfer.selector, msg.sender, value));
+        }
+        emit Withdrawal(msg.sender, token, value);
+    }
+
+    /**
+     * @dev Call an ERC-20 transfer function and require it to succeed
+     * Accepts tokens that return nothing instead of true
+     */
+    function _callToken(address token, bytes memory data) private {
+        require(token.code.length > 0, "Token is not a contract");
+        (bool success, bytes memory result) = token.call(data);
+        require(success && (result.length == 0 || abi.decode(result, (bool))), "Token transfer failed");
+    }
+
+    /**
+     * @dev Whether a nullifier has already paid for a payment
+     */
+    function isNullifierSpent(uint256 nullifier) public view returns (bool) {
+        return nullifierSpentBy[nullifier] != 0;
+    }
+
+    /**
+     * @dev The payment a nullifier was spent on
+     */
+    function getNullifierPayment(uint256 nullifier) public view returns (uint256) {
+        require(nullifierSpentBy[nullifier] != 0, "Nullifier not spent");
+        return nullifierSpentBy[nullifier] - 1;
     }
 
     /**
@@ -103,12 +290,19 @@ contract PaymentVerifier {
     }
 }
 
-// Placeholder for Verifier contract (will be auto-generated by snarkjs)
+// The ERC-20 functions used to escrow and pay out token deposits
+interface IERC20 {
+    function transfer(address to, uint256 value) external returns (bool);
+    function transferFrom(address from, address to, uint256 value) external returns (bool);
+}
+
+// Groth16 verifier for payment.circom, generated by npm run build:circuits into
+// contracts/Verifier.sol (five public signals)
 interface Verifier {
     function verifyProof(
         uint[2] memory a,
         uint[2][2] memory b,
         uint[2] memory c,
-        uint[1] memory input
+        uint[5] memory input
     ) external view returns (bool);
 }
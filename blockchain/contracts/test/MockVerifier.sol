@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity >=0.7.0 <0.9.0;
+
+/**
+ * @title MockVerifier
+ * @notice Test stand-in for the generated Groth16 verifier - answers whatever it is told to
+ * @dev Only for Hardhat tests; never deploy to a real network
+ */
+contract MockVerifier {
+    bool public result = true;
+
+    function setResult(bool _result) external {
+        result = _result;
+    }
+
+    function verifyProof(
+        uint[2] calldata,
+        uint[2][2] calldata,
+        uint[2] calldata,
+        uint[5] calldata
+    ) external view returns (bool) {
+        return result;
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity >=0.7.0 <0.9.0;
+
+interface IPaymentVerifier {
+    function withdraw(address token) external;
+}
+
+/**
+ * @title ReentrantPayee
+ * @notice Test merchant that tries to withdraw again from inside its own payout
+ * @dev Only for Hardhat tests; never deploy to a real network
+ */
+contract ReentrantPayee {
+    IPaymentVerifier public target;
+    uint256 public reentryAttempts;
+    string public reentryError;
+
+    constructor(address _target) {
+        target = IPaymentVerifier(_target);
+    }
+
+    function withdraw() external {
+        target.withdraw(address(0));
+    }
+
+    receive() external payable {
+        reentryAttempts++;
+        try target.withdraw(address(0)) {
+        } catch Error(string memory reason) {
+            reentryError = reason;
+        }
+    }
+}
@@ -1,46 +1,147 @@
-// Hardhat deployment script for Polygon Amoy Testnet
-// Run: npx hardhat run scripts/deploy.js --network amoy
+// Deploys Verifier, PaymentVerifier and PINRegistry and writes the network's
+// deployments manifest (deployments/<network>.json) for the backend
+// Run: npx hardhat run scripts/deploy.js --network <amoy|localhost|hardhat>
 
-async function main() {
-  console.log("Deploying ZK Payment Verifier contracts...");
-
-  // 1. Deploy Verifier contract (auto-generated by snarkjs)
-  console.log("\n1. Deploying Verifier contract...");
-  const Verifier = await ethers.getContractFactory("Verifier");
-  const verifier = await Verifier.deploy();
-  await verifier.deployed();
-  console.log("✓ Verifier deployed to:", verifier.address);
-
-  // 2. Deploy PaymentVerifier contract
-  console.log("\n2. Deploying PaymentVerifier contract...");
-  const PaymentVerifier = await ethers.getContractFactory("PaymentVerifier");
-  const paymentVerifier = await PaymentVerifier.deploy(verifier.address);
-  await paymentVerifier.deployed();
-  console.log("✓ PaymentVerifier deployed to:", paymentVerifier.address);
-
-  // 3. Save deployment addresses to file
-  const fs = require("fs");
-  const deploymentInfo = {
-    network: "Polygon Amoy Testnet",
-    verifierAddress: verifier.address,
-    paymentVerifierAddress: paymentVerifier.address,
-    deploymentTime: new Date().toISOString(),
+const hre = require("hardhat");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const MANIFEST_VERSION = 1;
+
+// Hardhat's in-process network and `npx hardhat node` - the only chains where
+// the test MockVerifier may stand in for a verifier generated from the circuit
+const LOCAL_CHAIN_IDS = [1337n, 31337n];
+
+// Comma-separated addresses from an environment variable
+const addresses = (name) => (process.env[name] || "").split(",").map((a) => a.trim()).filter(Boolean);
+
+/**
+ * Deploy a contract and describe it for the manifest
+ * @returns {Promise<{contract: Object, entry: Object}>}
+ */
+async function deployContract(name, args = []) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const contract = await hre.ethers.deployContract(name, args);
+  await contract.waitForDeployment();
+  const receipt = await contract.deploymentTransaction().wait();
+
+  const entry = {
+    contractName: artifact.contractName,
+    sourceName: artifact.sourceName,
+    address: await contract.getAddress(),
+    deployBlock: receipt.blockNumber,
+    deployTransaction: receipt.hash,
+    constructorArgs: args.map(String),
+    // Ties the deployment to the compiled artifact it came from
+    artifactHash: crypto.createHash("sha256").update(artifact.bytecode).digest("hex"),
+    abi: artifact.abi,
+  };
+  console.log(`✓ ${name} deployed to ${entry.address} (block ${entry.deployBlock})`);
+  return { contract, entry };
+}
+
+/**
+ * The generated Groth16 verifier, or on a local chain the MockVerifier when the
+ * circuits haven't been built
+ */
+async function deployVerifier(chainId) {
+  if (await hre.artifacts.artifactExists("Groth16Verifier")) {
+    return deployContract("Groth16Verifier");
+  }
+  if (!LOCAL_CHAIN_IDS.includes(chainId)) {
+    throw new Error("contracts/Verifier.sol not found - run npm run build:circuits in backend/ and compile first");
+  }
+  console.log("⚠️  contracts/Verifier.sol not found. Deploying MockVerifier, which accepts any proof (local chains only).");
+  return deployContract("MockVerifier");
+}
+
+/**
+ * Deploy every contract and write the manifest
+ * @param {Object} [options]
+ * @param {string} [options.outDir] - Where the manifest goes (default deployments/)
+ * @returns {Promise<Object>} - The manifest, as written
+ */
+async function deploy({ outDir = DEPLOYMENTS_DIR } = {}) {
+  const [deployer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  console.log(`🚀 Deploying to ${hre.network.name} (chain ${chainId}) from ${deployer.address}`);
+
+  const balance = await hre.ethers.provider.getBalance(deployer.address);
+  console.log(`💰 Account balance: ${hre.ethers.formatEther(balance)}\n`);
+  if (balance === 0n) {
+    throw new Error("Deployer has no funds. Get testnet MATIC from: https://faucet.polygon.technology/");
+  }
+
+  // 1. Verifier (auto-generated by snarkjs)
+  const verifier = await deployVerifier(chainId);
+
+  // 2. PaymentVerifier
+  // Unverified payments can be refunded to the payer after this many seconds (default 1 day)
+  const refundTimeout = Number(process.env.PAYMENT_REFUND_TIMEOUT || 86400);
+  const paymentVerifier = await deployContract("PaymentVerifier", [verifier.entry.address, refundTimeout]);
+
+  // Allow-list the ERC-20 tokens payments may be made in
+  const paymentTokens = addresses("PAYMENT_TOKENS");
+  for (const token of paymentTokens) {
+    await (await paymentVerifier.contract.setTokenAllowed(token, true)).wait();
+    console.log("✓ Payment token allowed:", token);
+  }
+
+  // 3. PINRegistry, with the backend signers and verifiers it trusts
+  const pinRegistry = await deployContract("PINRegistry");
+  const pinRegistryBackends = addresses("PIN_REGISTRY_BACKENDS");
+  const pinRegistryVerifiers = addresses("PIN_REGISTRY_VERIFIERS");
+  for (const backend of pinRegistryBackends) {
+    await (await pinRegistry.contract.setBackend(backend, true)).wait();
+    console.log("🔑 PINRegistry backend authorized:", backend);
+  }
+  for (const address of pinRegistryVerifiers) {
+    await (await pinRegistry.contract.setVerifier(address, true)).wait();
+    console.log("🔑 PINRegistry verifier authorized:", address);
+  }
+
+  const manifest = {
+    manifestVersion: MANIFEST_VERSION,
+    network: hre.network.name,
+    chainId: Number(chainId),
+    deployer: deployer.address,
+    deployedAt: new Date().toISOString(),
+    config: { refundTimeout, paymentTokens, pinRegistryBackends, pinRegistryVerifiers },
+    contracts: {
+      Verifier: verifier.entry,
+      PaymentVerifier: paymentVerifier.entry,
+      PINRegistry: pinRegistry.entry,
+    },
   };
 
-  fs.writeFileSync(
-    "blockchain/deployments.json",
-    JSON.stringify(deploymentInfo, null, 2)
-  );
+  fs.mkdirSync(outDir, { recursive: true });
+  const manifestPath = path.join(outDir, `${hre.network.name}.json`);
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+  console.log(`\n✓ Deployment manifest written to ${path.relative(process.cwd(), manifestPath)}`);
+  return manifest;
+}
+
+async function main() {
+  const manifest = await deploy();
+
+  console.log("\n🎉 Next steps:");
+  console.log(`1. Set DEPLOYMENT_NETWORK=${manifest.network} in backend/.env (the backend reads blockchain/deployments/)`);
+  console.log("2. Set PIN_REGISTRY_KEY_SECRET in backend/.env - the same value on every backend instance");
+  console.log("3. Restart the backend and check: curl http://localhost:5001/api/health\n");
+  for (const [name, entry] of Object.entries(manifest.contracts)) {
+    console.log(`   ${name}: ${entry.address}`);
+  }
+}
 
-  console.log("\n✓ Deployment complete!");
-  console.log("Saved to blockchain/deployments.json");
-  console.log("\nDeployment Info:");
-  console.log(deploymentInfo);
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+module.exports = { deploy };
@@ -0,0 +1,233 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+
+// Blinded the way the backend does it: HMAC-SHA256(PIN_REGISTRY_KEY_SECRET, customerId)
+const CUSTOMER = ethers.computeHmac('sha256', ethers.toUtf8Bytes('test-secret'), ethers.toUtf8Bytes('cust_1'));
+const PIN_HASH = ethers.toBeHex(111n, 32);
+const NEW_PIN_HASH = ethers.toBeHex(222n, 32);
+
+// PINRegistry.PINStatus
+const STATUS = { None: 0n, Active: 1n, Locked: 2n, Revoked: 3n };
+
+describe('PINRegistry', function () {
+  async function deployFixture() {
+    const [admin, owner, backend, verifier, guardian, stranger, newOwner] = await ethers.getSigners();
+    const registry = await ethers.deployContract('PINRegistry');
+    await registry.setBackend(backend.address, true);
+    await registry.setVerifier(verifier.address, true);
+    await registry.setMaxFailedAttempts(3);
+    return { registry, admin, owner, backend, verifier, guardian, stranger, newOwner };
+  }
+
+  async function registeredFixture() {
+    const fixture = await deployFixture();
+    await fixture.registry.connect(fixture.owner).registerPIN(CUSTOMER, PIN_HASH);
+    await fixture.registry.connect(fixture.owner).setGuardian(CUSTOMER, fixture.guardian.address);
+    return fixture;
+  }
+
+  async function lockedFixture() {
+    const fixture = await registeredFixture();
+    for (let i = 0; i < 3; i++) {
+      await fixture.registry.connect(fixture.verifier).reportVerification(CUSTOMER, false);
+    }
+    return fixture;
+  }
+
+  describe('roles', function () {
+    it('only lets the admin authorize backends and verifiers', async function () {
+      const { registry, stranger } = await loadFixture(deployFixture);
+
+      await expect(registry.connect(stranger).setBackend(stranger.address, true)).to.be.revertedWith('Not authorized');
+      await expect(registry.connect(stranger).setVerifier(stranger.address, true)).to.be.revertedWith('Not authorized');
+      await expect(registry.connect(stranger).setMaxFailedAttempts(10)).to.be.revertedWith('Not authorized');
+      await expect(registry.setMaxFailedAttempts(0)).to.be.revertedWith('Threshold must be positive');
+      await expect(registry.setBackend(stranger.address, true))
+        .to.emit(registry, 'BackendAuthorized').withArgs(stranger.address, true);
+      await expect(registry.setVerifier(stranger.address, true))
+        .to.emit(registry, 'VerifierAuthorized').withArgs(stranger.address, true);
+    });
+  });
+
+  describe('ownership', function () {
+    it('binds a new record to its registrant', async function () {
+      const { registry, owner } = await loadFixture(deployFixture);
+
+      await expect(registry.connect(owner).registerPIN(CUSTOMER, PIN_HASH))
+        .to.emit(registry, 'PINRegistered').withArgs(CUSTOMER, owner.address, anyValue);
+      const [status, failedAttempts, recordOwner] = await registry.getPINStatus(CUSTOMER);
+      expect(status).to.equal(STATUS.Active);
+      expect(failedAttempts).to.equal(0);
+      expect(recordOwner).to.equal(owner.address);
+    });
+
+    it('lets only the owner or a backend change the PIN', async function () {
+      const { registry, owner, backend, stranger } = await loadFixture(registeredFixture);
+
+      await expect(registry.connect(stranger).registerPIN(CUSTOMER, NEW_PIN_HASH)).to.be.revertedWith('Not authorized');
+      await expect(registry.connect(owner).registerPIN(CUSTOMER, NEW_PIN_HASH))
+        .to.emit(registry, 'PINUpdated').withArgs(CUSTOMER, anyValue);
+      await expect(registry.connect(backend).registerPIN(CUSTOMER, PIN_HASH))
+        .to.emit(registry, 'PINUpdated');
+      expect((await registry.pinRegistry(CUSTOMER)).pinHash).to.equal(PIN_HASH);
+      expect(await registry.getRegisteredCount()).to.equal(1);
+    });
+  });
+
+  describe('privacy', function () {
+    it('keeps no salt and no customer id on-chain', async function () {
+      const { registry, owner } = await loadFixture(registeredFixture);
+
+      expect(Object.keys((await registry.pinRegistry(CUSTOMER)).toObject())).to.not.include('salt');
+      expect(registry.interface.getFunction('getSalt')).to.equal(null);
+      expect(await registry.getRegisteredCustomer(0)).to.equal(CUSTOMER);
+      // The plain keccak of the id, as the old registry used, finds nothing
+      expect(await registry.isPINRegistered(ethers.id('cust_1'))).to.equal(false);
+      await expect(registry.connect(owner).registerPIN(ethers.ZeroHash, PIN_HASH)).to.be.revertedWith('Customer key cannot be empty');
+    });
+  });
+
+  describe('revocation', function () {
+    it('revokes a PIN for its owner or a backend only', async function () {
+      const { registry, owner, stranger } = await loadFixture(registeredFixture);
+
+      await expect(registry.connect(stranger).revokePIN(CUSTOMER)).to.be.revertedWith('Not authorized');
+      await expect(registry.connect(owner).revokePIN(CUSTOMER))
+        .to.emit(registry, 'PINRevoked').withArgs(CUSTOMER, owner.address, anyValue);
+
+      expect(await registry.isPINRegistered(CUSTOMER)).to.equal(false);
+      expect((await registry.getPINStatus(CUSTOMER)).status).to.equal(STATUS.Revoked);
+      expect((await registry.pinRegistry(CUSTOMER)).pinHash).to.equal(ethers.ZeroHash);
+      await expect(registry.verifyPIN(CUSTOMER, PIN_HASH)).to.be.revertedWith('PIN not registered for this customer');
+      await expect(registry.connect(owner).revokePIN(CUSTOMER)).to.be.revertedWith('PIN not registered');
+    });
+
+    it('keeps a revoked customer id for its owner', async function () {
+      const { registry, owner, backend, stranger } = await loadFixture(registeredFixture);
+      await registry.connect(backend).revokePIN(CUSTOMER);
+
+      await expect(registry.connect(stranger).registerPIN(CUSTOMER, NEW_PIN_HASH)).to.be.revertedWith('Not authorized');
+      await expect(registry.connect(owner).registerPIN(CUSTOMER, NEW_PIN_HASH)).to.emit(registry, 'PINUpdated');
+      expect((await registry.getPINStatus(CUSTOMER)).status).to.equal(STATUS.Active);
+    });
+  });
+
+  describe('lockout', function () {
+    it('counts failures reported by authorized verifiers only', async function () {
+      const { registry, verifier, stranger } = await loadFixture(registeredFixture);
+
+      await expect(registry.connect(stranger).reportVerification(CUSTOMER, false)).to.be.revertedWith('Not an authorized verifier');
+      await expect(registry.connect(verifier).reportVerification(CUSTOMER, false))
+        .to.emit(registry, 'PINVerificationFailed').withArgs(CUSTOMER, verifier.address, 1);
+      expect((await registry.getPINStatus(CUSTOMER)).failedAttempts).to.equal(1);
+    });
+
+    it('clears the count after a successful verification', async function () {
+      const { registry, verifier } = await loadFixture(registeredFixture);
+      await registry.connect(verifier).reportVerification(CUSTOMER, false);
+      await registry.connect(verifier).reportVerification(CUSTOMER, false);
+
+      await expect(registry.connect(verifier).reportVerification(CUSTOMER, true))
+        .to.emit(registry, 'PINVerified').withArgs(CUSTOMER, anyValue);
+      await registry.connect(verifier).reportVerification(CUSTOMER, false);
+      expect((await registry.getPINStatus(CUSTOMER)).status).to.equal(STATUS.Active);
+    });
+
+    it('locks the PIN after maxFailedAttempts failures in a row', async function () {
+      const { registry, verifier } = await loadFixture(registeredFixture);
+      await registry.connect(verifier).reportVerification(CUSTOMER, false);
+      await registry.connect(verifier).reportVerification(CUSTOMER, false);
+
+      await expect(registry.connect(verifier).reportVerification(CUSTOMER, false))
+        .to.emit(registry, 'PINLocked').withArgs(CUSTOMER, 3, anyValue);
+      const [status, failedAttempts] = await registry.getPINStatus(CUSTOMER);
+      expect(status).to.equal(STATUS.Locked);
+      expect(failedAttempts).to.equal(3);
+    });
+
+    it('refuses verification and changes while locked', async function () {
+      const { registry, owner, backend, verifier } = await loadFixture(lockedFixture);
+
+      expect(await registry.isPINRegistered(CUSTOMER)).to.equal(true);
+      await expect(registry.verifyPIN(CUSTOMER, PIN_HASH)).to.be.revertedWith('PIN locked');
+      await expect(registry.connect(owner).registerPIN(CUSTOMER, NEW_PIN_HASH)).to.be.revertedWith('PIN locked');
+      await expect(registry.connect(backend).registerPIN(CUSTOMER, NEW_PIN_HASH)).to.be.revertedWith('PIN locked');
+      await expect(registry.connect(verifier).reportVerification(CUSTOMER, true)).to.be.revertedWith('PIN not active');
+    });
+
+    it('cannot be revoked and registered again to get around the lock', async function () {
+      const { registry, owner, backend } = await loadFixture(lockedFixture);
+
+      await expect(registry.connect(owner).revokePIN(CUSTOMER)).to.be.revertedWith('PIN locked');
+      await expect(registry.connect(backend).revokePIN(CUSTOMER)).to.be.revertedWith('PIN locked');
+      await expect(registry.connect(owner).registerPIN(CUSTOMER, NEW_PIN_HASH)).to.be.revertedWith('PIN locked');
+      const [status, failedAttempts] = await registry.getPINStatus(CUSTOMER);
+      expect(status).to.equal(STATUS.Locked);
+      expect(failedAttempts).to.equal(3n);
+    });
+  });
+
+  describe('guardian recovery', function () {
+    it('lets the owner set a guardian', async function () {
+      const { registry, owner, guardian, stranger } = await loadFixture(deployFixture);
+      await registry.connect(owner).registerPIN(CUSTOMER, PIN_HASH);
+
+      await expect(registry.connect(stranger).setGuardian(CUSTOMER, stranger.address)).to.be.revertedWith('Not authorized');
+      await expect(registry.connect(owner).setGuardian(CUSTOMER, guardian.address))
+        .to.emit(registry, 'GuardianSet').withArgs(CUSTOMER, guardian.address);
+      expect((await registry.getPINStatus(CUSTOMER)).guardian).to.equal(guardian.address);
+    });
+
+    it('cannot be changed while locked to recover the PIN without the guardian', async function () {
+      const { registry, owner, backend, guardian } = await loadFixture(lockedFixture);
+
+      await expect(registry.connect(owner).setGuardian(CUSTOMER, owner.address)).to.be.revertedWith('PIN locked');
+      await expect(registry.connect(backend).setGuardian(CUSTOMER, backend.address)).to.be.revertedWith('PIN locked');
+      await expect(registry.connect(owner).recoverPIN(CUSTOMER, owner.address, NEW_PIN_HASH))
+        .to.be.revertedWith('Not the guardian');
+      const [status, , , recordGuardian] = await registry.getPINStatus(CUSTOMER);
+      expect(status).to.equal(STATUS.Locked);
+      expect(recordGuardian).to.equal(guardian.address);
+    });
+
+    it('unlocks a locked PIN with a new PIN and owner', async function () {
+      const { registry, owner, guardian, newOwner } = await loadFixture(lockedFixture);
+
+      await expect(registry.connect(guardian).recoverPIN(CUSTOMER, newOwner.address, NEW_PIN_HASH))
+        .to.emit(registry, 'PINRecovered').withArgs(CUSTOMER, guardian.address, newOwner.address, anyValue);
+
+      const [status, failedAttempts, recordOwner] = await registry.getPINStatus(CUSTOMER);
+      expect(status).to.equal(STATUS.Active);
+      expect(failedAttempts).to.equal(0);
+      expect(recordOwner).to.equal(newOwner.address);
+      expect(await registry.verifyPIN.staticCall(CUSTOMER, NEW_PIN_HASH)).to.equal(true);
+
+      // The old owner's key no longer controls the record
+      await expect(registry.connect(owner).registerPIN(CUSTOMER, PIN_HASH)).to.be.revertedWith('Not authorized');
+      await expect(registry.connect(newOwner).registerPIN(CUSTOMER, PIN_HASH)).to.emit(registry, 'PINUpdated');
+    });
+
+    it('restores a revoked record', async function () {
+      const { registry, owner, guardian } = await loadFixture(registeredFixture);
+      await registry.connect(owner).revokePIN(CUSTOMER);
+
+      await registry.connect(guardian).recoverPIN(CUSTOMER, owner.address, NEW_PIN_HASH);
+      expect(await registry.isPINRegistered(CUSTOMER)).to.equal(true);
+    });
+
+    it('is refused to anyone but the guardian', async function () {
+      const { registry, owner, backend, guardian, stranger } = await loadFixture(lockedFixture);
+
+      for (const caller of [owner, backend, stranger]) {
+        await expect(registry.connect(caller).recoverPIN(CUSTOMER, caller.address, NEW_PIN_HASH))
+          .to.be.revertedWith('Not the guardian');
+      }
+      await expect(registry.connect(guardian).recoverPIN(CUSTOMER, ethers.ZeroAddress, NEW_PIN_HASH))
+        .to.be.revertedWith('Owner cannot be zero');
+      await expect(registry.connect(guardian).recoverPIN(ethers.id('cust_unknown'), guardian.address, NEW_PIN_HASH))
+        .to.be.revertedWith('Not the guardian');
+    });
+  });
+});
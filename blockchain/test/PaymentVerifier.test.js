@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+
+// payment.circom public signals for PIN 1234, salt 5678, ₹250.50 to merchant_1, nonce 42
+// (the same values as backend/tests/zk-proof.test.js)
+const NULLIFIER = 3027494519420414719332734116296255940824367474869479944852190041503640449575n;
+const PIN_HASH = 1169982749076088333153663347661338477797031566078404182867210122705337154794n;
+const AMOUNT = 25050n;
+const MERCHANT_HASH = 4333213930226625248684789715058049415651523449568660729057988174037004021227n;
+const NONCE = 42n;
+
+// Escrowed with each intent, and how long before an unverified one can be refunded
+const DEPOSIT = ethers.parseEther('0.25');
+const REFUND_TIMEOUT = 3600;
+
+// The mock verifier ignores the proof points
+const PROOF = [[0, 0], [[0, 0], [0, 0]], [0, 0]];
+
+const toBytes32 = (value) => ethers.toBeHex(value, 32);
+const NATIVE = ethers.ZeroAddress;
+
+// Written by npm run build:circuits in backend/ - the end-to-end test needs both
+const GENERATED_VERIFIER = path.join(__dirname, '..', 'contracts', 'Verifier.sol');
+const BACKEND_CIRCUITS = path.join(__dirname, '..', '..', 'backend', 'src', 'circuits.js');
+
+function signals(overrides = {}) {
+  const s = { nullifier: NULLIFIER, pinHash: PIN_HASH, amount: AMOUNT, merchantHash: MERCHANT_HASH, nonce: NONCE, ...overrides };
+  return [s.nullifier, s.pinHash, s.amount, s.merchantHash, s.nonce];
+}
+
+describe('PaymentVerifier', function () {
+  async function deployFixture() {
+    const [customer, other, merchant] = await ethers.getSigners();
+    const mockVerifier = await ethers.deployContract('MockVerifier');
+    const paymentVerifier = await ethers.deployContract('PaymentVerifier', [await mockVerifier.getAddress(), REFUND_TIMEOUT]);
+    const register = (payee = merchant.address, value = DEPOSIT) =>
+      paymentVerifier.registerPayment(AMOUNT, toBytes32(PIN_HASH), toBytes32(MERCHANT_HASH), payee, NATIVE, value, { value });
+    return { paymentVerifier, mockVerifier, customer, other, merchant, register };
+  }
+
+  async function registeredFixture() {
+    const fixture = await deployFixture();
+    await fixture.register();
+    return fixture;
+  }
+
+  describe('registerPayment', function () {
+    it('stores the payment intent', async function () {
+      const { paymentVerifier, customer, merchant } = await loadFixture(registeredFixture);
+      const payment = await paymentVerifier.getPayment(0);
+
+      expect(payment.user).to.equal(customer.address);
+      expect(payment.amount).to.equal(AMOUNT);
+      expect(payment.pinHash).to.equal(toBytes32(PIN_HASH));
+      expect(payment.merchantHash).to.equal(toBytes32(MERCHANT_HASH));
+      expect(payment.isVerified).to.equal(false);
+      expect(payment.merchant).to.equal(merchant.address);
+      expect(payment.deposit).to.equal(DEPOSIT);
+    });
+
+    it('rejects an empty intent', async function () {
+      const { paymentVerifier, merchant, register } = await loadFixture(deployFixture);
+      const value = { value: DEPOSIT };
+      await expect(paymentVerifier.registerPayment(0, toBytes32(PIN_HASH), toBytes32(MERCHANT_HASH), merchant.address, NATIVE, DEPOSIT, value))
+        .to.be.revertedWith('Amount must be positive');
+      await expect(paymentVerifier.registerPayment(AMOUNT, ethers.ZeroHash, toBytes32(MERCHANT_HASH), merchant.address, NATIVE, DEPOSIT, value))
+        .to.be.revertedWith('PIN hash cannot be zero');
+      await expect(paymentVerifier.registerPayment(AMOUNT, toBytes32(PIN_HASH), ethers.ZeroHash, merchant.address, NATIVE, DEPOSIT, value))
+        .to.be.revertedWith('Merchant hash cannot be zero');
+      await expect(register(ethers.ZeroAddress)).to.be.revertedWith('Merchant address cannot be zero');
+      await expect(register(merchant.address, 0)).to.be.revertedWith('Deposit required');
+      await expect(paymentVerifier.registerPayment(AMOUNT, toBytes32(PIN_HASH), toBytes32(MERCHANT_HASH), merchant.address, NATIVE, DEPOSIT, { value: 1n }))
+        .to.be.revertedWith('Deposit does not match value sent');
+    });
+
+    it('escrows the deposit in the contract', async function () {
+      const { paymentVerifier, customer, merchant, register } = await loadFixture(deployFixture);
+
+      const tx = register();
+      await expect(tx).to.emit(paymentVerifier, 'FundsDeposited').withArgs(0, merchant.address, NATIVE, DEPOSIT);
+      await expect(tx).to.changeEtherBalances([customer, paymentVerifier], [-DEPOSIT, DEPOSIT]);
+      expect(await paymentVerifier.pendingWithdrawals(merchant.address, NATIVE)).to.equal(0);
+    });
+
+    it('requires a refund timeout', async function () {
+      const { mockVerifier } = await loadFixture(deployFixture);
+      await expect(ethers.deployContract('PaymentVerifier', [await mockVerifier.getAddress(), 0]))
+        .to.be.revertedWith('Refund timeout must be positive');
+    });
+  });
+
+  describe('verifyPayment', function () {
+    it('verifies a matching proof and emits the nullifier and merchant', async function () {
+      const { paymentVerifier, customer } = await loadFixture(registeredFixture);
+
+      await expect(paymentVerifier.verifyPayment(0, ...PROOF, signals()))
+        .to.emit(paymentVerifier, 'PaymentVerified')
+        .withArgs(0, toBytes32(MERCHANT_HASH), NULLIFIER, customer.address, AMOUNT, toBytes32(PIN_HASH));
+
+      const payment = await paymentVerifier.getPayment(0);
+      expect(payment.isVerified).to.equal(true);
+      expect(payment.nullifier).to.equal(NULLIFIER);
+      expect(await paymentVerifier.isNullifierSpent(NULLIFIER)).to.equal(true);
+      expect(await paymentVerifier.getNullifierPayment(NULLIFIER)).to.equal(0);
+    });
+
+    it('rejects a proof for another amount, PIN or merchant', async function () {
+      const { paymentVerifier } = await loadFixture(registeredFixture);
+
+      await expect(paymentVerifier.verifyPayment(0, ...PROOF, signals({ amount: AMOUNT + 1n })))
+        .to.be.revertedWith('Amount does not match payment');
+      await expect(paymentVerifier.verifyPayment(0, ...PROOF, signals({ pinHash: PIN_HASH + 1n })))
+        .to.be.revertedWith('PIN hash does not match payment');
+      await expect(paymentVerifier.verifyPayment(0, ...PROOF, signals({ merchantHash: MERCHANT_HASH + 1n })))
+        .to.be.revertedWith('Merchant does not match payment');
+    });
+
+    it('refuses to spend a nullifier twice', async function () {
+      const { paymentVerifier, register } = await loadFixture(registeredFixture);
+      await paymentVerifier.verifyPayment(0, ...PROOF, signals());
+
+      // A second intent for the same amount and merchant, paid with the same proof
+      await register();
+      await expect(paymentVerifier.verifyPayment(1, ...PROOF, signals()))
+        .to.be.revertedWith('Nullifier already spent');
+
+      await paymentVerifier.verifyPayment(1, ...PROOF, signals({ nullifier: NULLIFIER + 1n }));
+      expect(await paymentVerifier.getNullifierPayment(NULLIFIER + 1n)).to.equal(1);
+    });
+
+    it('leaves the nullifier unspent when the proof is invalid', async function () {
+      const { paymentVerifier, mockVerifier } = await loadFixture(registeredFixture);
+      await mockVerifier.setResult(false);
+
+      await expect(paymentVerifier.verifyPayment(0, ...PROOF, signals()))
+        .to.be.revertedWith('Invalid ZK proof');
+      expect(await paymentVerifier.isNullifierSpent(NULLIFIER)).to.equal(false);
+      await expect(paymentVerifier.getNullifierPayment(NULLIFIER)).to.be.revertedWith('Nullifier not spent');
+    });
+
+    it('only lets the payer verify, once', async function () {
+      const { paymentVerifier, other } = await loadFixture(registeredFixture);
+
+      await expect(paymentVerifier.connect(other).verifyPayment(0, ...PROOF, signals()))
+        .to.be.revertedWith('Not authorized');
+      await paymentVerifier.verifyPayment(0, ...PROOF, signals());
+      await expect(paymentVerifier.verifyPayment(0, ...PROOF, signals({ nullifier: NULLIFIER + 1n })))
+        .to.be.revertedWith('Payment already verified');
+      await expect(paymentVerifier.verifyPayment(5, ...PROOF, signals()))
+        .to.be.revertedWith('Payment does not exist');
+    });
+  });
+
+  describe('ERC-20 payments', function () {
+    // 25.05 in a 6-decimal stablecoin
+    const TOKEN_DEPOSIT = 25_050_000n;
+
+    async function tokenFixture() {
+      const fixture = await deployFixture();
+      const token = await ethers.deployContract('MockERC20', ['Mock USD Coin', 'mUSDC', 6]);
+      const tokenAddress = await token.getAddress();
+      await token.mint(fixture.customer.address, TOKEN_DEPOSIT * 10n);
+      await token.approve(await fixture.paymentVerifier.getAddress(), ethers.MaxUint256);
+      await fixture.paymentVerifier.setTokenAllowed(tokenAddress, true);
+      const registerInToken = (value = 0n) => fixture.paymentVerifier.registerPayment(
+        AMOUNT, toBytes32(PIN_HASH), toBytes32(MERCHANT_HASH), fixture.merchant.address, tokenAddress, TOKEN_DEPOSIT, { value });
+      return { ...fixture, token, tokenAddress, registerInToken };
+    }
+
+    it('only lets the owner manage the allow-list', async function () {
+      const { paymentVerifier, other, tokenAddress } = await loadFixture(tokenFixture);
+
+      await expect(paymentVerifier.connect(other).setTokenAllowed(tokenAddress, false)).to.be.revertedWith('Not authorized');
+      await expect(paymentVerifier.setTokenAllowed(NATIVE, false)).to.be.revertedWith('Native token is always allowed');
+      await expect(paymentVerifier.setTokenAllowed(tokenAddress, false))
+        .to.emit(paymentVerifier, 'TokenAllowed').withArgs(tokenAddress, false);
+      expect(await paymentVerifier.allowedTokens(tokenAddress)).to.equal(false);
+    });
+
+    it('escrows an allow-listed token and records it on the payment', async function () {
+      const { paymentVerifier, token, tokenAddress, customer, merchant, registerInToken } = await loadFixture(tokenFixture);
+
+      const tx = registerInToken();
+      await expect(tx).to.emit(paymentVerifier, 'FundsDeposited').withArgs(0, merchant.address, tokenAddress, TOKEN_DEPOSIT);
+      await expect(tx).to.changeTokenBalances(token, [customer, paymentVerifier], [-TOKEN_DEPOSIT, TOKEN_DEPOSIT]);
+
+      const payment = await paymentVerifier.getPayment(0);
+      expect(payment.token).to.equal(tokenAddress);
+      expect(payment.deposit).to.equal(TOKEN_DEPOSIT);
+    });
+
+    it('refuses tokens off the allow-list and native value alongside a token', async function () {
+      const { paymentVerifier, tokenAddress, registerInToken } = await loadFixture(tokenFixture);
+
+      await expect(registerInToken(1n)).to.be.revertedWith('Native value sent with token payment');
+      await paymentVerifier.setTokenAllowed(tokenAddress, false);
+      await expect(registerInToken()).to.be.revertedWith('Token not allowed');
+    });
+
+    it('pays the merchant out in the token', async function () {
+      const { paymentVerifier, token, tokenAddress, merchant, registerInToken } = await loadFixture(tokenFixture);
+      await registerInToken();
+
+      await expect(paymentVerifier.verifyPayment(0, ...PROOF, signals()))
+        .to.emit(paymentVerifier, 'FundsReleased').withArgs(0, merchant.address, tokenAddress, TOKEN_DEPOSIT);
+      expect(await paymentVerifier.pendingWithdrawals(merchant.address, tokenAddress)).to.equal(TOKEN_DEPOSIT);
+      expect(await paymentVerifier.pendingWithdrawals(merchant.address, NATIVE)).to.equal(0);
+
+      await expect(paymentVerifier.connect(merchant).withdraw(tokenAddress))
+        .to.changeTokenBalances(token, [merchant, paymentVerifier], [TOKEN_DEPOSIT, -TOKEN_DEPOSIT]);
+      await expect(paymentVerifier.connect(merchant).withdraw(NATIVE)).to.be.revertedWith('Nothing to withdraw');
+    });
+
+    it('refunds the token after the timeout, even once delisted', async function () {
+      const { paymentVerifier, token, tokenAddress, customer, registerInToken } = await loadFixture(tokenFixture);
+      await registerInToken();
+      await paymentVerifier.setTokenAllowed(tokenAddress, false);
+      await time.increase(REFUND_TIMEOUT);
+
+      await expect(paymentVerifier.refundPayment(0))
+        .to.emit(paymentVerifier, 'PaymentRefunded').withArgs(0, customer.address, tokenAddress, TOKEN_DEPOSIT);
+      await expect(paymentVerifier.withdraw(tokenAddress))
+        .to.changeTokenBalances(token, [customer, paymentVerifier], [TOKEN_DEPOSIT, -TOKEN_DEPOSIT]);
+    });
+  });
+
+  describe('escrow', function () {
+    it('releases the deposit to the merchant when the proof verifies', async function () {
+      const { paymentVerifier, merchant } = await loadFixture(registeredFixture);
+
+      await expect(paymentVerifier.verifyPayment(0, ...PROOF, signals()))
+        .to.emit(paymentVerifier, 'FundsReleased').withArgs(0, merchant.address, NATIVE, DEPOSIT);
+      expect(await paymentVerifier.pendingWithdrawals(merchant.address, NATIVE)).to.equal(DEPOSIT);
+
+      const tx = paymentVerifier.connect(merchant).withdraw(NATIVE);
+      await expect(tx).to.emit(paymentVerifier, 'Withdrawal').withArgs(merchant.address, NATIVE, DEPOSIT);
+      await expect(tx).to.changeEtherBalances([merchant, paymentVerifier], [DEPOSIT, -DEPOSIT]);
+      expect(await paymentVerifier.pendingWithdrawals(merchant.address, NATIVE)).to.equal(0);
+      await expect(paymentVerifier.connect(merchant).withdraw(NATIVE)).to.be.revertedWith('Nothing to withdraw');
+    });
+
+    it('keeps the deposit escrowed while the proof is invalid', async function () {
+      const { paymentVerifier, mockVerifier, merchant } = await loadFixture(registeredFixture);
+      await mockVerifier.setResult(false);
+
+      await expect(paymentVerifier.verifyPayment(0, ...PROOF, signals())).to.be.revertedWith('Invalid ZK proof');
+      expect(await paymentVerifier.pendingWithdrawals(merchant.address, NATIVE)).to.equal(0);
+      expect(await ethers.provider.getBalance(await paymentVerifier.getAddress())).to.equal(DEPOSIT);
+    });
+
+    it('refunds the payer only after the timeout', async function () {
+      const { paymentVerifier, customer, other } = await loadFixture(registeredFixture);
+
+      await expect(paymentVerifier.refundPayment(0)).to.be.revertedWith('Refund timeout not reached');
+      await time.increase(REFUND_TIMEOUT);
+      await expect(paymentVerifier.connect(other).refundPayment(0)).to.be.revertedWith('Not authorized');
+
+      await expect(paymentVerifier.refundPayment(0))
+        .to.emit(paymentVerifier, 'PaymentRefunded').withArgs(0, customer.address, NATIVE, DEPOSIT);
+      await expect(paymentVerifier.refundPayment(0)).to.be.revertedWith('Payment refunded');
+      await expect(paymentVerifier.withdraw(NATIVE)).to.changeEtherBalances([customer, paymentVerifier], [DEPOSIT, -DEPOSIT]);
+    });
+
+    it('does not verify a refunded payment or refund a verified one', async function () {
+      const { paymentVerifier, register } = await loadFixture(registeredFixture);
+      await register();
+      await time.increase(REFUND_TIMEOUT);
+
+      await paymentVerifier.refundPayment(0);
+      await expect(paymentVerifier.verifyPayment(0, ...PROOF, signals())).to.be.revertedWith('Payment refunded');
+
+      await paymentVerifier.verifyPayment(1, ...PROOF, signals());
+      await expect(paymentVerifier.refundPayment(1)).to.be.revertedWith('Payment already verified');
+    });
+
+    it('pays a merchant contract once even if it re-enters withdraw', async function () {
+      const { paymentVerifier, register } = await loadFixture(deployFixture);
+      const payee = await ethers.deployContract('ReentrantPayee', [await paymentVerifier.getAddress()]);
+      const payeeAddress = await payee.getAddress();
+
+      // Two released payments, so a second payout would find funds to steal
+      await register(payeeAddress);
+      await register(payeeAddress);
+      await paymentVerifier.verifyPayment(0, ...PROOF, signals());
+      await paymentVerifier.verifyPayment(1, ...PROOF, signals({ nullifier: NULLIFIER + 1n }));
+
+      await expect(payee.withdraw()).to.changeEtherBalances([payee, paymentVerifier], [DEPOSIT * 2n, -DEPOSIT * 2n]);
+      expect(await payee.reentryAttempts()).to.equal(1);
+      expect(await payee.reentryError()).to.equal('Reentrant call');
+      expect(await paymentVerifier.pendingWithdrawals(payeeAddress, NATIVE)).to.equal(0);
+    });
+  });
+});
+
+describe('PaymentVerifier with the generated Groth16 verifier', function () {
+  this.timeout(120000);
+  let circuits;
+
+  before(function () {
+    circuits = require(BACKEND_CIRCUITS);
+    if (!fs.existsSync(GENERATED_VERIFIER) || !fs.existsSync(path.join(circuits.CIRCUITS_DIR, 'payment_final.zkey'))) {
+      console.log('      (run npm run build:circuits in backend/ first)');
+      this.skip();
+    }
+  });
+
+  it('accepts a real payment proof once, for its own intent only', async function () {
+    const [, , merchant] = await ethers.getSigners();
+    const groth16Verifier = await ethers.deployContract('Groth16Verifier');
+    const paymentVerifier = await ethers.deployContract('PaymentVerifier', [await groth16Verifier.getAddress(), REFUND_TIMEOUT]);
+
+    const pinHash = await circuits.poseidonHash('1234', '5678');
+    const { proof, publicSignals } = await circuits.generatePaymentProof({
+      pin: '1234', salt: '5678', pinHash, amount: '250.50', merchantId: 'merchant_1'
+    });
+    // snarkjs lists G2 coordinates the other way round from the precompile
+    const a = proof.pi_a.slice(0, 2);
+    const b = [[proof.pi_b[0][1], proof.pi_b[0][0]], [proof.pi_b[1][1], proof.pi_b[1][0]]];
+    const c = proof.pi_c.slice(0, 2);
+    const merchantHash = toBytes32(BigInt(await circuits.merchantHash('merchant_1')));
+
+    const register = (amount) => paymentVerifier.registerPayment(amount, toBytes32(BigInt(pinHash)), merchantHash, merchant.address, NATIVE, DEPOSIT, { value: DEPOSIT });
+    await register(25050n);
+    await register(25050n);
+    await register(99n);
+
+    await expect(paymentVerifier.verifyPayment(2, a, b, c, publicSignals)).to.be.revertedWith('Amount does not match payment');
+    await expect(paymentVerifier.verifyPayment(0, a, b, c, publicSignals)).to.emit(paymentVerifier, 'FundsReleased').withArgs(0, merchant.address, NATIVE, DEPOSIT);
+    await expect(paymentVerifier.verifyPayment(1, a, b, c, publicSignals)).to.be.revertedWith('Nullifier already spent');
+
+    // A forged nullifier breaks the proof itself
+    const forged = [publicSignals[0] === '1' ? '2' : '1', ...publicSignals.slice(1)];
+    await expect(paymentVerifier.verifyPayment(1, a, b, c, forged)).to.be.revertedWith('Invalid ZK proof');
+  });
+});
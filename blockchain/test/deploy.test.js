@@ -0,0 +1,65 @@
+const { expect } = require('chai');
+const { ethers, artifacts } = require('hardhat');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { deploy } = require('../scripts/deploy');
+
+describe('scripts/deploy.js', function () {
+  let outDir;
+  let manifest;
+  let backend;
+
+  before(async function () {
+    [, backend] = await ethers.getSigners();
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zkpulse-deployments-'));
+    process.env.PIN_REGISTRY_BACKENDS = backend.address;
+    manifest = await deploy({ outDir });
+  });
+
+  after(function () {
+    delete process.env.PIN_REGISTRY_BACKENDS;
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  it('writes the manifest for the network it ran on', async function () {
+    const written = JSON.parse(fs.readFileSync(path.join(outDir, 'hardhat.json'), 'utf8'));
+
+    expect(written).to.deep.equal(manifest);
+    expect(written.manifestVersion).to.equal(1);
+    expect(written.network).to.equal('hardhat');
+    expect(written.chainId).to.equal(Number((await ethers.provider.getNetwork()).chainId));
+    expect(Object.keys(written.contracts)).to.deep.equal(['Verifier', 'PaymentVerifier', 'PINRegistry']);
+  });
+
+  it('records where and from which artifact each contract was deployed', async function () {
+    for (const entry of Object.values(manifest.contracts)) {
+      const artifact = await artifacts.readArtifact(entry.contractName);
+      const receipt = await ethers.provider.getTransactionReceipt(entry.deployTransaction);
+
+      expect(await ethers.provider.getCode(entry.address)).to.not.equal('0x');
+      expect(receipt.contractAddress).to.equal(entry.address);
+      expect(receipt.blockNumber).to.equal(entry.deployBlock);
+      expect(entry.abi).to.deep.equal(artifact.abi);
+      expect(entry.artifactHash).to.equal(crypto.createHash('sha256').update(artifact.bytecode).digest('hex'));
+    }
+  });
+
+  it('wires the contracts together', async function () {
+    const { Verifier, PaymentVerifier, PINRegistry } = manifest.contracts;
+    const paymentVerifier = await ethers.getContractAt('PaymentVerifier', PaymentVerifier.address);
+    const pinRegistry = await ethers.getContractAt('PINRegistry', PINRegistry.address);
+
+    expect(await paymentVerifier.verifier()).to.equal(Verifier.address);
+    expect(await paymentVerifier.refundTimeout()).to.equal(86400);
+    expect(await pinRegistry.authorizedBackends(backend.address)).to.equal(true);
+    expect(manifest.config.pinRegistryBackends).to.deep.equal([backend.address]);
+  });
+
+  it('falls back to the MockVerifier only while the circuits are not built', async function () {
+    const built = await artifacts.artifactExists('Groth16Verifier');
+    expect(manifest.contracts.Verifier.contractName).to.equal(built ? 'Groth16Verifier' : 'MockVerifier');
+  });
+});
@@ -0,0 +1,26 @@
+pragma circom 2.1.0;
+
+include "node_modules/circomlib/circuits/poseidon.circom";
+
+template Login() {
+    // Private Inputs (Stay on user's phone)
+    signal input pin;
+    signal input salt;
+
+    // Public Inputs (Checked by the backend against the login challenge)
+    signal input pinHash;   // Registered Poseidon(pin, salt)
+    signal input challenge; // Single-use nonce issued by /api/login/challenge
+
+    // Constraint: The prover knows the PIN behind the registered hash
+    component hasher = Poseidon(2);
+    hasher.inputs[0] <== pin;
+    hasher.inputs[1] <== salt;
+    pinHash === hasher.out;
+
+    // Bind the challenge into the proof, so a proof answers one login only.
+    // A public input that appears in no constraint could be swapped freely.
+    signal challengeSquare;
+    challengeSquare <== challenge * challenge;
+}
+
+component main {public [pinHash, challenge]} = Login();
@@ -0,0 +1,40 @@
+pragma circom 2.1.0;
+
+include "node_modules/circomlib/circuits/poseidon.circom";
+
+template Payment() {
+    // Private Inputs (Stay on user's phone)
+    signal input pin;
+    signal input salt; // A random number to prevent brute-force attacks
+
+    // Public Inputs (Checked by the backend against the payment request)
+    signal input pinHash;      // Registered Poseidon(pin, salt)
+    signal input amount;       // Amount in paise (rupees * 100)
+    signal input merchantHash; // Poseidon(merchantId)
+    signal input nonce;        // Fresh random value per payment
+
+    // Public Output: spent once per payment to block replays
+    signal output nullifier;
+
+    // Constraint 1: The prover knows the PIN behind the registered hash
+    component pinHasher = Poseidon(2);
+    pinHasher.inputs[0] <== pin;
+    pinHasher.inputs[1] <== salt;
+    pinHash === pinHasher.out;
+
+    // Constraint 2: nullifier = Poseidon(salt, nonce)
+    // The salt is the customer's secret, so only the PIN holder can derive it
+    component nullifierHasher = Poseidon(2);
+    nullifierHasher.inputs[0] <== salt;
+    nullifierHasher.inputs[1] <== nonce;
+    nullifier <== nullifierHasher.out;
+
+    // Bind amount and merchant into the proof. Public inputs that appear in no
+    // constraint could be swapped without invalidating the proof.
+    signal amountSquare;
+    signal merchantSquare;
+    amountSquare <== amount * amount;
+    merchantSquare <== merchantHash * merchantHash;
+}
+
+component main {public [pinHash, amount, merchantHash, nonce]} = Payment();
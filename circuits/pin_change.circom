@@ -0,0 +1,31 @@
+pragma circom 2.1.0;
+
+include "node_modules/circomlib/circuits/poseidon.circom";
+
+template PinChange() {
+    // Private Inputs (Stay on user's phone)
+    signal input oldPin;
+    signal input oldSalt;
+    signal input newPin;
+    signal input newSalt; // Fresh salt for the new PIN
+
+    // Public Inputs (Checked by the backend against the registry)
+    signal input oldPinHash; // Currently registered Poseidon(oldPin, oldSalt)
+    signal input newPinHash; // Poseidon(newPin, newSalt) to register in its place
+
+    // Constraint 1: The prover knows the PIN behind the registered hash
+    // A session token alone cannot produce this proof
+    component oldHasher = Poseidon(2);
+    oldHasher.inputs[0] <== oldPin;
+    oldHasher.inputs[1] <== oldSalt;
+    oldPinHash === oldHasher.out;
+
+    // Constraint 2: The new hash has a known preimage, which also binds it into
+    // the proof so it cannot be swapped for another value
+    component newHasher = Poseidon(2);
+    newHasher.inputs[0] <== newPin;
+    newHasher.inputs[1] <== newSalt;
+    newPinHash === newHasher.out;
+}
+
+component main {public [oldPinHash, newPinHash]} = PinChange();
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import './App.css';
 import MerchantPageEnhanced from './MerchantPageEnhanced';
+import { PROOF_STAGES, generateSalt, generateNonce, computePinHash, generatePaymentProof, generateLoginProof } from './zkProver';
 
 // ============================================================================
 // INPUT VALIDATION HELPERS
@@ -69,25 +70,51 @@ function getAuthToken() {
 
 /**
  * Store JWT token in localStorage
+ * The refresh token comes with every login and refresh; each one works only once
  */
-function setAuthToken(token) {
+function setAuthToken(token, refreshToken) {
   localStorage.setItem('jwtToken', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
 }
 
 /**
- * Clear JWT token from localStorage
+ * Clear JWT and refresh tokens from localStorage
  */
 function clearAuthToken() {
   localStorage.removeItem('jwtToken');
+  localStorage.removeItem('refreshToken');
+}
+
+/**
+ * Trade the stored refresh token for a new access token
+ * @returns {Promise<boolean>} - true if a new token was stored
+ */
+async function refreshAuthToken() {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return false;
+
+  const response = await fetch('http://localhost:5001/api/token/refresh', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  });
+  if (!response.ok) return false;
+
+  const data = await response.json();
+  setAuthToken(data.token, data.refreshToken);
+  return true;
 }
 
 /**
  * Make authenticated API call with JWT token
- * Automatically includes Authorization header if token exists
+ * Automatically includes Authorization header if token exists, and refreshes an
+ * expired access token once before giving up
  */
-async function authenticatedFetch(url, options = {}) {
+async function authenticatedFetch(url, options = {}, retried = false) {
   const token = getAuthToken();
-  const headers = options.headers || {};
+  const headers = { ...(options.headers || {}) };
 
   // Add Authorization header if token exists
   if (token) {
@@ -104,8 +131,12 @@ async function authenticatedFetch(url, options = {}) {
     headers
   });
 
-  // If 401 Unauthorized, token might be expired - clear it
+  // If 401 Unauthorized, the access token expired or the session was signed out
   if (response.status === 401) {
+    const { type } = await response.clone().json().catch(() => ({}));
+    if (type === 'TOKEN_EXPIRED' && !retried && await refreshAuthToken()) {
+      return authenticatedFetch(url, options, true);
+    }
     clearAuthToken();
   }
 
@@ -113,65 +144,104 @@ async function authenticatedFetch(url, options = {}) {
 }
 
 /**
- * Compute PIN hash locally (simple hash function)
- * Must match the backend's hashing method for verification
+ * Sign out this device, or every device of the customer (e.g. after losing a phone)
  */
-function simpleHash(pin) {
-  let hash = 0;
-  for (let i = 0; i < pin.length; i++) {
-    const char = pin.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
+async function logoutUser(allSessions = false) {
+  try {
+    await authenticatedFetch('http://localhost:5001/api/logout', {
+      method: 'POST',
+      body: JSON.stringify({ allSessions })
+    });
+  } finally {
+    clearAuthToken();
   }
-  return '0x' + Math.abs(hash).toString(16).padStart(64, '0');
 }
 
 /**
  * Login user and get JWT token (REQUIRES PIN)
- * SECURITY FIX: Now requires PIN verification
+ * SECURITY FIX: The PIN is proven, not sent - not even as a hash
  * - customerId: The customer's unique identifier
- * - pin: The customer's 4-6 digit PIN (will be hashed locally)
+ * - pin: The customer's 4-6 digit PIN (stays on this device)
+ * - salt: The device-held salt used when the PIN was registered
+ * The server issues a single-use challenge and only answers with a token once a
+ * proof of the PIN bound to that challenge verifies.
  */
-async function loginUser(customerId, pin) {
+async function loginUser(customerId, pin, salt = localStorage.getItem('pinSalt')) {
   try {
     // Validate input
     if (!customerId || !pin) {
       return { success: false, error: 'customerId and PIN are required' };
     }
 
-    // Hash the PIN locally (never send plaintext PIN)
-    const pinHash = simpleHash(pin);
+    if (!salt) {
+      return { success: false, error: 'No PIN registered on this device' };
+    }
+
+    // Step 1: Ask for a fresh challenge
+    const challengeResponse = await fetch('http://localhost:5001/api/login/challenge', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ customerId })
+    });
+    const challenge = await challengeResponse.json();
+    if (!challengeResponse.ok) {
+      return { success: false, error: challenge.message || challenge.error || 'Login failed' };
+    }
+
+    // Step 2: Prove the PIN against it in the worker (never send plaintext PIN or salt)
+    const { proof, publicSignals, circuitVersion } = await generateLoginProof({ pin, salt, challenge: challenge.nonce });
 
-    // Send login request with customerId and pinHash
     const response = await fetch('http://localhost:5001/api/login', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ customerId, pinHash })
+      body: JSON.stringify({ customerId, nonce: challenge.nonce, proof, publicSignals, circuitVersion })
     });
 
     const data = await response.json();
 
     if (response.ok && data.token) {
-      setAuthToken(data.token);
+      setAuthToken(data.token, data.refreshToken);
       return { success: true, token: data.token };
     } else {
-      return { success: false, error: data.error || data.message || 'Login failed' };
+      return { success: false, error: data.message || data.error || 'Login failed' };
     }
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Look up the merchant a QR code points at
+ * Any merchant ID can be typed into a QR code, so the name shown to the customer
+ * comes from the merchant registry, never from the code itself.
+ * @returns {Promise<Object>} - { verified: true, name } or { verified: false, message }
+ */
+async function lookupMerchant(merchantId) {
+  try {
+    const response = await fetch(`http://localhost:5001/api/merchants/${encodeURIComponent(merchantId)}`);
+    const data = await response.json();
+    if (response.ok && data.verified) {
+      return { verified: true, name: data.name };
+    }
+    return { verified: false, message: data.error || 'This merchant could not be verified' };
+  } catch (error) {
+    return { verified: false, message: 'Could not verify this merchant: ' + error.message };
+  }
+}
+
 function App() {
   const [viewMode, setViewMode] = useState('home'); // home, customer, merchant
   const [screen, setScreen] = useState('home'); // home, register, scan, amount, pin, processing, success, error
   const [customerId, setCustomerId] = useState(localStorage.getItem('customerId') || '');
   const [registeredPin, setRegisteredPin] = useState(false);
+  const [signedIn, setSignedIn] = useState(Boolean(getAuthToken()));
   const [merchantId, setMerchantId] = useState('');
+  const [merchant, setMerchant] = useState(null); // Registry lookup of merchantId; null while loading
   const [amount, setAmount] = useState('');
   const [pin, setPin] = useState('');
   const [response, setResponse] = useState('');
   const [error, setError] = useState('');
+  const [proofStage, setProofStage] = useState(null); // Key of PROOF_STAGES while a payment is in flight
   const [validationErrors, setValidationErrors] = useState({}); // Track field-level validation errors
 
   // Check if customer already has registered PIN on mount
@@ -205,6 +275,17 @@ function App() {
     }
   }, []);
 
+  // Verify the merchant before the customer is asked to pay it
+  useEffect(() => {
+    setMerchant(null);
+    if (!merchantId) return undefined;
+    let cancelled = false;
+    lookupMerchant(merchantId).then(result => {
+      if (!cancelled) setMerchant(result);
+    });
+    return () => { cancelled = true; };
+  }, [merchantId]);
+
   // Show merchant page if in merchant mode
   if (viewMode === 'merchant') {
     return <MerchantPageEnhanced onSwitchMode={setViewMode} />;
@@ -239,10 +320,11 @@ function App() {
         setScreen('register');
         return;
       }
+      setSignedIn(true);
 
-      // Calculate PIN hash locally (demo: simple hash)
-      const pinHash = simpleHash(pin);
-      const salt = 'demo_salt_' + Date.now(); // In production: from snarkjs circuit
+      // Poseidon(PIN, salt) computed on this device - only the hash is sent
+      const salt = generateSalt();
+      const pinHash = await computePinHash(pin, salt);
 
       // SECURITY FIX: Step 2 - Send registration with Authorization header
       const res = await authenticatedFetch('http://localhost:5001/api/register-pin', {
@@ -250,8 +332,7 @@ function App() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           customerId,
-          pinHash,
-          salt
+          pinHash
         })
       });
 
@@ -260,6 +341,7 @@ function App() {
       if (data.status === 'success') {
         localStorage.setItem('customerId', customerId);
         localStorage.setItem('pinHash', pinHash);
+        localStorage.setItem('pinSalt', salt); // Needed to prove PIN knowledge; never sent
         setRegisteredPin(true);
         setError('');
         
@@ -288,7 +370,7 @@ function App() {
   };
 
   // Handle Sign In
-  const handleSignIn = () => {
+  const handleSignIn = async () => {
     // Validate Customer ID
     const customerValidation = validateCustomerId(customerId);
     if (!customerValidation.valid) {
@@ -306,13 +388,15 @@ function App() {
     // Check if stored credentials match
     const storedCustomerId = localStorage.getItem('customerId');
     const storedPinHash = localStorage.getItem('pinHash');
-    const claimedPinHash = simpleHash(pin);
+    const storedSalt = localStorage.getItem('pinSalt');
 
-    if (!storedCustomerId || !storedPinHash) {
+    if (!storedCustomerId || !storedPinHash || !storedSalt) {
       setError('No account found. Please register first.');
       return;
     }
 
+    const claimedPinHash = await computePinHash(pin, storedSalt);
+
     if (storedCustomerId !== customerId) {
       setError('Customer ID not found');
       return;
@@ -323,7 +407,15 @@ function App() {
       return;
     }
 
+    // Open a server session: prove the PIN against a fresh challenge
+    const loginResult = await loginUser(customerId, pin, storedSalt);
+    if (!loginResult.success) {
+      setError('Sign in failed: ' + loginResult.error);
+      return;
+    }
+
     // Sign in successful
+    setSignedIn(true);
     setRegisteredPin(true);
     setError('');
     
@@ -367,6 +459,10 @@ function App() {
 
   // Step 1: Get PIN Input for Payment
   const handlePINSubmit = async () => {
+    if (!merchant?.verified) {
+      setError(merchant?.message || 'Still verifying the merchant, please wait');
+      return;
+    }
     // Validate PIN
     const pinValidation = validatePin(pin);
     if (!pinValidation.valid) {
@@ -381,31 +477,24 @@ function App() {
   // Step 2-5: Submit Payment with PIN Verification
   const submitPayment = async () => {
     try {
-      // Calculate PIN hash locally
-      const claimedPinHash = simpleHash(pin);
       const storedPinHash = localStorage.getItem('pinHash');
+      const storedSalt = localStorage.getItem('pinSalt');
 
-      // Pre-check: Do hashes match?
-      if (claimedPinHash !== storedPinHash) {
-        setError('Wrong PIN! The hash does not match your registered PIN.');
+      if (!storedPinHash || !storedSalt) {
+        setError('No PIN registered on this device. Please register first.');
         setScreen('error');
         return;
       }
 
-      // Generate a dummy proof for demo (in production: use snarkjs)
-      const proof = {
-        pi_a: ['0x' + '1'.repeat(64), '0x' + '2'.repeat(64)],
-        pi_b: [
-          ['0x' + '3'.repeat(64), '0x' + '4'.repeat(64)],
-          ['0x' + '5'.repeat(64), '0x' + '6'.repeat(64)]
-        ],
-        pi_c: ['0x' + '7'.repeat(64), '0x' + '8'.repeat(64)]
-      };
-
-      const publicSignals = [
-        '0x' + amount.toString().padStart(64, '0'),
-        '0x' + Math.random().toString(36).substr(2, 63) // Nullifier
-      ];
+      // Groth16 proof of Poseidon(PIN, salt) == pinHash, bound to this amount, merchant
+      // and a fresh nonce. Generated in a Web Worker, which rejects a wrong PIN before proving
+      const nonce = generateNonce();
+      const { proof, publicSignals, circuitVersion } = await generatePaymentProof(
+        { pin, salt: storedSalt, pinHash: storedPinHash, amount, merchantId, nonce },
+        setProofStage
+      );
+
+      setProofStage('submitting');
 
       // SECURITY FIX: Use authenticated fetch with JWT token
       const res = await authenticatedFetch('http://localhost:5001/api/verify-payment', {
@@ -414,9 +503,11 @@ function App() {
         body: JSON.stringify({
           proof,
           publicSignals,
+          circuitVersion,
           amount,
           merchantId,
-          pinHash: claimedPinHash,
+          nonce,
+          pinHash: storedPinHash,
           customerId
         })
       });
@@ -425,6 +516,7 @@ function App() {
 
       if (data.verified) {
         setResponse(data.message);
+        setMerchant({ verified: true, name: data.merchant.name });
         announceSuccess(`Verification complete. ${amount} rupees received via ZK-Shield.`);
         setScreen('success');
       } else {
@@ -432,8 +524,10 @@ function App() {
         setScreen('error');
       }
     } catch (err) {
-      setError('Backend error: ' + err.message);
+      setError('Payment error: ' + err.message);
       setScreen('error');
+    } finally {
+      setProofStage(null);
     }
   };
 
@@ -443,6 +537,22 @@ function App() {
     window.speechSynthesis.speak(speech);
   };
 
+  // Who the customer is paying, as the merchant registry knows it
+  const renderMerchant = () => {
+    if (!merchant) {
+      return <p>Merchant: {merchantId} <span style={{ color: '#999' }}>(verifying...)</span></p>;
+    }
+    if (!merchant.verified) {
+      return <div className="error">⚠️ {merchant.message}. Do not pay this QR code.</div>;
+    }
+    return (
+      <p>
+        Merchant: <strong>{merchant.name}</strong>{' '}
+        <span style={{ color: '#27ae60', fontSize: '13px' }}>✓ Verified merchant ({merchantId})</span>
+      </p>
+    );
+  };
+
   const handleReset = () => {
     setAmount('');
     setPin('');
@@ -491,6 +601,7 @@ function App() {
           transition: background 0.3s;
         }
         button:hover { background: #764ba2; }
+        button:disabled { background: #bbb; cursor: not-allowed; }
         input {
           width: 100%;
           padding: 15px;
@@ -568,7 +679,7 @@ function App() {
           <div className="qr-icon">🔐</div>
           {merchantId && amount && (
             <div className="info" style={{ background: '#fff3cd', color: '#856404', marginBottom: '15px' }}>
-              💰 Payment: ₹{amount} to {merchantId}
+              💰 Payment: ₹{amount} to {merchant?.verified ? `${merchant.name} (${merchantId})` : merchantId}
             </div>
           )}
           <div>
@@ -577,6 +688,12 @@ function App() {
             <button onClick={() => setScreen('register')} style={{ marginBottom: '10px' }}>📝 Register New Account</button>
             <button onClick={() => setScreen('signin')} style={{ background: '#27ae60' }}>🔑 Sign In</button>
           </div>
+          {signedIn && (
+            <div style={{ marginTop: '20px' }}>
+              <button style={{ background: '#999' }} onClick={async () => { await logoutUser(); setSignedIn(false); }}>🚪 Sign Out</button>
+              <button style={{ background: '#e74c3c' }} onClick={async () => { await logoutUser(true); setSignedIn(false); }}>📵 Sign Out All Devices</button>
+            </div>
+          )}
         </div>
       )}
 
@@ -586,7 +703,7 @@ function App() {
           <div className="info">🔒 Your PIN will be hashed locally. Never sent to server in plain text.</div>
           {merchantId && amount && (
             <div className="info" style={{ background: '#fff3cd', color: '#856404', marginBottom: '15px' }}>
-              💰 Payment: ₹{amount} to {merchantId}
+              💰 Payment: ₹{amount} to {merchant?.verified ? `${merchant.name} (${merchantId})` : merchantId}
               <br/>
               Please set your PIN to complete this transaction
             </div>
@@ -643,7 +760,7 @@ function App() {
           <div className="info">🔑 Enter your credentials to continue</div>
           {merchantId && amount && (
             <div className="info" style={{ background: '#fff3cd', color: '#856404', marginBottom: '15px' }}>
-              💰 Payment: ₹{amount} to {merchantId}
+              💰 Payment: ₹{amount} to {merchant?.verified ? `${merchant.name} (${merchantId})` : merchantId}
             </div>
           )}
           <input
@@ -670,7 +787,7 @@ function App() {
       {screen === 'amount' && (
         <div className="screen">
           <h1>Enter Amount</h1>
-          <p>Merchant: {merchantId}</p>
+          {renderMerchant()}
           <div style={{ marginBottom: '15px' }}>
             <input
               type="number"
@@ -701,7 +818,7 @@ function App() {
       {screen === 'pin' && (
         <div className="screen">
           <h1>Enter PIN to Authorize Payment</h1>
-          <p>Merchant: {merchantId}</p>
+          {renderMerchant()}
           <p>Amount: ₹{amount}</p>
           <div className="info">🔑 Enter your PIN to complete this transaction</div>
           <input
@@ -713,7 +830,7 @@ function App() {
             inputMode="numeric"
           />
           {error && <div className="error">{error}</div>}
-          <button onClick={handlePINSubmit}>✓ Verify & Pay</button>
+          <button onClick={handlePINSubmit} disabled={!merchant?.verified}>✓ Verify & Pay</button>
           <button style={{ background: '#999' }} onClick={() => { setScreen('home'); setPin(''); setError(''); }}>Cancel</button>
         </div>
       )}
@@ -721,8 +838,11 @@ function App() {
       {screen === 'processing' && (
         <div className="screen">
           <h1>Processing...</h1>
-          <p>Verifying PIN & Processing Payment</p>
+          <p>{proofStage ? PROOF_STAGES[proofStage] : 'Verifying PIN & Processing Payment'}</p>
           <div className="spinner"></div>
+          {proofStage && proofStage !== 'submitting' && (
+            <div className="info">🔒 Your PIN stays on this device. Only the proof is sent.</div>
+          )}
           <p style={{ fontSize: '12px', color: '#999' }}>Do not close this window</p>
         </div>
       )}
@@ -733,6 +853,7 @@ function App() {
           <div className="pulse"></div>
           <p className="success">{response}</p>
           <p style={{ fontSize: '14px', color: '#666' }}>Amount: ₹{amount}</p>
+          {merchant?.verified && <p style={{ fontSize: '14px', color: '#666' }}>Paid to: {merchant.name} ({merchantId})</p>}
           <button onClick={() => { setViewMode('merchant'); setScreen('home'); setMerchantId(''); setAmount(''); setPin(''); }}>Back to Merchant Dashboard</button>
         </div>
       )}
@@ -45,34 +45,60 @@ function validateChatMessage(message) {
 // ============================================================================
 // SECURITY FIX: JWT Authentication Helper Functions
 // ============================================================================
+// Merchant tokens are kept apart from the customer's, so both modes can be
+// signed in on the same browser
 
 /**
- * Get JWT token from localStorage
+ * Get the merchant's JWT token from localStorage
  */
 function getAuthToken() {
-  return localStorage.getItem('jwtToken');
+  return localStorage.getItem('merchantToken');
 }
 
 /**
- * Store JWT token in localStorage
+ * Store the merchant's JWT and refresh tokens in localStorage
  */
-function setAuthToken(token) {
-  localStorage.setItem('jwtToken', token);
+function setAuthToken(token, refreshToken) {
+  localStorage.setItem('merchantToken', token);
+  if (refreshToken) {
+    localStorage.setItem('merchantRefreshToken', refreshToken);
+  }
 }
 
 /**
- * Clear JWT token from localStorage
+ * Clear the merchant's JWT and refresh tokens from localStorage
  */
 function clearAuthToken() {
-  localStorage.removeItem('jwtToken');
+  localStorage.removeItem('merchantToken');
+  localStorage.removeItem('merchantRefreshToken');
+}
+
+/**
+ * Trade the stored refresh token for a new access token
+ * @returns {Promise<boolean>} - true if a new token was stored
+ */
+async function refreshAuthToken() {
+  const refreshToken = localStorage.getItem('merchantRefreshToken');
+  if (!refreshToken) return false;
+
+  const response = await fetch('http://localhost:5001/api/token/refresh', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  });
+  if (!response.ok) return false;
+
+  const data = await response.json();
+  setAuthToken(data.token, data.refreshToken);
+  return true;
 }
 
 /**
- * Make authenticated API call with JWT token
+ * Make authenticated API call with JWT token, refreshing an expired one once
  */
-async function authenticatedFetch(url, options = {}) {
+async function authenticatedFetch(url, options = {}, retried = false) {
   const token = getAuthToken();
-  const headers = options.headers || {};
+  const headers = { ...(options.headers || {}) };
 
   if (token) {
     headers['Authorization'] = `Bearer ${token}`;
@@ -88,6 +114,10 @@ async function authenticatedFetch(url, options = {}) {
   });
 
   if (response.status === 401) {
+    const { type } = await response.clone().json().catch(() => ({}));
+    if (type === 'TOKEN_EXPIRED' && !retried && await refreshAuthToken()) {
+      return authenticatedFetch(url, options, true);
+    }
     clearAuthToken();
   }
 
@@ -95,57 +125,52 @@ async function authenticatedFetch(url, options = {}) {
 }
 
 /**
- * Compute PIN hash locally (simple hash function)
- * Must match the backend's hashing method for verification
- */
-function simpleHash(pin) {
-  let hash = 0;
-  for (let i = 0; i < pin.length; i++) {
-    const char = pin.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  return '0x' + Math.abs(hash).toString(16).padStart(64, '0');
-}
-
-/**
- * Login user and get JWT token (REQUIRES PIN)
- * SECURITY FIX: Now requires PIN verification
+ * Sign in as a merchant, or register a new merchant account and sign in
+ * @param {string} mode - 'login' or 'register'
+ * @param {Object} details - { merchantId, password, name, payoutAddress } (name and the
+ *   optional payout address only when registering)
+ * @returns {Promise<Object>} - { success, merchantId, name } or { success: false, error }
  */
-async function loginUser(customerId, pin = '0000') {
+async function authenticateMerchant(mode, { merchantId, password, name, payoutAddress }) {
   try {
-    // Validate input
-    if (!customerId) {
-      return { success: false, error: 'customerId is required' };
-    }
-
-    // For merchant, use default PIN if not provided
-    const pinToUse = pin || '0000';
-
-    // Hash the PIN locally (never send plaintext PIN)
-    const pinHash = simpleHash(pinToUse);
-
-    // Send login request with customerId and pinHash
-    const response = await fetch('http://localhost:5001/api/login', {
+    const response = await fetch(`http://localhost:5001/api/merchants/${mode}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ customerId, pinHash })
+      body: JSON.stringify(mode === 'register'
+        ? { merchantId, name, password, payoutAddress: payoutAddress || null }
+        : { merchantId, password })
     });
-
     const data = await response.json();
 
     if (response.ok && data.token) {
-      setAuthToken(data.token);
-      return { success: true, token: data.token };
-    } else {
-      // If authentication fails, it's likely the customer hasn't registered yet
-      // For merchants, this is expected on first load
-      console.warn('Login attempt failed:', data.error);
-      return { success: false, error: data.error || 'Login failed' };
+      setAuthToken(data.token, data.refreshToken);
+      return { success: true, merchantId: data.merchantId, name: data.name };
     }
+    return { success: false, error: data.message || data.error || 'Sign in failed' };
   } catch (error) {
-    console.warn('Login error:', error.message);
-    return { success: false, error: error.message };
+    console.warn('Merchant sign in error:', error.message);
+    return { success: false, error: 'Could not reach the server' };
+  }
+}
+
+/**
+ * Call one of the signed-in merchant's profile endpoints
+ * @returns {Promise<Object>} - The response body, with ok set from the status
+ */
+async function merchantRequest(path, options = {}) {
+  const response = await authenticatedFetch(`http://localhost:5001/api/merchant/${path}`, options);
+  const data = await response.json().catch(() => ({}));
+  return { ...data, ok: response.ok, unauthorized: response.status === 401 };
+}
+
+/**
+ * Sign the merchant out of this browser
+ */
+async function logoutMerchant() {
+  try {
+    await authenticatedFetch('http://localhost:5001/api/logout', { method: 'POST', body: JSON.stringify({}) });
+  } finally {
+    clearAuthToken();
   }
 }
 
@@ -162,25 +187,34 @@ const MerchantPageEnhanced = ({ onSwitchMode }) => {
   const [isListening, setIsListening] = useState(false);
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [validationErrors, setValidationErrors] = useState({}); // Track field-level validation errors
+  const [signedIn, setSignedIn] = useState(Boolean(getAuthToken()));
+  const [authMode, setAuthMode] = useState('login'); // 'login' or 'register'
+  const [password, setPassword] = useState('');
+  const [merchantName, setMerchantName] = useState('');
+  const [authError, setAuthError] = useState('');
+  const [payoutAddress, setPayoutAddress] = useState('');
+  const [profile, setProfile] = useState(null); // Registry profile, loaded after sign in
+  const [profileEdits, setProfileEdits] = useState({ name: '', payoutAddress: '' });
+  const [profileMessage, setProfileMessage] = useState('');
+  const [apiKeys, setApiKeys] = useState([]);
+  const [apiKeyLabel, setApiKeyLabel] = useState('');
+  const [newApiKey, setNewApiKey] = useState(null); // Shown once, right after it is created
   const canvasRef = useRef(null);
   const chatEndRef = useRef(null);
   const recognitionRef = useRef(null);
 
   // Fetch transactions and calculate today's total
   useEffect(() => {
+    if (!signedIn) return undefined;
+
     const fetchTransactions = async () => {
       try {
-        // SECURITY FIX: Authenticate first if not already authenticated
-        const merchantId = localStorage.getItem('merchantId') || 'merchant-default';
-        const loginResult = await loginUser(merchantId);
-        
-        if (!loginResult.success) {
-          console.warn('Could not authenticate merchant:', loginResult.error);
+        // SECURITY FIX: Only the signed-in merchant's payments are returned
+        const response = await authenticatedFetch('http://localhost:5001/api/recent-payments');
+        if (response.status === 401) {
+          setSignedIn(false);
           return;
         }
-
-        // Use authenticated fetch with JWT token
-        const response = await authenticatedFetch('http://localhost:5001/api/recent-payments');
         const data = await response.json();
         const payments = data.payments || [];
         setTransactions(payments);
@@ -200,7 +234,102 @@ const MerchantPageEnhanced = ({ onSwitchMode }) => {
     fetchTransactions();
     const interval = setInterval(fetchTransactions, 5000);
     return () => clearInterval(interval);
-  }, []);
+  }, [signedIn]);
+
+  // Load the registry profile and API keys
+  useEffect(() => {
+    if (!signedIn) return;
+
+    merchantRequest('profile').then(data => {
+      if (data.unauthorized) {
+        setSignedIn(false);
+        return;
+      }
+      if (data.ok) {
+        setProfile(data.profile);
+        setProfileEdits({ name: data.profile.name || '', payoutAddress: data.profile.payoutAddress || '' });
+        setApiKeys(data.apiKeys);
+      }
+    });
+  }, [signedIn]);
+
+  const handleSaveProfile = async () => {
+    const data = await merchantRequest('profile', {
+      method: 'PATCH',
+      body: JSON.stringify({ name: profileEdits.name, payoutAddress: profileEdits.payoutAddress.trim() || null })
+    });
+    if (!data.ok) {
+      setProfileMessage('⚠️ ' + (data.error || 'Could not save profile'));
+      return;
+    }
+    setProfile(data.profile);
+    setProfileEdits({ name: data.profile.name, payoutAddress: data.profile.payoutAddress || '' });
+    setProfileMessage('✓ Profile saved');
+  };
+
+  const handleCreateApiKey = async () => {
+    const data = await merchantRequest('api-keys', {
+      method: 'POST',
+      body: JSON.stringify({ label: apiKeyLabel.trim() || null })
+    });
+    if (!data.ok) {
+      setProfileMessage('⚠️ ' + (data.error || 'Could not create API key'));
+      return;
+    }
+    const { apiKey, keyId, label, createdAt, revokedAt } = data;
+    setNewApiKey(apiKey);
+    setApiKeys([{ keyId, label, createdAt, revokedAt }, ...apiKeys]);
+    setApiKeyLabel('');
+    setProfileMessage('');
+  };
+
+  const handleRevokeApiKey = async (keyId) => {
+    if (!window.confirm('Revoke this API key? Servers using it will lose access.')) return;
+    const data = await merchantRequest(`api-keys/${encodeURIComponent(keyId)}`, { method: 'DELETE' });
+    if (!data.ok) {
+      setProfileMessage('⚠️ ' + (data.error || 'Could not revoke API key'));
+      return;
+    }
+    setApiKeys(apiKeys.map(k => (k.keyId === keyId && !k.revokedAt ? { ...k, revokedAt: new Date().toISOString() } : k)));
+  };
+
+  const handleAuthenticate = async () => {
+    const merchantValidation = validateMerchantId(merchantId);
+    if (!merchantValidation.valid) {
+      setAuthError(merchantValidation.error);
+      return;
+    }
+    if (password.length < 10) {
+      setAuthError('Password must be at least 10 characters');
+      return;
+    }
+
+    setLoading(true);
+    const result = await authenticateMerchant(authMode, { merchantId, password, name: merchantName, payoutAddress });
+    setLoading(false);
+    setPassword('');
+
+    if (!result.success) {
+      setAuthError(result.error);
+      return;
+    }
+    localStorage.setItem('merchantId', result.merchantId);
+    setMerchantId(result.merchantId);
+    setAuthError('');
+    setSignedIn(true);
+  };
+
+  const handleSignOut = async () => {
+    await logoutMerchant();
+    setSignedIn(false);
+    setTransactions([]);
+    setTodayTotal(0);
+    setShowQR(false);
+    setProfile(null);
+    setApiKeys([]);
+    setNewApiKey(null);
+    setProfileMessage('');
+  };
 
   // Initialize speech recognition
   useEffect(() => {
@@ -346,12 +475,8 @@ const MerchantPageEnhanced = ({ onSwitchMode }) => {
       const response = await authenticatedFetch('http://localhost:5001/api/gemini-query', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          query: userMessage,
-          transactions: transactions,
-          merchantId: merchantId,
-          todayTotal: todayTotal
-        })
+        // The backend answers from the signed-in merchant's own payments
+        body: JSON.stringify({ query: userMessage })
       });
 
       const data = await response.json();
@@ -388,204 +513,344 @@ const MerchantPageEnhanced = ({ onSwitchMode }) => {
             👤 Switch to Customer Mode
           </button>
         )}
+        {signedIn && (
+          <button onClick={handleSignOut} className="switch-mode-btn">
+            Sign Out
+          </button>
+        )}
       </div>
 
-      {/* Dashboard Stats */}
-      <div className="dashboard-stats">
-        <div className="stat-card">
-          <h3>Today's Collection</h3>
-          <p className="stat-amount">₹{(typeof todayTotal === 'number' ? todayTotal : 0).toFixed(2)}</p>
-          <p className="stat-label">Total received today</p>
-        </div>
-        <div className="stat-card">
-          <h3>Total Transactions</h3>
-          <p className="stat-amount">{transactions.length}</p>
-          <p className="stat-label">Verified payments</p>
-        </div>
-        <div className="stat-card">
-          <h3>Merchant ID</h3>
-          <p className="stat-amount" style={{fontSize: '0.9em'}}>{merchantId || 'Not set'}</p>
-          <p className="stat-label">Current merchant</p>
-        </div>
-      </div>
-
-      <div className="merchant-content">
-        {/* QR Code Section */}
-        <div className="merchant-section">
-          {!showQR ? (
-            <div className="qr-generator-section">
-              <h2>Generate Payment QR Code</h2>
+      {!signedIn ? (
+        <div className="merchant-content">
+          <div className="merchant-section">
+            <h2>{authMode === 'login' ? 'Merchant Sign In' : 'Register as a Merchant'}</h2>
+            <div className="form-group">
+              <label>Merchant ID</label>
+              <input
+                type="text"
+                value={merchantId}
+                onChange={(e) => setMerchantId(e.target.value)}
+                placeholder="Enter your Merchant ID"
+                className="input-field"
+                maxLength="20"
+              />
+              <div style={{ fontSize: '11px', color: '#999', marginTop: '3px' }}>2-20 characters, alphanumeric with hyphens/underscores</div>
+            </div>
+            {authMode === 'register' && (
               <div className="form-group">
-                <label>Merchant ID</label>
+                <label>Business Name</label>
                 <input
                   type="text"
-                  value={merchantId}
-                  onChange={(e) => {
-                    setMerchantId(e.target.value);
-                    // Real-time validation feedback
-                    if (e.target.value) {
-                      const validation = validateMerchantId(e.target.value);
-                      setValidationErrors({ ...validationErrors, merchantId: validation.valid ? null : validation.error });
-                    }
-                  }}
-                  placeholder="Enter your Merchant ID"
+                  value={merchantName}
+                  onChange={(e) => setMerchantName(e.target.value)}
+                  placeholder="Shown to customers when they pay"
                   className="input-field"
-                  maxLength="20"
-                  style={{ borderColor: validationErrors.merchantId ? '#ff6b6b' : 'inherit' }}
+                  maxLength="80"
                 />
-                {validationErrors.merchantId && <div style={{ fontSize: '12px', color: '#ff6b6b', marginTop: '5px' }}>⚠️ {validationErrors.merchantId}</div>}
-                <div style={{ fontSize: '11px', color: '#999', marginTop: '3px' }}>2-20 characters, alphanumeric with hyphens/underscores</div>
               </div>
+            )}
+            {authMode === 'register' && (
               <div className="form-group">
-                <label>Amount (₹)</label>
+                <label>Payout Address (optional)</label>
                 <input
-                  type="number"
-                  value={amount}
-                  onChange={(e) => {
-                    setAmount(e.target.value);
-                    // Real-time validation feedback
-                    if (e.target.value) {
-                      const validation = validateAmount(e.target.value);
-                      setValidationErrors({ ...validationErrors, amount: validation.valid ? null : validation.error });
-                    }
-                  }}
-                  placeholder="Enter amount"
+                  type="text"
+                  value={payoutAddress}
+                  onChange={(e) => setPayoutAddress(e.target.value)}
+                  placeholder="0x... Ethereum address for settlements"
                   className="input-field"
-                  step="0.01"
-                  min="0"
-                  max="100000"
-                  style={{ borderColor: validationErrors.amount ? '#ff6b6b' : 'inherit' }}
+                  maxLength="42"
                 />
-                {validationErrors.amount && <div style={{ fontSize: '12px', color: '#ff6b6b', marginTop: '5px' }}>⚠️ {validationErrors.amount}</div>}
-                <div style={{ fontSize: '11px', color: '#999', marginTop: '3px' }}>Max ₹100,000 with up to 2 decimal places</div>
               </div>
-              <button onClick={handleGenerateQR} className="btn-primary">
-                Generate QR Code
-              </button>
+            )}
+            <div className="form-group">
+              <label>Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="At least 10 characters"
+                className="input-field"
+                autoComplete={authMode === 'login' ? 'current-password' : 'new-password'}
+              />
             </div>
-          ) : (
-            <div className="qr-display-section">
-              <h2>Scan to Pay</h2>
-              <div className="qr-code-container">
-                <canvas ref={canvasRef}></canvas>
+            {authError && <div style={{ fontSize: '12px', color: '#ff6b6b', marginBottom: '10px' }}>⚠️ {authError}</div>}
+            <button onClick={handleAuthenticate} className="btn-primary" disabled={loading}>
+              {authMode === 'login' ? 'Sign In' : 'Register'}
+            </button>
+            <button
+              onClick={() => { setAuthMode(authMode === 'login' ? 'register' : 'login'); setAuthError(''); }}
+              className="btn-secondary"
+            >
+              {authMode === 'login' ? 'New merchant? Register' : 'Have an account? Sign in'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+        {profile?.status === 'suspended' && (
+          <div style={{ background: '#ffe0e0', color: '#c0392b', padding: '15px', borderRadius: '10px', margin: '20px' }}>
+            ⚠️ This merchant account is suspended and cannot accept payments
+            {profile.statusReason ? `: ${profile.statusReason}` : '.'}
+          </div>
+        )}
+        {/* Dashboard Stats */}
+        <div className="dashboard-stats">
+          <div className="stat-card">
+            <h3>Today's Collection</h3>
+            <p className="stat-amount">₹{(typeof todayTotal === 'number' ? todayTotal : 0).toFixed(2)}</p>
+            <p className="stat-label">Total received today</p>
+          </div>
+          <div className="stat-card">
+            <h3>Total Transactions</h3>
+            <p className="stat-amount">{transactions.length}</p>
+            <p className="stat-label">Verified payments</p>
+          </div>
+          <div className="stat-card">
+            <h3>Merchant ID</h3>
+            <p className="stat-amount" style={{fontSize: '0.9em'}}>{merchantId || 'Not set'}</p>
+            <p className="stat-label">Current merchant</p>
+          </div>
+        </div>
+
+        <div className="merchant-content">
+          {/* QR Code Section */}
+          <div className="merchant-section">
+            {!showQR ? (
+              <div className="qr-generator-section">
+                <h2>Generate Payment QR Code</h2>
+                <div className="form-group">
+                  <label>Merchant ID</label>
+                  {/* Payments are requested for the merchant that is signed in */}
+                  <input
+                    type="text"
+                    value={merchantId}
+                    readOnly
+                    className="input-field"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Amount (₹)</label>
+                  <input
+                    type="number"
+                    value={amount}
+                    onChange={(e) => {
+                      setAmount(e.target.value);
+                      // Real-time validation feedback
+                      if (e.target.value) {
+                        const validation = validateAmount(e.target.value);
+                        setValidationErrors({ ...validationErrors, amount: validation.valid ? null : validation.error });
+                      }
+                    }}
+                    placeholder="Enter amount"
+                    className="input-field"
+                    step="0.01"
+                    min="0"
+                    max="100000"
+                    style={{ borderColor: validationErrors.amount ? '#ff6b6b' : 'inherit' }}
+                  />
+                  {validationErrors.amount && <div style={{ fontSize: '12px', color: '#ff6b6b', marginTop: '5px' }}>⚠️ {validationErrors.amount}</div>}
+                  <div style={{ fontSize: '11px', color: '#999', marginTop: '3px' }}>Max ₹100,000 with up to 2 decimal places</div>
+                </div>
+                <button onClick={handleGenerateQR} className="btn-primary">
+                  Generate QR Code
+                </button>
               </div>
-              <div className="notice-box" style={{ 
-                background: 'linear-gradient(135deg, #fff3cd 0%, #ffe69c 100%)', 
-                padding: '15px 20px', 
-                borderRadius: '10px', 
-                margin: '15px 0',
-                border: '1px solid #ffc107',
-                textAlign: 'center'
-              }}>
-                <p style={{ margin: 0, color: '#856404', fontWeight: '600' }}>
-                  Kindly click on the link below to go to the customer page and experience the full flow of a transaction.
-                </p>
-                <p style={{ margin: '8px 0 0 0', color: '#856404', fontSize: '13px' }}>
-                  QR scanning will be enabled in production.
-                </p>
+            ) : (
+              <div className="qr-display-section">
+                <h2>Scan to Pay</h2>
+                <div className="qr-code-container">
+                  <canvas ref={canvasRef}></canvas>
+                </div>
+                <div className="notice-box" style={{ 
+                  background: 'linear-gradient(135deg, #fff3cd 0%, #ffe69c 100%)', 
+                  padding: '15px 20px', 
+                  borderRadius: '10px', 
+                  margin: '15px 0',
+                  border: '1px solid #ffc107',
+                  textAlign: 'center'
+                }}>
+                  <p style={{ margin: 0, color: '#856404', fontWeight: '600' }}>
+                    Kindly click on the link below to go to the customer page and experience the full flow of a transaction.
+                  </p>
+                  <p style={{ margin: '8px 0 0 0', color: '#856404', fontSize: '13px' }}>
+                    QR scanning will be enabled in production.
+                  </p>
+                </div>
+                <div className="payment-details">
+                  <p><strong>Merchant:</strong> {merchantId}</p>
+                  <p><strong>Amount:</strong> ₹{amount}</p>
+                  <p className="payment-link-info">
+                    Payment Link: <a href={qrData} target="_blank" rel="noopener noreferrer" className="payment-link">{qrData.substring(0, 50)}...</a>
+                  </p>
+                </div>
+                <div className="action-buttons">
+                  <button onClick={() => window.open(qrData, '_blank')} className="btn-primary">
+                    Open Payment Page
+                  </button>
+                  <button onClick={handleNewQR} className="btn-secondary">
+                    Generate New QR
+                  </button>
+                </div>
               </div>
-              <div className="payment-details">
-                <p><strong>Merchant:</strong> {merchantId}</p>
-                <p><strong>Amount:</strong> ₹{amount}</p>
-                <p className="payment-link-info">
-                  Payment Link: <a href={qrData} target="_blank" rel="noopener noreferrer" className="payment-link">{qrData.substring(0, 50)}...</a>
-                </p>
+            )}
+          </div>
+
+          {/* Chat AI Assistant */}
+          <div className="merchant-section">
+            <div className="chat-section">
+              <h2>Transaction Assistant (Gemini AI)</h2>
+              <div className="chat-messages">
+                {chatMessages.map((msg, idx) => (
+                  <div key={idx} className={`chat-message ${msg.role}`}>
+                    <p>{msg.content}</p>
+                  </div>
+                ))}
+                {loading && <div className="chat-message bot"><p>Typing...</p></div>}
+                <div ref={chatEndRef} />
               </div>
-              <div className="action-buttons">
-                <button onClick={() => window.open(qrData, '_blank')} className="btn-primary">
-                  Open Payment Page
+              <div className="chat-input-section">
+                <input
+                  type="text"
+                  value={chatInput}
+                  onChange={(e) => {
+                    setChatInput(e.target.value);
+                    // Real-time validation feedback
+                    if (e.target.value && e.target.value.length > 500) {
+                      setValidationErrors({ ...validationErrors, chatInput: 'Message cannot exceed 500 characters' });
+                    } else {
+                      setValidationErrors({ ...validationErrors, chatInput: null });
+                    }
+                  }}
+                  onKeyPress={(e) => e.key === 'Enter' && !loading && handleSendMessage()}
+                  placeholder="Ask about your transactions... (e.g., 'What is my total today?')"
+                  className="chat-input"
+                  disabled={loading || isListening}
+                  maxLength="500"
+                />
+                <button 
+                  onClick={handleStartListening} 
+                  className={`btn-voice ${isListening ? 'listening' : ''}`}
+                  disabled={loading || isSpeaking}
+                  title="Click to speak"
+                >
+                  🎤 {isListening ? 'Listening...' : 'Speak'}
                 </button>
-                <button onClick={handleNewQR} className="btn-secondary">
-                  Generate New QR
+                <button onClick={handleSendMessage} className="btn-primary" disabled={loading || isListening}>
+                  Send
                 </button>
+                {isSpeaking && (
+                  <button 
+                    onClick={() => window.speechSynthesis.cancel()} 
+                    className="btn-stop"
+                    title="Stop speaking"
+                  >
+                    Stop
+                  </button>
+                )}
               </div>
             </div>
-          )}
+          </div>
         </div>
 
-        {/* Chat AI Assistant */}
-        <div className="merchant-section">
-          <div className="chat-section">
-            <h2>Transaction Assistant (Gemini AI)</h2>
-            <div className="chat-messages">
-              {chatMessages.map((msg, idx) => (
-                <div key={idx} className={`chat-message ${msg.role}`}>
-                  <p>{msg.content}</p>
-                </div>
-              ))}
-              {loading && <div className="chat-message bot"><p>Typing...</p></div>}
-              <div ref={chatEndRef} />
+        {/* Merchant Profile & API Keys */}
+        <div className="merchant-content">
+          <div className="merchant-section">
+            <h2>Merchant Profile</h2>
+            <p style={{ fontSize: '13px', color: '#666' }}>
+              Customers see this name when they pay you. Status: <strong>{profile?.status || 'loading'}</strong>
+            </p>
+            <div className="form-group">
+              <label>Business Name</label>
+              <input
+                type="text"
+                value={profileEdits.name}
+                onChange={(e) => setProfileEdits({ ...profileEdits, name: e.target.value })}
+                className="input-field"
+                maxLength="80"
+              />
             </div>
-            <div className="chat-input-section">
+            <div className="form-group">
+              <label>Payout Address</label>
               <input
                 type="text"
-                value={chatInput}
-                onChange={(e) => {
-                  setChatInput(e.target.value);
-                  // Real-time validation feedback
-                  if (e.target.value && e.target.value.length > 500) {
-                    setValidationErrors({ ...validationErrors, chatInput: 'Message cannot exceed 500 characters' });
-                  } else {
-                    setValidationErrors({ ...validationErrors, chatInput: null });
-                  }
-                }}
-                onKeyPress={(e) => e.key === 'Enter' && !loading && handleSendMessage()}
-                placeholder="Ask about your transactions... (e.g., 'What is my total today?')"
-                className="chat-input"
-                disabled={loading || isListening}
-                maxLength="500"
+                value={profileEdits.payoutAddress}
+                onChange={(e) => setProfileEdits({ ...profileEdits, payoutAddress: e.target.value })}
+                placeholder="0x... (leave empty to remove)"
+                className="input-field"
+                maxLength="42"
               />
-              <button 
-                onClick={handleStartListening} 
-                className={`btn-voice ${isListening ? 'listening' : ''}`}
-                disabled={loading || isSpeaking}
-                title="Click to speak"
-              >
-                🎤 {isListening ? 'Listening...' : 'Speak'}
-              </button>
-              <button onClick={handleSendMessage} className="btn-primary" disabled={loading || isListening}>
-                Send
-              </button>
-              {isSpeaking && (
-                <button 
-                  onClick={() => window.speechSynthesis.cancel()} 
-                  className="btn-stop"
-                  title="Stop speaking"
-                >
-                  Stop
-                </button>
-              )}
             </div>
+            <button onClick={handleSaveProfile} className="btn-primary" disabled={!profile}>
+              Save Profile
+            </button>
+            {profileMessage && <div style={{ fontSize: '12px', color: '#666', marginTop: '10px' }}>{profileMessage}</div>}
           </div>
-        </div>
-      </div>
 
-      {/* Recent Transactions */}
-      <div className="transactions-section">
-        <h2>Recent Transactions</h2>
-        {transactions.length === 0 ? (
-          <p className="no-transactions">No transactions yet</p>
-        ) : (
-          <div className="transactions-list">
-            {transactions.slice(0, 10).map((tx, index) => (
-              <div key={index} className="transaction-card">
-                <div className="tx-header">
-                  <span className="tx-id">#{tx.txId}</span>
-                  <span className="tx-amount">₹{tx.amount}</span>
-                </div>
-                <div className="tx-details">
-                  <p><strong>Customer:</strong> {tx.customerId}</p>
-                  <p><strong>Merchant:</strong> {tx.merchantId}</p>
-                  <p><strong>Time:</strong> {new Date(tx.timestamp).toLocaleString()}</p>
-                </div>
-                <div className="tx-status">
-                  <span className="status-badge verified">✓ Verified</span>
-                </div>
+          <div className="merchant-section">
+            <h2>API Keys</h2>
+            <p style={{ fontSize: '13px', color: '#666' }}>
+              Let your own server read your payments: send <code>Authorization: ApiKey &lt;key&gt;</code>.
+            </p>
+            {newApiKey && (
+              <div style={{ background: '#fff3cd', color: '#856404', padding: '10px', borderRadius: '8px', marginBottom: '10px', wordBreak: 'break-all' }}>
+                <strong>Copy this key now - it won't be shown again:</strong>
+                <div style={{ fontFamily: 'monospace', marginTop: '5px' }}>{newApiKey}</div>
+                <button onClick={() => setNewApiKey(null)} className="btn-secondary">Done</button>
+              </div>
+            )}
+            <div className="form-group">
+              <input
+                type="text"
+                value={apiKeyLabel}
+                onChange={(e) => setApiKeyLabel(e.target.value)}
+                placeholder="Label, e.g. billing server"
+                className="input-field"
+                maxLength="40"
+              />
+            </div>
+            <button onClick={handleCreateApiKey} className="btn-primary">Create API Key</button>
+            {apiKeys.map(key => (
+              <div key={key.keyId} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '13px', padding: '8px 0', borderBottom: '1px solid #eee' }}>
+                <span>
+                  <strong>{key.label || 'Unlabelled'}</strong> · created {new Date(key.createdAt).toLocaleDateString()}
+                  {key.revokedAt && <span style={{ color: '#999' }}> · revoked</span>}
+                </span>
+                {!key.revokedAt && (
+                  <button onClick={() => handleRevokeApiKey(key.keyId)} className="btn-stop">Revoke</button>
+                )}
               </div>
             ))}
           </div>
-        )}
-      </div>
+        </div>
+
+        {/* Recent Transactions */}
+        <div className="transactions-section">
+          <h2>Recent Transactions</h2>
+          {transactions.length === 0 ? (
+            <p className="no-transactions">No transactions yet</p>
+          ) : (
+            <div className="transactions-list">
+              {transactions.slice(0, 10).map((tx, index) => (
+                <div key={index} className="transaction-card">
+                  <div className="tx-header">
+                    <span className="tx-id">#{tx.txId}</span>
+                    <span className="tx-amount">₹{tx.amount}</span>
+                  </div>
+                  <div className="tx-details">
+                    <p><strong>Customer:</strong> {tx.customerId}</p>
+                    <p><strong>Merchant:</strong> {tx.merchantId}</p>
+                    <p><strong>Time:</strong> {new Date(tx.timestamp).toLocaleString()}</p>
+                  </div>
+                  <div className="tx-status">
+                    <span className="status-badge verified">✓ Verified</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+        </>
+      )}
     </div>
   );
 };
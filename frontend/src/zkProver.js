@@ -0,0 +1,127 @@
+// ============================================================================
+// IN-BROWSER ZK PROVING
+// ============================================================================
+// Thin wrapper around zkProver.worker.js. All hashing and proving happens in the
+// worker so the PIN and salt never leave the device.
+
+/**
+ * Human readable labels for the proving stages shown on the processing screen
+ */
+export const PROOF_STAGES = {
+  loading: 'Loading ZK circuit...',
+  proving: 'Generating zero-knowledge proof on this device...',
+  submitting: 'Verifying proof with server...'
+};
+
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+/**
+ * Fail every pending request and drop the worker, so the next call starts a fresh one
+ * For a worker that could not load, crashed or sent a message that cannot be decoded
+ */
+function failWorker(message) {
+  for (const request of pendingRequests.values()) {
+    request.reject(new Error(message));
+  }
+  pendingRequests.clear();
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+}
+
+/**
+ * Lazily start the prover worker and route its messages to pending requests
+ */
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./zkProver.worker.js', import.meta.url));
+    worker.onerror = (event) => {
+      event.preventDefault();
+      failWorker(`ZK prover failed: ${event.message || 'the worker could not be started'}`);
+    };
+    worker.onmessageerror = () => failWorker('ZK prover sent a message that could not be read');
+    worker.onmessage = (event) => {
+      const { id, type, stage, result, error } = event.data;
+      const request = pendingRequests.get(id);
+      if (!request) return;
+
+      if (type === 'progress') {
+        if (request.onProgress) request.onProgress(stage);
+        return;
+      }
+
+      pendingRequests.delete(id);
+      if (type === 'error') {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(result);
+      }
+    };
+  }
+  return worker;
+}
+
+function callWorker(type, payload, onProgress) {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject, onProgress });
+    getWorker().postMessage({ id, type, payload });
+  });
+}
+
+/**
+ * Random value that fits in the BN254 scalar field
+ * 31 random bytes (248 bits) are always below the field modulus
+ */
+function randomFieldElement() {
+  const bytes = window.crypto.getRandomValues(new Uint8Array(31));
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  return BigInt('0x' + hex).toString();
+}
+
+/**
+ * Generate a random PIN salt (kept on this device)
+ * @returns {string} - The salt as a decimal string
+ */
+export function generateSalt() {
+  return randomFieldElement();
+}
+
+/**
+ * Generate a fresh nonce for one payment - the proof's nullifier is derived from it
+ * @returns {string} - The nonce as a decimal string
+ */
+export function generateNonce() {
+  return randomFieldElement();
+}
+
+/**
+ * Compute the Poseidon PIN commitment, matching backend poseidonHash
+ * @returns {Promise<string>} - pinHash as a decimal string
+ */
+export function computePinHash(pin, salt) {
+  return callWorker('hash', { pin, salt });
+}
+
+/**
+ * Generate a Groth16 payment proof bound to the amount, merchant and nonce
+ * @param {Object} payment - { pin, salt, pinHash, amount, merchantId, nonce }
+ * @param {Function} onProgress - Called with a PROOF_STAGES key as proving advances
+ * @returns {Promise<Object>} - { proof, publicSignals, circuitVersion }
+ */
+export function generatePaymentProof(payment, onProgress) {
+  return callWorker('prove', payment, onProgress);
+}
+
+/**
+ * Generate a Groth16 login proof of knowing the PIN, bound to a server challenge
+ * @param {Object} login - { pin, salt, challenge } with the nonce from /api/login/challenge
+ * @param {Function} onProgress - Called with a PROOF_STAGES key as proving advances
+ * @returns {Promise<Object>} - { proof, publicSignals, circuitVersion }
+ */
+export function generateLoginProof(login, onProgress) {
+  return callWorker('proveLogin', login, onProgress);
+}
@@ -0,0 +1,139 @@
+import { groth16 } from 'snarkjs';
+import { poseidon1, poseidon2 } from 'poseidon-lite';
+
+// ============================================================================
+// ZK PROVER WORKER
+// ============================================================================
+// Runs Poseidon hashing and Groth16 proving off the main thread.
+// PIN and salt only ever exist inside this worker and the page that spawned it.
+
+// Compiled payment.circom artifacts, served from frontend/public/circuits by default
+const WASM_URL = process.env.REACT_APP_CIRCUIT_WASM_URL || '/circuits/payment.wasm';
+const ZKEY_URL = process.env.REACT_APP_CIRCUIT_ZKEY_URL || '/circuits/payment_final.zkey';
+
+// Compiled login.circom artifacts
+const LOGIN_WASM_URL = process.env.REACT_APP_LOGIN_CIRCUIT_WASM_URL || '/circuits/login.wasm';
+const LOGIN_ZKEY_URL = process.env.REACT_APP_LOGIN_CIRCUIT_ZKEY_URL || '/circuits/login_final.zkey';
+const LOGIN_CIRCUIT_VERSION = process.env.REACT_APP_LOGIN_CIRCUIT_VERSION || '1';
+
+// Version of the payment artifacts above - the backend picks the matching verification key by it
+const CIRCUIT_VERSION = process.env.REACT_APP_CIRCUIT_VERSION || '1';
+
+// Artifacts are downloaded once per worker and reused for every proof
+const artifactCache = {};
+
+/**
+ * Encode a 4-6 digit PIN as a field element
+ * Must match encodePin in backend/src/circuits.js
+ */
+function encodePin(pin) {
+  if (!/^\d{4,6}$/.test(pin)) {
+    throw new Error('PIN must be 4-6 digits');
+  }
+  return BigInt('1' + pin);
+}
+
+/**
+ * Encode a rupee amount as paise - must match encodeAmount in backend/src/circuits.js
+ */
+function encodeAmount(amount) {
+  const match = /^(\d+)(?:\.(\d{1,2}))?$/.exec(String(amount));
+  if (!match) {
+    throw new Error('Amount must be a positive number with at most 2 decimal places');
+  }
+  return BigInt(match[1]) * 100n + BigInt((match[2] || '').padEnd(2, '0'));
+}
+
+/**
+ * Poseidon(merchantId bytes) - must match merchantHash in backend/src/circuits.js
+ */
+function computeMerchantHash(merchantId) {
+  const bytes = new TextEncoder().encode(merchantId);
+  if (bytes.length === 0 || bytes.length > 31) {
+    throw new Error('Merchant ID must be 1-31 bytes');
+  }
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  return poseidon1([BigInt('0x' + hex)]).toString();
+}
+
+/**
+ * Poseidon(pin, salt) as a decimal string - the pinHash payment.circom checks
+ */
+function computePinHash(pin, salt) {
+  return poseidon2([encodePin(pin), BigInt(salt)]).toString();
+}
+
+/**
+ * Download a circuit artifact, caching it for later proofs
+ */
+async function loadArtifact(url) {
+  if (!artifactCache[url]) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Circuit artifact not available at ${url} (HTTP ${response.status})`);
+    }
+    artifactCache[url] = new Uint8Array(await response.arrayBuffer());
+  }
+  return artifactCache[url];
+}
+
+function reportProgress(id, stage) {
+  globalThis.postMessage({ id, type: 'progress', stage });
+}
+
+async function prove(id, { pin, salt, pinHash, amount, merchantId, nonce }) {
+  reportProgress(id, 'loading');
+  const [wasm, zkey] = await Promise.all([loadArtifact(WASM_URL), loadArtifact(ZKEY_URL)]);
+
+  const expectedPinHash = computePinHash(pin, salt);
+  if (pinHash && pinHash !== expectedPinHash) {
+    throw new Error('Wrong PIN! The hash does not match your registered PIN.');
+  }
+
+  reportProgress(id, 'proving');
+  const input = {
+    pin: encodePin(pin).toString(),
+    salt: BigInt(salt).toString(),
+    pinHash: expectedPinHash,
+    amount: encodeAmount(amount).toString(),
+    merchantHash: computeMerchantHash(merchantId),
+    nonce: BigInt(nonce).toString()
+  };
+  const { proof, publicSignals } = await groth16.fullProve(input, wasm, zkey);
+  return { proof, publicSignals, circuitVersion: CIRCUIT_VERSION };
+}
+
+async function proveLogin(id, { pin, salt, challenge }) {
+  reportProgress(id, 'loading');
+  const [wasm, zkey] = await Promise.all([loadArtifact(LOGIN_WASM_URL), loadArtifact(LOGIN_ZKEY_URL)]);
+
+  reportProgress(id, 'proving');
+  const input = {
+    pin: encodePin(pin).toString(),
+    salt: BigInt(salt).toString(),
+    pinHash: computePinHash(pin, salt),
+    challenge: BigInt(challenge).toString()
+  };
+  const { proof, publicSignals } = await groth16.fullProve(input, wasm, zkey);
+  return { proof, publicSignals, circuitVersion: LOGIN_CIRCUIT_VERSION };
+}
+
+globalThis.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+
+  try {
+    let result;
+    if (type === 'hash') {
+      result = computePinHash(payload.pin, payload.salt);
+    } else if (type === 'prove') {
+      result = await prove(id, payload);
+    } else if (type === 'proveLogin') {
+      result = await proveLogin(id, payload);
+    } else {
+      throw new Error(`Unknown prover request: ${type}`);
+    }
+    globalThis.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    globalThis.postMessage({ id, type: 'error', error: error.message });
+  }
+};